@@ -14,6 +14,16 @@ const PassengerRouter = require('./src/api/routes/passenger_api');
 const DriverRouter = require('./src/api/routes/driver_api');
 const DriverPostRouter = require('./src/api/routes/driverpost_api');
 const PassengerPostRouter = require("./src/api/routes/passengerpost_api");
+const RideSeriesRouter = require("./src/api/routes/rideseries_api");
+const NotificationRouter = require("./src/api/routes/notification_api");
+const EventsRouter = require("./src/api/routes/events_api");
+const ConversationRouter = require("./src/api/routes/conversation_api");
+const ReviewRouter = require("./src/api/routes/review_api");
+const AuthRouter = require('./src/api/routes/auth_api');
+const { notFound, errorHandler } = require('./src/api/middlewares/errorHandler');
+const { startRideScheduler } = require('./src/services/rideScheduler');
+const { subscribeNotifications } = require('./src/services/notificationHelpers');
+const { subscribeLiveUpdates } = require('./src/services/liveUpdates');
 
 app.use(express.json());
 
@@ -22,16 +32,28 @@ app.get("/", (req, res) => {
 });
 
 
+app.use('/auth', AuthRouter);
 app.use('/passenger', PassengerRouter);
 app.use('/driver', DriverRouter);
 app.use('/driverpost',DriverPostRouter);
 //app.use("/testAPI", testAPIRouter);
 app.use("/passengerpost", PassengerPostRouter);
+app.use("/rideseries", RideSeriesRouter);
+app.use("/notifications", NotificationRouter);
+app.use("/events", EventsRouter);
+app.use("/conversations", ConversationRouter);
+app.use("/reviews", ReviewRouter);
+
+app.use(notFound);
+app.use(errorHandler);
 
 
 if (process.env.NODE_ENV !== 'test') {
   const PORT = process.env.PORT || 3001;
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  startRideScheduler();
+  subscribeNotifications();
+  subscribeLiveUpdates();
 }
 
 module.exports = app;
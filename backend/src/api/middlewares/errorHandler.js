@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { AppError, ValidationError, BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+
+// Maps errors that do not come from our own code onto the same codes.
+const toAppError = (err) => {
+    if (err instanceof AppError) return err;
+
+    if (err instanceof multer.MulterError) {
+        return new BadRequestError(err.message, 'UPLOAD_FAILED');
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return ValidationError.forField(err.path, `Invalid ${err.path}`);
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        const details = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+        return new ValidationError('Validation failed', details);
+    }
+    if (err.code === 11000) {
+        return new ConflictError('A record with this value already exists', 'DUPLICATE_KEY');
+    }
+    // Thrown by express.json() for a body that is not valid JSON.
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+    }
+    return new AppError('Internal server error');
+};
+
+function notFound(req, res, next) {
+    next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+}
+
+// Express only treats a middleware as an error handler when it takes all four arguments.
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = toAppError(err);
+    if (error.status >= 500) {
+        console.error(err);
+    }
+
+    res.status(error.status).json({
+        status: 'FAILED',
+        code: error.code,
+        message: error.message,
+        ...(error.details && { details: error.details }),
+    });
+}
+
+module.exports = { notFound, errorHandler };
@@ -1,17 +1,79 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../../services/sessionHelpers');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+const User = require('../../models/user_model');
+
+// 401 tells the client to refresh and retry, 403 means the token itself is bad.
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token == null) {
-        return res.sendStatus(401); 
+        return next(new UnauthorizedError('Authentication required', 'AUTH_REQUIRED'));
     }
 
-    jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
+    jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, async (err, user) => {
+        if (err) {
+            return next(err.name === 'TokenExpiredError'
+                ? new UnauthorizedError('Access token has expired', 'TOKEN_EXPIRED')
+                : new ForbiddenError('Access token is invalid', 'TOKEN_INVALID'));
+        }
+
+        try {
+            if (!user.sessionId || !(await isSessionActive(user.sessionId))) {
+                return next(new UnauthorizedError('Session has ended. Please log in again', 'SESSION_INVALID'));
+            }
+        } catch (error) {
+            return next(error);
+        }
         req.user = user;
         next();
     });
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Must run after authenticateToken.
+function requireRole(role) {
+    return (req, res, next) => {
+        const roles = (req.user && req.user.roles) || [];
+        if (!roles.includes(role)) {
+            return next(new ForbiddenError(`This action requires a ${role} account`, 'ROLE_REQUIRED'));
+        }
+        next();
+    };
+}
+
+// `loader(req)` resolves to `{ resource, ownerId }`, or null when the resource does not exist.
+// The loaded resource is exposed as `req.resource` so the handler does not fetch it again.
+function requireOwnership(loader) {
+    return async (req, res, next) => {
+        try {
+            const found = await loader(req);
+            if (!found) {
+                return next(new NotFoundError('Resource not found'));
+            }
+            if (String(found.ownerId) !== String(req.user.userId)) {
+                return next(new ForbiddenError('You do not have permission to modify this resource', 'NOT_OWNER'));
+            }
+            req.resource = found.resource;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Must run after authenticateToken. Read from the database rather than the token so that
+// verifying takes effect immediately.
+async function requireVerifiedEmail(req, res, next) {
+    try {
+        const user = await User.findById(req.user.userId, 'emailVerified');
+        if (!user || !user.emailVerified) {
+            return next(new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { authenticateToken, requireRole, requireOwnership, requireVerifiedEmail };
@@ -0,0 +1,33 @@
+const { ValidationError } = require('../../utils/errors');
+
+const joiOptions = {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } },
+};
+
+// `schemas` maps `body`, `query` and/or `params` to a Joi schema. Validated (trimmed, converted)
+// values replace the originals, so handlers can trust req.body and friends. All failures are
+// reported at once as VALIDATION_FAILED with one `{ field, message }` entry per bad field.
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+        for (const [source, schema] of Object.entries(schemas)) {
+            const { value, error } = schema.validate(req[source] || {}, joiOptions);
+            if (error) {
+                error.details.forEach(({ path, message }) => {
+                    details.push({ field: path.join('.'), message });
+                });
+            } else {
+                req[source] = value;
+            }
+        }
+
+        if (details.length > 0) {
+            return next(new ValidationError('Validation failed', details));
+        }
+        next();
+    };
+}
+
+module.exports = validate;
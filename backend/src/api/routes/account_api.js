@@ -0,0 +1,165 @@
+// Profile and avatar changes for the signed-in account. Drivers and passengers share one User,
+// so this router is mounted by both driver_api and passenger_api (`/driver/update`,
+// `/passenger/update`, ...).
+const express = require('express');
+const multer = require("multer");
+const sharp = require("sharp");
+const bcrypt = require('bcrypt');
+
+const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const { emailExists, formatUserProfile } = require('../../services/authHelpers');
+const { sendVerificationEmail } = require('../../services/verificationHelpers');
+const { revokeAllSessions } = require('../../services/sessionHelpers');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/user_schemas');
+const { ValidationError, BadRequestError, ConflictError, NotFoundError, UnauthorizedError } = require('../../utils/errors');
+const User = require('../../models/user_model');
+
+const accountRouter = express.Router();
+
+/**
+ * @api {put} /update Update Profile
+ * @apiName UpdateProfile
+ * @apiGroup Account
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Update the profile information of the authenticated user. Available as `/driver/update` and
+ * `/passenger/update`; both change the same account.
+ * 
+ * @apiHeader {String} Authorization User's unique access token.
+ * 
+ * @apiParam {String} [name] New name.
+ * @apiParam {String} [phonenumber] New phone number.
+ * @apiParam {String} [email] New email. Changing it marks the account unverified and sends a new verification link.
+ * @apiParam {String} [newPassword] New password. Every other session of the account is signed out.
+ * @apiParam {String} [currentPassword] The account's current password; required with `newPassword` unless the
+ * account has none yet (Google sign-up).
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Success message.
+ * @apiSuccess {Object} data The updated profile.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid, e.g. the phone number is not 10 digits, or
+ * `currentPassword` is missing; `details` names the fields.
+ * @apiError (Error 401) WRONG_PASSWORD `currentPassword` does not match.
+ * @apiError (Error 404) USER_NOT_FOUND The account no longer exists.
+ * @apiError (Error 409) EMAIL_TAKEN The email address is already in use by another account.
+ * @apiErrorExample {json} Error-Response:
+ *     HTTP/1.1 404 Not Found
+ *     {
+ *       "status": "FAILED",
+ *       "code": "USER_NOT_FOUND",
+ *       "message": "User not found"
+ *     }
+ */
+
+accountRouter.put('/update', authenticateToken, validate(schemas.update), asyncHandler(async (req, res) => {
+    const { name, phonenumber, email, newPassword, currentPassword } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError("User not found", 'USER_NOT_FOUND');
+    }
+
+    if (name) user.name = name;
+    if (phonenumber) user.phonenumber = phonenumber;
+
+    if (email && email !== user.email) {
+        const emailTaken = await emailExists(email);
+        if (emailTaken) {
+            throw new ConflictError("Email already in use", 'EMAIL_TAKEN');
+        }
+        user.email = email;
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+    }
+
+    if (newPassword && user.password) {
+        if (!currentPassword) {
+            throw ValidationError.forField('currentPassword', 'currentPassword is required to change the password');
+        }
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            throw new UnauthorizedError("Wrong password", 'WRONG_PASSWORD');
+        }
+    }
+    if (newPassword) {
+        user.password = await bcrypt.hash(newPassword, 10);
+    }
+
+    const emailChanged = user.isModified('email');
+    await user.save();
+    if (emailChanged) {
+        await sendVerificationEmail(user);
+    }
+    // A refresh token stolen before the change must not outlive it.
+    if (newPassword) {
+        await revokeAllSessions(user._id, req.user.sessionId);
+    }
+    res.status(200).send({
+        status: "SUCCESS",
+        message: "Profile updated successfully",
+        data: formatUserProfile(user)
+    });
+}));
+
+const upload = multer({
+    limits: { fileSize: 16 * 1024 * 1024 }, // 16MB limit
+    fileFilter(req, file, cb) {
+        if (!file.originalname.match(/\.(jpg|jpeg|png)$/)) {
+            return cb(ValidationError.forField('avatar', "Please upload an image file (jpg, jpeg, or png)."));
+        }
+        cb(undefined, true);
+    },
+});
+
+/**
+ * @api {post} /avatar Upload/Update Avatar
+ * @apiName UploadUpdateAvatar
+ * @apiGroup Account
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Upload or update the avatar of the authenticated user. Available as `/driver/avatar` and
+ * `/passenger/avatar`.
+ * 
+ * @apiHeader {String} Authorization User's unique access token.
+ * 
+ * @apiParam {File} avatar The avatar image file to upload (jpg, jpeg, or png).
+ * 
+ * @apiSuccess {String} message A message indicating the avatar was updated successfully.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED No file was sent, or it is not a jpg or png.
+ * @apiError (Error 400) UPLOAD_FAILED The file exceeds the size limit.
+ * @apiError (Error 400) INVALID_IMAGE The file could not be read as an image.
+ * @apiError (Error 404) USER_NOT_FOUND The account no longer exists.
+ */
+
+accountRouter.post("/avatar", authenticateToken, upload.single("avatar"), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw ValidationError.forField('avatar', "Avatar is required.");
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError("User not found", 'USER_NOT_FOUND');
+    }
+
+    let buffer;
+    try {
+        buffer = await sharp(req.file.buffer)
+            .resize(250, 250, {
+                fit: sharp.fit.cover,
+                position: sharp.strategy.entropy,
+            })
+            .png()
+            .toBuffer();
+    } catch (error) {
+        throw new BadRequestError(error.message, 'INVALID_IMAGE');
+    }
+
+    user.avatar = { data: buffer, contentType: "image/png" };
+    await user.save();
+    res.send({ message: "Avatar updated successfully" });
+}));
+
+module.exports = accountRouter;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const { rotateSession, revokeSession, revokeAllSessions } = require('../../services/sessionHelpers');
+const { verifyEmailVerificationToken, sendVerificationEmail } = require('../../services/verificationHelpers');
+const { sendPasswordResetEmail, resetPassword } = require('../../services/passwordResetHelpers');
+const { exchangeGoogleCode } = require('../../services/googleAuthHelpers');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/auth_schemas');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('../../utils/errors');
+const User = require('../../models/user_model');
+
+/**
+ * @api {post} /auth/refresh Refresh Access Token
+ * @apiName RefreshToken
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Exchange a refresh token for a new access token. The refresh token is rotated:
+ * the one sent is invalidated and a new one is returned. Reusing an old refresh token revokes the session.
+ * 
+ * @apiParam {String} refreshToken Refresh token returned by the last sign-in or refresh.
+ * 
+ * @apiSuccess {String} token New short-lived access token.
+ * @apiSuccess {String} refreshToken New refresh token.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 401) REFRESH_TOKEN_INVALID The refresh token is unknown, expired or revoked.
+ */
+
+router.post('/refresh', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+    const tokens = await rotateSession(req.body.refreshToken);
+    if (!tokens) {
+        throw new UnauthorizedError('Invalid or expired refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+    res.json(tokens);
+}));
+
+/**
+ * @api {post} /auth/logout Log Out
+ * @apiName Logout
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Revoke the session the refresh token belongs to. Access tokens issued for that
+ * session stop working immediately.
+ * 
+ * @apiParam {String} refreshToken Refresh token of the session to end.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ */
+
+router.post('/logout', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+    await revokeSession(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+}));
+
+/**
+ * @api {post} /auth/logout-all Log Out of All Devices
+ * @apiName LogoutAll
+ * @apiGroup Authentication
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Revoke every active session of the authenticated account, including the current one.
+ * 
+ * @apiHeader {String} Authorization User's unique access token.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * @apiSuccess {Number} revoked Number of sessions that were revoked.
+ */
+
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all devices', revoked });
+}));
+
+/**
+ * @api {get} /auth/verify-email/:token Verify Email
+ * @apiName VerifyEmail
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Mark the account's email as verified using the signed link sent at signup.
+ * 
+ * @apiParam {String} token Verification token from the email link.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) VERIFICATION_LINK_INVALID The link is invalid, expired, or was issued for a different email address.
+ */
+
+router.get('/verify-email/:token', validate(schemas.verifyEmail), asyncHandler(async (req, res) => {
+    const payload = verifyEmailVerificationToken(req.params.token);
+    if (!payload) {
+        throw new BadRequestError('Verification link is invalid or has expired', 'VERIFICATION_LINK_INVALID');
+    }
+
+    const user = await User.findById(payload.userId);
+    if (!user || user.email !== payload.email) {
+        throw new BadRequestError('Verification link is invalid or has expired', 'VERIFICATION_LINK_INVALID');
+    }
+
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+    }
+    res.json({ status: "SUCCESS", message: 'Email verified successfully' });
+}));
+
+/**
+ * @api {post} /auth/resend-verification Resend Verification Email
+ * @apiName ResendVerification
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Send a new verification link. The response is the same whether or not the
+ * email belongs to an unverified account, so it cannot be used to discover accounts.
+ * 
+ * @apiParam {String} email Email address of the account.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ */
+
+router.post('/resend-verification', validate(schemas.emailOnly), asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+        await sendVerificationEmail(user);
+    }
+    res.json({ message: 'If that account exists and is unverified, a new verification email has been sent' });
+}));
+
+/**
+ * @api {post} /auth/forgot-password Request Password Reset
+ * @apiName ForgotPassword
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Email a single-use password reset link that expires after one hour. The response
+ * is the same whether or not the email belongs to an account.
+ * 
+ * @apiParam {String} email Email address of the account.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ */
+
+router.post('/forgot-password', validate(schemas.emailOnly), asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+    // Google-only accounts have no password to reset.
+    if (user && user.password) {
+        await sendPasswordResetEmail(user);
+    }
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+}));
+
+/**
+ * @api {post} /auth/reset-password Reset Password
+ * @apiName ResetPassword
+ * @apiGroup Authentication
+ * @apiPermission none
+ * 
+ * @apiDescription Set a new password using the token from the reset email. The token can only be
+ * used once, and every existing session of the account is signed out.
+ * 
+ * @apiParam {String} token Reset token from the email link.
+ * @apiParam {String} password New password, at least 8 characters.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED The new password is shorter than 8 characters.
+ * @apiError (Error 400) RESET_LINK_INVALID The reset link is invalid, expired or already used.
+ */
+
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    const updated = await resetPassword(token, password);
+    if (!updated) {
+        throw new BadRequestError('Reset link is invalid or has expired', 'RESET_LINK_INVALID');
+    }
+    res.json({ status: "SUCCESS", message: 'Password has been reset. Please log in with your new password' });
+}));
+
+/**
+ * @api {post} /auth/google/link Link Google Account
+ * @apiName LinkGoogle
+ * @apiGroup Authentication
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Attach a Google identity to the signed-in account so it can also sign in with Google.
+ * The Google account must use the same email address.
+ * 
+ * @apiHeader {String} Authorization User's unique access token.
+ * @apiParam {String} code Authorization code returned by Google.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) GOOGLE_AUTH_FAILED Google rejected the code or the ID token did not verify.
+ * @apiError (Error 400) GOOGLE_EMAIL_MISMATCH The Google account uses a different email.
+ * @apiError (Error 400) GOOGLE_EMAIL_UNVERIFIED Google has not verified the account's email.
+ * @apiError (Error 409) GOOGLE_ALREADY_LINKED The Google account is linked to another account.
+ */
+
+router.post('/google/link', authenticateToken, validate(schemas.googleLink), asyncHandler(async (req, res) => {
+    const payload = await exchangeGoogleCode(req.body.code);
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+    if (payload['email'] !== user.email) {
+        throw new BadRequestError('The Google account must use the same email as this account', 'GOOGLE_EMAIL_MISMATCH');
+    }
+    // A matching but unverified address proves nothing about who owns this account.
+    if (!payload['email_verified']) {
+        throw new BadRequestError('Google has not verified the email of this Google account', 'GOOGLE_EMAIL_UNVERIFIED');
+    }
+
+    const owner = await User.findOne({ googleId: payload['sub'] });
+    if (owner && String(owner._id) !== String(user._id)) {
+        throw new ConflictError('This Google account is already linked to another account', 'GOOGLE_ALREADY_LINKED');
+    }
+
+    user.googleId = payload['sub'];
+    await user.save();
+    res.json({ message: 'Google account linked successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/conversation_schemas');
+const {
+  openConversation,
+  participantIds,
+  describeParticipants,
+  setContactSharing,
+  listMessages,
+  sendMessage,
+} = require('../../services/conversationHelpers');
+const { pushToUsers } = require('../../services/liveUpdates');
+
+const conversationRouter = express.Router();
+
+/**
+ * @api {get} /conversations/:postId Get Ride Conversation
+ * @apiName GetConversation
+ * @apiGroup Conversation
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Who else takes part in a ride's conversation: its driver and the passengers whose requests were
+ * accepted. Contact details are only shared between a passenger and the driver, once both have agreed
+ * (see `PUT /conversations/:postId/contact`).
+ *
+ * @apiParam {String} postId ID of the driver post.
+ *
+ * @apiSuccess {String} userId The caller's user ID, to tell their own messages apart.
+ * @apiSuccess {Object[]} participants Everyone in the conversation but the caller.
+ * @apiSuccess {String} participants.userId The participant's user ID.
+ * @apiSuccess {String} participants.name The participant's name.
+ * @apiSuccess {String} participants.role `driver` or `passenger`.
+ * @apiSuccess {Boolean} [participants.youShare] Between a passenger and the driver: whether the caller agreed to share contact details.
+ * @apiSuccess {Boolean} [participants.theyShare] Whether the participant agreed to share theirs with the caller.
+ * @apiSuccess {Object} [participants.contact] `{ email, phonenumber }`, once both have agreed.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 403) NOT_IN_CONVERSATION The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ */
+
+conversationRouter.get('/:postId', authenticateToken, validate(schemas.conversationParams), asyncHandler(async (req, res) => {
+  const conversation = await openConversation(req.params.postId, req.user.userId);
+  res.json({ userId: req.user.userId, participants: await describeParticipants(conversation, req.user.userId) });
+}));
+
+/**
+ * @api {get} /conversations/:postId/messages Get Ride Messages
+ * @apiName GetConversationMessages
+ * @apiGroup Conversation
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Page through a ride's messages, newest first.
+ *
+ * @apiParam {String} postId ID of the driver post.
+ * @apiParam {String} [before] `nextCursor` of the previous page, for the messages sent before it.
+ * @apiParam {Number} [limit=30] Messages per page, at most 50.
+ *
+ * @apiSuccess {Object[]} messages The page of messages.
+ * @apiSuccess {Object} messages.senderId The sender's `_id` and `name`.
+ * @apiSuccess {String} messages.text The message.
+ * @apiSuccess {String} messages.sentAt When it was sent.
+ * @apiSuccess {String} nextCursor Cursor for the older messages, or null on the oldest page.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A parameter is invalid; `details` names the fields.
+ * @apiError (Error 403) NOT_IN_CONVERSATION The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ */
+
+conversationRouter.get('/:postId/messages', authenticateToken, validate(schemas.history), asyncHandler(async (req, res) => {
+  await openConversation(req.params.postId, req.user.userId);
+  res.json(await listMessages(req.params.postId, req.query));
+}));
+
+/**
+ * @api {post} /conversations/:postId/messages Send Ride Message
+ * @apiName SendConversationMessage
+ * @apiGroup Conversation
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Send a message to everyone in the ride's conversation. Open `GET /events` streams of the
+ * participants receive it as a `message` event.
+ *
+ * @apiParam {String} postId ID of the driver post.
+ * @apiParam {String} text The message, up to 2000 characters.
+ *
+ * @apiSuccess {Object} message The sent message.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `text` is missing or too long; `details` names the fields.
+ * @apiError (Error 403) NOT_IN_CONVERSATION The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ */
+
+conversationRouter.post('/:postId/messages', authenticateToken, validate(schemas.send), asyncHandler(async (req, res) => {
+  const conversation = await openConversation(req.params.postId, req.user.userId);
+  const message = await sendMessage(conversation, req.user.userId, req.body.text);
+
+  pushToUsers(participantIds(conversation), 'message', message);
+  res.status(201).json({ message });
+}));
+
+/**
+ * @api {put} /conversations/:postId/contact Share Contact Details
+ * @apiName ShareContactDetails
+ * @apiGroup Conversation
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Agree, or stop agreeing, to share email and phone number between a passenger and the driver
+ * of the ride. Each sees the other's details only while both agree.
+ *
+ * @apiParam {String} postId ID of the driver post.
+ * @apiParam {Boolean} share Whether to share.
+ * @apiParam {String} [passengerId] For the driver: the accepted passenger to share with.
+ *
+ * @apiSuccess {String} userId The caller's user ID.
+ * @apiSuccess {Object[]} participants The conversation's participants, as from `GET /conversations/:postId`.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid, or `passengerId` is not an accepted passenger; `details` names the fields.
+ * @apiError (Error 403) NOT_IN_CONVERSATION The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ */
+
+conversationRouter.put('/:postId/contact', authenticateToken, validate(schemas.contact), asyncHandler(async (req, res) => {
+  await setContactSharing(await openConversation(req.params.postId, req.user.userId), req.body);
+
+  const updated = await openConversation(req.params.postId, req.user.userId);
+  res.json({ userId: req.user.userId, participants: await describeParticipants(updated, req.user.userId) });
+}));
+
+module.exports = conversationRouter;
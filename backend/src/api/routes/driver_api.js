@@ -1,33 +1,30 @@
 //Part of this file was leveraged from GPT/Copilot
 const express = require('express');
-const multer = require("multer");
-const sharp = require("sharp");
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 
-const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const { authenticateToken, requireRole } = require('../middlewares/jwtauthenticate');
 const { handleGoogleSignup, handleTraditionalSignup } = require('../../services/signupHelpers');
-
-const Driver = require('../../models/driver_model');
-const Passenger = require('../../models/passenger_model');
+const { handleSignin, handleGoogleSignin } = require('../../services/signinHelpers');
+const { formatUserProfile } = require('../../services/authHelpers');
+const { revokeSession } = require('../../services/sessionHelpers');
+const { suggestedPassengers } = require('../../services/matchingEngine');
+const { routeStops } = require('../../services/seatHelpers');
+const accountRouter = require('./account_api');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/user_schemas');
+const { NotFoundError } = require('../../utils/errors');
+
+const User = require('../../models/user_model');
 const Passengerpost = require('../../models/passengerpost_model');
 const joinRequest = require('../../models/joinrequest_model');
-const Driverpost = require("../../models/driverpost_model");
-
-async function emailExistsInBoth(email) {
-    const passengerExists = await Passenger.findOne({ email }).exec();
-    const driverExists = await Driver.findOne({ email }).exec();
-
-    return passengerExists || driverExists ? true : false;
-}
 
 
 /**
  * @api {get} /my-driver-posts Get My Driver Posts
  * @apiName GetMyDriverPosts
  * @apiGroup Driver
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
  * @apiDescription Fetch all posts created by the authenticated driver.
  * 
@@ -37,99 +34,124 @@ async function emailExistsInBoth(email) {
  * @apiSuccess {String} driverposts._id Post ID.
  * @apiSuccess {String} driverposts.title Post title.
  * @apiSuccess {Object[]} driverposts.passengers List of passengers in the post.
- * @apiSuccess {String} driverposts.passengers.name Passenger name.
- * @apiSuccess {String} driverposts.passengers.email Passenger email.
- * @apiSuccess {String} driverposts.passengers.phonenumber Passenger phone number.
+ * @apiSuccess {String} driverposts.passengers.name Passenger name. Contact details are shared through `/conversations/:postId`.
  * 
- * @apiError ServerError Internal server error.
+ * @apiError (Error 404) USER_NOT_FOUND The account no longer exists.
  * @apiErrorExample {json} Error-Response:
  *     HTTP/1.1 500 Internal Server Error
  *     {
- *       "message": "Server error",
- *       "error": "Detailed error message"
+ *       "status": "FAILED",
+ *       "code": "INTERNAL_ERROR",
+ *       "message": "Internal server error"
  *     }
  */
 
-router.get('/my-driver-posts', authenticateToken, async (req, res) => {
+router.get('/my-driver-posts', authenticateToken, requireRole('driver'), asyncHandler(async (req, res) => {
     const driverId = req.user.userId;
-    try {
-        const driverWithPosts = await Driver.findById(driverId)
-            .populate({
-                path: 'driverposts', 
-                populate: {
-                    path: 'passengers', 
-                    model: 'Passenger', 
-                    select: 'name email phonenumber'
-                }
-            })
-            .exec();
-
-      res.json(driverWithPosts.driverposts);
-    } catch (error) {
-      console.error(error);
-      res.status(500).json({ message: 'Server error', error: error.message });
+    const driverWithPosts = await User.findById(driverId)
+        .populate({
+            path: 'driverposts', 
+            populate: {
+                path: 'passengers', 
+                model: 'User', 
+                select: 'name'
+            }
+        })
+        .exec();
+
+    if (!driverWithPosts) {
+        throw new NotFoundError("Driver not found", 'USER_NOT_FOUND');
     }
-  });
+    res.json(driverWithPosts.driverposts);
+}));
 
 /**
  * @api {get} /my-join-requests Get My Join Requests
  * @apiName GetMyJoinRequests
  * @apiGroup Driver
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
- * @apiDescription Fetch all join requests to the driver's posts.
+ * @apiDescription Fetch the join requests to the driver's posts, newest first. Requests for a deleted ride or from a deleted account are left out.
  * 
  * @apiHeader {String} Authorization Driver's unique access token.
  * 
+ * @apiParam {String[]} [status] Only requests with these statuses; repeat the parameter for several.
+ * @apiParam {String} [postId] Only requests to this post.
+ * 
  * @apiSuccess {Object[]} joinRequests List of join requests.
  * @apiSuccess {String} joinRequests.requestId Request ID.
  * @apiSuccess {String} joinRequests.postId Driver post ID related to the request.
+ * @apiSuccess {String} joinRequests.passengerId ID of the requesting passenger.
  * @apiSuccess {String} joinRequests.passengerName Name of the requesting passenger.
+ * @apiSuccess {String} [joinRequests.passengerAvatar] The passenger's avatar as a data URL.
+ * @apiSuccess {Boolean} joinRequests.passengerVerified Whether the passenger has verified their email.
+ * @apiSuccess {Object} joinRequests.passengerRating The passenger's aggregate score, `{ average, count }` (see `/reviews`).
+ * @apiSuccess {String} joinRequests.requestedAt When the request was sent.
  * @apiSuccess {String} joinRequests.startingLocation Starting location of the ride.
  * @apiSuccess {String} joinRequests.endingLocation Ending location of the ride.
  * @apiSuccess {String} joinRequests.startTime Time when the ride starts.
- * @apiSuccess {String} joinRequests.status Request status (e.g., pending, accepted, rejected).
+ * @apiSuccess {String} joinRequests.status Request status (e.g., pending, accepted, rejected, waitlisted).
+ * @apiSuccess {String} [joinRequests.confirmBy] Set while a passenger promoted off the waitlist has not confirmed; it cannot be accepted until then.
  * @apiSuccess {String} joinRequests.message Optional message from the passenger.
+ * @apiSuccess {Number} joinRequests.seatsneeded Seats the passenger asked for.
+ * @apiSuccess {String} [joinRequests.pickup] Where the passenger gets on, when the ride has stops.
+ * @apiSuccess {String} [joinRequests.dropoff] Where the passenger gets off, when the ride has stops.
+ * @apiSuccess {String} [joinRequests.seriesId] Set when the passenger joined a whole recurring ride; answer them all through `/rideseries/join-requests`.
  * 
- * @apiError ServerError Internal server error.
+ * @apiError (Error 400) VALIDATION_FAILED A filter is invalid; `details` names the fields.
+ * @apiError (Error 404) USER_NOT_FOUND The account no longer exists.
  * @apiErrorExample {json} Error-Response:
  *     HTTP/1.1 500 Internal Server Error
  *     {
- *       "message": "Server error",
- *       "error": "Detailed error message"
+ *       "status": "FAILED",
+ *       "code": "INTERNAL_ERROR",
+ *       "message": "Internal server error"
  *     }
  */
 
-router.get('/my-join-requests', authenticateToken, async (req, res) => {
+router.get('/my-join-requests', authenticateToken, requireRole('driver'), validate(schemas.joinRequestFilters), asyncHandler(async (req, res) => {
     const driverId = req.user.userId;
+    const driver = await User.findById(driverId);
 
-    try {
-        const driver = await Driver.findById(driverId);
-
-        if (!driver) {
-            return res.status(404).json({ message: "Driver not found" });
-        }
-
-        const joinRequestsDetails = await joinRequest.find({
-            '_id': { $in: driver.joinrequests }}).populate('driverPostId passengerId');
+    if (!driver) {
+        throw new NotFoundError("Driver not found", 'USER_NOT_FOUND');
+    }
 
-        const detailedRequests = joinRequestsDetails.map(request => ({
+    const { status, postId } = req.query;
+    const joinRequestsDetails = await joinRequest.find({
+        '_id': { $in: driver.joinrequests },
+        ...(status && { status: { $in: status } }),
+        ...(postId && { driverPostId: postId }),
+    }).sort({ requestedAt: -1 }).populate('driverPostId').populate('passengerId', 'name avatar emailVerified rating');
+
+    // Requests whose ride or passenger has since been deleted populate to null and are left out.
+    const detailedRequests = joinRequestsDetails.filter(request => request.driverPostId && request.passengerId).map(request => {
+        const route = routeStops(request.driverPostId);
+        const passenger = formatUserProfile(request.passengerId);
+        return {
             requestId: request._id,
             postId: request.driverPostId._id,
-            passengerName: request.passengerId.name,
+            passengerId: passenger._id,
+            passengerName: passenger.name,
+            passengerAvatar: passenger.avatar,
+            passengerVerified: Boolean(passenger.emailVerified),
+            passengerRating: passenger.rating,
+            requestedAt: request.requestedAt,
             startingLocation: request.driverPostId.startingLocation,
             endingLocation: request.driverPostId.endingLocation,
             startTime: request.driverPostId.startTime,
             status: request.status,
+            confirmBy: request.confirmBy,
             message: request.message,
-        }));
+            seatsneeded: request.seatsneeded,
+            pickup: route[request.pickupStop],
+            dropoff: route[request.dropoffStop],
+            seriesId: request.seriesId,
+        };
+    });
 
-        res.json(detailedRequests);
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Server error', error: error.message });
-    }
-});
+    res.json(detailedRequests);
+}));
 
 /**
  * @api {get} /profile Get Driver Profile
@@ -147,37 +169,26 @@ router.get('/my-join-requests', authenticateToken, async (req, res) => {
  * @apiSuccess {String} profile.email Driver's email.
  * @apiSuccess {String} [profile.avatar] Driver's avatar in base64 encoding.
  * @apiSuccess {String} profile.phonenumber Driver's phone number.
+ * @apiSuccess {Object} profile.rating Aggregate score from reviews, `{ average, count }`.
  * 
- * @apiError UserNotFound The id of the User was not found.
+ * @apiError (Error 404) USER_NOT_FOUND The id of the User was not found.
  * @apiErrorExample {json} Error-Response:
  *     HTTP/1.1 404 Not Found
  *     {
+ *       "status": "FAILED",
+ *       "code": "USER_NOT_FOUND",
  *       "message": "User not found"
  *     }
  */
 
-router.get('/profile', authenticateToken, async (req, res) => {
-    try {
-        const user = await Driver.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).send({ message: "User not found" });
-        }
-
-        let userProfile = {
-            ...user._doc, 
-            avatar: undefined, 
-        };
-
-        if (user.avatar && user.avatar.data) {
-            userProfile.avatar = `data:${user.avatar.contentType};base64,${user.avatar.data.toString('base64')}`;
-        }
-
-        res.json(userProfile);
-    } catch (error) {
-        console.error(error);
-        res.status(500).send({ message: error.message });
+router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError("User not found", 'USER_NOT_FOUND');
     }
-});
+
+    res.json(formatUserProfile(user));
+}));
 
 /**
  * @api {post} /register Register Driver
@@ -185,42 +196,59 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * @apiGroup Driver
  * @apiPermission none
  * 
- * @apiDescription Register a new driver or passenger.
+ * @apiDescription Register a new account with the driver role.
  * 
  * @apiParam {String} email Driver's email.
  * @apiParam {String} password Driver's password.
  * @apiParam {String} name Driver's name.
  * @apiParam {String} phonenumber Driver's phone number.
  * @apiParam {String} [code] Authentication code for Google signup.
- * @apiParam {String} accountType Type of account (driver or passenger).
  * 
  * @apiSuccess {String} message Success message.
  * @apiSuccess {String} token JWT token for the newly registered driver.
  * 
- * @apiError EmailInUse The email address is already in use.
+ * @apiError (Error 400) VALIDATION_FAILED A field is empty or invalid; `details` names the fields.
+ * @apiError (Error 409) EMAIL_TAKEN The email address is already in use.
  * @apiErrorExample {json} Error-Response:
- *     HTTP/1.1 400 Bad Request
+ *     HTTP/1.1 409 Conflict
  *     {
- *       "message": "Email already in use"
+ *       "status": "FAILED",
+ *       "code": "EMAIL_TAKEN",
+ *       "message": "User with this email already exists. Please login instead"
  *     }
  */
 
-router.post('/register', async (req, res) => {
-    const { email, password, name, phonenumber, accountType } = req.body;
+router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+    const { email, password, name, phonenumber } = req.body;
     console.log("Traditional Signup attempt");
-    await handleTraditionalSignup(req, res, email, password, name, phonenumber, accountType);
-});
+    await handleTraditionalSignup(req, res, email, password, name, phonenumber, 'driver');
+}));
 
-router.post('/register/google', async (req, res) => {
+router.post('/register/google', validate(schemas.googleCode), asyncHandler(async (req, res) => {
     const code = req.body.code; 
-    const { accountType } = req.body;
     console.log('Google Signup attempt with Authorization Code:', code);
-    await handleGoogleSignup(req, res, code, accountType);
-});
+    await handleGoogleSignup(req, res, code, 'driver');
+}));
+
+/**
+ * @api {post} /logout Driver Logout
+ * @apiName DriverLogout
+ * @apiGroup Driver
+ * @apiPermission none
+ * 
+ * @apiDescription Same as `POST /auth/logout`; kept for older clients.
+ * 
+ * @apiParam {String} refreshToken Refresh token of the session to end.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ */
 
-router.get('/logout', (req, res) => {
-  res.redirect('/login');
-});
+router.post('/logout', validate(schemas.logout), asyncHandler(async (req, res) => {
+    await revokeSession(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+}));
 
 /**
  * @api {post} /signin Driver Sign-in
@@ -228,7 +256,8 @@ router.get('/logout', (req, res) => {
  * @apiGroup Driver
  * @apiPermission none
  * 
- * @apiDescription Sign in for existing drivers.
+ * @apiDescription Sign in to an account as a driver. An account that only has the
+ * passenger role is given the driver role on its first driver sign-in.
  * 
  * @apiParam {String} email Driver's email.
  * @apiParam {String} password Driver's password.
@@ -238,139 +267,54 @@ router.get('/logout', (req, res) => {
  * @apiSuccess {Object} data Driver's data.
  * @apiSuccess {String} token JWT token for the authenticated driver.
  * 
- * @apiError InvalidCredentials The credentials provided were invalid.
+ * @apiError (Error 400) VALIDATION_FAILED Email or password is empty.
+ * @apiError (Error 400) GOOGLE_ACCOUNT The account has no password and must sign in with Google.
+ * @apiError (Error 401) EMAIL_NOT_FOUND No account uses this email.
+ * @apiError (Error 401) WRONG_PASSWORD The password does not match.
  * @apiErrorExample {json} Error-Response:
  *     HTTP/1.1 401 Unauthorized
  *     {
  *       "status": "FAILED",
- *       "message": "Invalid credential"
+ *       "code": "WRONG_PASSWORD",
+ *       "message": "Wrong password"
  *     }
  */
 
-router.post('/signin', (req, res) =>{
-    let{email, password} = req.body;
-    email = email.trim();
-    password = password.trim();
-
-    if (email == "" || password == ""){
-        res.json({
-            status: "FAILED",
-            message: "Empty input"
-        })
-    } else {
-        Driver.find({email}).then(data => {
-            if (data){
-                const hashPassword = data[0].password;
-                bcrypt.compare(password,hashPassword).then(result =>{
-                    if (result){
-                        const token = jwt.sign({ userId: data[0]._id }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '24h' });
-                        res.json({
-                            status: "Success",
-                            message: "User Successfully logged in",
-                            data: data,
-                            token: token
-                        })
-                    } else {
-                        res.json({
-                            status: "FAILED",
-                            message: "Wrong password"
-                        })
-                    }
-                })
-                .catch(err => {
-                    res.json({
-                        status: "FAILED",
-                        message: "Error Occur when trying to check for password"
-                    })
-                })
-            }else {
-                res.json({
-                    status: "FAILED",
-                    message: "Invalid credential"
-                })
-            }
-        }).catch(err => {
-            res.json({
-              status: "FAILED",
-              message: "No existing User with input email",
-            });
-          });
-    }
-});
-
+router.post('/signin', validate(schemas.signin), asyncHandler(async (req, res) =>{
+    await handleSignin(req, res, 'driver');
+}));
 
 /**
- * @api {post} /updateProfile Update Driver Profile
- * @apiName UpdateDriverProfile
+ * @api {post} /signin/google Driver Google Sign-in
+ * @apiName DriverGoogleSignIn
  * @apiGroup Driver
- * @apiPermission authenticated
+ * @apiPermission none
  * 
- * @apiDescription Update the profile information of the authenticated driver.
+ * @apiDescription Sign in as a driver with a Google account that is already linked. Unlike
+ * `/register/google`, this never creates an account.
  * 
- * @apiHeader {String} Authorization Driver's unique access token.
+ * @apiParam {String} code Authorization code returned by Google.
  * 
- * @apiParam {String} userId Driver's user ID.
- * @apiParam {String} [name] Driver's new name.
- * @apiParam {String} [phonenumber] Driver's new phone number.
- * @apiParam {String} [email] Driver's new email.
- * @apiParam {String} [newPassword] Driver's new password.
+ * @apiSuccess {String} token Access token.
+ * @apiSuccess {String} refreshToken Refresh token.
+ * @apiSuccess {Boolean} needsPhoneNumber True if the account still has no phone number.
  * 
- * @apiSuccess {String} status Operation status.
- * @apiSuccess {String} message Success message.
- * @apiSuccess {String} userId Updated driver's ID.
- * 
- * @apiError UserNotFound The id of the User was not found.
- * @apiError EmailInUse The email address is already in use by another account.
- * @apiErrorExample {json} Error-Response:
- *     HTTP/1.1 404 Not Found
- *     {
- *       "message": "User not found"
- *     }
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) GOOGLE_AUTH_FAILED Google rejected the code or the ID token did not verify.
+ * @apiError (Error 404) ACCOUNT_NOT_FOUND No account uses this Google identity.
+ * @apiError (Error 409) GOOGLE_NOT_LINKED A password account with this email exists but is not linked to Google.
  */
 
-router.put('/update', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
-    const { name, phonenumber, email, newPassword } = req.body;
+router.post('/signin/google', validate(schemas.googleCode), asyncHandler(async (req, res) => {
+    await handleGoogleSignin(req, res, req.body.code, 'driver');
+}));
 
-    try {
-        const user = await Driver.findById(userId);
-        if (!user) {
-            return res.status(404).send({ message: "User not found" });
-        }
-
-        if (name) user.name = name.trim();
-        if (phonenumber) user.phonenumber = phonenumber.trim();
-
-        if (email && email !== user.email) {
-            const emailTaken = await emailExistsInBoth(email);
-            if (emailTaken) {
-                return res.status(400).send({ message: "Email already in use" });
-            }
-            user.email = email.trim();
-        }
-
-        if (newPassword) {
-            const hashPassword = await bcrypt.hash(newPassword, 10);
-            user.password = hashPassword;
-        }
-
-        await user.save();
-        res.status(200).send({
-            status: "SUCCESS",
-            message: "Profile updated successfully",
-            data: user
-        });
-
-    } catch (err) {
-        res.status(500).send({ message: err.message });
-    }
-});
 
 /**
  * @api {get} /passengerposts Get Passenger Posts
  * @apiName GetPassengerPosts
  * @apiGroup Passenger
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
  * @apiDescription Fetch all posts created by passengers.
  * 
@@ -378,77 +322,40 @@ router.put('/update', authenticateToken, async (req, res) => {
  * 
  * @apiSuccess {Object[]} passengerPosts List of passenger posts.
  * 
- * @apiError ServerError Failed to fetch passenger posts.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the driver role.
  */
 
 
 
-router.get('/passengerposts', authenticateToken, async (req, res) => {
-    try {
-        const passengerPosts = await Passengerpost.find({});
-        res.status(200).json(passengerPosts);
-    } catch (error) {
-        console.error('Failed to fetch passenger posts:', error);
-        res.status(500).json({ message: 'Failed to fetch passenger posts' });
-    }
-});
-
-// ======================================== Avatar ==========================================
-const upload = multer({
-    limits: { fileSize: 16 * 1024 * 1024 }, // 16MB limit
-    fileFilter(req, file, cb) {
-      if (!file.originalname.match(/\.(jpg|jpeg|png)$/)) {
-        return cb(new Error("Please upload an image file (jpg, jpeg, or png)."));
-      }
-      cb(undefined, true);
-    },
-});
+router.get('/passengerposts', authenticateToken, requireRole('driver'), asyncHandler(async (req, res) => {
+    const passengerPosts = await Passengerpost.find({});
+    res.status(200).json(passengerPosts);
+}));
 
 /**
- * @api {post} /avatar Upload/Update Avatar
- * @apiName UploadUpdateAvatar
+ * @api {get} /suggested-passengers Get Suggested Passengers
+ * @apiName GetSuggestedPassengers
  * @apiGroup Driver
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
- * @apiDescription Upload or update the avatar for the authenticated driver.
+ * @apiDescription Passenger posts matched to the driver's upcoming rides, best match first. Matches
+ * are scored on route similarity, start time and seat fit, and refreshed whenever a post changes.
  * 
  * @apiHeader {String} Authorization Driver's unique access token.
  * 
- * @apiParam {File} avatar The avatar image file to upload (jpg, jpeg, or png).
+ * @apiSuccess {Object[]} suggestions Up to 20 suggestions.
+ * @apiSuccess {Number} suggestions.score Match score from 0 to 1.
+ * @apiSuccess {Object} suggestions.breakdown Per-criterion scores (`route`, `time`, `seats`).
+ * @apiSuccess {Object} suggestions.passengerPost The suggested passenger post.
+ * @apiSuccess {Object} suggestions.driverPost The driver's ride it was matched to.
  * 
- * @apiSuccess {String} message A message indicating the avatar was updated successfully.
- * 
- * @apiError BadRequest The file uploaded is not an image or exceeds the size limit.
- * @apiError DriverNotFound The authenticated driver was not found.
- * @apiError ServerError Unexpected server error.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the driver role.
  */
-router.post("/avatar", authenticateToken, upload.single("avatar"), async (req, res) => {
-    if (!req.file) { 
-        return res.status(400).send({ message: "Avatar is required." });
-    }
 
-    try {
-        const driver = await Driver.findById(req.user.userId);
-        if (!driver) {
-            return res.status(404).send({ error: "Driver not found" });
-        }
-        const buffer = await sharp(req.file.buffer)
-            .resize(250, 250, {
-                fit: sharp.fit.cover,
-                position: sharp.strategy.entropy,
-            })
-            .png()
-            .toBuffer();
-
-        driver.avatar = { data: buffer, contentType: "image/png" };
-        await driver.save();
-        res.send({ message: "Avatar updated successfully" });
-    } catch (error) {
-        res.status(400).send({ error: error.message });
-    }
-}, (error, req, res, next) => {
-    res.status(400).send({ error: error.message });
-});
+router.get('/suggested-passengers', authenticateToken, requireRole('driver'), asyncHandler(async (req, res) => {
+    res.status(200).json(await suggestedPassengers(req.user.userId));
+}));
 
+router.use(accountRouter);
 
 module.exports = router;
@@ -1,15 +1,42 @@
 //Part of this file was leveraged from GPT/Copilot
 const express = require("express");
 const Driverpost = require("../../models/driverpost_model");
-const Driver = require('../../models/driver_model');
-const Passenger = require('../../models/passenger_model');
+const User = require('../../models/user_model');
 const joinRequest = require('../../models/joinrequest_model');
 const sendEmail = require('../../utils/emailService');
-const { authenticateToken } = require("../middlewares/jwtauthenticate");
+const { authenticateToken, requireRole, requireOwnership, requireVerifiedEmail } = require("../middlewares/jwtauthenticate");
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/driverpost_schemas');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../utils/errors');
+const {
+  routeStops, segmentSeatsFor, requestedStops, seatsAvailable,
+  createJoinRequest, releaseJoinRequest,
+} = require('../../services/seatHelpers');
+const { updateDriverPost, cancelDriverPost } = require('../../services/driverpostHelpers');
+const {
+  answerJoinRequest, answerJoinRequests, autoAcceptJoinRequest, setAutoAcceptRules,
+} = require('../../services/joinRequestHelpers');
+const { placesFor, stopsFor } = require('../../services/geocoding');
+const { matchDriverPost } = require('../../services/matchingEngine');
+const { promoteWaitlist, waitlistPosition, confirmWaitlistSpot } = require('../../services/waitlistHelpers');
+const { searchPosts } = require('../../services/searchHelpers');
+const { contactShared } = require('../../services/conversationHelpers');
 
 const driverpostRouter = express.Router();
 
-const delimiters = ["to", ",", "-", " "];
+const loadDriverPost = async (req) => {
+  const post = await Driverpost.findById(req.params.postId);
+  if (!post) return null;
+  return { resource: post, ownerId: post.driverId };
+};
+
+// A join request belongs to the driver of the post it was sent to.
+const loadJoinRequestForDriver = async (req) => {
+  const request = await joinRequest.findById(req.params.requestId).populate('driverPostId', 'driverId');
+  if (!request || !request.driverPostId) return null;
+  return { resource: request, ownerId: request.driverPostId.driverId };
+};
 
 /**
  * @api {get} /search Search Driver Posts
@@ -17,156 +44,127 @@ const delimiters = ["to", ",", "-", " "];
  * @apiGroup DriverPost
  * @apiPermission none
  * 
- * @apiDescription Search for driver posts based on starting or ending location.
- * 
- * @apiParam {String} term Search term for starting or ending location.
- * 
- * @apiSuccess {Object[]} posts List of matching driver posts.
- * @apiSuccess {String} posts.startingLocation Starting location of the driver post.
- * @apiSuccess {String} posts.endingLocation Ending location of the driver post.
- * 
- * @apiError (Error 500) ServerError Internal server error during the search operation.
+ * @apiDescription Search driver posts by route, date and free seats. Location filters match
+ * case-insensitively anywhere in the location and are combined with AND. `from` and `to` also
+ * match the stops of rides that have them, as long as the ride reaches `from` before `to`.
+ * Rides going the other way are dropped from each page, so a page can hold fewer than `limit`
+ * results while `nextCursor` is still set.
+ * 
+ * @apiParam {String} [from] Text the starting location (or a stop) must contain.
+ * @apiParam {String} [to] Text the ending location (or a stop) must contain.
+ * @apiParam {Number} [fromRadius] Match posts starting within this many km of `from` instead of by text.
+ * @apiParam {Number} [toRadius] Match posts ending within this many km of `to` instead of by text.
+ * @apiParam {String} [term] Text either location must contain.
+ * @apiParam {Date} [dateFrom] Earliest start time.
+ * @apiParam {Date} [dateTo] Latest start time.
+ * @apiParam {Number} [minSeats] Minimum available seats.
+ * @apiParam {String="startTime","-startTime","seats","-seats"} [sort=startTime] Sort order; `-` sorts descending.
+ * @apiParam {String} [cursor] `nextCursor` from the previous page.
+ * @apiParam {Number{1-50}} [limit=20] Page size.
+ * @apiParam {Boolean} [includeUnbookable=false] Also return rides that have left, finished or been cancelled.
+ * 
+ * @apiSuccess {Object[]} results The page of matching posts.
+ * @apiSuccess {Object} results.driverId The driver's `_id` and aggregate `rating`.
+ * @apiSuccess {Number} total Number of matching posts across all pages, before rides going the other way are dropped.
+ * @apiSuccess {String} nextCursor Cursor for the next page, or null on the last page.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A parameter is invalid; `details` names the fields.
+ * @apiError (Error 400) INVALID_CURSOR The cursor is malformed.
+ * @apiError (Error 400) UNKNOWN_PLACE A radius was given but `from` or `to` could not be geocoded.
+ * @apiError (Error 500) INTERNAL_ERROR The search could not be run.
  */
 
 
-driverpostRouter.get("/search", async (req, res) => {
-  let searchTerm = req.query.term;
-
-  if (searchTerm) {
-      delimiters.forEach((delimiter) => {
-          const spacedDelimiter = ` ${delimiter.trim()} `;
-          searchTerm = searchTerm.split(delimiter).join(spacedDelimiter);
-      });
-
-      let terms = searchTerm.split(" ").filter(Boolean);
-      terms = terms.filter((term) => !delimiters.includes(term));
-
-      let searchQuery = { $or: [] };
-      terms.forEach((term) => {
-          const regex = new RegExp(term, 'i');
-          searchQuery.$or.push({ startingLocation: regex });
-          searchQuery.$or.push({ endingLocation: regex });
-      });
-
-      Driverpost.find(searchQuery)
-          .then((results) => {
-              res.json(results);
-          })
-          .catch((error) => {
-              console.error("Search failed:", error.message);
-              res.status(500).json({ error: "Search operation failed" });
-          });
-  } else {
-      Driverpost.find({})
-          .then((results) => {
-              res.json(results);
-          })
-          .catch((error) => {
-              console.error("Failed to fetch posts:", error.message);
-              res.status(500).json({ error: "Failed to fetch posts" });
-          });
-  }
-});
+driverpostRouter.get("/search", validate(schemas.search), asyncHandler(async (req, res) => {
+  const page = await searchPosts(Driverpost, req.query, {
+    seatsField: 'numberOfSeats',
+    stopsField: 'stops',
+    baseFilter: req.query.includeUnbookable ? {} : Driverpost.bookableFilter(),
+    populate: { path: 'driverId', select: 'rating' },
+  });
+  res.json(page);
+}));
+
 
 
+/**
+ * @api {patch} /join-requests/bulk Answer Join Requests
+ * @apiName AnswerJoinRequests
+ * @apiGroup JoinRequest
+ * @apiPermission driver
+ * 
+ * @apiDescription Accept or decline several join requests to the caller's posts at once. Each passenger gets
+ * the same email as from the single-request routes. Requests that are missing, belong to another driver or
+ * cannot be answered are listed in `skipped` with the error they would have got; the rest are still answered.
+ * 
+ * @apiParam {String[]} requestIds IDs of the join requests, at most 50.
+ * @apiParam {String} action `accept` or `decline`.
+ * @apiParam {String} [reply] Message to include in the passengers' emails, up to 500 characters.
+ * 
+ * @apiSuccess {Object} data `{ requests, skipped }`; each skipped entry is `{ id, code, message }`.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid; `details` names the fields.
+ */
+
+driverpostRouter.patch('/join-requests/bulk', authenticateToken, requireRole('driver'), validate(schemas.bulkAnswer), asyncHandler(async (req, res) => {
+  const accept = req.body.action === 'accept';
+  const result = await answerJoinRequests(req.user.userId, req.body.requestIds, accept, req.body.reply);
+  res.json({ status: 'SUCCESS', message: `${result.requests.length} join requests ${accept ? 'accepted' : 'declined'}`, data: result });
+}));
 
 /**
  * @api {patch} /join-requests/:requestId/accept Accept Join Request
  * @apiName AcceptJoinRequest
  * @apiGroup JoinRequest
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
- * @apiDescription Accept a passenger's join request for a driver post.
+ * @apiDescription Accept a passenger's join request for a driver post. Only the driver who owns the post may accept.
  * 
  * @apiParam {String} requestId ID of the join request to accept.
+ * @apiParam {String} [reply] Message to include in the passenger's email, up to 500 characters.
  * 
  * @apiSuccess {String} message Confirmation message.
  * 
- * @apiError (Error 400) BadRequest Join request is not pending or already processed.
- * @apiError (Error 404) NotFound Driver post not found.
- * @apiError (Error 500) ServerError Internal server error.
+ * @apiError (Error 400) VALIDATION_FAILED `requestId` or `reply` is invalid.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Join request not found.
+ * @apiError (Error 404) POST_NOT_FOUND The driver post no longer exists.
+ * @apiError (Error 409) REQUEST_NOT_PENDING Join request is not pending or already processed.
+ * @apiError (Error 409) AWAITING_CONFIRMATION The passenger came off the waitlist and has not confirmed yet.
+ * @apiError (Error 409) NOT_ENOUGH_SEATS The ride no longer has enough seats; the request stays pending.
+ * @apiError (Error 409) RIDE_NOT_BOOKABLE The ride has left, finished or been cancelled.
  */
 
 
-driverpostRouter.patch('/join-requests/:requestId/accept', authenticateToken, async (req, res) => {
-  const { requestId } = req.params;
-  try {
-      const JoinRequest = await joinRequest.findById(requestId);
-      if (JoinRequest.status !== 'pending') {
-        return res.status(400).json({ message: 'Join request is not pending or has already been processed' });
-      }
-
-      JoinRequest.status = 'accepted';
-      await JoinRequest.save();
-      const driverPost = await Driverpost.findById(JoinRequest.driverPostId);
-      if (!driverPost) {
-          return res.status(404).json({ message: 'Driver post not found' });
-      }
-      if (!driverPost.passengers.includes(JoinRequest.passengerId)) {
-          driverPost.passengers.push(JoinRequest.passengerId);
-          driverPost.numberOfSeats -= JoinRequest.seatsneeded;
-          await driverPost.save();
-      }
-
-      const passenger = await Passenger.findById(JoinRequest.passengerId)
-      if (!passenger) {
-        console.log('Passenger not found');
-      } else {
-        const subject = 'Ride Share Request Update';
-        const text = `Your ride share request for the post starting at ${driverPost.startingLocation} has been accepted.`;
-        await sendEmail(passenger.email, subject, text);
-      }
-      res.json({ message: 'Join request accepted successfully.' });
-  } catch (error) {
-      res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+driverpostRouter.patch('/join-requests/:requestId/accept', authenticateToken, requireRole('driver'), validate(schemas.answer), requireOwnership(loadJoinRequestForDriver), asyncHandler(async (req, res) => {
+  await answerJoinRequest(req.resource, true, req.body.reply);
+  res.json({ message: 'Join request accepted successfully.' });
+}));
 
 /**
  * @api {patch} /join-requests/:requestId/decline Decline Join Request
  * @apiName DeclineJoinRequest
  * @apiGroup JoinRequest
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
- * @apiDescription Decline a passenger's join request for a driver post.
+ * @apiDescription Decline a passenger's join request for a driver post. Only the driver who owns the post may decline.
+ * The seats it asked for go to the ride's waitlist.
  * 
  * @apiParam {String} requestId ID of the join request to decline.
+ * @apiParam {String} [reply] Message to include in the passenger's email, up to 500 characters.
  * 
  * @apiSuccess {String} message Confirmation message.
  * 
- * @apiError (Error 400) BadRequest Join request is not pending or already processed.
- * @apiError (Error 404) NotFound Join request not found.
- * @apiError (Error 500) ServerError Internal server error.
+ * @apiError (Error 400) VALIDATION_FAILED `requestId` or `reply` is invalid.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Join request not found.
+ * @apiError (Error 409) REQUEST_NOT_PENDING Join request is not pending or already processed.
  */
 
-driverpostRouter.patch('/join-requests/:requestId/decline', authenticateToken, async (req, res) => {
-  const { requestId } = req.params;
-  try {
-      const JoinRequest = await joinRequest.findById(requestId);
-      if (!JoinRequest) {
-          return res.status(404).json({ message: 'Join request not found' });
-      }
-      if (JoinRequest.status !== 'pending') {
-        return res.status(400).json({ message: 'Join request is not pending or has already been processed' });
-      }
-
-      JoinRequest.status = 'declined';
-      await JoinRequest.save();
-
-      const driverPost = await Driverpost.findById(JoinRequest.driverPostId);
-      const passenger = await Passenger.findById(JoinRequest.passengerId)
-      if (!passenger) {
-        console.log('Passenger not found');
-      } else {
-        const subject = 'Ride Share Request Update';
-        const text = `Your ride share request for the post starting at ${driverPost.startingLocation} has been accepted.`;
-        await sendEmail(passenger.email, subject, text);
-      }
-      res.json({ message: 'Join request declined' });
-  } catch (error) {
-      res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+driverpostRouter.patch('/join-requests/:requestId/decline', authenticateToken, requireRole('driver'), validate(schemas.answer), requireOwnership(loadJoinRequestForDriver), asyncHandler(async (req, res) => {
+  await answerJoinRequest(req.resource, false, req.body.reply);
+  res.json({ message: 'Join request declined' });
+}));
 
 /**
  * @api {get} /:postId Get Driver Post Details
@@ -179,221 +177,373 @@ driverpostRouter.patch('/join-requests/:requestId/decline', authenticateToken, a
  * @apiParam {String} postId ID of the driver post to retrieve.
  * 
  * @apiSuccess {Object} driverPost Detailed information about the driver post.
+ * @apiSuccess {String} [driverPost.seriesId] The recurring ride this post is an occurrence of.
+ * @apiSuccess {String[]} driverPost.stops Locations between the start and the end, in driving order.
+ * @apiSuccess {Number[]} driverPost.segmentSeats Free seats on each leg when the ride has stops; empty otherwise.
+ * @apiSuccess {Object} driverPost.driverRating The driver's aggregate score, `{ average, count }` (see `/reviews`).
+ * @apiSuccess {Object[]} [driverPost.passengers] For the driver of the ride: the accepted passengers' names.
+ * @apiSuccess {Object} [driverPost.autoAccept] For the driver of the ride: the auto-accept rules (see `PUT /:postId/auto-accept`).
+ * @apiSuccess {String} [driverPost.email] The driver's email, once the caller and the driver both agreed to share contact details.
+ * @apiSuccess {String} [driverPost.phonenumber] The driver's phone number, likewise.
  * @apiSuccess {Boolean} hasJoined Indicates if the user has joined the post.
  * @apiSuccess {String} joinRequestStatus Status of the join request if any.
+ * @apiSuccess {Number} [waitlistPosition] The caller's place on the waitlist, 1 being next, when waitlisted.
+ * @apiSuccess {String} [confirmBy] When the caller came off the waitlist: the deadline to confirm the seat.
  * 
- * @apiError (Error 404) NotFound Driver post not found.
- * @apiError (Error 500) ServerError Internal server error.
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
  */
 
-driverpostRouter.get('/:postId', authenticateToken, async (req, res) => {
+driverpostRouter.get('/:postId', authenticateToken, validate(schemas.postParams), asyncHandler(async (req, res) => {
   const { postId } = req.params;
   const passengerId = req.user.userId; 
 
-  try {
-    const driverPost = await Driverpost.findById(postId).populate('driverId').exec();
+  const driverPost = await Driverpost.findById(postId)
+    .populate('driverId')
+    .populate('passengers', 'name')
+    .exec();
 
-    if (!driverPost) {
-      return res.status(404).json({ message: 'Driver post not found' });
-    }
+  if (!driverPost) {
+    throw new NotFoundError('Driver post not found', 'POST_NOT_FOUND');
+  }
 
-    const JoinRequest = await joinRequest.findOne({
-      driverPostId: postId,
-      passengerId: passengerId
-    }).exec();
+  const JoinRequest = await joinRequest.findOne({
+    driverPostId: postId,
+    passengerId: passengerId
+  }).exec();
 
-    let driverAvatar = undefined;
-    if (driverPost.driverId.avatar && driverPost.driverId.avatar.data) {
-      driverAvatar = `data:${driverPost.driverId.avatar.contentType};base64,${driverPost.driverId.avatar.data.toString('base64')}`;
+  let driverAvatar = undefined;
+  if (driverPost.driverId.avatar && driverPost.driverId.avatar.data) {
+    driverAvatar = `data:${driverPost.driverId.avatar.contentType};base64,${driverPost.driverId.avatar.data.toString('base64')}`;
+  }
+  let response = {
+    driverPost: {
+      startingLocation: driverPost.startingLocation,
+      endingLocation: driverPost.endingLocation,
+      stops: driverPost.stops.map((stop) => stop.location),
+      startTime: driverPost.startTime,
+      numberOfSeats: driverPost.numberOfSeats,
+      segmentSeats: driverPost.segmentSeats,
+      additionalNotes: driverPost.additionalNotes,
+      status: driverPost.status,
+      seriesId: driverPost.seriesId,
+      driverRating: driverPost.driverId.rating,
+      ...(JoinRequest && JoinRequest.status === 'accepted' && {
+        avatar:driverAvatar,
+        drivername: driverPost.driverId.name,
+        licenseNumber: driverPost.licensenumber,
+        model: driverPost.model}),
+      ...(JoinRequest && JoinRequest.status === 'accepted' && contactShared(JoinRequest) && {
+        email: driverPost.driverId.email,
+        phonenumber: driverPost.driverId.phonenumber}),
+      ...(String(driverPost.driverId._id) === String(passengerId) && {
+        licensenumber: driverPost.licensenumber,
+        model: driverPost.model,
+        passengers: driverPost.passengers,
+        autoAccept: driverPost.autoAccept}),
+    },
+    hasJoined: false,
+    joinRequestStatus: null
+  };
+
+  if (JoinRequest) {
+    response.hasJoined = true;
+    response.joinRequestStatus = JoinRequest.status;
+    if (JoinRequest.status === 'waitlisted') {
+      response.waitlistPosition = await waitlistPosition(JoinRequest);
     }
-    let response = {
-      driverPost: {
-        startingLocation: driverPost.startingLocation,
-        endingLocation: driverPost.endingLocation,
-        startTime: driverPost.startTime,
-        numberOfSeats: driverPost.numberOfSeats,
-        additionalNotes: driverPost.additionalNotes,
-        ...(JoinRequest && JoinRequest.status === 'accepted' && {
-          avatar:driverAvatar,
-          drivername: driverPost.driverId.name,
-          licenseNumber: driverPost.licensenumber,
-          model: driverPost.model,
-          email: driverPost.driverId.email,
-          phonenumber: driverPost.driverId.phonenumber}),
-      },
-      hasJoined: false,
-      joinRequestStatus: null
-    };
-
-    if (JoinRequest) {
-      response.hasJoined = true;
-      response.joinRequestStatus = JoinRequest.status;
+    if (JoinRequest.status === 'pending' && JoinRequest.confirmBy) {
+      response.confirmBy = JoinRequest.confirmBy;
     }
-
-    res.json(response);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
   }
-});
 
+  res.json(response);
+}));
+
+
+/**
+ * @api {patch} /:postId Edit Driver Post
+ * @apiName EditDriverPost
+ * @apiGroup DriverPost
+ * @apiPermission driver
+ * 
+ * @apiDescription Change the route, time, seats or notes of a ride. Only the driver who owns the post may edit it.
+ * Pending requests that need more seats than are left are declined, and every passenger with a pending
+ * or accepted request is emailed the new details.
+ * 
+ * @apiParam {String} postId ID of the driver post to edit.
+ * @apiParam {String} [startingLocation] New starting location.
+ * @apiParam {String} [endingLocation] New ending location.
+ * @apiParam {String[]} [stops] New stops between the start and the end; only before anyone has asked to join.
+ * @apiParam {String} [startTime] New start time.
+ * @apiParam {Number} [numberOfSeats] Seats still available.
+ * @apiParam {String} [additionalNotes] New notes.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Success message.
+ * @apiSuccess {Object} data The updated driver post.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid or nothing was sent; `details` names the fields.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Driver post not found.
+ * @apiError (Error 409) POST_CHANGED A seat was taken while the driver was editing; reload and retry.
+ * @apiError (Error 409) ROUTE_LOCKED `stops` was sent but passengers have already asked to join.
+ * @apiError (Error 409) RIDE_NOT_SCHEDULED The ride has already started, finished or been cancelled.
+ */
+
+driverpostRouter.patch('/:postId', authenticateToken, requireRole('driver'), validate(schemas.update), requireOwnership(loadDriverPost), asyncHandler(async (req, res) => {
+  const updated = await updateDriverPost(req.resource, req.body);
+
+  res.json({
+    status: "SUCCESS",
+    message: "Driver post updated successfully",
+    data: updated,
+  });
+}));
+
+/**
+ * @api {put} /:postId/auto-accept Set Auto-Accept Rules
+ * @apiName SetAutoAcceptRules
+ * @apiGroup DriverPost
+ * @apiPermission driver
+ * 
+ * @apiDescription Let new join requests to the post in without answering them. Matching requests are accepted as
+ * they arrive, with the same seat checks and emails as `PATCH /join-requests/:requestId/accept`; the rest stay
+ * pending. Requests already waiting are not affected.
+ * 
+ * @apiParam {String} postId ID of the driver post.
+ * @apiParam {Boolean} enabled Whether to accept requests automatically.
+ * @apiParam {Number} [seats] Only the first this many seats are accepted automatically; no cap when left out.
+ * @apiParam {Number} [ratingAbove] Only passengers whose average rating (see `/reviews`) is above this are accepted
+ * automatically; passengers nobody has rated yet wait for the driver. Every passenger who can send a request has
+ * a verified email, so there is no separate rule for that.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {Object} data The post's rules, with `acceptedSeats` counting the seats accepted automatically so far.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid; `details` names the fields.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Driver post not found.
+ */
+
+driverpostRouter.put('/:postId/auto-accept', authenticateToken, requireRole('driver'), validate(schemas.autoAccept), requireOwnership(loadDriverPost), asyncHandler(async (req, res) => {
+  const updated = await setAutoAcceptRules(req.resource, req.body);
+  res.json({ status: 'SUCCESS', data: updated.autoAccept });
+}));
+
+/**
+ * @api {delete} /:postId Cancel Driver Post
+ * @apiName CancelDriverPost
+ * @apiGroup DriverPost
+ * @apiPermission driver
+ * 
+ * @apiDescription Cancel a ride that has not started. The post is kept with status `cancelled`, its pending and
+ * accepted join requests become `cancelled`, and every passenger with such a request is emailed.
+ * 
+ * @apiParam {String} postId ID of the driver post to cancel.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Success message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Driver post not found.
+ * @apiError (Error 409) RIDE_NOT_SCHEDULED The ride has already started, finished or been cancelled.
+ */
+
+driverpostRouter.delete('/:postId', authenticateToken, requireRole('driver'), validate(schemas.postParams), requireOwnership(loadDriverPost), asyncHandler(async (req, res) => {
+  await cancelDriverPost(req.resource);
+
+  res.json({ status: "SUCCESS", message: "Ride cancelled successfully" });
+}));
 
 /**
  * @api {post} /:postId/join Send Join Request
  * @apiName SendJoinRequest
  * @apiGroup JoinRequest
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
- * @apiDescription Send a join request to a driver post.
+ * @apiDescription Send a join request to a driver post. On a ride with stops the passenger can get on and off
+ * part way; seats are only needed on the legs in between. When there are not enough seats and `waitlist` is set,
+ * the passenger joins the ride's waitlist instead. Waitlisted passengers move to a pending request, oldest first,
+ * when seats free up, and are emailed to confirm the seat in time (see `/:postId/confirm`). If the driver turned on
+ * auto-accept for the post (see `PUT /:postId/auto-accept`), a request that fits its rules is accepted right away.
  * 
  * @apiParam {String} postId ID of the driver post to join.
  * @apiParam {Number} seatsneeded Number of seats needed.
  * @apiParam {String} [message] Optional message to the driver.
+ * @apiParam {Number} [pickupStop=0] Where the passenger gets on, as an index into `[startingLocation, ...stops, endingLocation]`.
+ * @apiParam {Number} [dropoffStop] Where the passenger gets off, in the same list; the end of the route by default.
+ * @apiParam {Boolean} [waitlist=false] Join the waitlist if there are not enough seats.
  * 
  * @apiSuccess {String} message Confirmation message.
- * @apiSuccess {Object} joinRequest Details of the created join request.
- * 
- * @apiError (Error 400) BadRequest Not enough seats available or join request already sent.
- * @apiError (Error 404) NotFound Rideshare post not found.
- * @apiError (Error 500) ServerError Internal server error.
+ * @apiSuccess {Object} joinRequest Details of the created join request; its status is `waitlisted` when waitlisted
+ * and `accepted` when it was accepted automatically.
+ * @apiSuccess {Number} [waitlistPosition] Place on the waitlist, 1 being next.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid, or the stops are not on the route; `details` names the fields.
+ * @apiError (Error 400) OWN_RIDE The post is the caller's own.
+ * @apiError (Error 400) NOT_ENOUGH_SEATS Not enough seats available between the pickup and dropoff, and `waitlist` was not set.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
+ * @apiError (Error 404) POST_NOT_FOUND Rideshare post not found.
+ * @apiError (Error 409) RIDE_NOT_BOOKABLE The ride has left, finished or been cancelled.
+ * @apiError (Error 409) ALREADY_REQUESTED A join request was already sent.
  */
 
-driverpostRouter.post('/:postId/join', authenticateToken, async (req, res) => {
-  try {
-    const passengerId = req.user.userId; 
-    const { postId } = req.params;
-    const { seatsneeded, message } = req.body;
+driverpostRouter.post('/:postId/join', authenticateToken, requireRole('passenger'), validate(schemas.join), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const passengerId = req.user.userId; 
+  const { postId } = req.params;
+  const { seatsneeded, message, pickupStop, dropoffStop, waitlist } = req.body;
 
-    const existingPost = await Driverpost.findById(postId);
-    if (!existingPost) {
-      return res.status(404).json({ message: 'Rideshare post not found' });
-    }
+  const existingPost = await Driverpost.findById(postId);
+  if (!existingPost) {
+    throw new NotFoundError('Rideshare post not found', 'POST_NOT_FOUND');
+  }
 
-    if (seatsneeded > existingPost.numberOfSeats) {
-      return res.status(400).json({ message: 'Not enough seats available' });
-    }
+  if (existingPost.status !== 'scheduled' || existingPost.startTime <= new Date()) {
+    throw new ConflictError('This ride can no longer be joined', 'RIDE_NOT_BOOKABLE');
+  }
 
-    const existingRequest = await joinRequest.findOne({ driverPostId: postId, passengerId });
-    if (existingRequest) {
-      return res.status(400).json({ message: 'Join request already sent' });
-    }
+  if (String(existingPost.driverId) === String(passengerId)) {
+    throw new BadRequestError('You cannot join your own ride', 'OWN_RIDE');
+  }
 
-    const newJoinRequest = new joinRequest({
-      driverPostId: postId,
-      passengerId,
-      seatsneeded,
-      message,
-      status: 'pending',
-    });
+  const stops = requestedStops(existingPost, { pickupStop, dropoffStop });
+  const full = seatsneeded > seatsAvailable(existingPost, stops);
+  if (full && !waitlist) {
+    throw new BadRequestError('Not enough seats available', 'NOT_ENOUGH_SEATS');
+  }
 
-    const savedJoinRequest = await newJoinRequest.save();
+  const existingRequest = await joinRequest.findOne({ driverPostId: postId, passengerId });
+  if (existingRequest) {
+    throw new ConflictError('Join request already sent', 'ALREADY_REQUESTED');
+  }
 
-    await Passenger.findByIdAndUpdate(passengerId, {
-      $push: { joinrequests: savedJoinRequest._id }
-    });
+  const savedJoinRequest = await createJoinRequest(existingPost, passengerId, {
+    seatsneeded, message, ...stops, ...(full && { status: 'waitlisted' }),
+  });
 
-    await Driverpost.findByIdAndUpdate(postId, {
-      $push: { joinrequests: savedJoinRequest._id }
+  if (full) {
+    return res.status(201).json({
+      message: 'Added to the waitlist',
+      joinRequest: savedJoinRequest,
+      waitlistPosition: await waitlistPosition(savedJoinRequest),
     });
+  }
 
-    if (existingPost.driverId) {
-      await Driver.findByIdAndUpdate(existingPost.driverId._id, {
-        $push: { joinrequests: savedJoinRequest._id }
-      });
-    }
-
-    const driver = await Driver.findById(existingPost.driverId);
-    if (!driver) {
-      console.error('Driver not found');
-    } else {
-      const subject = 'New Ride Share Join Request';
-      const text = `A new passenger has requested to join your ride share from ${existingPost.startingLocation} to ${existingPost.endingLocation}. Please check your dashboard for more details.`;
-
-      await sendEmail(driver.email, subject, text);
-    }
+  const accepted = await autoAcceptJoinRequest(existingPost, savedJoinRequest);
 
-    res.status(201).json({
-      message: 'Join request sent successfully',
-      joinRequest: savedJoinRequest,
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+  const driver = await User.findById(existingPost.driverId);
+  if (!driver) {
+    console.error('Driver not found');
+  } else {
+    const subject = 'New Ride Share Join Request';
+    const route = routeStops(existingPost);
+    const from = route[stops.pickupStop || 0];
+    const to = route[stops.dropoffStop || route.length - 1];
+    const text = accepted
+      ? `A new passenger has joined your ride share from ${from} to ${to}; your auto-accept rules accepted them. Please check your dashboard for more details.`
+      : `A new passenger has requested to join your ride share from ${from} to ${to}. Please check your dashboard for more details.`;
+
+    await sendEmail(driver.email, subject, text);
   }
-});
+
+  res.status(201).json({
+    message: accepted ? 'Join request accepted automatically' : 'Join request sent successfully',
+    joinRequest: accepted || savedJoinRequest,
+  });
+}));
 
 /**
  * @api {post} /:postId/cancel Cancel Join Request
  * @apiName CancelJoinRequest
  * @apiGroup JoinRequest
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
- * @apiDescription Cancel a previously sent join request for a driver post.
+ * @apiDescription Cancel a previously sent join request for a driver post, or leave its waitlist, until the ride leaves.
+ * Seats the request held or asked for go to the next passengers on the waitlist.
  * 
  * @apiParam {String} postId ID of the driver post associated with the join request to cancel.
  * 
  * @apiSuccess {String} message Confirmation message.
  * 
- * @apiError (Error 404) NotFound Join request not found or already cancelled.
- * @apiError (Error 500) ServerError Internal server error.
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 404) REQUEST_NOT_FOUND Join request not found or already cancelled.
+ * @apiError (Error 409) RIDE_NOT_BOOKABLE The ride has left, finished or been cancelled.
  */
 
-driverpostRouter.post('/:postId/cancel', authenticateToken, async (req, res) => {
+driverpostRouter.post('/:postId/cancel', authenticateToken, requireRole('passenger'), validate(schemas.postParams), asyncHandler(async (req, res) => {
   const passengerId = req.user.userId;
   const { postId } = req.params;
 
-  try {
-    const JoinRequest = await joinRequest.findOne({
-      driverPostId: postId,
-      passengerId: passengerId,
-    });
+  const JoinRequest = await releaseJoinRequest(postId, passengerId);
 
-    if (!JoinRequest) {
-      return res.status(404).json({ message: 'Join request not found or already cancelled' });
-    }
+  if (!JoinRequest) {
+    throw new NotFoundError('Join request not found or already cancelled', 'REQUEST_NOT_FOUND');
+  }
+  await promoteWaitlist(postId);
+
+  await User.findByIdAndUpdate(passengerId, {
+    $pull: { sentJoinrequests: JoinRequest._id }
+  });
 
-    await Passenger.findByIdAndUpdate(passengerId, {
-      $pull: { joinrequests: JoinRequest._id }
+  const existingPost = await Driverpost.findById(postId);
+  if (existingPost && existingPost.driverId) {
+    await User.findByIdAndUpdate(existingPost.driverId, {
+      $pull: { joinrequests: JoinRequest._id}
     });
+  }
 
-    if (JoinRequest.status === 'accepted') {
-      await Driverpost.findByIdAndUpdate(postId, {
-        $pull: { joinrequests: JoinRequest._id, passengers: passengerId },
-        $inc: { numberOfSeats: JoinRequest.seatsneeded }
-      });
-    } else {
-      await Driverpost.findByIdAndUpdate(postId, {
-        $pull: { joinrequests: JoinRequest._id, passengers: passengerId }
-      });
-    }
+  const driver = existingPost && JoinRequest.status !== 'waitlisted' && await User.findById(existingPost.driverId);
+  if (driver) {
+    const subject = 'Ride Share Join Request Cancelled';
+    const text = `A passenger has cancelled their request to join your ride share from ${existingPost.startingLocation} to ${existingPost.endingLocation}.`;
 
-    const existingPost = await Driverpost.findById(postId);
-    if (existingPost && existingPost.driverId) {
-      await Driver.findByIdAndUpdate(existingPost.driverId, {
-        $pull: { joinrequests: JoinRequest._id}
-      });
-    }
-    await joinRequest.findByIdAndDelete(JoinRequest._id);
+    await sendEmail(driver.email, subject, text);
+  }
 
-    const driver = await Driver.findById(existingPost.driverId);
-    if (driver) {
-      const subject = 'Ride Share Join Request Cancelled';
-      const text = `A passenger has cancelled their request to join your ride share from ${existingPost.startingLocation} to ${existingPost.endingLocation}.`;
+  res.json({ message: 'Join request cancelled successfully' });
+}));
 
-      await sendEmail(driver.email, subject, text);
-    }
+/**
+ * @api {post} /:postId/confirm Confirm Waitlist Seat
+ * @apiName ConfirmWaitlistSeat
+ * @apiGroup JoinRequest
+ * @apiPermission passenger
+ * 
+ * @apiDescription Confirm the seat offered to the caller when they came off the ride's waitlist. Their request then
+ * waits for the driver like any other; unconfirmed requests expire at `confirmBy` and the seat goes to the next passenger.
+ * 
+ * @apiParam {String} postId ID of the driver post.
+ * 
+ * @apiSuccess {String} message Confirmation message.
+ * @apiSuccess {Object} joinRequest The confirmed join request.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
+ * @apiError (Error 409) NOTHING_TO_CONFIRM The caller has no seat to confirm on this ride, or the deadline passed.
+ */
+
+driverpostRouter.post('/:postId/confirm', authenticateToken, requireRole('passenger'), validate(schemas.postParams), asyncHandler(async (req, res) => {
+  const request = await confirmWaitlistSpot(req.params.postId, req.user.userId);
 
-    res.json({ message: 'Join request cancelled successfully' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+  const post = await Driverpost.findById(req.params.postId);
+  const driver = post && await User.findById(post.driverId);
+  if (driver) {
+    const subject = 'New Ride Share Join Request';
+    const text = `A passenger from the waitlist of your ride share from ${post.startingLocation} to ${post.endingLocation} has confirmed they want to join. Please check your dashboard for more details.`;
+    await sendEmail(driver.email, subject, text);
   }
-});
+
+  res.json({ message: 'Seat confirmed, the driver will answer your request', joinRequest: request });
+}));
 
 /**
  * @api {post} /newpost Create New Driver Post
  * @apiName CreateNewDriverPost
  * @apiGroup DriverPost
- * @apiPermission authenticated
+ * @apiPermission driver
  * 
  * @apiDescription Create a new driver post for a ride share.
  * 
@@ -401,71 +551,64 @@ driverpostRouter.post('/:postId/cancel', authenticateToken, async (req, res) =>
  * 
  * @apiParam {String} startingLocation Starting location of the ride.
  * @apiParam {String} endingLocation Ending location of the ride.
+ * @apiParam {String[]} [stops] Up to 5 places the driver stops at on the way, in driving order.
  * @apiParam {String} startTime Start time of the ride.
  * @apiParam {String} licensenumber License number of the vehicle.
  * @apiParam {String} model Vehicle model.
  * @apiParam {Number} numberOfSeats Number of seats offered.
  * @apiParam {String} additionalNotes Additional notes about the ride.
+ * @apiParam {Object} [autoAccept] Rules for accepting join requests automatically, as for `PUT /:postId/auto-accept`.
  * 
  * @apiSuccess {String} status Operation status.
  * @apiSuccess {String} message Success message.
  * @apiSuccess {Object} data Created driver post details.
  * 
- * @apiError DriverNotFound The driver creating the post could not be found.
- * @apiError FailedPostCreation An error occurred during the creation of the driver post.
+ * @apiError (Error 400) VALIDATION_FAILED A required field is empty; `details` names the fields.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the driver role.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
+ * @apiError (Error 404) USER_NOT_FOUND The driver creating the post could not be found.
  */
 
 
-driverpostRouter.post('/newpost', authenticateToken, async (req, res) =>{
+driverpostRouter.post('/newpost', authenticateToken, requireRole('driver'), validate(schemas.newPost), requireVerifiedEmail, asyncHandler(async (req, res) => {
   const driverId = req.user.userId;
-  let{startingLocation, endingLocation, startTime, licensenumber, model, numberOfSeats, additionalNotes} = req.body;
-  startingLocation = startingLocation.trim();
-  endingLocation = endingLocation.trim();
-  startTime = startTime.trim();
-  licensenumber = licensenumber.trim();
-  model = model.trim();
-  additionalNotes = additionalNotes.trim();
-
-  try {
-    const driver = await Driver.findById(driverId);
-    if (!driver) {
-      return res.status(404).json({
-        status: "FAILED",
-        message: "Driver not found"
-      });
-    }
-    const { phonenumber, email } = driver;
-    const newdriverpost = new Driverpost({
-      driverId, 
-      startingLocation,
-      endingLocation,
-      startTime,
-      licensenumber,
-      model,
-      numberOfSeats,
-      phonenumber,
-      email,
-      additionalNotes
-    });
-
-    const result = await newdriverpost.save();
+  const {startingLocation, endingLocation, stops, startTime, licensenumber, model, numberOfSeats, additionalNotes, autoAccept} = req.body;
 
-    await Driver.findByIdAndUpdate(driverId, {
-      $push: { driverposts: result._id } 
-    });
-
-    res.json({
-      status: "SUCCESS",
-      message: "New Driver post created successfully",
-      data: result,
-    });
-  } catch (err) {
-    res.json({
-      status: "FAILED",
-      message: "An error occurred when trying to create a new driver post"
-    });
+  const driver = await User.findById(driverId);
+  if (!driver) {
+    throw new NotFoundError("Driver not found", 'USER_NOT_FOUND');
   }
-});
+  const { phonenumber, email } = driver;
+  const newdriverpost = new Driverpost({
+    driverId, 
+    startingLocation,
+    endingLocation,
+    ...(await placesFor({ startingLocation, endingLocation })),
+    stops: await stopsFor(stops),
+    startTime,
+    licensenumber,
+    model,
+    numberOfSeats,
+    segmentSeats: segmentSeatsFor(stops, numberOfSeats),
+    phonenumber,
+    email,
+    additionalNotes,
+    ...(autoAccept && { autoAccept })
+  });
+
+  const result = await newdriverpost.save();
+  await matchDriverPost(result);
+
+  await User.findByIdAndUpdate(driverId, {
+    $push: { driverposts: result._id } 
+  });
+
+  res.json({
+    status: "SUCCESS",
+    message: "New Driver post created successfully",
+    data: result,
+  });
+}));
 
 
 /**
@@ -474,10 +617,13 @@ driverpostRouter.post('/newpost', authenticateToken, async (req, res) =>{
  * @apiGroup DriverPost
  * @apiPermission none
  * 
- * @apiDescription Retrieve all driver posts available in the system.
+ * @apiDescription Retrieve the driver posts that can still be joined.
+ * 
+ * @apiParam {Boolean} [includeUnbookable=false] Also return rides that have left, finished or been cancelled.
  * 
  * @apiSuccess {Object[]} posts Array containing all driver posts.
  * @apiSuccess {String} posts._id ID of the driver post.
+ * @apiSuccess {Object} posts.driverId The driver's `_id` and aggregate `rating`.
  * @apiSuccess {String} posts.startingLocation Starting location of the ride.
  * @apiSuccess {String} posts.endingLocation Ending location of the ride.
  * @apiSuccess {String} posts.startTime Start time of the ride.
@@ -485,19 +631,18 @@ driverpostRouter.post('/newpost', authenticateToken, async (req, res) =>{
  * @apiSuccess {String} posts.licensenumber License number of the vehicle.
  * @apiSuccess {String} posts.model Vehicle model.
  * @apiSuccess {String} posts.additionalNotes Additional notes about the ride.
+ * @apiSuccess {String} posts.status `scheduled`, `in_progress`, `completed` or `cancelled`.
  * 
- * @apiError InternalServerError An error occurred on the server while fetching the posts.
+ * @apiError (Error 400) VALIDATION_FAILED `includeUnbookable` is not a boolean.
+ * @apiError (Error 500) INTERNAL_ERROR An error occurred on the server while fetching the posts.
  */
 
 
-driverpostRouter.get("/", async (req, res) => {
-  try {
-    const posts = await Driverpost.find({});
-    res.json(posts);
-  } catch (error) {
-    res.status(500).json({ message: "Internal server error" });
-  }
-});
+driverpostRouter.get("/", validate(schemas.list), asyncHandler(async (req, res) => {
+  const posts = await Driverpost.find(req.query.includeUnbookable ? {} : Driverpost.bookableFilter())
+    .populate('driverId', 'rating');
+  res.json(posts);
+}));
 
 
 
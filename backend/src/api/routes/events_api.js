@@ -0,0 +1,44 @@
+const express = require('express');
+const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const { openStream } = require('../../services/liveUpdates');
+
+const eventsRouter = express.Router();
+
+// EventSource cannot set headers, so the stream also accepts the access token as `?token=`.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+/**
+ * @api {get} /events Live Updates
+ * @apiName GetLiveUpdates
+ * @apiGroup Events
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Open a Server-Sent Events stream that stays open and pushes changes as they happen, so pages
+ * can update without reloading. Authenticated with the usual access token, in the `Authorization` header or, for
+ * `EventSource`, the `token` parameter. When the token expires the stream is refused on reconnect; refresh it
+ * and open a new stream. The stream is closed within a heartbeat (25 seconds) of the session ending, e.g. on
+ * logout or a password reset.
+ * 
+ * Events:
+ * - `joinRequest`, to the passenger and driver of a join request when it is sent, accepted, declined, withdrawn,
+ *   promoted or confirmed off the waitlist, cancelled with the ride or expired:
+ *   `{ type, requestId, driverPostId, status }`, with `type` as in `GET /notifications`.
+ * - `seats`, to everyone, when a ride's free seats change: `{ driverPostId, numberOfSeats, segmentSeats }`.
+ * 
+ * @apiParam {String} [token] Access token, when it cannot be sent as a header.
+ * 
+ * @apiError (Error 401) AUTH_REQUIRED No token was sent.
+ * @apiError (Error 401) TOKEN_EXPIRED The access token has expired.
+ * @apiError (Error 403) TOKEN_INVALID The access token is invalid.
+ */
+
+eventsRouter.get('/', tokenFromQuery, authenticateToken, (req, res) => {
+  openStream(req.user, req, res);
+});
+
+module.exports = eventsRouter;
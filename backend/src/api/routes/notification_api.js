@@ -0,0 +1,82 @@
+const express = require('express');
+const Notification = require('../../models/notification_model');
+const { authenticateToken, requireOwnership } = require('../middlewares/jwtauthenticate');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/notification_schemas');
+
+const notificationRouter = express.Router();
+
+const loadNotification = async (req) => {
+  const notification = await Notification.findById(req.params.notificationId);
+  if (!notification) return null;
+  return { resource: notification, ownerId: notification.userId };
+};
+
+/**
+ * @api {get} /notifications Get My Notifications
+ * @apiName GetNotifications
+ * @apiGroup Notification
+ * @apiPermission authenticated
+ * 
+ * @apiDescription List the caller's notifications about join requests, newest first. Drivers hear about
+ * requests to join their rides, withdrawals and confirmed waitlist seats; passengers hear when their requests
+ * are accepted, declined, expire, come off the waitlist or lose their ride to a cancellation.
+ * 
+ * @apiHeader {String} Authorization User's unique access token.
+ * 
+ * @apiParam {Boolean} [unreadOnly=false] Only list notifications that have not been read.
+ * @apiParam {Number} [limit=20] Maximum number of notifications to return, at most 50.
+ * 
+ * @apiSuccess {Object[]} notifications The notifications.
+ * @apiSuccess {String} notifications.type What happened: `requested`, `withdrawn`, `confirmed`, `accepted`, `declined`, `promoted`, `cancelled` or `expired`.
+ * @apiSuccess {String} notifications.audience `driver` when the caller drives the ride, `passenger` when they asked to join it.
+ * @apiSuccess {String} notifications.message Text to show.
+ * @apiSuccess {String} notifications.driverPostId The ride the notification is about.
+ * @apiSuccess {Boolean} notifications.read Whether the caller has read it.
+ * @apiSuccess {String} notifications.createdAt When it happened.
+ * @apiSuccess {Number} unreadCount Number of unread notifications in total.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A parameter is invalid; `details` names the fields.
+ */
+
+notificationRouter.get('/', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { unreadOnly, limit } = req.query;
+  const userId = req.user.userId;
+
+  const notifications = await Notification.find({ userId, ...(unreadOnly && { read: false }) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  const unreadCount = await Notification.countDocuments({ userId, read: false });
+
+  res.json({ notifications, unreadCount });
+}));
+
+/**
+ * @api {patch} /notifications/:notificationId/read Mark Notification Read
+ * @apiName MarkNotificationRead
+ * @apiGroup Notification
+ * @apiPermission authenticated
+ * 
+ * @apiDescription Mark one of the caller's notifications as read. Marking it again does nothing.
+ * 
+ * @apiParam {String} notificationId ID of the notification.
+ * 
+ * @apiSuccess {Object} notification The updated notification.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `notificationId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The notification belongs to someone else.
+ * @apiError (Error 404) NOT_FOUND Notification not found.
+ */
+
+notificationRouter.patch('/:notificationId/read', authenticateToken, validate(schemas.notificationParams), requireOwnership(loadNotification), asyncHandler(async (req, res) => {
+  const notification = req.resource;
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  res.json({ notification });
+}));
+
+module.exports = notificationRouter;
@@ -1,27 +1,54 @@
 //Part of this file was leveraged from GPT/Copilot
 const express = require('express');
-const multer = require("multer");
-const sharp = require("sharp");
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 
-const {authenticateToken} = require('../middlewares/jwtauthenticate');
-const {verifyGoogleToken} = require('../../services/authHelpers.js');
+const {authenticateToken, requireRole} = require('../middlewares/jwtauthenticate');
+const { formatUserProfile } = require('../../services/authHelpers.js');
 const { handleGoogleSignup, handleTraditionalSignup } = require('../../services/signupHelpers');
-
-const Driver = require('../../models/driver_model');
-const Passenger = require('../../models/passenger_model');
+const { handleSignin, handleGoogleSignin } = require('../../services/signinHelpers');
+const { suggestedRides } = require('../../services/matchingEngine');
+const { routeStops } = require('../../services/seatHelpers');
+const { contactShared } = require('../../services/conversationHelpers');
+const accountRouter = require('./account_api');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/user_schemas');
+const postSchemas = require('../validators/driverpost_schemas');
+const { NotFoundError } = require('../../utils/errors');
+
+const User = require('../../models/user_model');
 const joinRequest = require('../../models/joinrequest_model');
 const Driverpost = require('../../models/driverpost_model');
 const Passengerpost = require('../../models/passengerpost_model');
 
-async function emailExistsInBoth(email) {
-    const passengerExists = await Passenger.findOne({ email }).exec();
-    const driverExists = await Driver.findOne({ email }).exec();
+// One of the passenger's join requests as the profile and /my-join-requests show it. The ride's
+// car details only show once accepted, and its contact details once both sides agreed to share them.
+const rideshareDetails = (request) => {
+    const post = request.driverPostId;
+    const route = routeStops(post);
+    return {
+        postId: post._id,
+        startingLocation: post.startingLocation,
+        endingLocation: post.endingLocation,
+        startTime: post.startTime,
+        status: request.status,
+        additionalNotes: post.additionalNotes,
+        numberOfSeats: post.numberOfSeats,
+        pickup: route[request.pickupStop],
+        dropoff: route[request.dropoffStop],
+        ...(request.status === 'accepted' && {
+            licensenumber: post.licensenumber,
+            model: post.model,
+        }),
+        ...(request.status === 'accepted' && contactShared(request) && {
+            phonenumber: post.phonenumber,
+            email: post.email
+        })
+    };
+};
 
-    return passengerExists || driverExists ? true : false;
-}
+// Requests whose ride has since been deleted populate to a null post and are left out.
+const rideshareList = (requests) => requests.filter((request) => request.driverPostId).map(rideshareDetails);
 
 /**
  * @api {get} /profile Get Passenger Profile
@@ -34,112 +61,66 @@ async function emailExistsInBoth(email) {
  * @apiHeader {String} Authorization Passenger's unique access token.
  * 
  * @apiSuccess {Object} user User profile information including avatar, rideshares, and passenger posts.
+ * @apiSuccess {Object} user.rating Aggregate score from reviews, `{ average, count }`.
  * 
- * @apiError UserNotFound The user could not be found.
- * @apiError ServerError Unexpected server error.
+ * @apiError (Error 404) USER_NOT_FOUND The user could not be found.
  */
 
 
-router.get('/profile', authenticateToken, async (req, res) => {
-    try {
-        const user = await Passenger.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).send({ message: "User not found" });
-        }
-
-        let avatarBase64;
-        if (user.avatar && user.avatar.data) {
-            avatarBase64 = `data:${user.avatar.contentType};base64,${user.avatar.data.toString('base64')}`;
-        }
-
-        const JoinRequests = await joinRequest.find({ passengerId: req.user.userId })
-                                              .populate('driverPostId')
-                                              .exec();
-
-        const rideshares = JoinRequests.map(request => {
-            const rideshareDetails = {
-                postId: request.driverPostId._id,
-                startingLocation: request.driverPostId.startingLocation,
-                endingLocation: request.driverPostId.endingLocation,
-                startTime: request.driverPostId.startTime,
-                status: request.status,
-                additionalNotes: request.driverPostId.additionalNotes,
-                numberOfSeats: request.driverPostId.numberOfSeats,
-                ...(request.status === 'accepted' && {
-                    licensenumber: request.driverPostId.licensenumber,
-                    model: request.driverPostId.model,
-                    phonenumber: request.driverPostId.phonenumber,
-                    email: request.driverPostId.email
-                })
-            };
-            return rideshareDetails;
-        });
-
-        const passengerPosts = await Passengerpost.find({ passengerId: req.user.userId });
-
-        const userProfile = {
-            ...user._doc, 
-            avatar: avatarBase64,
-            rideshares, 
-            passengerPosts
-        };
-
-        res.json(userProfile);
-    } catch (error) {
-        console.error(error);
-        res.status(500).send({ message: error.message });
+router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError("User not found", 'USER_NOT_FOUND');
     }
-});
+
+    const JoinRequests = await joinRequest.find({ passengerId: req.user.userId })
+                                          .populate('driverPostId', '+phonenumber +email')
+                                          .exec();
+
+    const rideshares = rideshareList(JoinRequests);
+
+    const passengerPosts = await Passengerpost.find({ passengerId: req.user.userId });
+
+    const userProfile = {
+        ...formatUserProfile(user),
+        rideshares, 
+        passengerPosts
+    };
+
+    res.json(userProfile);
+}));
 
 /**
  * @api {get} /my-join-requests Get My Join Requests
  * @apiName GetMyJoinRequests
  * @apiGroup Passenger
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
- * @apiDescription Retrieve all join requests made by the authenticated passenger.
+ * @apiDescription Retrieve all join requests made by the authenticated passenger. Requests for rides that have since been deleted are left out.
  * 
  * @apiHeader {String} Authorization Passenger's unique access token.
  * 
  * @apiSuccess {Array} rideshares List of rideshare details associated with join requests.
+ * @apiSuccess {String} [rideshares.pickup] Where the passenger gets on, when the ride has stops.
+ * @apiSuccess {String} [rideshares.dropoff] Where the passenger gets off, when the ride has stops.
+ * @apiSuccess {String} [rideshares.email] The driver's email, once both sides agreed to share contact details.
+ * @apiSuccess {String} [rideshares.phonenumber] The driver's phone number, likewise.
  * 
- * @apiError ServerError Unexpected server error.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
  */
 
 
-router.get('/my-join-requests', authenticateToken, async (req, res) => {
+router.get('/my-join-requests', authenticateToken, requireRole('passenger'), asyncHandler(async (req, res) => {
     const passengerId = req.user.userId;
 
-    try {
-        const JoinRequests = await joinRequest.find({ passengerId })
-                                              .populate('driverPostId')
-                                              .exec();
-
-        const rideshares = JoinRequests.map(request => {
-            const rideshareDetails = {
-                postId: request.driverPostId._id,
-                startingLocation: request.driverPostId.startingLocation,
-                endingLocation: request.driverPostId.endingLocation,
-                startTime: request.driverPostId.startTime,
-                status: request.status,
-                additionalNotes: request.driverPostId.additionalNotes,
-                numberOfSeats: request.driverPostId.numberOfSeats,
-                ...(request.status === 'accepted' && {
-                    licensenumber: request.driverPostId.licensenumber,
-                    model:request.driverPostId.model,
-                    phonenumber: request.driverPostId.phonenumber,
-                    email: request.driverPostId.email
-                })
-            };
-            return rideshareDetails;
-        });
-
-        res.json(rideshares);
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Server error', error: error.message });
-    }
-});
+    const JoinRequests = await joinRequest.find({ passengerId })
+                                          .populate('driverPostId', '+phonenumber +email')
+                                          .exec();
+
+    const rideshares = rideshareList(JoinRequests);
+
+    res.json(rideshares);
+}));
 
 /**
  * @api {post} /register Register New User
@@ -157,95 +138,21 @@ router.get('/my-join-requests', authenticateToken, async (req, res) => {
  * @apiSuccess {String} status Registration status.
  * @apiSuccess {String} message Success message.
  * 
- * @apiError ValidationError Validation error for inputs.
- * @apiError EmailExists Error if the email already exists.
+ * @apiError (Error 400) VALIDATION_FAILED A field is empty or invalid; `details` names the fields.
+ * @apiError (Error 409) EMAIL_TAKEN The email already exists.
  */
 
-router.post('/register', (req, res) =>{
-    let{email, password, name, phonenumber} = req.body;
-    email = email.trim();
-    password = password.trim();
-    name = name.trim();
-    phonenumber = phonenumber.trim();
-
-    if(email == "" || password == "" || name == "" || phonenumber == ""){
-        res.json({
-            status: "FAILED",
-            message: "Empty Input for some fields"
-        });
-    } else if (!/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(email)){
-        res.json({
-            status: "FAILED",
-            message: "Invalid Email"
-        })
-    } else if (!/^[a-zA-z]*$/.test(name)){
-        res.json({
-            status: "FAILED",
-            message: "Invalid Name"
-        })
-    } else if (!/^\d{10}$/.test(phonenumber)){
-        res.json({
-            status: "FAILED",
-            message: "Invalid PhoneNumber"
-        })
-    } else if (password.length < 8){
-        res.json({
-            status: "FAILED",
-            message: "Invalid Password"
-        })
-    } else {
-        emailExistsInBoth(email).then(emailExists =>{
-            if (emailExists){
-                res.json({
-                    status: "FAILED",
-                    message: "User with this email already exist as a driver or passenger"
-                });
-            } else{
-                const saltRounds = 10;
-                bcrypt.hash(password, saltRounds).then(hashPassword =>{
-                    const newPassenger = new Passenger({
-                        email,
-                        password: hashPassword,
-                        name,
-                        phonenumber
-                    });
-                    newPassenger.save().then(result =>{
-                        res.json({
-                            status: "SUCCESS",
-                            message: "Registration Successfully",
-                            data: result,
-                        })
-                    })
-                    .catch(err => {
-                        res.json({
-                            status: "FAILED",
-                            message: "Error Occur when trying to save user account"
-                        })
-                    })
-                }).catch(err =>{
-                    res.json({
-                        status: "FAILED",
-                        message: "Error Occur when hashing password"
-                    })
-                })
-            }
-
-        }).catch(err => {
-            console.log(err);
-            res.json({
-                status: "FAILED",
-                message: "Error Occur when trying to check for existing User"
-            })
-        })
-    }
-})
+router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+    const { email, password, name, phonenumber } = req.body;
+    console.log("Traditional Signup attempt");
+    await handleTraditionalSignup(req, res, email, password, name, phonenumber, 'passenger');
+}));
 
-router.post('/register/google', async (req, res) => {
+router.post('/register/google', validate(schemas.googleCode), asyncHandler(async (req, res) => {
     const code = req.body.code; 
-    const { accountType } = req.body;
     console.log('Google Signup attempt with Authorization Code:', code);
-    await handleGoogleSignup(req, res, code, accountType);
-});
+    await handleGoogleSignup(req, res, code, 'passenger');
+}));
 
 /**
  * @api {post} /signin User Sign In
@@ -253,7 +160,8 @@ router.post('/register/google', async (req, res) => {
  * @apiGroup Authentication
  * @apiPermission none
  * 
- * @apiDescription Sign in for an existing passenger.
+ * @apiDescription Sign in to an account as a passenger. An account that only has the
+ * driver role is given the passenger role on its first passenger sign-in.
  * 
  * @apiParam {String} email User's email.
  * @apiParam {String} password User's password.
@@ -262,205 +170,89 @@ router.post('/register/google', async (req, res) => {
  * @apiSuccess {String} message Success message.
  * @apiSuccess {String} token Auth token for the user.
  * 
- * @apiError LoginError Error during login process.
+ * @apiError (Error 400) VALIDATION_FAILED Email or password is empty.
+ * @apiError (Error 400) GOOGLE_ACCOUNT The account has no password and must sign in with Google.
+ * @apiError (Error 401) EMAIL_NOT_FOUND No account uses this email.
+ * @apiError (Error 401) WRONG_PASSWORD The password does not match.
  */
 
 
-router.post('/signin', (req, res) =>{
-    let{email, password} = req.body;
-    email = email.trim();
-    password = password.trim();
-
-    if (email == "" || password == ""){
-        res.json({
-            status: "FAILED",
-            message: "Empty input"
-        })
-    } else {
-        Passenger.find({email}).then(data => {
-            if (data){
-                const token = jwt.sign({ userId: data[0]._id }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '24h' });
-                const hashPassword = data[0].password;
-                bcrypt.compare(password,hashPassword).then(result =>{
-                    if (result){
-                        res.json({
-                            status: "Success",
-                            message: "User Successfully logged in",
-                            data: data,
-                            token: token
-                        })
-                    } else {
-                        res.json({
-                            status: "FAILED",
-                            message: "Wrong password"
-                        })
-                    }
-                })
-                .catch(err => {
-                    res.json({
-                        status: "FAILED",
-                        message: "Error Occur when trying to check for password"
-                    })
-                })
-            }else {
-                res.json({
-                    status: "FAILED",
-                    message: "Invalid credential"
-                })
-            }
-        }).catch(err => {
-            res.json({
-              status: "FAILED",
-              message: "No existing User with input email",
-            });
-          });
-    }
-});
+router.post('/signin', validate(schemas.signin), asyncHandler(async (req, res) => {
+    await handleSignin(req, res, 'passenger');
+}));
 
 /**
- * @api {put} /update Update User Profile
- * @apiName UpdateUserProfile
- * @apiGroup Passenger
- * @apiPermission authenticated
- * 
- * @apiDescription Update the profile information for the authenticated passenger.
+ * @api {post} /signin/google Passenger Google Sign-in
+ * @apiName PassengerGoogleSignIn
+ * @apiGroup Authentication
+ * @apiPermission none
  * 
- * @apiHeader {String} Authorization Passenger's unique access token.
+ * @apiDescription Sign in as a passenger with a Google account that is already linked. Unlike
+ * `/register/google`, this never creates an account.
  * 
- * @apiParam {String} [name] New name of the passenger.
- * @apiParam {String} [phonenumber] New phone number of the passenger.
- * @apiParam {String} [email] New email of the passenger.
- * @apiParam {String} [newPassword] New password for the passenger.
+ * @apiParam {String} code Authorization code returned by Google.
  * 
- * @apiSuccess {String} status Update status.
- * @apiSuccess {String} message Success message.
+ * @apiSuccess {String} token Access token.
+ * @apiSuccess {String} refreshToken Refresh token.
+ * @apiSuccess {Boolean} needsPhoneNumber True if the account still has no phone number.
  * 
- * @apiError UserNotFound The user could not be found.
- * @apiError ValidationError Validation error for inputs.
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) GOOGLE_AUTH_FAILED Google rejected the code or the ID token did not verify.
+ * @apiError (Error 404) ACCOUNT_NOT_FOUND No account uses this Google identity.
+ * @apiError (Error 409) GOOGLE_NOT_LINKED A password account with this email exists but is not linked to Google.
  */
 
-
-router.put('/update', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
-    const { name, phonenumber, email, newPassword } = req.body;
-
-    try {
-        const user = await Passenger.findById(userId);
-        if (!user) {
-            return res.status(404).send({ message: "User not found" });
-        }
-
-        if (name) user.name = name.trim();
-        if (phonenumber) user.phonenumber = phonenumber.trim();
-
-        if (email && email !== user.email) {
-            const emailTaken = await emailExistsInBoth(email);
-            if (emailTaken) {
-                return res.status(400).send({ message: "Email already in use" });
-            }
-            user.email = email.trim();
-        }
-
-        if (newPassword) {
-            const hashPassword = await bcrypt.hash(newPassword, 10);
-            user.password = hashPassword;
-        }
-
-        await user.save();
-        res.status(200).send({
-            status: "SUCCESS",
-            message: "Profile updated successfully",
-            data: user
-        });
-
-    } catch (err) {
-        res.status(500).send({ message: err.message });
-    }
-});
+router.post('/signin/google', validate(schemas.googleCode), asyncHandler(async (req, res) => {
+    await handleGoogleSignin(req, res, req.body.code, 'passenger');
+}));
 
 /**
  * @api {get} /driverposts Get All Driver Posts
  * @apiName GetAllDriverPosts
  * @apiGroup DriverPost
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
- * @apiDescription Retrieve all driver posts available for passengers to view.
+ * @apiDescription Retrieve the driver posts passengers can still join.
  * 
  * @apiHeader {String} Authorization Passenger's unique access token.
  * 
+ * @apiParam {Boolean} [includeUnbookable=false] Also return rides that have left, finished or been cancelled.
+ * 
  * @apiSuccess {Array} driverPosts List of all driver posts.
  * 
- * @apiError ServerError Unexpected server error.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
  */
 
 
-router.get('/driverposts', authenticateToken, async (req, res) => {
-    try {
-        const driverPosts = await Driverpost.find({});
-        res.status(200).json(driverPosts);
-    } catch (error) {
-        console.error('Failed to fetch driver posts:', error);
-        res.status(500).json({ message: 'Failed to fetch driver posts' });
-    }
-});
-
-// ======================================== Avatar ==========================================
-const upload = multer({
-    limits: { fileSize: 16 * 1024 * 1024 }, // 16MB limit
-    fileFilter(req, file, cb) {
-      if (!file.originalname.match(/\.(jpg|jpeg|png)$/)) {
-        return cb(new Error("Please upload an image file (jpg, jpeg, or png)."));
-      }
-      cb(undefined, true);
-    },
-});
+router.get('/driverposts', authenticateToken, requireRole('passenger'), validate(postSchemas.list), asyncHandler(async (req, res) => {
+    const driverPosts = await Driverpost.find(req.query.includeUnbookable ? {} : Driverpost.bookableFilter());
+    res.status(200).json(driverPosts);
+}));
 
 /**
- * @api {post} /avatar Upload/Update Avatar
- * @apiName UploadUpdateAvatar
+ * @api {get} /suggested-rides Get Suggested Rides
+ * @apiName GetSuggestedRides
  * @apiGroup Passenger
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
- * @apiDescription Upload or update the avatar for the authenticated passenger.
+ * @apiDescription Rides matched to the passenger's open posts, best match first. Matches are
+ * scored on route similarity, start time and seat fit, and refreshed whenever a post changes.
  * 
  * @apiHeader {String} Authorization Passenger's unique access token.
- * @apiParam {File} avatar The avatar image file to upload.
  * 
- * @apiSuccess {String} message Success message indicating the avatar was updated.
+ * @apiSuccess {Object[]} suggestions Up to 20 suggestions.
+ * @apiSuccess {Number} suggestions.score Match score from 0 to 1.
+ * @apiSuccess {Object} suggestions.breakdown Per-criterion scores (`route`, `time`, `seats`).
+ * @apiSuccess {Object} suggestions.passengerPost The passenger's post that was matched.
+ * @apiSuccess {Object} suggestions.driverPost The suggested ride.
  * 
- * @apiError BadRequest The file uploaded is not an image or exceeds the size limit.
- * @apiError PassengerNotFound The authenticated passenger was not found.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
  */
 
+router.get('/suggested-rides', authenticateToken, requireRole('passenger'), asyncHandler(async (req, res) => {
+    res.status(200).json(await suggestedRides(req.user.userId));
+}));
 
-router.post("/avatar", authenticateToken, upload.single("avatar"), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).send({ message: "Avatar is required." });
-    }
-
-    try {
-        const passenger = await Passenger.findById(req.user.userId);
-        if (!passenger) {
-            return res.status(404).send({ error: "Passenger not found" });
-        }
-
-        const buffer = await sharp(req.file.buffer)
-            .resize(250, 250, {
-                fit: sharp.fit.cover,
-                position: sharp.strategy.entropy,
-            })
-            .png()
-            .toBuffer();
-
-        passenger.avatar = { data: buffer, contentType: "image/png" };
-        await passenger.save();
-        res.send({ message: "Avatar updated successfully" });
-    } catch (error) {
-        res.status(400).send({ error: error.message });
-    }
-}, (error, req, res, next) => {
-    res.status(400).send({ error: error.message });
-});
-
+router.use(accountRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -2,12 +2,32 @@
 const mongoose = require("mongoose");
 const express = require("express");
 const Passengerpost = require("../../models/passengerpost_model");
-const Passenger = require("../../models/passenger_model");
-const { authenticateToken } = require("../middlewares/jwtauthenticate");
+const User = require("../../models/user_model");
+const Offer = require("../../models/offer_model");
+const { authenticateToken, requireRole, requireOwnership, requireVerifiedEmail } = require("../middlewares/jwtauthenticate");
+const asyncHandler = require("../../utils/asyncHandler");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/passengerpost_schemas");
+const { ConflictError, NotFoundError } = require("../../utils/errors");
+const { sendOffer, acceptOffer, declineOffer, notifyOfferingDrivers, removeOffersFor } = require("../../services/offerHelpers");
+const { searchPosts } = require("../../services/searchHelpers");
+const { placesFor } = require("../../services/geocoding");
+const { matchPassengerPost, removeMatches } = require("../../services/matchingEngine");
 
 const passengerpostRouter = express.Router();
 
-const delimiters = ["to", ",", "-", " "];
+const loadPassengerPost = async (req) => {
+  const post = await Passengerpost.findById(req.params.postId);
+  if (!post) return null;
+  return { resource: post, ownerId: post.passengerId };
+};
+
+// An offer belongs to the passenger whose post it answers.
+const loadOfferForPassenger = async (req) => {
+  const offer = await Offer.findById(req.params.offerId).populate("passengerPostId");
+  if (!offer || !offer.passengerPostId) return null;
+  return { resource: offer, ownerId: offer.passengerPostId.passengerId };
+};
 
 /**
  * @api {get} /passengerposts/search Search Passenger Posts
@@ -15,60 +35,39 @@ const delimiters = ["to", ",", "-", " "];
  * @apiGroup PassengerPost
  * @apiPermission none
  * 
- * @apiDescription Search for passenger posts based on a search term that matches either starting or ending locations.
+ * @apiDescription Search passenger posts by route, date and group size. Location filters match
+ * case-insensitively anywhere in the location and are combined with AND.
  * 
- * @apiParam {String} term Search term for filtering posts based on starting or ending locations.
+ * @apiParam {String} [from] Text the starting location must contain.
+ * @apiParam {String} [to] Text the ending location must contain.
+ * @apiParam {Number} [fromRadius] Match posts starting within this many km of `from` instead of by text.
+ * @apiParam {Number} [toRadius] Match posts ending within this many km of `to` instead of by text.
+ * @apiParam {String} [term] Text either location must contain.
+ * @apiParam {Date} [dateFrom] Earliest start time.
+ * @apiParam {Date} [dateTo] Latest start time.
+ * @apiParam {Number} [minSeats] Minimum number of people.
+ * @apiParam {String="startTime","-startTime","seats","-seats"} [sort=startTime] Sort order; `-` sorts descending.
+ * @apiParam {String} [cursor] `nextCursor` from the previous page.
+ * @apiParam {Number{1-50}} [limit=20] Page size.
+ * @apiParam {Boolean} [includeUnbookable=false] Also return requests that are in the past or already matched with a driver.
  * 
- * @apiSuccess {Object[]} posts Array of passenger posts matching the search criteria.
- * @apiSuccess {String} posts._id Unique identifier of the post.
- * @apiSuccess {String} posts.startingLocation Starting location of the post.
- * @apiSuccess {String} posts.endingLocation Ending location of the post.
- * @apiSuccess {String} posts.startTime Start time of the ride.
- * @apiSuccess {Number} posts.numberOfPeople Number of people involved in the post.
- * @apiSuccess {String} posts.additionalNotes Additional notes provided by the poster.
+ * @apiSuccess {Object[]} results The page of matching posts.
+ * @apiSuccess {Number} total Number of matching posts across all pages.
+ * @apiSuccess {String} nextCursor Cursor for the next page, or null on the last page.
  * 
- * @apiError SearchFailed The search operation failed.
+ * @apiError (Error 400) VALIDATION_FAILED A parameter is invalid; `details` names the fields.
+ * @apiError (Error 400) INVALID_CURSOR The cursor is malformed.
+ * @apiError (Error 400) UNKNOWN_PLACE A radius was given but `from` or `to` could not be geocoded.
+ * @apiError (Error 500) INTERNAL_ERROR The search could not be run.
  */
 
-
-passengerpostRouter.get("/search", async (req, res) => {
-  let searchTerm = req.query.term;
-
-  if (searchTerm) {
-      delimiters.forEach((delimiter) => {
-          const spacedDelimiter = ` ${delimiter.trim()} `;
-          searchTerm = searchTerm.split(delimiter).join(spacedDelimiter);
-      });
-
-      let terms = searchTerm.split(" ").filter(Boolean);
-      terms = terms.filter((term) => !delimiters.includes(term));
-
-      let searchQuery = { $or: [] };
-      terms.forEach((term) => {
-          const regex = new RegExp(term, 'i');
-          searchQuery.$or.push({ startingLocation: regex });
-          searchQuery.$or.push({ endingLocation: regex });
-      });
-
-      Passengerpost.find(searchQuery)
-          .then((results) => {
-              res.json(results);
-          })
-          .catch((error) => {
-              console.error("Search failed:", error.message);
-              res.status(500).json({ error: "Search operation failed" });
-          });
-  } else {
-      Passengerpost.find({})
-          .then((results) => {
-              res.json(results);
-          })
-          .catch((error) => {
-              console.error("Failed to fetch passenger posts:", error.message);
-              res.status(500).json({ error: "Failed to fetch passenger posts" });
-          });
-  }
-});
+passengerpostRouter.get("/search", validate(schemas.search), asyncHandler(async (req, res) => {
+  const page = await searchPosts(Passengerpost, req.query, {
+    seatsField: "numberOfPeople",
+    baseFilter: req.query.includeUnbookable ? {} : { status: { $ne: "matched" }, startTime: { $gt: new Date() } },
+  });
+  res.json(page);
+}));
 
 /**
  * @api {get} /passengerposts/:postId Get Passenger Post Details
@@ -88,30 +87,26 @@ passengerpostRouter.get("/search", async (req, res) => {
  * @apiSuccess {Number} post.numberOfPeople Number of people involved in the post.
  * @apiSuccess {String} post.additionalNotes Additional notes provided by the poster.
  * 
- * @apiError PostNotFound The specified post was not found.
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 404) POST_NOT_FOUND The specified post was not found.
  */
 
-passengerpostRouter.get('/:postId', async (req, res) => {
+passengerpostRouter.get('/:postId', validate(schemas.postParams), asyncHandler(async (req, res) => {
   const { postId } = req.params;
 
-  try {
-      const post = await Passengerpost.findById(postId).exec();
+  const post = await Passengerpost.findById(postId).exec();
 
-      if (!post) {
-          return res.status(404).json({ message: "Passenger post not found" });
-      }
-      res.json(post);
-  } catch (error) {
-      console.error('Error fetching passenger post:', error);
-      res.status(500).json({ message: 'Error fetching passenger post' });
+  if (!post) {
+    throw new NotFoundError("Passenger post not found", "POST_NOT_FOUND");
   }
-});
+  res.json(post);
+}));
 
 /**
  * @api {post} /passengerposts/newpost Create New Passenger Post
  * @apiName CreateNewPassengerPost
  * @apiGroup PassengerPost
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
  * @apiDescription Create a new passenger post for a ride share.
  * 
@@ -127,61 +122,55 @@ passengerpostRouter.get('/:postId', async (req, res) => {
  * @apiSuccess {String} message Success message.
  * @apiSuccess {Object} data Created passenger post details.
  * 
- * @apiError FailedPostCreation An error occurred during the creation of the passenger post.
+ * @apiError (Error 400) VALIDATION_FAILED A required field is empty; `details` names the fields.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the passenger role.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
  */
 
 
 
-passengerpostRouter.post("/newpost", authenticateToken, async (req, res) => {
+passengerpostRouter.post("/newpost", authenticateToken, requireRole("passenger"), validate(schemas.newPost), requireVerifiedEmail, asyncHandler(async (req, res) => {
   const passengerId = req.user.userId;
-  let {
+  const {
     startingLocation,
     endingLocation,
     startTime,
     numberOfPeople,
     additionalNotes,
   } = req.body;
-  startingLocation = startingLocation.trim();
-  endingLocation = endingLocation.trim();
-  startTime = startTime.trim();
-  additionalNotes = additionalNotes.trim();
-
-  try {
-    const newpassengerpost = new Passengerpost({
-      passengerId,
-      startingLocation,
-      endingLocation,
-      startTime,
-      numberOfPeople,
-      additionalNotes,
-    });
 
-    const result = await newpassengerpost.save();
+  const newpassengerpost = new Passengerpost({
+    passengerId,
+    startingLocation,
+    endingLocation,
+    ...(await placesFor({ startingLocation, endingLocation })),
+    startTime,
+    numberOfPeople,
+    additionalNotes,
+  });
 
-    await Passenger.findByIdAndUpdate(passengerId, {
-      $push: { passengerposts: result._id },
-    });
+  const result = await newpassengerpost.save();
+  await matchPassengerPost(result);
 
-    res.json({
-      status: "SUCCESS",
-      message: "New Driver post created successfully",
-      data: result,
-    });
-  } catch (err) {
-    res.json({
-      status: "FAILED",
-      message: "An error occurred when trying to create a new driver post",
-    });
-  }
-});
+  await User.findByIdAndUpdate(passengerId, {
+    $push: { passengerposts: result._id },
+  });
+
+  res.json({
+    status: "SUCCESS",
+    message: "New Driver post created successfully",
+    data: result,
+  });
+}));
 
 /**
  * @api {delete} /passengerposts/deletepost/:postId Delete Passenger Post
  * @apiName DeletePassengerPost
  * @apiGroup PassengerPost
- * @apiPermission authenticated
+ * @apiPermission passenger
  * 
  * @apiDescription Delete a passenger post by its ID. Only the post creator can delete their post.
+ * Its offers are removed and drivers with a pending offer are emailed.
  * 
  * @apiHeader {String} Authorization Passenger's unique access token.
  * @apiParam {String} postId The unique identifier of the post to be deleted.
@@ -189,49 +178,222 @@ passengerpostRouter.post("/newpost", authenticateToken, async (req, res) => {
  * @apiSuccess {String} status Operation status.
  * @apiSuccess {String} message Success message indicating the post has been deleted.
  * 
- * @apiError PostNotFound The post to be deleted was not found, or the user does not have permission to delete it.
- * @apiError DeletionFailed An error occurred during the deletion process.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another passenger.
+ * @apiError (Error 404) NOT_FOUND The post to be deleted was not found.
  */
 
 passengerpostRouter.delete(
   "/deletepost/:postId",
   authenticateToken,
-  async (req, res) => {
-    const passengerId = req.user.userId;
-    const postId = req.params.postId;
-
-    try {
-      const objectIdPassengerId = new mongoose.Types.ObjectId(passengerId);
-      const objectIdPostId = new mongoose.Types.ObjectId(postId);
-
-      const post = await Passengerpost.findOne({
-        _id: objectIdPostId,
-        passengerId: objectIdPassengerId,
-      });
-
-      if (!post) {
-        return res.status(404).json({
-          status: "FAILED",
-          message:
-            "Post not found or you do not have permission to delete this post",
-        });
-      }
-
-      await Passengerpost.findByIdAndDelete(objectIdPostId);
-
-      await Passenger.findByIdAndUpdate(objectIdPassengerId, {
-        $pull: { passengerposts: objectIdPostId },
-      });
-
-      res.json({ status: "SUCCESS", message: "Post deleted successfully" });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({
-        status: "FAILED",
-        message: "An error occurred during the deletion process",
-      });
+  requireRole("passenger"),
+  validate(schemas.postParams),
+  requireOwnership(loadPassengerPost),
+  asyncHandler(async (req, res) => {
+    const objectIdPassengerId = new mongoose.Types.ObjectId(req.user.userId);
+    const objectIdPostId = req.resource._id;
+
+    await Passengerpost.findByIdAndDelete(objectIdPostId);
+    await removeOffersFor(req.resource);
+    await removeMatches({ passengerPostId: objectIdPostId });
+
+    await User.findByIdAndUpdate(objectIdPassengerId, {
+      $pull: { passengerposts: objectIdPostId },
+    });
+
+    res.json({ status: "SUCCESS", message: "Post deleted successfully" });
+  })
+);
+
+/**
+ * @api {patch} /passengerposts/:postId Edit Passenger Post
+ * @apiName EditPassengerPost
+ * @apiGroup PassengerPost
+ * @apiPermission passenger
+ * 
+ * @apiDescription Change a ride request that has not been matched yet. Drivers with a pending offer are emailed the new details;
+ * offers with fewer seats than the new number of people are declined.
+ * 
+ * @apiParam {String} postId The unique identifier of the post to edit.
+ * @apiParam {String} [startingLocation] New starting location.
+ * @apiParam {String} [endingLocation] New ending location.
+ * @apiParam {String} [startTime] New start time.
+ * @apiParam {Number} [numberOfPeople] New number of people.
+ * @apiParam {String} [additionalNotes] New notes.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Success message.
+ * @apiSuccess {Object} data The updated passenger post.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid or nothing was sent; `details` names the fields.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another passenger.
+ * @apiError (Error 404) NOT_FOUND The post was not found.
+ * @apiError (Error 409) POST_MATCHED The request already has a driver.
+ */
+
+passengerpostRouter.patch(
+  "/:postId",
+  authenticateToken,
+  requireRole("passenger"),
+  validate(schemas.update),
+  requireOwnership(loadPassengerPost),
+  asyncHandler(async (req, res) => {
+    const updated = await Passengerpost.findOneAndUpdate(
+      { _id: req.resource._id, status: { $ne: "matched" } },
+      { $set: { ...req.body, ...(await placesFor(req.body)) } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ConflictError("This ride request has already been matched with a driver", "POST_MATCHED");
     }
+    await notifyOfferingDrivers(updated);
+    await matchPassengerPost(updated);
+
+    res.json({ status: "SUCCESS", message: "Post updated successfully", data: updated });
+  })
+);
+
+/**
+ * @api {post} /passengerposts/:postId/offers Offer a Ride
+ * @apiName OfferRide
+ * @apiGroup Offer
+ * @apiPermission driver
+ * 
+ * @apiDescription Offer to drive a passenger post. The passenger is emailed and can accept or decline.
+ * 
+ * @apiParam {String} postId The passenger post to answer.
+ * @apiParam {String} licensenumber License number of the vehicle.
+ * @apiParam {String} model Vehicle model.
+ * @apiParam {Number} numberOfSeats Seats in the car, including the ones the passenger needs.
+ * @apiParam {String} [message] Optional message to the passenger.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {Object} data The created offer.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) OWN_POST The post is the caller's own.
+ * @apiError (Error 400) NOT_ENOUGH_SEATS The car cannot take the whole group.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the driver role.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
+ * @apiError (Error 404) POST_NOT_FOUND The passenger post was not found.
+ * @apiError (Error 409) POST_MATCHED The request already has a driver.
+ * @apiError (Error 409) ALREADY_OFFERED The driver already offered a ride for this post.
+ */
+
+passengerpostRouter.post("/:postId/offers", authenticateToken, requireRole("driver"), validate(schemas.offer), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const post = await Passengerpost.findById(req.params.postId);
+  if (!post) {
+    throw new NotFoundError("Passenger post not found", "POST_NOT_FOUND");
   }
+
+  const offer = await sendOffer(post, req.user.userId, req.body);
+  res.status(201).json({ status: "SUCCESS", message: "Offer sent successfully", data: offer });
+}));
+
+/**
+ * @api {get} /passengerposts/:postId/offers Get Offers
+ * @apiName GetOffers
+ * @apiGroup Offer
+ * @apiPermission passenger
+ * 
+ * @apiDescription List the offers drivers have made on one of the caller's posts, newest first.
+ * 
+ * @apiParam {String} postId The passenger post.
+ * 
+ * @apiSuccess {Object[]} offers The offers, each with the driver's name.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The post belongs to another passenger.
+ * @apiError (Error 404) NOT_FOUND The post was not found.
+ */
+
+passengerpostRouter.get(
+  "/:postId/offers",
+  authenticateToken,
+  requireRole("passenger"),
+  validate(schemas.postParams),
+  requireOwnership(loadPassengerPost),
+  asyncHandler(async (req, res) => {
+    const offers = await Offer.find({ passengerPostId: req.resource._id })
+      .sort({ offeredAt: -1 })
+      .populate("driverId", "name");
+
+    res.json(offers.map((offer) => ({
+      offerId: offer._id,
+      driverName: offer.driverId ? offer.driverId.name : undefined,
+      licensenumber: offer.licensenumber,
+      model: offer.model,
+      numberOfSeats: offer.numberOfSeats,
+      message: offer.message,
+      status: offer.status,
+      driverPostId: offer.driverPostId,
+      offeredAt: offer.offeredAt,
+    })));
+  })
+);
+
+/**
+ * @api {patch} /passengerposts/offers/:offerId/accept Accept Offer
+ * @apiName AcceptOffer
+ * @apiGroup Offer
+ * @apiPermission passenger
+ * 
+ * @apiDescription Accept a driver's offer. This creates a driver post for the ride with the passenger already seated,
+ * declines the post's other pending offers and emails the drivers.
+ * 
+ * @apiParam {String} offerId The offer to accept.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {Object} data The created driver post.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `offerId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The offer is for another passenger's post.
+ * @apiError (Error 404) NOT_FOUND Offer not found.
+ * @apiError (Error 409) POST_MATCHED Another offer was already accepted.
+ * @apiError (Error 409) OFFER_NOT_PENDING The offer was already accepted or declined.
+ * @apiError (Error 409) NOT_ENOUGH_SEATS The post now has more people than the offer has seats.
+ */
+
+passengerpostRouter.patch(
+  "/offers/:offerId/accept",
+  authenticateToken,
+  requireRole("passenger"),
+  validate(schemas.offerParams),
+  requireOwnership(loadOfferForPassenger),
+  asyncHandler(async (req, res) => {
+    const driverPost = await acceptOffer(req.resource, req.resource.passengerPostId);
+    res.json({ status: "SUCCESS", message: "Offer accepted", data: driverPost });
+  })
+);
+
+/**
+ * @api {patch} /passengerposts/offers/:offerId/decline Decline Offer
+ * @apiName DeclineOffer
+ * @apiGroup Offer
+ * @apiPermission passenger
+ * 
+ * @apiDescription Decline a driver's offer. The driver is emailed.
+ * 
+ * @apiParam {String} offerId The offer to decline.
+ * 
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {String} message Confirmation message.
+ * 
+ * @apiError (Error 400) VALIDATION_FAILED `offerId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The offer is for another passenger's post.
+ * @apiError (Error 404) NOT_FOUND Offer not found.
+ * @apiError (Error 409) OFFER_NOT_PENDING The offer was already accepted or declined.
+ */
+
+passengerpostRouter.patch(
+  "/offers/:offerId/decline",
+  authenticateToken,
+  requireRole("passenger"),
+  validate(schemas.offerParams),
+  requireOwnership(loadOfferForPassenger),
+  asyncHandler(async (req, res) => {
+    await declineOffer(req.resource, req.resource.passengerPostId);
+    res.json({ status: "SUCCESS", message: "Offer declined" });
+  })
 );
 
 module.exports = passengerpostRouter;
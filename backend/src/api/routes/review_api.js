@@ -0,0 +1,102 @@
+const express = require('express');
+const User = require('../../models/user_model');
+const { authenticateToken } = require('../middlewares/jwtauthenticate');
+const asyncHandler = require('../../utils/asyncHandler');
+const validate = require('../middlewares/validate');
+const schemas = require('../validators/review_schemas');
+const { NotFoundError } = require('../../utils/errors');
+const { openRide, reviewsOpen, listReviewees, reviewRide, listReviews } = require('../../services/reviewHelpers');
+
+const reviewRouter = express.Router();
+
+/**
+ * @api {get} /reviews/rides/:postId Get Ride Reviewees
+ * @apiName GetRideReviewees
+ * @apiGroup Review
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Who the caller can review for a ride: the driver reviews the accepted passengers, and each
+ * accepted passenger the driver. Reviews open once the ride's start time has passed, unless it was cancelled.
+ *
+ * @apiParam {String} postId ID of the driver post.
+ *
+ * @apiSuccess {Boolean} open Whether the ride can be reviewed yet.
+ * @apiSuccess {Object[]} reviewees The people the caller can review.
+ * @apiSuccess {String} reviewees.userId Their user ID.
+ * @apiSuccess {String} reviewees.name Their name.
+ * @apiSuccess {String} reviewees.role `driver` or `passenger`.
+ * @apiSuccess {Object} reviewees.rating Their aggregate score, `{ average, count }`.
+ * @apiSuccess {Object} reviewees.review The caller's review of them for this ride, or null.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `postId` is not a valid id.
+ * @apiError (Error 403) NOT_ON_RIDE The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ */
+
+reviewRouter.get('/rides/:postId', authenticateToken, validate(schemas.rideParams), asyncHandler(async (req, res) => {
+  const ride = await openRide(req.params.postId, req.user.userId);
+  res.json({ open: reviewsOpen(ride.post), reviewees: await listReviewees(ride, req.user.userId) });
+}));
+
+/**
+ * @api {post} /reviews/rides/:postId Review Ride Companion
+ * @apiName ReviewRideCompanion
+ * @apiGroup Review
+ * @apiPermission driver or accepted passenger
+ *
+ * @apiDescription Rate the driver, or one of the accepted passengers, of a ride that has started. Each person
+ * can be reviewed once per ride by each of the others; the reviewee's aggregate score is updated straight away.
+ *
+ * @apiParam {String} postId ID of the driver post.
+ * @apiParam {String} revieweeId The driver, or for the driver an accepted passenger.
+ * @apiParam {Number} rating Stars from 1 to 5.
+ * @apiParam {String} [comment] A short review, up to 500 characters.
+ *
+ * @apiSuccess {Object} review The saved review.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid, or `revieweeId` was not on the ride; `details` names the fields.
+ * @apiError (Error 403) NOT_ON_RIDE The caller is neither the driver nor an accepted passenger.
+ * @apiError (Error 404) POST_NOT_FOUND Driver post not found.
+ * @apiError (Error 409) RIDE_NOT_STARTED The ride has not started yet, or was cancelled.
+ * @apiError (Error 409) ALREADY_REVIEWED The caller already reviewed this person for this ride.
+ */
+
+reviewRouter.post('/rides/:postId', authenticateToken, validate(schemas.review), asyncHandler(async (req, res) => {
+  const ride = await openRide(req.params.postId, req.user.userId);
+  const review = await reviewRide(ride, req.user.userId, req.body);
+  res.status(201).json({ review });
+}));
+
+/**
+ * @api {get} /reviews/users/:userId Get User Reviews
+ * @apiName GetUserReviews
+ * @apiGroup Review
+ * @apiPermission authenticated
+ *
+ * @apiDescription A user's aggregate score and the reviews they received as a driver or passenger, newest first.
+ *
+ * @apiParam {String} userId The user's ID.
+ * @apiParam {String} [before] `nextCursor` of the previous page, for older reviews.
+ * @apiParam {Number} [limit=20] Reviews per page, at most 50.
+ *
+ * @apiSuccess {Object} rating `{ average, count }`; `average` is missing until the first review.
+ * @apiSuccess {Object[]} reviews The page of reviews.
+ * @apiSuccess {Object} reviews.reviewerId The reviewer's `_id` and `name`.
+ * @apiSuccess {String} reviews.role Whether the user was the `driver` or a `passenger` on that ride.
+ * @apiSuccess {Number} reviews.rating Stars from 1 to 5.
+ * @apiSuccess {String} reviews.comment The review.
+ * @apiSuccess {String} nextCursor Cursor for older reviews, or null on the last page.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A parameter is invalid; `details` names the fields.
+ * @apiError (Error 404) USER_NOT_FOUND No such user.
+ */
+
+reviewRouter.get('/users/:userId', authenticateToken, validate(schemas.userReviews), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId, 'rating');
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
+  res.json({ rating: user.rating, ...(await listReviews(req.params.userId, req.query)) });
+}));
+
+module.exports = reviewRouter;
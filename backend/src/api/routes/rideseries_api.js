@@ -0,0 +1,293 @@
+const express = require("express");
+const Driverpost = require("../../models/driverpost_model");
+const RideSeries = require("../../models/rideseries_model");
+const User = require("../../models/user_model");
+const joinRequest = require("../../models/joinrequest_model");
+const sendEmail = require("../../utils/emailService");
+const { authenticateToken, requireRole, requireOwnership, requireVerifiedEmail } = require("../middlewares/jwtauthenticate");
+const asyncHandler = require("../../utils/asyncHandler");
+const validate = require("../middlewares/validate");
+const schemas = require("../validators/rideseries_schemas");
+const { BadRequestError, NotFoundError } = require("../../utils/errors");
+const {
+  createRideSeries,
+  updateRideSeries,
+  cancelRideSeries,
+  joinRideSeries,
+  leaveRideSeries,
+  answerSeriesRequests,
+} = require("../../services/rideSeriesHelpers");
+const { withReply } = require("../../services/joinRequestHelpers");
+
+const rideSeriesRouter = express.Router();
+
+const loadRideSeries = async (req) => {
+  const series = await RideSeries.findById(req.params.seriesId);
+  if (!series) return null;
+  return { resource: series, ownerId: series.driverId };
+};
+
+// A series join request belongs to the driver of the post it was sent to.
+const loadSeriesRequestForDriver = async (req) => {
+  const request = await joinRequest.findById(req.params.requestId).populate("driverPostId", "driverId");
+  if (!request || !request.driverPostId) return null;
+  return { resource: request, ownerId: request.driverPostId.driverId };
+};
+
+const findSeries = async (seriesId) => {
+  const series = await RideSeries.findById(seriesId);
+  if (!series) {
+    throw new NotFoundError("Recurring ride not found", "SERIES_NOT_FOUND");
+  }
+  return series;
+};
+
+/**
+ * @api {post} /rideseries Create Recurring Ride
+ * @apiName CreateRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission driver
+ *
+ * @apiDescription Create a recurring ride, e.g. weekdays at 08:00 until a given date. One bookable
+ * driver post is created for every occurrence that has not already passed.
+ *
+ * @apiHeader {String} Authorization Driver's unique access token.
+ *
+ * @apiParam {String} startingLocation Starting location of the ride.
+ * @apiParam {String} endingLocation Ending location of the ride.
+ * @apiParam {String[]} [stops] Up to 5 places the driver stops at on the way, in driving order.
+ * @apiParam {String} licensenumber License number of the vehicle.
+ * @apiParam {String} model Vehicle model.
+ * @apiParam {Number} numberOfSeats Number of seats offered on each ride.
+ * @apiParam {String} [additionalNotes] Additional notes about the ride.
+ * @apiParam {Number[]} daysOfWeek Days the ride runs on, 0 (Sunday) to 6 (Saturday).
+ * @apiParam {String} time Departure time, `HH:mm`.
+ * @apiParam {String} startDate First day of the series, `YYYY-MM-DD`.
+ * @apiParam {String} endDate Last day of the series, `YYYY-MM-DD`; at most 183 days after `startDate`.
+ * @apiParam {String} [timeZone=America/Los_Angeles] IANA time zone the dates and time are in.
+ *
+ * @apiSuccess {String} status Operation status.
+ * @apiSuccess {Object} data `{ series, occurrences }`, the created series and its driver posts.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid, or no ride falls in the range; `details` names the fields.
+ * @apiError (Error 403) ROLE_REQUIRED The account does not have the driver role.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
+ * @apiError (Error 404) USER_NOT_FOUND The driver could not be found.
+ */
+
+rideSeriesRouter.post("/", authenticateToken, requireRole("driver"), validate(schemas.newSeries), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const driver = await User.findById(req.user.userId);
+  if (!driver) {
+    throw new NotFoundError("Driver not found", "USER_NOT_FOUND");
+  }
+
+  const result = await createRideSeries(driver, req.body);
+  res.status(201).json({
+    status: "SUCCESS",
+    message: `Recurring ride created with ${result.occurrences.length} rides`,
+    data: result,
+  });
+}));
+
+/**
+ * @api {get} /rideseries/:seriesId Get Recurring Ride
+ * @apiName GetRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission authenticated
+ *
+ * @apiParam {String} seriesId ID of the recurring ride.
+ *
+ * @apiSuccess {Object} series The series and its schedule.
+ * @apiSuccess {Object[]} occurrences Its rides that can still be joined, soonest first.
+ * @apiSuccess {Number} requestedCount How many of those rides the caller has asked to join.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `seriesId` is not a valid id.
+ * @apiError (Error 404) SERIES_NOT_FOUND The recurring ride was not found.
+ */
+
+rideSeriesRouter.get("/:seriesId", authenticateToken, validate(schemas.seriesParams), asyncHandler(async (req, res) => {
+  const series = await findSeries(req.params.seriesId);
+  const occurrences = await Driverpost.find({ seriesId: series._id, ...Driverpost.bookableFilter() }).sort({ startTime: 1 });
+  const requestedCount = await joinRequest.countDocuments({
+    passengerId: req.user.userId,
+    driverPostId: { $in: occurrences.map((post) => post._id) },
+  });
+
+  res.json({ series, occurrences, requestedCount });
+}));
+
+/**
+ * @api {patch} /rideseries/:seriesId Edit Recurring Ride
+ * @apiName EditRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission driver
+ *
+ * @apiDescription Change the series and every ride in it that has not left yet. Past rides keep
+ * their details. Rides that changed while the edit ran are listed in `skipped`.
+ *
+ * @apiParam {String} seriesId ID of the recurring ride.
+ * @apiParam {String} [startingLocation] New starting location.
+ * @apiParam {String} [endingLocation] New ending location.
+ * @apiParam {String[]} [stops] New stops; rides passengers have asked to join keep theirs and are listed in `skipped`.
+ * @apiParam {String} [time] New departure time, `HH:mm`.
+ * @apiParam {Number} [numberOfSeats] New number of available seats.
+ * @apiParam {String} [additionalNotes] New notes.
+ *
+ * @apiSuccess {Object} data `{ series, occurrences, skipped }`.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A field is invalid or nothing was sent; `details` names the fields.
+ * @apiError (Error 403) NOT_OWNER The series belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND The recurring ride was not found.
+ * @apiError (Error 409) SERIES_CANCELLED The recurring ride has been cancelled.
+ */
+
+rideSeriesRouter.patch("/:seriesId", authenticateToken, requireRole("driver"), validate(schemas.update), requireOwnership(loadRideSeries), asyncHandler(async (req, res) => {
+  const result = await updateRideSeries(req.resource, req.body);
+  res.json({ status: "SUCCESS", message: "Recurring ride updated", data: result });
+}));
+
+/**
+ * @api {delete} /rideseries/:seriesId Cancel Recurring Ride
+ * @apiName CancelRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission driver
+ *
+ * @apiDescription Cancel the series and every ride in it that has not left yet, and tell their
+ * passengers. Past rides stay in the driver's history.
+ *
+ * @apiParam {String} seriesId ID of the recurring ride.
+ *
+ * @apiSuccess {Object} data `{ series, occurrences, skipped }`.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `seriesId` is not a valid id.
+ * @apiError (Error 403) NOT_OWNER The series belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND The recurring ride was not found.
+ * @apiError (Error 409) SERIES_CANCELLED The recurring ride was already cancelled.
+ */
+
+rideSeriesRouter.delete("/:seriesId", authenticateToken, requireRole("driver"), validate(schemas.seriesParams), requireOwnership(loadRideSeries), asyncHandler(async (req, res) => {
+  const result = await cancelRideSeries(req.resource);
+  res.json({ status: "SUCCESS", message: "Recurring ride cancelled", data: result });
+}));
+
+/**
+ * @api {post} /rideseries/:seriesId/join Join Recurring Ride
+ * @apiName JoinRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission passenger
+ *
+ * @apiDescription Send a join request for every upcoming ride in the series that has enough seats.
+ * Rides already requested are listed in `skipped`. To book one ride, join its driver post instead.
+ *
+ * @apiParam {String} seriesId ID of the recurring ride.
+ * @apiParam {Number} seatsneeded Number of seats needed on each ride.
+ * @apiParam {String} [message] Optional message to the driver.
+ *
+ * @apiSuccess {Object} data `{ requests, skipped }`.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED A field is missing or invalid; `details` names the fields.
+ * @apiError (Error 400) OWN_RIDE The series is the caller's own.
+ * @apiError (Error 403) EMAIL_NOT_VERIFIED The account's email is not verified.
+ * @apiError (Error 404) SERIES_NOT_FOUND The recurring ride was not found.
+ * @apiError (Error 409) SERIES_CANCELLED The recurring ride has been cancelled.
+ * @apiError (Error 409) NO_BOOKABLE_OCCURRENCES No upcoming ride has enough seats, or all were already requested.
+ */
+
+rideSeriesRouter.post("/:seriesId/join", authenticateToken, requireRole("passenger"), validate(schemas.join), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const series = await findSeries(req.params.seriesId);
+  const result = await joinRideSeries(series, req.user.userId, req.body);
+  res.status(201).json({
+    status: "SUCCESS",
+    message: `Join requests sent for ${result.requests.length} rides`,
+    data: result,
+  });
+}));
+
+/**
+ * @api {post} /rideseries/:seriesId/cancel Leave Recurring Ride
+ * @apiName LeaveRideSeries
+ * @apiGroup RideSeries
+ * @apiPermission passenger
+ *
+ * @apiDescription Withdraw the caller's join requests for every upcoming ride in the series.
+ *
+ * @apiParam {String} seriesId ID of the recurring ride.
+ *
+ * @apiError (Error 400) VALIDATION_FAILED `seriesId` is not a valid id.
+ * @apiError (Error 404) SERIES_NOT_FOUND The recurring ride was not found.
+ * @apiError (Error 404) REQUEST_NOT_FOUND The caller has no requests for upcoming rides in the series.
+ */
+
+rideSeriesRouter.post("/:seriesId/cancel", authenticateToken, requireRole("passenger"), validate(schemas.seriesParams), asyncHandler(async (req, res) => {
+  const series = await findSeries(req.params.seriesId);
+  const released = await leaveRideSeries(series, req.user.userId);
+  if (!released.length) {
+    throw new NotFoundError("You have no requests for upcoming rides in this series", "REQUEST_NOT_FOUND");
+  }
+  res.json({ status: "SUCCESS", message: `Withdrew from ${released.length} rides` });
+}));
+
+// Handles both answers: `accept` is true for accept, false for decline.
+const answerSeriesRequestsRoute = (accept) => asyncHandler(async (req, res) => {
+  if (!req.resource.seriesId) {
+    throw new BadRequestError("This request is for a single ride", "NOT_SERIES_REQUEST");
+  }
+  const result = await answerSeriesRequests(req.resource, accept);
+
+  const [passenger, series] = await Promise.all([
+    User.findById(req.resource.passengerId),
+    RideSeries.findById(req.resource.seriesId),
+  ]);
+  if (passenger && series && result.requests.length) {
+    await sendEmail(
+      passenger.email,
+      "Recurring Ride Request Update",
+      withReply(`The driver ${accept ? "accepted" : "declined"} your request for ${result.requests.length} upcoming rides from ${series.startingLocation} to ${series.endingLocation}.`, req.body.reply)
+    );
+  }
+  res.json({ status: "SUCCESS", message: `Join requests ${accept ? "accepted" : "declined"}`, data: result });
+});
+
+/**
+ * @api {patch} /rideseries/join-requests/:requestId/accept Accept Series Join Requests
+ * @apiName AcceptSeriesJoinRequests
+ * @apiGroup RideSeries
+ * @apiPermission driver
+ *
+ * @apiDescription Accept every pending request the passenger sent along with this one when they
+ * joined the whole series. Rides without enough seats keep their request pending and are listed in `skipped`.
+ *
+ * @apiParam {String} requestId Any of the passenger's join requests for the series.
+ * @apiParam {String} [reply] Message to include in the passenger's email, up to 500 characters.
+ *
+ * @apiSuccess {Object} data `{ requests, skipped }`.
+ *
+ * @apiError (Error 400) NOT_SERIES_REQUEST The request was not sent for a whole series.
+ * @apiError (Error 403) NOT_OWNER The series belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Join request not found.
+ */
+
+rideSeriesRouter.patch("/join-requests/:requestId/accept", authenticateToken, requireRole("driver"), validate(schemas.answer), requireOwnership(loadSeriesRequestForDriver), answerSeriesRequestsRoute(true));
+
+/**
+ * @api {patch} /rideseries/join-requests/:requestId/decline Decline Series Join Requests
+ * @apiName DeclineSeriesJoinRequests
+ * @apiGroup RideSeries
+ * @apiPermission driver
+ *
+ * @apiDescription Decline every pending request the passenger sent along with this one when they
+ * joined the whole series.
+ *
+ * @apiParam {String} requestId Any of the passenger's join requests for the series.
+ * @apiParam {String} [reply] Message to include in the passenger's email, up to 500 characters.
+ *
+ * @apiSuccess {Object} data `{ requests, skipped }`.
+ *
+ * @apiError (Error 400) NOT_SERIES_REQUEST The request was not sent for a whole series.
+ * @apiError (Error 403) NOT_OWNER The series belongs to another driver.
+ * @apiError (Error 404) NOT_FOUND Join request not found.
+ */
+
+rideSeriesRouter.patch("/join-requests/:requestId/decline", authenticateToken, requireRole("driver"), validate(schemas.answer), requireOwnership(loadSeriesRequestForDriver), answerSeriesRequestsRoute(false));
+
+module.exports = rideSeriesRouter;
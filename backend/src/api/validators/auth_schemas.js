@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { email, password } = require('./common_schemas');
+
+const refreshToken = {
+    body: Joi.object({
+        refreshToken: Joi.string().required(),
+    }),
+};
+
+const verifyEmail = {
+    params: Joi.object({
+        token: Joi.string().required(),
+    }),
+};
+
+const emailOnly = {
+    body: Joi.object({
+        email: email.required(),
+    }),
+};
+
+const resetPassword = {
+    body: Joi.object({
+        token: Joi.string().required(),
+        password: password.required(),
+    }),
+};
+
+const googleLink = {
+    body: Joi.object({
+        code: Joi.string().required(),
+    }),
+};
+
+module.exports = {
+    refreshToken,
+    verifyEmail,
+    emailOnly,
+    resetPassword,
+    googleLink
+};
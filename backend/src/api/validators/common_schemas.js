@@ -0,0 +1,68 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': '{#label} must be a valid id',
+});
+
+const email = Joi.string().trim().email({ tlds: { allow: false } }).max(254);
+
+const password = Joi.string().min(8).max(128).messages({
+    'string.min': 'Password must be at least 8 characters',
+});
+
+const phonenumber = Joi.string().trim().pattern(/^\d{10}$/).messages({
+    'string.pattern.base': 'Phone number must be 10 digits',
+});
+
+const location = Joi.string().trim().min(1).max(200);
+
+// Waypoints of a driver's route, in driving order, between the start and the end.
+const stops = Joi.array().items(location).max(5);
+
+const notes = Joi.string().trim().allow('').max(1000).default('');
+
+const searchPlace = (radius) => Joi.string().trim().max(200).when(radius, {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.allow(''),
+}).messages({
+    'any.required': `{#label} is required with ${radius}`,
+    'string.empty': `{#label} is required with ${radius}`,
+});
+
+// Query shared by the driver and passenger post searches; see services/searchHelpers.js.
+const postSearch = Joi.object({
+    term: Joi.string().trim().allow('').max(200),
+    // With a radius (km), `from` / `to` are geocoded and matched by distance instead of by name.
+    from: searchPlace('fromRadius'),
+    to: searchPlace('toRadius'),
+    fromRadius: Joi.number().positive().max(500),
+    toRadius: Joi.number().positive().max(500),
+    dateFrom: Joi.date(),
+    dateTo: Joi.date().when('dateFrom', {
+        is: Joi.exist(),
+        then: Joi.date().min(Joi.ref('dateFrom')),
+    }).messages({
+        'date.min': 'dateTo must not be before dateFrom',
+    }),
+    minSeats: Joi.number().integer().min(1).max(8),
+    sort: Joi.string().valid('startTime', '-startTime', 'seats', '-seats').default('startTime'),
+    cursor: Joi.string().max(500),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    // Rides that have left, finished, been cancelled or been matched are hidden unless asked for.
+    includeUnbookable: Joi.boolean().default(false),
+});
+
+const paramsWith = (...names) => Joi.object(Object.fromEntries(names.map((name) => [name, objectId.required()])));
+
+module.exports = {
+    objectId,
+    email,
+    password,
+    phonenumber,
+    location,
+    stops,
+    notes,
+    postSearch,
+    paramsWith
+};
@@ -0,0 +1,32 @@
+const Joi = require('joi');
+const { objectId, paramsWith } = require('./common_schemas');
+
+const conversationParams = {
+    params: paramsWith('postId'),
+};
+
+const history = {
+    params: paramsWith('postId'),
+    query: Joi.object({
+        before: objectId,
+        limit: Joi.number().integer().min(1).max(50).default(30),
+    }),
+};
+
+const send = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        text: Joi.string().trim().min(1).max(2000).required(),
+    }),
+};
+
+// Drivers name the passenger they are sharing with; passengers share with the driver.
+const contact = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        share: Joi.boolean().required(),
+        passengerId: objectId,
+    }),
+};
+
+module.exports = { conversationParams, history, send, contact };
@@ -0,0 +1,102 @@
+const Joi = require('joi');
+const { objectId, location, stops, notes, postSearch, paramsWith } = require('./common_schemas');
+
+const search = {
+    query: postSearch,
+};
+
+// Rides that have left, finished or been cancelled are hidden unless asked for.
+const list = {
+    query: Joi.object({
+        includeUnbookable: Joi.boolean().default(false),
+    }),
+};
+
+const postParams = {
+    params: paramsWith('postId'),
+};
+
+// The driver's optional reply is included in the email the passenger gets.
+const reply = Joi.string().trim().allow('').max(500);
+
+const answer = {
+    params: paramsWith('requestId'),
+    body: Joi.object({
+        reply,
+    }),
+};
+
+const bulkAnswer = {
+    body: Joi.object({
+        requestIds: Joi.array().items(objectId).min(1).max(50).unique().required(),
+        action: Joi.string().valid('accept', 'decline').required(),
+        reply,
+    }),
+};
+
+// `seats` caps how many seats are accepted automatically and `ratingAbove` limits it to passengers
+// rated higher than that; leave either out to not limit by it.
+const autoAcceptRules = Joi.object({
+    enabled: Joi.boolean().required(),
+    seats: Joi.number().integer().min(1).max(8).allow(null),
+    ratingAbove: Joi.number().min(0).less(5).allow(null),
+});
+
+const autoAccept = {
+    params: paramsWith('postId'),
+    body: autoAcceptRules,
+};
+
+const join = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        seatsneeded: Joi.number().integer().min(1).max(8).required(),
+        message: Joi.string().trim().allow('').max(500).default(''),
+        // Indexes into [startingLocation, ...stops, endingLocation]; the whole route by default.
+        pickupStop: Joi.number().integer().min(0),
+        dropoffStop: Joi.number().integer().min(1),
+        // Join the ride's waitlist when there are not enough seats instead of failing.
+        waitlist: Joi.boolean().default(false),
+    }),
+};
+
+const newPost = {
+    body: Joi.object({
+        startingLocation: location.required(),
+        endingLocation: location.required(),
+        stops: stops.default([]),
+        startTime: Joi.date().required(),
+        licensenumber: Joi.string().trim().max(20).required(),
+        model: Joi.string().trim().max(100).required(),
+        numberOfSeats: Joi.number().integer().min(1).max(8).required(),
+        additionalNotes: notes,
+        autoAccept: autoAcceptRules,
+    }),
+};
+
+// Only the fields a driver may change after posting; at least one must be sent.
+const update = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        startingLocation: location,
+        endingLocation: location,
+        stops,
+        startTime: Joi.date(),
+        numberOfSeats: Joi.number().integer().min(0).max(8),
+        additionalNotes: Joi.string().trim().allow('').max(1000),
+    }).min(1).messages({
+        'object.min': 'Nothing to update',
+    }),
+};
+
+module.exports = {
+    search,
+    list,
+    postParams,
+    answer,
+    bulkAnswer,
+    autoAccept,
+    join,
+    newPost,
+    update
+};
@@ -0,0 +1,15 @@
+const Joi = require('joi');
+const { paramsWith } = require('./common_schemas');
+
+const list = {
+    query: Joi.object({
+        unreadOnly: Joi.boolean().default(false),
+        limit: Joi.number().integer().min(1).max(50).default(20),
+    }),
+};
+
+const notificationParams = {
+    params: paramsWith('notificationId'),
+};
+
+module.exports = { list, notificationParams };
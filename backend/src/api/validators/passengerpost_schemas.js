@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { location, notes, postSearch, paramsWith } = require('./common_schemas');
+
+const search = {
+    query: postSearch,
+};
+
+const postParams = {
+    params: paramsWith('postId'),
+};
+
+const newPost = {
+    body: Joi.object({
+        startingLocation: location.required(),
+        endingLocation: location.required(),
+        startTime: Joi.date().required(),
+        numberOfPeople: Joi.number().integer().min(1).max(8).required(),
+        additionalNotes: notes,
+    }),
+};
+
+const update = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        startingLocation: location,
+        endingLocation: location,
+        startTime: Joi.date(),
+        numberOfPeople: Joi.number().integer().min(1).max(8),
+        additionalNotes: Joi.string().trim().allow('').max(1000),
+    }).min(1).messages({
+        'object.min': 'Nothing to update',
+    }),
+};
+
+const offer = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        licensenumber: Joi.string().trim().max(20).required(),
+        model: Joi.string().trim().max(100).required(),
+        numberOfSeats: Joi.number().integer().min(1).max(8).required(),
+        message: Joi.string().trim().allow('').max(500).default(''),
+    }),
+};
+
+const offerParams = {
+    params: paramsWith('offerId'),
+};
+
+module.exports = {
+    search,
+    postParams,
+    newPost,
+    update,
+    offer,
+    offerParams
+};
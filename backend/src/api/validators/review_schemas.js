@@ -0,0 +1,25 @@
+const Joi = require('joi');
+const { objectId, paramsWith } = require('./common_schemas');
+
+const rideParams = {
+    params: paramsWith('postId'),
+};
+
+const review = {
+    params: paramsWith('postId'),
+    body: Joi.object({
+        revieweeId: objectId.required(),
+        rating: Joi.number().integer().min(1).max(5).required(),
+        comment: Joi.string().trim().allow('').max(500).default(''),
+    }),
+};
+
+const userReviews = {
+    params: paramsWith('userId'),
+    query: Joi.object({
+        before: objectId,
+        limit: Joi.number().integer().min(1).max(50).default(20),
+    }),
+};
+
+module.exports = { rideParams, review, userReviews };
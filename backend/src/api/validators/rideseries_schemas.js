@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { location, stops, notes, paramsWith } = require('./common_schemas');
+const { isValidDate, isValidTimeZone } = require('../../services/recurrence');
+
+const calendarDate = Joi.string().custom((value, helpers) => (isValidDate(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{#label} must be a date like 2030-01-31' });
+
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+    'string.pattern.base': '{#label} must be a time like 08:00',
+});
+
+const seriesParams = {
+    params: paramsWith('seriesId'),
+};
+
+// `reply` is included in the email the passenger gets.
+const answer = {
+    params: paramsWith('requestId'),
+    body: Joi.object({
+        reply: Joi.string().trim().allow('').max(500),
+    }),
+};
+
+// `startDate`, `endDate` and `time` are read in `timeZone`; see services/recurrence.js.
+const newSeries = {
+    body: Joi.object({
+        startingLocation: location.required(),
+        endingLocation: location.required(),
+        stops: stops.default([]),
+        licensenumber: Joi.string().trim().max(20).required(),
+        model: Joi.string().trim().max(100).required(),
+        numberOfSeats: Joi.number().integer().min(1).max(8).required(),
+        additionalNotes: notes,
+        daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+        time: time.required(),
+        startDate: calendarDate.required(),
+        endDate: calendarDate.required(),
+        timeZone: Joi.string().custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+            .default('America/Los_Angeles')
+            .messages({ 'any.invalid': 'timeZone must be an IANA time zone such as America/Los_Angeles' }),
+    }),
+};
+
+// Applies to the series and its upcoming rides; the schedule itself cannot be changed.
+const update = {
+    params: paramsWith('seriesId'),
+    body: Joi.object({
+        startingLocation: location,
+        endingLocation: location,
+        stops,
+        time,
+        numberOfSeats: Joi.number().integer().min(0).max(8),
+        additionalNotes: Joi.string().trim().allow('').max(1000),
+    }).min(1).messages({
+        'object.min': 'Nothing to update',
+    }),
+};
+
+const join = {
+    params: paramsWith('seriesId'),
+    body: Joi.object({
+        seatsneeded: Joi.number().integer().min(1).max(8).required(),
+        message: Joi.string().trim().allow('').max(500).default(''),
+    }),
+};
+
+module.exports = {
+    seriesParams,
+    answer,
+    newSeries,
+    update,
+    join
+};
@@ -0,0 +1,63 @@
+// Request schemas shared by the driver and passenger account routers.
+const Joi = require('joi');
+const { objectId, email, password, phonenumber } = require('./common_schemas');
+
+const name = Joi.string().trim().pattern(/^[a-zA-Z]+$/).max(50).messages({
+    'string.pattern.base': 'Name may only contain letters',
+});
+
+const register = {
+    body: Joi.object({
+        email: email.required(),
+        password: password.required(),
+        name: name.required(),
+        phonenumber: phonenumber.required(),
+    }),
+};
+
+const signin = {
+    body: Joi.object({
+        email: Joi.string().trim().required(),
+        password: Joi.string().trim().required(),
+    }),
+};
+
+const googleCode = {
+    body: Joi.object({
+        code: Joi.string().required(),
+    }),
+};
+
+const update = {
+    body: Joi.object({
+        name,
+        phonenumber,
+        email,
+        newPassword: password,
+        // Checked against the account's password, when it has one, before newPassword is set.
+        currentPassword: Joi.string(),
+    }),
+};
+
+// `status` may be repeated to match any of several statuses.
+const joinRequestFilters = {
+    query: Joi.object({
+        status: Joi.array().items(Joi.string().valid('pending', 'accepted', 'declined', 'cancelled', 'expired', 'waitlisted')).single(),
+        postId: objectId,
+    }),
+};
+
+const logout = {
+    body: Joi.object({
+        refreshToken: Joi.string().required(),
+    }),
+};
+
+module.exports = {
+    register,
+    signin,
+    googleCode,
+    update,
+    joinRequestFilters,
+    logout
+};
@@ -0,0 +1,18 @@
+// Read on every call so tests and the fake OIDC server can point the app elsewhere at runtime.
+const getGoogleConfig = () => {
+  // Keys from GOOGLE_CERTS_URL are only trusted for tokens from that one issuer.
+  if (process.env.GOOGLE_CERTS_URL && !process.env.GOOGLE_ISSUER) {
+    throw new Error('GOOGLE_ISSUER must be set together with GOOGLE_CERTS_URL');
+  }
+  return {
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    tokenEndpoint: process.env.GOOGLE_TOKEN_ENDPOINT || 'https://oauth2.googleapis.com/token',
+    // Leave both unset for real Google: the client library already knows its issuers and keys.
+    issuer: process.env.GOOGLE_ISSUER,
+    certsUrl: process.env.GOOGLE_CERTS_URL,
+  };
+};
+
+module.exports = getGoogleConfig;
@@ -1,8 +1,10 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const placeSchema = require("./place_schema");
+const stopSchema = require("./stop_schema");
 
 const DriverpostSchema = new Schema({
-  driverId: {type: Schema.Types.ObjectId, ref:'Driver', required: true},
+  driverId: {type: Schema.Types.ObjectId, ref:'User', required: true},
   startingLocation: {
     type: String,
     required: true,
@@ -22,19 +24,62 @@ const DriverpostSchema = new Schema({
   },
   numberOfSeats: {
     type: Number,
+    min: 0,
   },
+  // the driver's contact details; only shown to passengers who agreed to share theirs,
+  // see services/conversationHelpers.js
   phonenumber:{
-    type: String
+    type: String,
+    select: false
   },
   email:{
-    type: String
+    type: String,
+    select: false
   },
   additionalNotes: {
     type: String,
   },
-  passengers: [{type:Schema.Types.ObjectId, ref:'Passenger'}],
-  joinrequests: [{type: Schema.Types.ObjectId, ref:'Joinrequest'}]
+  // set by services/geocoding.js; null when the location is not in the gazetteer
+  startingPlace: placeSchema,
+  endingPlace: placeSchema,
+  stops: [stopSchema],
+  // Free seats on each leg of a ride with stops (leg i runs from stop i to stop i + 1, counting
+  // the start as stop 0); numberOfSeats is then the fewest free on any leg. Empty without stops.
+  segmentSeats: [Number],
+  passengers: [{type:Schema.Types.ObjectId, ref:'User'}],
+  // Join requests the driver lets in without answering them; see services/joinRequestHelpers.js.
+  // `seats` caps the seats handed out that way, counted in `acceptedSeats`; no cap when unset.
+  // With `ratingAbove`, only passengers rated higher than that qualify.
+  autoAccept: {
+    enabled: { type: Boolean, default: false },
+    seats: { type: Number, min: 1 },
+    ratingAbove: { type: Number, min: 0, max: 5 },
+    acceptedSeats: { type: Number, default: 0 },
+  },
+  joinrequests: [{type: Schema.Types.ObjectId, ref:'Joinrequest'}],
+  // scheduled -> in_progress -> completed, or scheduled -> cancelled; see services/rideScheduler.js
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    default: 'scheduled',
+  },
+  // set on the occurrences of a recurring ride; `occurrenceDate` is the local 'YYYY-MM-DD'
+  seriesId: {type: Schema.Types.ObjectId, ref:'RideSeries'},
+  occurrenceDate: String,
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
 });
 
+DriverpostSchema.index({ status: 1, startTime: 1 });
+DriverpostSchema.index({ seriesId: 1, startTime: 1 });
+DriverpostSchema.index({ 'startingPlace.location': '2dsphere' });
+DriverpostSchema.index({ 'endingPlace.location': '2dsphere' });
+
+// Only rides that have not left yet can be joined.
+DriverpostSchema.statics.bookableFilter = function (now = new Date()) {
+  return { status: 'scheduled', startTime: { $gt: now } };
+};
+
 const Driverpost = mongoose.model("Driverpost", DriverpostSchema);
 module.exports = Driverpost;
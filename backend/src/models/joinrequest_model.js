@@ -2,13 +2,35 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
 const joinRequestSchema = new Schema({
-  passengerId: { type: Schema.Types.ObjectId, ref: 'Passenger' },
+  passengerId: { type: Schema.Types.ObjectId, ref: 'User' },
   driverPostId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driverpost' },
   seatsneeded:{type: Number},
   message:{type: String},
-  status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
-  requestedAt: { type: Date, default: Date.now }
+  // 'cancelled' when the driver cancels the ride, 'expired' when nobody answered in time,
+  // 'waitlisted' while the passenger waits for seats; see services/waitlistHelpers.js
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired', 'waitlisted'], default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  // set when a waitlisted request becomes pending; `confirmBy` is cleared once the passenger confirms
+  promotedAt: { type: Date },
+  confirmBy: { type: Date },
+  // set when the passenger booked every occurrence of a recurring ride at once
+  seriesId: { type: Schema.Types.ObjectId, ref: 'RideSeries' },
+  // on rides with stops, where the passenger gets on and off, as indexes into
+  // [startingLocation, ...stops, endingLocation]; see services/seatHelpers.js
+  pickupStop: { type: Number },
+  dropoffStop: { type: Number },
+  // Once accepted, each side can agree to show the other its email and phone number;
+  // they are shown only when both have. See services/conversationHelpers.js.
+  sharesContact: {
+    driver: { type: Boolean, default: false },
+    passenger: { type: Boolean, default: false }
+  }
 });
 
+// One request per passenger per ride, even when two joins race each other.
+joinRequestSchema.index({ driverPostId: 1, passengerId: 1 }, { unique: true });
+// The waitlist of a ride, oldest first.
+joinRequestSchema.index({ driverPostId: 1, status: 1, requestedAt: 1 });
+
 const Joinrequest = mongoose.model('Joinrequest', joinRequestSchema);
 module.exports = Joinrequest;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A compatible passenger post / driver post pair found by services/matchingEngine.js.
+// The owners are copied in so suggestions can be listed per user without a join.
+const matchSchema = new Schema({
+  passengerPostId: { type: Schema.Types.ObjectId, ref: 'Passengerpost', required: true },
+  driverPostId: { type: Schema.Types.ObjectId, ref: 'Driverpost', required: true },
+  passengerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  driverId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // 0-1, higher is better; the breakdown holds the per-criterion scores it was built from
+  score: { type: Number, required: true },
+  breakdown: {
+    route: Number,
+    time: Number,
+    seats: Number
+  },
+  matchedAt: { type: Date, default: Date.now },
+  // the earlier of the two start times; MongoDB drops the match once it has passed
+  expiresAt: { type: Date, required: true }
+});
+
+matchSchema.index({ passengerPostId: 1, driverPostId: 1 }, { unique: true });
+matchSchema.index({ passengerId: 1, score: -1 });
+matchSchema.index({ driverId: 1, score: -1 });
+matchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Match = mongoose.model('Match', matchSchema);
+module.exports = Match;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One message in a ride's conversation between the driver and the accepted passengers;
+// see services/conversationHelpers.js.
+const messageSchema = new Schema({
+  driverPostId: { type: Schema.Types.ObjectId, ref: 'Driverpost', required: true },
+  senderId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, required: true },
+  sentAt: { type: Date, default: Date.now }
+});
+
+// History is paged newest first by _id.
+messageSchema.index({ driverPostId: 1, _id: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+module.exports = Message;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An in-app notice about a join request, created by services/notificationHelpers.js.
+// `audience` says which side of the ride the user was on, so the client can link to
+// the driver's or the passenger's view of the post.
+const notificationSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  audience: { type: String, enum: ['driver', 'passenger'], required: true },
+  type: { type: String, required: true },
+  message: { type: String, required: true },
+  driverPostId: { type: Schema.Types.ObjectId, ref: 'Driverpost' },
+  joinRequestId: { type: Schema.Types.ObjectId, ref: 'Joinrequest' },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A driver's response to a passenger post: the reverse of a join request.
+const offerSchema = new Schema({
+  driverId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  passengerPostId: { type: Schema.Types.ObjectId, ref: 'Passengerpost', required: true },
+  licensenumber: { type: String },
+  model: { type: String },
+  // seats in the car, including the ones the passenger post asks for
+  numberOfSeats: { type: Number, min: 1 },
+  message: { type: String },
+  status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+  // the ride created when the passenger accepts
+  driverPostId: { type: Schema.Types.ObjectId, ref: 'Driverpost' },
+  offeredAt: { type: Date, default: Date.now }
+});
+
+offerSchema.index({ passengerPostId: 1, driverId: 1 }, { unique: true });
+
+const Offer = mongoose.model('Offer', offerSchema);
+module.exports = Offer;
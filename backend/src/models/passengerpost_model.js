@@ -1,8 +1,9 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const placeSchema = require("./place_schema");
 
 const PassengerpostSchema = new Schema({
-  passengerId: {type: Schema.Types.ObjectId, ref:'Passenger', required: true},
+  passengerId: {type: Schema.Types.ObjectId, ref:'User', required: true},
   startingLocation: {
     type: String,
     required: true,
@@ -15,14 +16,24 @@ const PassengerpostSchema = new Schema({
     type: Date,
     required: true,
   },
+  // set by services/geocoding.js; null when the location is not in the gazetteer
+  startingPlace: placeSchema,
+  endingPlace: placeSchema,
   numberOfPeople: {
     type: Number,
     required: true,
   },
   additionalNotes: {
     type: String,
-  }
+  },
+  // 'matched' once the passenger accepts an offer; driverPostId is the ride it created
+  status: { type: String, enum: ['open', 'matched'], default: 'open' },
+  driverPostId: {type: Schema.Types.ObjectId, ref:'Driverpost'},
+  offers: [{type: Schema.Types.ObjectId, ref:'Offer'}]
 });
 
+PassengerpostSchema.index({ 'startingPlace.location': '2dsphere' });
+PassengerpostSchema.index({ 'endingPlace.location': '2dsphere' });
+
 const Passengerpost = mongoose.model("Passengerpost", PassengerpostSchema);
 module.exports = Passengerpost;
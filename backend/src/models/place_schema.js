@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A geocoded location, embedded in posts next to the free-text one the user typed.
+// `location` is GeoJSON, so coordinates are [longitude, latitude].
+const placeSchema = new Schema({
+  name: { type: String, required: true },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+  }
+}, { _id: false });
+
+module.exports = placeSchema;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A rating one side of a ride left for the other once it had started; see services/reviewHelpers.js.
+// `role` is the reviewee's part in the ride.
+const reviewSchema = new Schema({
+  driverPostId: { type: Schema.Types.ObjectId, ref: 'Driverpost', required: true },
+  reviewerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  revieweeId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['driver', 'passenger'], required: true },
+  rating: { type: Number, min: 1, max: 5, required: true },
+  comment: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One review per reviewer, reviewee and ride.
+reviewSchema.index({ driverPostId: 1, reviewerId: 1, revieweeId: 1 }, { unique: true });
+// A user's reviews are paged newest first by _id.
+reviewSchema.index({ revieweeId: 1, _id: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+module.exports = Review;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const placeSchema = require('./place_schema');
+const stopSchema = require('./stop_schema');
+
+// A recurring ride. Each occurrence is an ordinary Driverpost with `seriesId` set, generated
+// up front by services/rideSeriesHelpers.js; the fields below are the template they copy.
+const rideSeriesSchema = new Schema({
+  driverId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  startingLocation: { type: String, required: true },
+  endingLocation: { type: String, required: true },
+  startingPlace: placeSchema,
+  endingPlace: placeSchema,
+  stops: [stopSchema],
+  licensenumber: { type: String },
+  model: { type: String },
+  numberOfSeats: { type: Number, min: 0 },
+  // hidden like the driver's contact details on each ride
+  phonenumber: { type: String, select: false },
+  email: { type: String, select: false },
+  additionalNotes: { type: String },
+  // Calendar dates are 'YYYY-MM-DD' and `time` is 'HH:mm', all local to `timeZone`,
+  // so "8:00 on weekdays" stays 8:00 across daylight saving changes.
+  recurrence: {
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+    time: { type: String, required: true },
+    timeZone: { type: String, required: true },
+    startDate: { type: String, required: true },
+    endDate: { type: String, required: true }
+  },
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+  cancelledAt: Date
+});
+
+const RideSeries = mongoose.model('RideSeries', rideSeriesSchema);
+module.exports = RideSeries;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One row per signed-in device. Only a hash of the current refresh token is kept;
+// it is replaced every time the token is rotated, and the one before is kept to tell a
+// refresh that lost a race from a copied token.
+const SessionSchema = new Schema({
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    previousTokenHash: String,
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null }
+});
+
+SessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+module.exports = Session;
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const placeSchema = require('./place_schema');
+
+// A waypoint between a ride's starting and ending location, in driving order.
+const stopSchema = new Schema({
+  location: { type: String, required: true },
+  // set by services/geocoding.js; null when the location is not in the gazetteer
+  place: placeSchema
+}, { _id: false });
+
+module.exports = stopSchema;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A single account can act as a driver, a passenger or both.
+const UserSchema = new Schema({
+    email: { type: String, required: true, unique: true },
+    // null for accounts that only sign in with Google
+    password: String,
+    googleId: { type: String, index: { unique: true, sparse: true } },
+    name: String,
+    phonenumber: String,
+    roles: [{ type: String, enum: ['driver', 'passenger'] }],
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date,
+    passwordReset: {
+        tokenHash: { type: String, index: true },
+        expiresAt: Date
+    },
+    // driver side
+    driverposts: [{type: Schema.Types.ObjectId, ref: 'Driverpost'}],
+    joinrequests: [{type: Schema.Types.ObjectId, ref:'Joinrequest'}],
+    sentOffers: [{type: Schema.Types.ObjectId, ref:'Offer'}],
+    // passenger side
+    passengerposts: [{type: Schema.Types.ObjectId, ref: 'Passengerpost'}],
+    sentJoinrequests: [{type: Schema.Types.ObjectId, ref:'Joinrequest'}],
+    avatar: { data: Buffer, contentType: String },
+    // kept in step with the account's reviews by services/reviewHelpers.js
+    rating: {
+        average: Number,
+        count: { type: Number, default: 0 }
+    }
+});
+
+UserSchema.methods.hasRole = function (role) {
+    return this.roles.includes(role);
+};
+
+const User = mongoose.model('User', UserSchema);
+module.exports = User;
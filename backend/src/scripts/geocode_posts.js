@@ -0,0 +1,47 @@
+// Fills in `startingPlace` / `endingPlace` on driver and passenger posts created before
+// locations were geocoded, so they show up in radius searches.
+//
+// Usage: npm run geocode:posts [-- [--dry-run] [--all]]
+//
+// Only posts without places are touched unless --all is given, which re-geocodes
+// everything (e.g. after adding entries to src/data/gazetteer.json).
+// Locations the gazetteer does not know are listed so they can be added.
+require("dotenv").config();
+const mongoose = require('mongoose');
+const Driverpost = require('../models/driverpost_model');
+const Passengerpost = require('../models/passengerpost_model');
+const { placesFor } = require('../services/geocoding');
+
+const dryRun = process.argv.includes('--dry-run');
+const all = process.argv.includes('--all');
+
+const geocodePosts = async (Model) => {
+    const filter = all ? {} : { $or: [{ startingPlace: null }, { endingPlace: null }] };
+    const posts = await Model.find(filter, 'startingLocation endingLocation');
+    const unknown = new Set();
+    let updated = 0;
+
+    for (const post of posts) {
+        const places = await placesFor(post);
+        if (!places.startingPlace) unknown.add(post.startingLocation);
+        if (!places.endingPlace) unknown.add(post.endingLocation);
+        if (!places.startingPlace && !places.endingPlace) continue;
+
+        updated += 1;
+        if (!dryRun) await Model.updateOne({ _id: post._id }, { $set: places });
+    }
+
+    console.log(`${Model.modelName}: ${posts.length} checked, ${updated} geocoded`);
+    if (unknown.size) console.log(`  not in the gazetteer: ${[...unknown].join(', ')}`);
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+    .then(async () => {
+        await geocodePosts(Driverpost);
+        await geocodePosts(Passengerpost);
+    })
+    .catch((error) => {
+        console.error('Geocoding failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
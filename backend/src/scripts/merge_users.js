@@ -0,0 +1,108 @@
+// One-off migration that merges the legacy `drivers` and `passengers`
+// collections into the unified `users` collection.
+//
+// Usage: npm run migrate:users [-- --dry-run]
+//
+// Account ids are kept, so existing references from driver posts, passenger
+// posts and join requests stay valid. If the same email was registered on
+// both sides, the driver document wins and every reference to the passenger
+// id is rewritten to point at the merged account.
+// Accounts that existed before email verification are marked as verified.
+require("dotenv").config();
+const mongoose = require('mongoose');
+const User = require('../models/user_model');
+const Driverpost = require('../models/driverpost_model');
+const Passengerpost = require('../models/passengerpost_model');
+const joinRequest = require('../models/joinrequest_model');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Google signups used to be stored with a fake phone number; null sends them through the complete-profile step.
+const normalizePhone = (phonenumber) => (phonenumber === '0000000000' ? null : phonenumber);
+
+const repointPassenger = async (fromId, toId) => {
+    await joinRequest.updateMany({ passengerId: fromId }, { $set: { passengerId: toId } });
+    await Passengerpost.updateMany({ passengerId: fromId }, { $set: { passengerId: toId } });
+    await Driverpost.updateMany({ passengers: fromId }, { $set: { 'passengers.$': toId } });
+};
+
+const mergeUsers = async () => {
+    const db = mongoose.connection.db;
+    const drivers = await db.collection('drivers').find({}).toArray();
+    const passengers = await db.collection('passengers').find({}).toArray();
+
+    const accounts = new Map();
+
+    drivers.forEach((driver) => {
+        accounts.set(normalizeEmail(driver.email), {
+            _id: driver._id,
+            email: driver.email,
+            password: driver.password,
+            name: driver.name,
+            phonenumber: normalizePhone(driver.phonenumber),
+            roles: ['driver'],
+            emailVerified: true,
+            driverposts: driver.driverposts || [],
+            joinrequests: driver.joinrequests || [],
+            passengerposts: [],
+            sentJoinrequests: [],
+            avatar: driver.avatar,
+        });
+    });
+
+    let merged = 0;
+    for (const passenger of passengers) {
+        const key = normalizeEmail(passenger.email);
+        const existing = accounts.get(key);
+        if (existing) {
+            console.log(`Merging passenger ${passenger._id} into driver ${existing._id} (${passenger.email})`);
+            existing.roles.push('passenger');
+            existing.sentJoinrequests = passenger.joinrequests || [];
+            existing.password = existing.password || passenger.password;
+            existing.phonenumber = existing.phonenumber || normalizePhone(passenger.phonenumber);
+            existing.avatar = existing.avatar || passenger.avatar;
+            existing.mergedPassengerId = passenger._id;
+            merged += 1;
+        } else {
+            accounts.set(key, {
+                _id: passenger._id,
+                email: passenger.email,
+                password: passenger.password,
+                name: passenger.name,
+                phonenumber: normalizePhone(passenger.phonenumber),
+                roles: ['passenger'],
+                emailVerified: true,
+                driverposts: [],
+                joinrequests: [],
+                passengerposts: [],
+                sentJoinrequests: passenger.joinrequests || [],
+                avatar: passenger.avatar,
+            });
+        }
+    }
+
+    console.log(`${drivers.length} drivers, ${passengers.length} passengers, ${merged} shared emails -> ${accounts.size} users`);
+    if (dryRun) return;
+
+    for (const { mergedPassengerId, ...account } of accounts.values()) {
+        if (mergedPassengerId) {
+            await repointPassenger(mergedPassengerId, account._id);
+        }
+        // Passenger posts were never tracked on the legacy Passenger document.
+        const posts = await Passengerpost.find({ passengerId: account._id }, '_id');
+        account.passengerposts = posts.map(post => post._id);
+
+        await User.replaceOne({ _id: account._id }, account, { upsert: true });
+    }
+    console.log('Migration complete. The legacy collections were left in place.');
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+    .then(mergeUsers)
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -1,16 +1,27 @@
 //Part of this file was leveraged from GPT/Copilot
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
 const bcrypt = require('bcrypt');
 const { OAuth2Client } = require('google-auth-library');
-
-const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const client = new OAuth2Client(CLIENT_ID);
+const getGoogleConfig = require('../config/google');
+const User = require('../models/user_model');
 
 const verifyGoogleToken = async (token) => {
-    const ticket = await client.verifyIdToken({
-        idToken: token,
-        audience: CLIENT_ID,
-    });
+    const { clientId, issuer, certsUrl } = getGoogleConfig();
+    const client = new OAuth2Client(clientId);
+
+    let ticket;
+    if (certsUrl) {
+        // Non-Google issuer, e.g. the fake OIDC server used in tests.
+        const { data: certs } = await axios.get(certsUrl);
+        ticket = await client.verifySignedJwtWithCertsAsync(token, certs, clientId, [issuer]);
+    } else {
+        ticket = await client.verifyIdToken({
+            idToken: token,
+            audience: clientId,
+        });
+    }
     const payload = ticket.getPayload();
     return payload;
 };
@@ -21,12 +32,56 @@ const createUser = async (Model, userData) => {
     return user;
 };
 
-const generateAuthToken = (userId) => {
-    return jwt.sign({ userId }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '24h' });
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Access tokens are short-lived and tied to a Session; use the refresh token to get a new one.
+// The roles claim is what requireRole checks, so it is re-read from the account on every refresh.
+const generateAuthToken = (user, sessionId) => {
+    return jwt.sign(
+        { userId: user._id, roles: user.roles, sessionId },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Refresh and password reset tokens are stored as hashes so a database leak does not expose them.
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const emailExists = async (email) => {
+    const user = await User.findOne({ email }).exec();
+    return user ? true : false;
+};
+
+// Adds the role to the account the first time it is used through that side of the app.
+const ensureRole = async (user, accountType) => {
+    if (!user.hasRole(accountType)) {
+        user.roles.push(accountType);
+        await user.save();
+    }
+    return user;
+};
+
+// Strips the password and reset token hashes and inlines the avatar as a data URL.
+const formatUserProfile = (user) => {
+    const userProfile = {
+        ...user._doc,
+        password: undefined,
+        passwordReset: undefined,
+        avatar: undefined,
+    };
+
+    if (user.avatar && user.avatar.data) {
+        userProfile.avatar = `data:${user.avatar.contentType};base64,${user.avatar.data.toString('base64')}`;
+    }
+    return userProfile;
 };
 
 module.exports = {
     verifyGoogleToken,
     createUser,
-    generateAuthToken
+    generateAuthToken,
+    hashToken,
+    emailExists,
+    ensureRole,
+    formatUserProfile
 };
@@ -0,0 +1,93 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Message = require('../models/message_model');
+const User = require('../models/user_model');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Both sides of an accepted request have to agree before either sees the other's contact details.
+const contactShared = (request) => Boolean(request && request.sharesContact
+    && request.sharesContact.driver && request.sharesContact.passenger);
+
+// A ride's conversation is open to its driver and the passengers whose requests were accepted.
+// Resolves to { post, requests, isDriver, own }, `own` being the caller's request as a passenger.
+const openConversation = async (postId, userId) => {
+    const post = await Driverpost.findById(postId, 'driverId startingLocation endingLocation');
+    if (!post) {
+        throw new NotFoundError('Driver post not found', 'POST_NOT_FOUND');
+    }
+    const requests = await Joinrequest.find({ driverPostId: postId, status: 'accepted' });
+    const isDriver = String(post.driverId) === String(userId);
+    const own = requests.find((request) => String(request.passengerId) === String(userId));
+    if (!isDriver && !own) {
+        throw new ForbiddenError('Only the driver and accepted passengers can take part in this conversation', 'NOT_IN_CONVERSATION');
+    }
+    return { post, requests, isDriver, own };
+};
+
+const participantIds = ({ post, requests }) => [post.driverId, ...requests.map((request) => request.passengerId)];
+
+// Everyone else in the conversation. Between the caller and the other side of their ride, the
+// entry says who has agreed to share contact details, and carries them once both have.
+const describeParticipants = async (conversation, userId) => {
+    const { post, requests, isDriver, own } = conversation;
+    const others = participantIds(conversation).filter((id) => String(id) !== String(userId));
+    const users = await User.find({ _id: { $in: others } }, 'name email phonenumber');
+    const byId = new Map(users.map((user) => [String(user._id), user]));
+
+    return others.filter((id) => byId.has(String(id))).map((id) => {
+        const user = byId.get(String(id));
+        const role = String(id) === String(post.driverId) ? 'driver' : 'passenger';
+        const entry = { userId: user._id, name: user.name, role };
+
+        const pair = isDriver ? requests.find((request) => String(request.passengerId) === String(id))
+            : role === 'driver' && own;
+        if (!pair) return entry;
+        const sharing = pair.sharesContact || {};
+        entry.youShare = Boolean(isDriver ? sharing.driver : sharing.passenger);
+        entry.theyShare = Boolean(isDriver ? sharing.passenger : sharing.driver);
+        if (contactShared(pair)) entry.contact = { email: user.email, phonenumber: user.phonenumber };
+        return entry;
+    });
+};
+
+// The caller agrees, or stops agreeing, to share contact details with the other side of their
+// ride: a passenger with the driver, the driver with `passengerId`.
+const setContactSharing = async (conversation, { share, passengerId }) => {
+    const { requests, isDriver, own } = conversation;
+    const request = isDriver
+        ? requests.find((r) => String(r.passengerId) === String(passengerId))
+        : own;
+    if (!request) {
+        throw ValidationError.forField('passengerId', 'passengerId must be an accepted passenger of this ride');
+    }
+    await Joinrequest.updateOne(
+        { _id: request._id, status: 'accepted' },
+        { [`sharesContact.${isDriver ? 'driver' : 'passenger'}`]: share }
+    );
+};
+
+// A page of history, newest first; pass `nextCursor` back as `before` for the page before it.
+const listMessages = async (postId, { before, limit }) => {
+    const messages = await Message.find({ driverPostId: postId, ...(before && { _id: { $lt: before } }) })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('senderId', 'name');
+    const more = messages.length > limit;
+    const page = more ? messages.slice(0, limit) : messages;
+    return { messages: page, nextCursor: more ? page[page.length - 1]._id : null };
+};
+
+const sendMessage = async (conversation, senderId, text) => {
+    const message = await Message.create({ driverPostId: conversation.post._id, senderId, text });
+    return message.populate('senderId', 'name');
+};
+
+module.exports = {
+    contactShared,
+    openConversation,
+    participantIds,
+    describeParticipants,
+    setContactSharing,
+    listMessages,
+    sendMessage,
+};
@@ -0,0 +1,130 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Passengerpost = require('../models/passengerpost_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+const { ConflictError } = require('../utils/errors');
+const { placesFor, stopsFor } = require('./geocoding');
+const { matchDriverPost, matchPassengerPost, removeMatches } = require('./matchingEngine');
+const { segmentSeatsFor, seatsAvailable } = require('./seatHelpers');
+const { promoteWaitlist } = require('./waitlistHelpers');
+const { publish, publishSeats } = require('./joinRequestEvents');
+
+const describeRide = (post) => {
+    const via = (post.stops || []).map((stop) => stop.location);
+    return `${post.startingLocation} to ${post.endingLocation}${via.length ? ` via ${via.join(', ')}` : ''}`;
+};
+
+const emailPassengers = async (requests, subject, text) => {
+    if (!requests.length) return;
+    const passengers = await User.find({ _id: { $in: requests.map((r) => r.passengerId) } }, 'email');
+    await Promise.all(passengers.map((passenger) => sendEmail(passenger.email, subject, text)));
+};
+
+const notScheduledError = () =>
+    new ConflictError('Only rides that have not started yet can be changed', 'RIDE_NOT_SCHEDULED');
+
+const describeChanges = (post) => [
+    `Route: ${describeRide(post)}`,
+    `Departure: ${post.startTime ? new Date(post.startTime).toLocaleString() : 'not set'}`,
+    `Seats still available: ${post.numberOfSeats}`,
+    post.additionalNotes ? `Notes: ${post.additionalNotes}` : null,
+].filter(Boolean).join('\n');
+
+// Join requests point at stops by position, so the stops are fixed once anyone has asked to join.
+const routeLockedError = () => new ConflictError(
+    'The stops cannot change once passengers have asked to join, cancel the ride and post it again instead',
+    'ROUTE_LOCKED'
+);
+
+// `post` is the document the driver was shown. Seat edits are only applied if nobody
+// took a seat in the meantime, so an edit can never undo an accept that raced it; on a
+// ride with stops every leg moves by the same amount. Pending requests that no longer fit
+// are declined; everyone still on the ride is told unless `notify` is false (recurring
+// rides send one email for the whole series).
+const updateDriverPost = async (post, changes, { notify = true } = {}) => {
+    if (post.status !== 'scheduled') throw notScheduledError();
+    if (changes.stops !== undefined && post.joinrequests && post.joinrequests.length) throw routeLockedError();
+
+    const filter = { _id: post._id, status: 'scheduled' };
+    const update = { ...changes, ...(await placesFor(changes)) };
+    const seats = changes.numberOfSeats === undefined ? post.numberOfSeats : changes.numberOfSeats;
+    if (changes.numberOfSeats !== undefined) filter.numberOfSeats = post.numberOfSeats;
+    if (changes.stops !== undefined) {
+        filter.joinrequests = { $size: 0 };
+        update.stops = await stopsFor(changes.stops);
+        update.segmentSeats = segmentSeatsFor(changes.stops, seats);
+    } else if (changes.numberOfSeats !== undefined && post.segmentSeats && post.segmentSeats.length) {
+        filter.segmentSeats = [...post.segmentSeats];
+        update.segmentSeats = post.segmentSeats.map((free) => free + seats - post.numberOfSeats);
+    }
+
+    const updated = await Driverpost.findOneAndUpdate(filter, { $set: update }, { new: true });
+    if (!updated) {
+        throw new ConflictError('The ride changed while you were editing it, please reload and try again', 'POST_CHANGED');
+    }
+    if (changes.numberOfSeats !== undefined || changes.stops !== undefined) publishSeats(updated);
+
+    const requests = await Joinrequest.find({ driverPostId: post._id, status: { $in: ['pending', 'accepted'] } });
+    const overflowing = requests.filter((r) => r.status === 'pending' && r.seatsneeded > seatsAvailable(updated, r));
+    if (overflowing.length) {
+        await Joinrequest.updateMany(
+            { _id: { $in: overflowing.map((r) => r._id) }, status: 'pending' },
+            { status: 'declined' }
+        );
+        overflowing.forEach((r) => publish('declined', r));
+    }
+    if (overflowing.length && notify) {
+        await emailPassengers(
+            overflowing,
+            'Ride Share Request Update',
+            `The driver of the ride from ${describeRide(updated)} reduced the available seats, so your request has been declined.`
+        );
+    }
+
+    if (notify) {
+        await emailPassengers(
+            requests.filter((r) => !overflowing.includes(r)),
+            'Ride Share Updated',
+            `The driver has updated a ride you requested to join.\n\n${describeChanges(updated)}`
+        );
+    }
+    await promoteWaitlist(updated._id);
+    await matchDriverPost(updated);
+    return updated;
+};
+
+// Marks the ride cancelled and closes every open join request on it, then tells the
+// passengers who were waiting on or confirmed for the ride. The post stays in the
+// driver's history. `notify` works as for updateDriverPost.
+const cancelDriverPost = async (post, { notify = true } = {}) => {
+    const cancelled = await Driverpost.findOneAndUpdate(
+        { _id: post._id, status: 'scheduled' },
+        { status: 'cancelled', cancelledAt: new Date() },
+        { new: true }
+    );
+    if (!cancelled) throw notScheduledError();
+
+    const requests = await Joinrequest.find({ driverPostId: post._id, status: { $in: ['pending', 'accepted', 'waitlisted'] } });
+    await Joinrequest.updateMany({ _id: { $in: requests.map((r) => r._id) } }, { status: 'cancelled' });
+    requests.forEach((r) => publish('cancelled', r));
+    // A ride created from an accepted offer hands the passenger's request back to the board.
+    const reopened = await Passengerpost.find({ driverPostId: post._id });
+    await Passengerpost.updateMany({ driverPostId: post._id }, { status: 'open', $unset: { driverPostId: 1 } });
+    await removeMatches({ driverPostId: post._id });
+    for (const request of reopened) {
+        request.status = 'open';
+        await matchPassengerPost(request);
+    }
+
+    if (notify) {
+        await emailPassengers(
+            requests,
+            'Ride Share Cancelled',
+            `The driver has cancelled the ride from ${describeRide(post)}. Please look for another ride.`
+        );
+    }
+    return cancelled;
+};
+
+module.exports = { describeRide, emailPassengers, updateDriverPost, cancelDriverPost };
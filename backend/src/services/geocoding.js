@@ -0,0 +1,94 @@
+const gazetteer = require('../data/gazetteer.json');
+
+// A geocoding provider is any object with `geocode(text)` resolving to `{ name, lat, lng }`,
+// or null when it does not know the place. The offline gazetteer below is the default;
+// swap in another (e.g. a web API) with setGeocodingProvider.
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const normalize = (text) => text.toLowerCase().replace(/[.']/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+// `entries` look like data/gazetteer.json: `{ name, aliases, lat, lng }`. Text matches an
+// entry if it is one of its names, or failing that, contains one as whole words
+// ("Royce Hall, UCLA" -> UCLA). The longest name wins, so "La Jolla" beats "LA".
+const createGazetteerProvider = (entries) => {
+    const names = entries
+        .flatMap((entry) => [entry.name, ...(entry.aliases || [])].map((alias) => ({ key: normalize(alias), entry })))
+        .filter(({ key }) => key)
+        .sort((a, b) => b.key.length - a.key.length);
+
+    return {
+        geocode: async (text) => {
+            const wanted = normalize(text || '');
+            if (!wanted) return null;
+            const match = names.find(({ key }) => key === wanted)
+                || names.find(({ key }) => ` ${wanted} `.includes(` ${key} `));
+            return match ? { name: match.entry.name, lat: match.entry.lat, lng: match.entry.lng } : null;
+        },
+    };
+};
+
+let provider = createGazetteerProvider(gazetteer);
+
+const setGeocodingProvider = (next) => {
+    provider = next;
+};
+
+// A provider failure must not stop anyone from posting a ride, so it counts as "not found".
+const geocode = async (text) => {
+    try {
+        return await provider.geocode(text);
+    } catch (error) {
+        console.error('Geocoding failed:', error);
+        return null;
+    }
+};
+
+// `[longitude, latitude]` of `text`, or null.
+const geocodePoint = async (text) => {
+    const result = await geocode(text);
+    return result && [result.lng, result.lat];
+};
+
+// Great-circle distance between two `[longitude, latitude]` points.
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+        + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const toPlace = (result) => result && {
+    name: result.name,
+    location: { type: 'Point', coordinates: [result.lng, result.lat] },
+};
+
+// Structured places for whichever of the post's location strings are in `fields`, ready to be
+// saved or `$set` alongside them. Places that cannot be geocoded come back as null, so editing
+// a location never leaves the old coordinates behind.
+const placesFor = async (fields) => {
+    const places = {};
+    if (fields.startingLocation !== undefined) places.startingPlace = toPlace(await geocode(fields.startingLocation));
+    if (fields.endingLocation !== undefined) places.endingPlace = toPlace(await geocode(fields.endingLocation));
+    return places;
+};
+
+// Driverpost.stops for the given locations, each with its place or null.
+const stopsFor = async (locations) => {
+    const stops = [];
+    for (const location of locations) {
+        stops.push({ location, place: toPlace(await geocode(location)) });
+    }
+    return stops;
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    createGazetteerProvider,
+    setGeocodingProvider,
+    geocode,
+    geocodePoint,
+    distanceKm,
+    placesFor,
+    stopsFor,
+};
@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { verifyGoogleToken, ensureRole, formatUserProfile } = require('./authHelpers');
+const { createSession } = require('./sessionHelpers');
+const getGoogleConfig = require('../config/google');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const User = require('../models/user_model');
+
+// Trades the authorization code from the frontend for a verified ID token payload.
+// A rejected code or ID token is reported as GOOGLE_AUTH_FAILED.
+const exchangeGoogleCode = async (code) => {
+    const { clientId, clientSecret, redirectUri, tokenEndpoint } = getGoogleConfig();
+    const params = new URLSearchParams({
+        code,
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uri: redirectUri,
+        grant_type: 'authorization_code',
+    });
+
+    try {
+        const tokenResponse = await axios.post(tokenEndpoint, params.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+        });
+
+        const { id_token } = tokenResponse.data;
+        return await verifyGoogleToken(id_token);
+    } catch (error) {
+        console.error('Google code exchange failed:', error.response ? error.response.data : error.message);
+        throw new BadRequestError('Google sign-in failed. Please try again', 'GOOGLE_AUTH_FAILED');
+    }
+};
+
+// Looks the Google identity up by its subject first, then by email.
+// `linked` is false for a password account that has not been connected to Google yet.
+const findGoogleAccount = async (payload) => {
+    let user = await User.findOne({ googleId: payload['sub'] });
+    if (user) return { user, linked: true };
+
+    user = await User.findOne({ email: payload['email'] });
+    if (!user) return { user: null, linked: false };
+
+    // Accounts created through Google before googleId was stored have no password.
+    if (!user.password && !user.googleId) {
+        user.googleId = payload['sub'];
+        return { user, linked: true };
+    }
+    return { user, linked: false };
+};
+
+const notLinkedError = () => new ConflictError(
+    'An account with this email already exists. Log in with your password and link Google from your profile.',
+    'GOOGLE_NOT_LINKED'
+);
+
+// Finishes a Google login for an account that is linked: grants the role, opens a session
+// and tells the client whether the phone number still has to be collected.
+const respondWithGoogleSession = async (req, res, user, payload, accountType, message) => {
+    if (!user.emailVerified && payload['email_verified']) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    if (user.isModified()) {
+        await user.save();
+    }
+    await ensureRole(user, accountType);
+
+    const { token, refreshToken } = await createSession(user, req);
+    return res.status(200).json({
+        message,
+        token,
+        refreshToken,
+        needsPhoneNumber: !user.phonenumber,
+        user: formatUserProfile(user),
+    });
+};
+
+module.exports = {
+    exchangeGoogleCode,
+    findGoogleAccount,
+    notLinkedError,
+    respondWithGoogleSession
+};
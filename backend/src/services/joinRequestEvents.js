@@ -0,0 +1,23 @@
+const { EventEmitter } = require('events');
+
+// Join request state changes, published where they happen as `{ type, request }`:
+//   requested, waitlisted, accepted, declined, withdrawn (by the passenger), promoted (off the
+//   waitlist), confirmed (a promoted seat), cancelled (with the ride) and expired.
+// `request` is the join request as it was saved; for withdrawn it is the deleted request,
+// so its status is the one it had before. The free seats those changes leave on a ride are
+// published as 'seats'.
+const joinRequestEvents = new EventEmitter();
+
+const publish = (type, request) => {
+    joinRequestEvents.emit('change', { type, request });
+};
+
+const publishSeats = (post) => {
+    joinRequestEvents.emit('seats', {
+        driverPostId: post._id,
+        numberOfSeats: post.numberOfSeats,
+        segmentSeats: post.segmentSeats || [],
+    });
+};
+
+module.exports = { joinRequestEvents, publish, publishSeats };
@@ -0,0 +1,122 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+const { isExpectedError, eachSkipping } = require('../utils/serviceHelpers');
+const { assertConfirmed, acceptJoinRequest, declineJoinRequest } = require('./seatHelpers');
+const { promoteWaitlist } = require('./waitlistHelpers');
+
+// The driver can answer with a short note; it goes at the end of the passenger's email.
+const withReply = (text, reply) => (reply ? `${text}\n\nMessage from the driver: ${reply}` : text);
+
+const emailAnswer = async (request, post, accept, reply) => {
+    const passenger = await User.findById(request.passengerId);
+    if (!passenger) {
+        console.log('Passenger not found');
+        return;
+    }
+    const text = `Your ride share request for the post starting at ${post.startingLocation} has been ${accept ? 'accepted' : 'declined'}.`;
+    await sendEmail(passenger.email, 'Ride Share Request Update', withReply(text, reply));
+};
+
+// Accepts or declines one join request and emails the passenger. Declined seats go to the
+// ride's waitlist. Resolves to the updated request.
+const answerJoinRequest = async (request, accept, reply) => {
+    if (accept) assertConfirmed(request);
+    let answered;
+    let post;
+    if (accept) {
+        ({ request: answered, post } = await acceptJoinRequest(request._id));
+    } else {
+        answered = await declineJoinRequest(request._id);
+        await promoteWaitlist(answered.driverPostId);
+        post = await Driverpost.findById(answered.driverPostId);
+    }
+    if (post) await emailAnswer(answered, post, accept, reply);
+    return answered;
+};
+
+// Answers several of `driverId`'s requests the same way. Requests that are missing, belong to
+// another driver or can no longer be answered are reported in `skipped` like series answers are.
+const answerJoinRequests = async (driverId, requestIds, accept, reply) => {
+    const requests = await Joinrequest.find({ _id: { $in: requestIds } }).populate('driverPostId', 'driverId');
+    const byId = new Map(requests.map((request) => [String(request._id), request]));
+    const { done, skipped } = await eachSkipping(requestIds, (id) => {
+        const request = byId.get(String(id));
+        if (!request || !request.driverPostId) {
+            throw new NotFoundError('Join request not found');
+        }
+        if (String(request.driverPostId.driverId) !== String(driverId)) {
+            throw new ForbiddenError('You do not have permission to modify this resource', 'NOT_OWNER');
+        }
+        return answerJoinRequest(request, accept, reply);
+    }, (id) => id);
+    return { requests: done, skipped };
+};
+
+const isSet = (value) => value !== undefined && value !== null;
+const hasSeatCap = (rules) => isSet(rules.seats);
+
+// Passengers nobody has rated yet are not above any threshold.
+const meetsRatingRule = async (rules, passengerId) => {
+    if (!isSet(rules.ratingAbove)) return true;
+    const passenger = await User.findById(passengerId, 'rating');
+    const rating = passenger && passenger.rating;
+    return Boolean(rating && rating.count && rating.average > rules.ratingAbove);
+};
+
+// Accepts a new request straight away when the post's auto-accept rules let it in, with the same
+// seat accounting and email as the driver accepting it. Seats under the cap are reserved first so
+// racing requests cannot go over it. Resolves to the accepted request, or null when the request
+// has to wait for the driver after all.
+const autoAcceptJoinRequest = async (post, request) => {
+    const rules = post.autoAccept || {};
+    if (!rules.enabled) return null;
+    if (!(await meetsRatingRule(rules, request.passengerId))) return null;
+
+    if (hasSeatCap(rules)) {
+        const reserved = await Driverpost.updateOne(
+            { _id: post._id, 'autoAccept.acceptedSeats': { $lte: rules.seats - request.seatsneeded } },
+            { $inc: { 'autoAccept.acceptedSeats': request.seatsneeded } }
+        );
+        if (!reserved.modifiedCount) return null;
+    }
+    try {
+        return await answerJoinRequest(request, true);
+    } catch (error) {
+        if (hasSeatCap(rules)) {
+            await Driverpost.updateOne({ _id: post._id }, { $inc: { 'autoAccept.acceptedSeats': -request.seatsneeded } });
+        }
+        if (!isExpectedError(error)) throw error;
+        return null;
+    }
+};
+
+// Replaces the post's rules. Seats already accepted automatically still count against a new cap.
+const setAutoAcceptRules = (post, rules) => {
+    const set = { 'autoAccept.enabled': rules.enabled };
+    const unset = {};
+    ['seats', 'ratingAbove'].forEach((rule) => {
+        if (isSet(rules[rule])) {
+            set[`autoAccept.${rule}`] = rules[rule];
+        } else {
+            unset[`autoAccept.${rule}`] = 1;
+        }
+    });
+    const update = {
+        $set: set,
+        ...(Object.keys(unset).length && { $unset: unset }),
+        // Posts from before auto-accept existed have no counter yet.
+        $max: { 'autoAccept.acceptedSeats': 0 },
+    };
+    return Driverpost.findByIdAndUpdate(post._id, update, { new: true });
+};
+
+module.exports = {
+    withReply,
+    answerJoinRequest,
+    answerJoinRequests,
+    autoAcceptJoinRequest,
+    setAutoAcceptRules,
+};
@@ -0,0 +1,80 @@
+const Driverpost = require('../models/driverpost_model');
+const { joinRequestEvents } = require('./joinRequestEvents');
+const { isSessionActive } = require('./sessionHelpers');
+
+// Proxies drop connections that stay silent for too long.
+const HEARTBEAT_MS = 25 * 1000;
+
+// Open Server-Sent Events streams by user id; one per open tab.
+const streams = new Map();
+
+const write = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendTo = (userId, event, data) => {
+    (streams.get(String(userId)) || []).forEach((res) => write(res, event, data));
+};
+
+const pushToUsers = (userIds, event, data) => {
+    new Set(userIds.map(String)).forEach((userId) => sendTo(userId, event, data));
+};
+
+const broadcast = (event, data) => {
+    streams.forEach((open) => open.forEach((res) => write(res, event, data)));
+};
+
+// Keeps `res` open as an event stream for the signed-in `user` until the client disconnects,
+// or until their session ends: the session is checked again on every heartbeat, so a logout or
+// password reset also cuts off streams that are already open.
+const openStream = (user, req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const key = String(user.userId);
+    if (!streams.has(key)) streams.set(key, new Set());
+    streams.get(key).add(res);
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (await isSessionActive(user.sessionId)) {
+                res.write(': ping\n\n');
+                return;
+            }
+        } catch (error) {
+            console.error('Checking the live update session failed:', error);
+        }
+        close();
+        res.end();
+    }, HEARTBEAT_MS);
+    const close = () => {
+        clearInterval(heartbeat);
+        const open = streams.get(key);
+        if (!open || !open.delete(res)) return;
+        if (!open.size) streams.delete(key);
+    };
+    req.on('close', close);
+};
+
+// A join request change goes to its passenger and to the ride's driver.
+const pushJoinRequestChange = async ({ type, request }) => {
+    const update = { type, requestId: request._id, driverPostId: request.driverPostId, status: request.status };
+    sendTo(request.passengerId, 'joinRequest', update);
+    const post = await Driverpost.findById(request.driverPostId, 'driverId');
+    if (post) sendTo(post.driverId, 'joinRequest', update);
+};
+
+// Seat counts are public, like the search results they appear in, so every open page hears about them.
+const subscribeLiveUpdates = () => {
+    joinRequestEvents.on('change', (event) => {
+        pushJoinRequestChange(event).catch((error) => console.error('Pushing live update failed:', error));
+    });
+    joinRequestEvents.on('seats', (seats) => broadcast('seats', seats));
+};
+
+module.exports = { openStream, pushToUsers, subscribeLiveUpdates };
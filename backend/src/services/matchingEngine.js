@@ -0,0 +1,166 @@
+const Driverpost = require('../models/driverpost_model');
+const Passengerpost = require('../models/passengerpost_model');
+const Match = require('../models/match_model');
+const { distanceKm } = require('./geocoding');
+const { HOUR, logFailure } = require('../utils/serviceHelpers');
+
+// Rides leaving further apart than this never match.
+const MATCH_TIME_WINDOW_HOURS = Number(process.env.MATCH_TIME_WINDOW_HOURS) || 3;
+// Geocoded ends further apart than this never match.
+const MATCH_RADIUS_KM = Number(process.env.MATCH_RADIUS_KM) || 15;
+const WEIGHTS = { route: 0.5, time: 0.35, seats: 0.15 };
+const SUGGESTION_LIMIT = 20;
+
+const sameText = (a, b) => {
+    const [x, y] = [a, b].map((text) => (text || '').trim().toLowerCase());
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    return x.includes(y) || y.includes(x) ? 0.5 : 0;
+};
+
+// 0-1 for one end of the route: by distance when both posts were geocoded, else by name.
+const endScore = (text, place, otherText, otherPlace) => {
+    if (place && otherPlace) {
+        const km = distanceKm(place.location.coordinates, otherPlace.location.coordinates);
+        return km > MATCH_RADIUS_KM ? 0 : 1 - km / MATCH_RADIUS_KM;
+    }
+    return sameText(text, otherText);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Scores a pair on route similarity, how close the start times are and how well the group
+// fills the car. Returns null when the pair cannot work at all.
+const scorePair = (passengerPost, driverPost) => {
+    if (driverPost.numberOfSeats < passengerPost.numberOfPeople) return null;
+
+    const hoursApart = Math.abs(new Date(passengerPost.startTime) - new Date(driverPost.startTime)) / HOUR;
+    const time = 1 - hoursApart / MATCH_TIME_WINDOW_HOURS;
+    if (time < 0) return null;
+
+    const start = endScore(passengerPost.startingLocation, passengerPost.startingPlace, driverPost.startingLocation, driverPost.startingPlace);
+    const end = endScore(passengerPost.endingLocation, passengerPost.endingPlace, driverPost.endingLocation, driverPost.endingPlace);
+    if (!start || !end) return null;
+
+    const breakdown = {
+        route: round((start + end) / 2),
+        time: round(time),
+        seats: round(passengerPost.numberOfPeople / driverPost.numberOfSeats),
+    };
+    const score = round(Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * breakdown[key], 0));
+    return { score, breakdown };
+};
+
+const timeWindow = (startTime) => ({
+    $gte: new Date(new Date(startTime) - MATCH_TIME_WINDOW_HOURS * HOUR),
+    $lte: new Date(new Date(startTime).getTime() + MATCH_TIME_WINDOW_HOURS * HOUR),
+});
+
+const isOpen = (passengerPost, now = new Date()) =>
+    passengerPost.status !== 'matched' && new Date(passengerPost.startTime) > now;
+
+const isBookable = (driverPost, now = new Date()) =>
+    driverPost.status === 'scheduled' && new Date(driverPost.startTime) > now;
+
+const toMatch = (passengerPost, driverPost) => {
+    const scored = scorePair(passengerPost, driverPost);
+    return scored && {
+        passengerPostId: passengerPost._id,
+        driverPostId: driverPost._id,
+        passengerId: passengerPost.passengerId,
+        driverId: driverPost.driverId,
+        ...scored,
+        matchedAt: new Date(),
+        expiresAt: new Date(Math.min(new Date(passengerPost.startTime), new Date(driverPost.startTime))),
+    };
+};
+
+// Makes the stored matches for one post exactly `matches`: stale pairs are removed, the rest upserted.
+const replaceMatches = async (key, postId, matches) => {
+    const otherKey = key === 'passengerPostId' ? 'driverPostId' : 'passengerPostId';
+    await Match.deleteMany({ [key]: postId, [otherKey]: { $nin: matches.map((m) => m[otherKey]) } });
+    if (!matches.length) return;
+    await Match.bulkWrite(matches.map((match) => ({
+        updateOne: {
+            filter: { passengerPostId: match.passengerPostId, driverPostId: match.driverPostId },
+            update: { $set: match },
+            upsert: true,
+        },
+    })));
+};
+
+// Re-runs matching for a passenger post that was just created or edited.
+const matchPassengerPost = logFailure('Matching', async (post) => {
+    let matches = [];
+    if (isOpen(post)) {
+        const rides = await Driverpost.find({
+            $and: [
+                Driverpost.bookableFilter(),
+                {
+                    startTime: timeWindow(post.startTime),
+                    numberOfSeats: { $gte: post.numberOfPeople },
+                    driverId: { $ne: post.passengerId },
+                    passengers: { $ne: post.passengerId },
+                },
+            ],
+        });
+        matches = rides.map((ride) => toMatch(post, ride)).filter(Boolean);
+    }
+    await replaceMatches('passengerPostId', post._id, matches);
+    return matches;
+});
+
+// Re-runs matching for a driver post that was just created or edited.
+const matchDriverPost = logFailure('Matching', async (post) => {
+    let matches = [];
+    if (isBookable(post)) {
+        const requests = await Passengerpost.find({
+            status: { $ne: 'matched' },
+            startTime: { ...timeWindow(post.startTime), $gt: new Date() },
+            numberOfPeople: { $lte: post.numberOfSeats },
+            passengerId: { $nin: [post.driverId, ...(post.passengers || [])] },
+        });
+        matches = requests.map((request) => toMatch(request, post)).filter(Boolean);
+    }
+    await replaceMatches('driverPostId', post._id, matches);
+    return matches;
+});
+
+// `filter` is `{ passengerPostId }` or `{ driverPostId }`.
+const removeMatches = (filter) => Match.deleteMany(filter);
+
+// Stored matches can go stale between runs (seats taken, ride cancelled, request matched),
+// so suggestions are re-checked before they are shown.
+const suggestions = async (owner) => {
+    const matches = await Match.find(owner)
+        .sort({ score: -1 })
+        .limit(SUGGESTION_LIMIT * 2)
+        .populate('passengerPostId')
+        .populate('driverPostId');
+
+    return matches
+        .filter(({ passengerPostId: request, driverPostId: ride }) => request && ride
+            && isOpen(request) && isBookable(ride) && ride.numberOfSeats >= request.numberOfPeople)
+        .slice(0, SUGGESTION_LIMIT)
+        .map((match) => ({
+            score: match.score,
+            breakdown: match.breakdown,
+            passengerPost: match.passengerPostId,
+            driverPost: match.driverPostId,
+        }));
+};
+
+// Best rides for the passenger's open posts.
+const suggestedRides = (passengerId) => suggestions({ passengerId });
+
+// Best passenger posts for the driver's upcoming rides.
+const suggestedPassengers = (driverId) => suggestions({ driverId });
+
+module.exports = {
+    scorePair,
+    matchPassengerPost,
+    matchDriverPost,
+    removeMatches,
+    suggestedRides,
+    suggestedPassengers,
+};
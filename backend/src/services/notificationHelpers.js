@@ -0,0 +1,45 @@
+const Driverpost = require('../models/driverpost_model');
+const Notification = require('../models/notification_model');
+const { describeRide } = require('./driverpostHelpers');
+const { joinRequestEvents } = require('./joinRequestEvents');
+
+// Who hears about each join request event, and what they are told. Events missing here
+// (a passenger joining or leaving a waitlist) only concern the passenger who caused them.
+const NOTICES = {
+    requested: { audience: 'driver', text: (ride) => `A passenger asked to join your ride from ${ride}.` },
+    withdrawn: { audience: 'driver', text: (ride) => `A passenger cancelled their request to join your ride from ${ride}.` },
+    confirmed: { audience: 'driver', text: (ride) => `A passenger from the waitlist confirmed they want to join your ride from ${ride}.` },
+    accepted: { audience: 'passenger', text: (ride) => `The driver accepted your request to join the ride from ${ride}.` },
+    declined: { audience: 'passenger', text: (ride) => `The driver declined your request to join the ride from ${ride}.` },
+    promoted: { audience: 'passenger', text: (ride) => `A seat opened up on the ride from ${ride}. Confirm it before it goes to the next passenger.` },
+    cancelled: { audience: 'passenger', text: (ride) => `The driver cancelled the ride from ${ride}.` },
+    expired: { audience: 'passenger', text: (ride) => `Your request to join the ride from ${ride} has expired.` },
+};
+
+// Saves the notification for one event, resolving to it, or to null when nobody needs one.
+const notifyJoinRequestChange = async ({ type, request }) => {
+    const notice = NOTICES[type];
+    // The driver was never told about a waitlisted request, so is not told when it goes.
+    if (!notice || (type === 'withdrawn' && request.status === 'waitlisted')) return null;
+
+    const post = await Driverpost.findById(request.driverPostId, 'driverId startingLocation endingLocation stops');
+    if (!post) return null;
+    return Notification.create({
+        userId: notice.audience === 'driver' ? post.driverId : request.passengerId,
+        audience: notice.audience,
+        type,
+        message: notice.text(describeRide(post)),
+        driverPostId: post._id,
+        joinRequestId: request._id,
+    });
+};
+
+// Stores a notification for every join request event from now on. A notification that
+// cannot be saved is logged; the change that caused it has already happened.
+const subscribeNotifications = () => {
+    joinRequestEvents.on('change', (event) => {
+        notifyJoinRequestChange(event).catch((error) => console.error('Saving notification failed:', error));
+    });
+};
+
+module.exports = { notifyJoinRequestChange, subscribeNotifications };
@@ -0,0 +1,204 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Offer = require('../models/offer_model');
+const Passengerpost = require('../models/passengerpost_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+const { matchDriverPost, removeMatches } = require('./matchingEngine');
+const { describeRide } = require('./driverpostHelpers');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+const postMatchedError = () =>
+    new ConflictError('This ride request has already been matched with a driver', 'POST_MATCHED');
+
+const offerNotPendingError = () =>
+    new ConflictError('Offer is not pending or has already been processed', 'OFFER_NOT_PENDING');
+
+const emailDrivers = async (driverIds, subject, text) => {
+    if (!driverIds.length) return;
+    const drivers = await User.find({ _id: { $in: driverIds } }, 'email');
+    await Promise.all(drivers.map((driver) => sendEmail(driver.email, subject, text)));
+};
+
+const sendOffer = async (post, driverId, details) => {
+    if (String(post.passengerId) === String(driverId)) {
+        throw new BadRequestError('You cannot offer a ride on your own request', 'OWN_POST');
+    }
+    if (post.status === 'matched') throw postMatchedError();
+    if (details.numberOfSeats < post.numberOfPeople) {
+        throw new BadRequestError('Not enough seats for this group', 'NOT_ENOUGH_SEATS');
+    }
+
+    let offer;
+    try {
+        offer = await new Offer({ ...details, driverId, passengerPostId: post._id }).save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('You have already offered a ride for this request', 'ALREADY_OFFERED');
+        }
+        throw error;
+    }
+
+    await Passengerpost.findByIdAndUpdate(post._id, { $push: { offers: offer._id } });
+    await User.findByIdAndUpdate(driverId, { $push: { sentOffers: offer._id } });
+
+    const passenger = await User.findById(post.passengerId);
+    if (passenger) {
+        await sendEmail(
+            passenger.email,
+            'New Ride Offer',
+            `A driver has offered you a ride from ${describeRide(post)}. Please check your profile to accept or decline it.`
+        );
+    }
+    return offer;
+};
+
+const offerTooSmallError = () =>
+    new ConflictError('This offer no longer has enough seats for your group', 'NOT_ENOUGH_SEATS');
+
+// Turns the offer into a Driverpost with the passenger already seated, backed by an
+// accepted join request so the ride shows up everywhere a joined ride does. The post is
+// claimed first, so two offers accepted at once cannot both create a ride, and only while
+// the group still fits the car: the passenger may have edited the post since the offer.
+const acceptOffer = async (offer, post) => {
+    const claimed = await Passengerpost.findOneAndUpdate(
+        { _id: post._id, status: 'open', numberOfPeople: { $lte: offer.numberOfSeats } },
+        { status: 'matched' },
+        { new: true }
+    );
+    if (!claimed) {
+        const current = await Passengerpost.findById(post._id, 'status');
+        throw current && current.status === 'open' ? offerTooSmallError() : postMatchedError();
+    }
+
+    const accepted = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: 'pending' },
+        { status: 'accepted' },
+        { new: true }
+    );
+    if (!accepted) {
+        await Passengerpost.updateOne({ _id: post._id }, { status: 'open' });
+        throw offerNotPendingError();
+    }
+
+    const driver = await User.findById(accepted.driverId);
+    let driverPost;
+    let request;
+    try {
+        driverPost = await new Driverpost({
+            driverId: accepted.driverId,
+            startingLocation: claimed.startingLocation,
+            endingLocation: claimed.endingLocation,
+            startingPlace: claimed.startingPlace,
+            endingPlace: claimed.endingPlace,
+            startTime: claimed.startTime,
+            licensenumber: accepted.licensenumber,
+            model: accepted.model,
+            numberOfSeats: accepted.numberOfSeats - claimed.numberOfPeople,
+            phonenumber: driver && driver.phonenumber,
+            email: driver && driver.email,
+            additionalNotes: accepted.message,
+            passengers: [claimed.passengerId],
+        }).save();
+
+        request = await new Joinrequest({
+            driverPostId: driverPost._id,
+            passengerId: claimed.passengerId,
+            seatsneeded: claimed.numberOfPeople,
+            message: claimed.additionalNotes,
+            status: 'accepted',
+        }).save();
+    } catch (error) {
+        // Put both back so the passenger can try again instead of being left matched without a ride.
+        if (driverPost) await Driverpost.deleteOne({ _id: driverPost._id });
+        await Offer.updateOne({ _id: accepted._id }, { status: 'pending' });
+        await Passengerpost.updateOne({ _id: post._id }, { status: 'open' });
+        throw error;
+    }
+
+    await Driverpost.findByIdAndUpdate(driverPost._id, { $push: { joinrequests: request._id } });
+    await User.findByIdAndUpdate(accepted.driverId, { $push: { driverposts: driverPost._id, joinrequests: request._id } });
+    await User.findByIdAndUpdate(claimed.passengerId, { $push: { sentJoinrequests: request._id } });
+    await Offer.findByIdAndUpdate(accepted._id, { driverPostId: driverPost._id });
+    await Passengerpost.findByIdAndUpdate(post._id, { driverPostId: driverPost._id });
+
+    await removeMatches({ passengerPostId: post._id });
+    await matchDriverPost(driverPost);
+
+    const others = await Offer.find({ passengerPostId: post._id, status: 'pending' });
+    await Offer.updateMany({ _id: { $in: others.map((o) => o._id) } }, { status: 'declined' });
+
+    if (driver) {
+        await sendEmail(
+            driver.email,
+            'Ride Offer Accepted',
+            `Your offer for the ride from ${describeRide(claimed)} was accepted. It is now listed under your posts.`
+        );
+    }
+    await emailDrivers(
+        others.map((o) => o.driverId),
+        'Ride Offer Update',
+        `The passenger looking for a ride from ${describeRide(claimed)} has chosen another driver.`
+    );
+    return driverPost;
+};
+
+const declineOffer = async (offer, post) => {
+    const declined = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: 'pending' },
+        { status: 'declined' },
+        { new: true }
+    );
+    if (!declined) throw offerNotPendingError();
+
+    await emailDrivers(
+        [declined.driverId],
+        'Ride Offer Update',
+        `Your offer for the ride from ${describeRide(post)} was declined.`
+    );
+    return declined;
+};
+
+// Drivers with an open offer hear about edits to the request they answered. Offers whose car
+// is now too small for the group are declined rather than left for the passenger to accept.
+const notifyOfferingDrivers = async (post) => {
+    const offers = await Offer.find({ passengerPostId: post._id, status: 'pending' });
+    const tooSmall = offers.filter((o) => o.numberOfSeats < post.numberOfPeople);
+    if (tooSmall.length) {
+        await Offer.updateMany({ _id: { $in: tooSmall.map((o) => o._id) }, status: 'pending' }, { status: 'declined' });
+        await emailDrivers(
+            tooSmall.map((o) => o.driverId),
+            'Ride Offer Update',
+            `A passenger you offered a ride to now needs seats for ${post.numberOfPeople} people, more than your offer has. Your offer for the ride from ${describeRide(post)} was declined.`
+        );
+    }
+    await emailDrivers(
+        offers.filter((o) => !tooSmall.includes(o)).map((o) => o.driverId),
+        'Ride Request Updated',
+        `A passenger you offered a ride to has updated their request. It is now from ${describeRide(post)} on ${new Date(post.startTime).toLocaleString()} for ${post.numberOfPeople} people.`
+    );
+};
+
+// Used when a passenger deletes their post; accepted offers keep their ride.
+const removeOffersFor = async (post) => {
+    const offers = await Offer.find({ passengerPostId: post._id });
+    const offerIds = offers.map((o) => o._id);
+    await Offer.deleteMany({ _id: { $in: offerIds } });
+    await User.updateMany(
+        { _id: { $in: offers.map((o) => o.driverId) } },
+        { $pull: { sentOffers: { $in: offerIds } } }
+    );
+    await emailDrivers(
+        offers.filter((o) => o.status === 'pending').map((o) => o.driverId),
+        'Ride Request Removed',
+        `The passenger looking for a ride from ${describeRide(post)} has removed their request.`
+    );
+};
+
+module.exports = {
+    sendOffer,
+    acceptOffer,
+    declineOffer,
+    notifyOfferingDrivers,
+    removeOffersFor
+};
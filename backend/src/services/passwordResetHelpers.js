@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { hashToken } = require('./authHelpers');
+const { revokeAllSessions } = require('./sessionHelpers');
+const sendEmail = require('../utils/emailService');
+const User = require('../models/user_model');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Issuing a new token replaces any earlier one, so only the latest email works.
+const sendPasswordResetEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordReset = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    };
+    await user.save();
+
+    const link = `${FRONTEND_URL}/reset-password/${token}`;
+    const subject = 'Reset your Swift Link password';
+    const text = `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, open the link below within ${RESET_TOKEN_TTL_MINUTES} minutes. Otherwise you can ignore this email.\n\n${link}`;
+    await sendEmail(user.email, subject, text);
+};
+
+// Returns false if the token is unknown, expired or already used. The token is claimed and
+// cleared in one update, so concurrent submissions of the same link cannot both succeed.
+const resetPassword = async (token, newPassword) => {
+    const user = await User.findOneAndUpdate(
+        {
+            'passwordReset.tokenHash': hashToken(token || ''),
+            'passwordReset.expiresAt': { $gt: new Date() },
+        },
+        { $unset: { passwordReset: 1 } }
+    );
+    if (!user) return false;
+
+    const update = { password: await bcrypt.hash(newPassword, 10) };
+    // Following the emailed link proves ownership of the address.
+    if (!user.emailVerified) {
+        update.emailVerified = true;
+        update.emailVerifiedAt = new Date();
+    }
+    await User.updateOne({ _id: user._id }, { $set: update });
+    await revokeAllSessions(user._id);
+    return true;
+};
+
+module.exports = {
+    sendPasswordResetEmail,
+    resetPassword
+};
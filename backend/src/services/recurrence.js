@@ -0,0 +1,68 @@
+// Calendar maths for recurring rides. Dates are 'YYYY-MM-DD' and times 'HH:mm', both read
+// in an IANA time zone; only the final instants are UTC.
+
+const DAY = 24 * 60 * 60 * 1000;
+// The longest series that can be created in one go.
+const MAX_SERIES_DAYS = 183;
+
+const parseDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const isValidDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) && formatDate(parseDate(date)) === date;
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY);
+
+// How far ahead of UTC the zone's wall clock is at `timestamp`, in ms.
+const zoneOffset = (timestamp, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+};
+
+// The instant the wall clock in `timeZone` shows `date` `time`.
+const zonedTime = (date, time, timeZone) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = parseDate(date) + (hours * 60 + minutes) * 60 * 1000;
+    // The second pass picks up a daylight saving change between the guess and the answer.
+    const guess = wallClock - zoneOffset(wallClock, timeZone);
+    return new Date(wallClock - zoneOffset(guess, timeZone));
+};
+
+// Every date from `startDate` to `endDate` (inclusive) that falls on one of `daysOfWeek` (0 = Sunday).
+const occurrenceDates = ({ startDate, endDate, daysOfWeek }) => {
+    const dates = [];
+    for (let day = parseDate(startDate); day <= parseDate(endDate); day += DAY) {
+        if (daysOfWeek.includes(new Date(day).getUTCDay())) dates.push(formatDate(day));
+    }
+    return dates;
+};
+
+module.exports = {
+    MAX_SERIES_DAYS,
+    isValidDate,
+    isValidTimeZone,
+    daysBetween,
+    zonedTime,
+    occurrenceDates,
+};
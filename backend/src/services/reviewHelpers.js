@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Review = require('../models/review_model');
+const User = require('../models/user_model');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// The people on a ride are its driver and the passengers whose requests were accepted.
+// Resolves to { post, passengerIds, isDriver }; throws unless `userId` is one of them.
+const openRide = async (postId, userId) => {
+    const post = await Driverpost.findById(postId, 'driverId startTime status');
+    if (!post) {
+        throw new NotFoundError('Driver post not found', 'POST_NOT_FOUND');
+    }
+    const requests = await Joinrequest.find({ driverPostId: postId, status: 'accepted' }, 'passengerId');
+    const passengerIds = requests.map((request) => request.passengerId);
+    const isDriver = String(post.driverId) === String(userId);
+    if (!isDriver && !passengerIds.some((id) => String(id) === String(userId))) {
+        throw new ForbiddenError('Only the driver and accepted passengers can review this ride', 'NOT_ON_RIDE');
+    }
+    return { post, passengerIds, isDriver };
+};
+
+// Drivers review their passengers, passengers their driver.
+const revieweeIds = ({ post, passengerIds, isDriver }) => (isDriver ? passengerIds : [post.driverId]);
+
+const reviewsOpen = (post, now = new Date()) => post.status !== 'cancelled' && post.startTime <= now;
+
+// Everyone the caller can review for the ride, with the review they left, if any.
+const listReviewees = async (ride, userId) => {
+    const ids = revieweeIds(ride);
+    const [users, reviews] = await Promise.all([
+        User.find({ _id: { $in: ids } }, 'name rating'),
+        Review.find({ driverPostId: ride.post._id, reviewerId: userId }),
+    ]);
+    return users.map((user) => ({
+        userId: user._id,
+        name: user.name,
+        role: ride.isDriver ? 'passenger' : 'driver',
+        rating: user.rating,
+        review: reviews.find((review) => String(review.revieweeId) === String(user._id)) || null,
+    }));
+};
+
+// Recomputed from every review rather than incremented, so racing reviews cannot leave it off.
+const syncRating = async (userId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { revieweeId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+    const rating = summary ? { average: summary.average, count: summary.count } : { count: 0 };
+    await User.updateOne({ _id: userId }, { rating });
+    return rating;
+};
+
+const reviewRide = async (ride, reviewerId, { revieweeId, rating, comment }) => {
+    if (!reviewsOpen(ride.post)) {
+        throw new ConflictError('Rides can be reviewed once they have started', 'RIDE_NOT_STARTED');
+    }
+    if (!revieweeIds(ride).some((id) => String(id) === String(revieweeId))) {
+        throw ValidationError.forField('revieweeId', ride.isDriver
+            ? 'revieweeId must be an accepted passenger of this ride'
+            : 'revieweeId must be the driver of this ride');
+    }
+
+    let review;
+    try {
+        review = await Review.create({
+            driverPostId: ride.post._id,
+            reviewerId,
+            revieweeId,
+            role: ride.isDriver ? 'passenger' : 'driver',
+            rating,
+            comment,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('You have already reviewed them for this ride', 'ALREADY_REVIEWED');
+        }
+        throw error;
+    }
+    await syncRating(revieweeId);
+    return review;
+};
+
+// A page of the reviews `userId` received, newest first; pass `nextCursor` back as `before`.
+const listReviews = async (userId, { before, limit }) => {
+    const reviews = await Review.find({ revieweeId: userId, ...(before && { _id: { $lt: before } }) })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('reviewerId', 'name');
+    const more = reviews.length > limit;
+    const page = more ? reviews.slice(0, limit) : reviews;
+    return { reviews: page, nextCursor: more ? page[page.length - 1]._id : null };
+};
+
+module.exports = {
+    openRide,
+    reviewsOpen,
+    listReviewees,
+    syncRating,
+    reviewRide,
+    listReviews,
+};
@@ -0,0 +1,72 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const { promoteWaitlist } = require('./waitlistHelpers');
+const { publish } = require('./joinRequestEvents');
+const { HOUR } = require('../utils/serviceHelpers');
+
+// A ride counts as finished this long after it left; posts carry no arrival time.
+const RIDE_COMPLETE_AFTER_HOURS = Number(process.env.RIDE_COMPLETE_AFTER_HOURS) || 12;
+// Pending join requests the driver never answered expire after this long, counted from when
+// they were sent or came off the waitlist.
+const JOIN_REQUEST_EXPIRY_HOURS = Number(process.env.JOIN_REQUEST_EXPIRY_HOURS) || 48;
+const SCHEDULER_INTERVAL_MS = Number(process.env.RIDE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+// One pass of the lifecycle. Every step is a conditional update, so running it
+// twice, or on two servers at once, is harmless.
+const advanceRides = async (now = new Date()) => {
+    // posts created before rides had a status
+    await Driverpost.updateMany({ status: { $exists: false } }, { status: 'scheduled' });
+
+    const leaving = await Driverpost.distinct('_id', { status: 'scheduled', startTime: { $lte: now } });
+    const started = await Driverpost.updateMany(
+        { _id: { $in: leaving }, status: 'scheduled' },
+        { status: 'in_progress', startedAt: now }
+    );
+    const completed = await Driverpost.updateMany(
+        { status: 'in_progress', startTime: { $lte: new Date(now - RIDE_COMPLETE_AFTER_HOURS * HOUR) } },
+        { status: 'completed', completedAt: now }
+    );
+
+    // Nobody can act on a request once its ride has left. Passengers promoted off the
+    // waitlist who did not confirm in time lose the seat.
+    const stale = new Date(now - JOIN_REQUEST_EXPIRY_HOURS * HOUR);
+    const expiring = {
+        $or: [
+            { status: { $in: ['pending', 'waitlisted'] }, driverPostId: { $in: leaving } },
+            { status: 'pending', requestedAt: { $lte: stale }, promotedAt: { $exists: false } },
+            { status: 'pending', promotedAt: { $lte: stale } },
+            { status: 'pending', confirmBy: { $lte: now } },
+        ],
+    };
+    // One at a time, so only the pass that actually expired a request announces it.
+    let expired = 0;
+    for (const request of await Joinrequest.find(expiring, 'passengerId driverPostId')) {
+        const { modifiedCount } = await Joinrequest.updateOne({ _id: request._id, ...expiring }, { status: 'expired' });
+        if (!modifiedCount) continue;
+        expired += 1;
+        publish('expired', request);
+    }
+
+    // Seats freed above, or by a request whose own promotion failed, go to the waitlist.
+    let promoted = 0;
+    for (const postId of await Joinrequest.distinct('driverPostId', { status: 'waitlisted' })) {
+        promoted += (await promoteWaitlist(postId)).length;
+    }
+
+    return {
+        started: started.modifiedCount,
+        completed: completed.modifiedCount,
+        expiredRequests: expired,
+        promotedRequests: promoted,
+    };
+};
+
+const startRideScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+    const tick = () => advanceRides().catch((error) => console.error('Ride scheduler failed:', error));
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { advanceRides, startRideScheduler };
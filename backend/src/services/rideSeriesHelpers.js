@@ -0,0 +1,209 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const RideSeries = require('../models/rideseries_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+const { BadRequestError, ConflictError, ValidationError } = require('../utils/errors');
+const { eachSkipping } = require('../utils/serviceHelpers');
+const { placesFor, stopsFor } = require('./geocoding');
+const { matchDriverPost } = require('./matchingEngine');
+const { MAX_SERIES_DAYS, daysBetween, zonedTime, occurrenceDates } = require('./recurrence');
+const { describeRide, emailPassengers, updateDriverPost, cancelDriverPost } = require('./driverpostHelpers');
+const { promoteWaitlist } = require('./waitlistHelpers');
+const {
+    segmentSeatsFor, assertConfirmed, createJoinRequest, acceptJoinRequest, declineJoinRequest, releaseJoinRequest,
+} = require('./seatHelpers');
+
+const TEMPLATE_FIELDS = ['startingLocation', 'endingLocation', 'licensenumber', 'model', 'numberOfSeats', 'additionalNotes'];
+
+const pick = (source, fields) => Object.fromEntries(
+    fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+);
+
+const seriesCancelledError = () => new ConflictError('This recurring ride has been cancelled', 'SERIES_CANCELLED');
+
+// Occurrences that can still change: scheduled and not yet left.
+const futureOccurrences = (seriesId, filter = {}) =>
+    Driverpost.find({ seriesId, ...Driverpost.bookableFilter(), ...filter }).sort({ startTime: 1 });
+
+// Everyone waiting on or booked on one of `occurrences`, one entry per request.
+const openRequestsOn = (occurrences) => Joinrequest.find({
+    driverPostId: { $in: occurrences.map((post) => post._id) },
+    status: { $in: ['pending', 'accepted', 'waitlisted'] },
+});
+
+// Creates the series and one Driverpost per future occurrence. `details` is the validated body
+// of POST /rideseries.
+const createRideSeries = async (driver, details) => {
+    const { daysOfWeek, time, timeZone, startDate, endDate, stops = [] } = details;
+    if (daysBetween(startDate, endDate) < 0) {
+        throw ValidationError.forField('endDate', 'endDate must not be before startDate');
+    }
+    if (daysBetween(startDate, endDate) > MAX_SERIES_DAYS) {
+        throw ValidationError.forField('endDate', `A recurring ride can span at most ${MAX_SERIES_DAYS} days`);
+    }
+
+    const now = new Date();
+    const occurrences = occurrenceDates({ startDate, endDate, daysOfWeek })
+        .map((date) => ({ date, startTime: zonedTime(date, time, timeZone) }))
+        .filter(({ startTime }) => startTime > now);
+    if (!occurrences.length) {
+        throw ValidationError.forField('daysOfWeek', 'No ride falls on these days between startDate and endDate');
+    }
+
+    const template = {
+        ...pick(details, TEMPLATE_FIELDS),
+        ...(await placesFor(details)),
+        stops: await stopsFor(stops),
+        phonenumber: driver.phonenumber,
+        email: driver.email,
+    };
+    const series = await new RideSeries({
+        ...template,
+        driverId: driver._id,
+        recurrence: { daysOfWeek, time, timeZone, startDate, endDate },
+    }).save();
+
+    const posts = await Driverpost.insertMany(occurrences.map(({ date, startTime }) => ({
+        ...template,
+        driverId: driver._id,
+        startTime,
+        segmentSeats: segmentSeatsFor(stops, details.numberOfSeats),
+        seriesId: series._id,
+        occurrenceDate: date,
+    })));
+    await User.findByIdAndUpdate(driver._id, { $push: { driverposts: { $each: posts.map((post) => post._id) } } });
+    for (const post of posts) {
+        await matchDriverPost(post);
+    }
+    return { series, occurrences: posts };
+};
+
+// Applies `changes` to the template and to every occurrence that has not left yet; rides
+// already under way or in the past keep what they had, and so do the stops of rides
+// passengers have asked to join. Occurrences edited concurrently are
+// reported in `skipped` rather than failing the whole edit. Passengers get one email each.
+const updateRideSeries = async (series, changes) => {
+    if (series.status !== 'active') throw seriesCancelledError();
+
+    const { time, ...fields } = changes;
+    const places = await placesFor(fields);
+    const update = { ...fields, ...places };
+    if (fields.stops) update.stops = await stopsFor(fields.stops);
+    if (time) update['recurrence.time'] = time;
+
+    const updated = await RideSeries.findOneAndUpdate({ _id: series._id, status: 'active' }, { $set: update }, { new: true });
+    if (!updated) throw seriesCancelledError();
+
+    const occurrences = await futureOccurrences(series._id);
+    const affected = await openRequestsOn(occurrences);
+    const { done, skipped } = await eachSkipping(occurrences, (post) => updateDriverPost(post, {
+        ...fields,
+        ...(time && { startTime: zonedTime(post.occurrenceDate, time, updated.recurrence.timeZone) }),
+    }, { notify: false }));
+
+    await emailPassengers(
+        affected,
+        'Recurring Ride Updated',
+        `The driver has updated the upcoming rides from ${describeRide(updated)} that you requested to join. Please check your requests for the new details.`
+    );
+    return { series: updated, occurrences: done, skipped };
+};
+
+// Cancels the series and every occurrence that has not left yet, telling their passengers.
+const cancelRideSeries = async (series) => {
+    const cancelled = await RideSeries.findOneAndUpdate(
+        { _id: series._id, status: 'active' },
+        { status: 'cancelled', cancelledAt: new Date() },
+        { new: true }
+    );
+    if (!cancelled) throw seriesCancelledError();
+
+    const occurrences = await futureOccurrences(series._id);
+    const affected = await openRequestsOn(occurrences);
+    const { done, skipped } = await eachSkipping(occurrences, (post) => cancelDriverPost(post, { notify: false }));
+
+    await emailPassengers(
+        affected,
+        'Recurring Ride Cancelled',
+        `The driver has cancelled the upcoming rides from ${describeRide(series)}. Please look for another ride.`
+    );
+    return { series: cancelled, occurrences: done, skipped };
+};
+
+// Sends a join request for every upcoming occurrence with enough seats that the passenger has
+// not already asked to join. The driver gets one email for the lot.
+const joinRideSeries = async (series, passengerId, { seatsneeded, message }) => {
+    if (series.status !== 'active') throw seriesCancelledError();
+    if (String(series.driverId) === String(passengerId)) {
+        throw new BadRequestError('You cannot join your own ride', 'OWN_RIDE');
+    }
+
+    const occurrences = await futureOccurrences(series._id, { numberOfSeats: { $gte: seatsneeded } });
+    const { done, skipped } = await eachSkipping(occurrences, (post) =>
+        createJoinRequest(post, passengerId, { seatsneeded, message, seriesId: series._id }));
+    if (!done.length) {
+        throw new ConflictError('There are no upcoming rides in this series you can still request', 'NO_BOOKABLE_OCCURRENCES');
+    }
+
+    const driver = await User.findById(series.driverId);
+    if (driver) {
+        await sendEmail(
+            driver.email,
+            'New Recurring Ride Join Request',
+            `A passenger has asked to join ${done.length} upcoming rides of your recurring ride from ${series.startingLocation} to ${series.endingLocation}. Please check your dashboard for more details.`
+        );
+    }
+    return { requests: done, skipped };
+};
+
+// Withdraws the passenger's requests for every upcoming occurrence, giving back accepted seats.
+// Resolves to the withdrawn requests.
+const leaveRideSeries = async (series, passengerId) => {
+    const occurrences = await futureOccurrences(series._id);
+    const released = [];
+    for (const post of occurrences) {
+        let request;
+        try {
+            request = await releaseJoinRequest(post._id, passengerId);
+        } catch (error) {
+            // The ride left since the list was read; it keeps its passengers.
+            if (error.code !== 'RIDE_NOT_BOOKABLE') throw error;
+        }
+        if (!request) continue;
+        released.push(request);
+        await promoteWaitlist(post._id);
+    }
+    return released;
+};
+
+// Accepts or declines every pending request the passenger made for the series that
+// `request` belongs to. Occurrences without enough seats left, or promoted from the waitlist
+// and not yet confirmed by the passenger, stay pending and are reported as skipped.
+const answerSeriesRequests = async (request, accept) => {
+    const upcoming = await Driverpost.find({ seriesId: request.seriesId, ...Driverpost.bookableFilter() }, '_id');
+    const requests = await Joinrequest.find({
+        seriesId: request.seriesId,
+        passengerId: request.passengerId,
+        status: 'pending',
+        driverPostId: { $in: upcoming.map((post) => post._id) },
+    });
+    const { done, skipped } = await eachSkipping(requests, async (pending) => {
+        if (!accept) return declineJoinRequest(pending._id);
+        assertConfirmed(pending);
+        return (await acceptJoinRequest(pending._id)).request;
+    });
+    if (!accept) {
+        for (const declined of done) await promoteWaitlist(declined.driverPostId);
+    }
+    return { requests: done, skipped };
+};
+
+module.exports = {
+    createRideSeries,
+    updateRideSeries,
+    cancelRideSeries,
+    joinRideSeries,
+    leaveRideSeries,
+    answerSeriesRequests,
+};
@@ -0,0 +1,140 @@
+const { BadRequestError, ValidationError } = require('../utils/errors');
+const { EARTH_RADIUS_KM, geocodePoint, distanceKm } = require('./geocoding');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const contains = (text) => new RegExp(escapeRegex(text), 'i');
+
+// `sort` values accepted by the search schemas, mapped onto the post's own fields.
+const sortField = (sort, seatsField) => {
+    const descending = sort.startsWith('-');
+    const key = descending ? sort.slice(1) : sort;
+    return { field: key === 'seats' ? seatsField : 'startTime', direction: descending ? -1 : 1 };
+};
+
+// Cursors are opaque to clients: the sort value and id of the last result on the page.
+const encodeCursor = (doc, field) =>
+    Buffer.from(JSON.stringify({ v: doc[field], id: String(doc._id) })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!/^[0-9a-fA-F]{24}$/.test(id)) throw new Error('bad id');
+        return { value: field === 'startTime' ? new Date(v) : v, id };
+    } catch (error) {
+        throw new BadRequestError('The cursor is not valid, start the search again', 'INVALID_CURSOR');
+    }
+};
+
+const within = (point, radiusKm) => ({ $geoWithin: { $centerSphere: [point, radiusKm / EARTH_RADIUS_KM] } });
+
+// Geocodes `from` / `to` when the query asks for a radius around them; `[lng, lat]` or undefined.
+const resolveSearchPoints = async (query) => {
+    const points = {};
+    for (const [field, radius] of [['from', 'fromRadius'], ['to', 'toRadius']]) {
+        if (!query[radius]) continue;
+        points[field] = await geocodePoint(query[field]);
+        if (!points[field]) {
+            const message = `We could not find "${query[field]}" on the map`;
+            throw new ValidationError(message, [{ field, message }], 'UNKNOWN_PLACE');
+        }
+    }
+    return points;
+};
+
+// The condition for one end of the route (`from` or `to`): the post's own location or, when
+// `stopsField` is given, any of its stops.
+const routeEnd = (query, end, point, stopsField) => {
+    const [locationField, placeField, radius] = end === 'from'
+        ? ['startingLocation', 'startingPlace', query.fromRadius]
+        : ['endingLocation', 'endingPlace', query.toRadius];
+    const options = point
+        ? [{ [`${placeField}.location`]: within(point, radius) }, stopsField && { [`${stopsField}.place.location`]: within(point, radius) }]
+        : [{ [locationField]: contains(query[end]) }, stopsField && { [`${stopsField}.location`]: contains(query[end]) }];
+    const matches = options.filter(Boolean);
+    return matches.length === 1 ? matches[0] : { $or: matches };
+};
+
+// Tests one place on a post's route (`{ text, place }`) against `from` or `to` the way routeEnd does.
+const endMatcher = (query, end, point) => {
+    if (point) {
+        const radius = end === 'from' ? query.fromRadius : query.toRadius;
+        return ({ place }) => Boolean(place && place.location) && distanceKm(point, place.location.coordinates) <= radius;
+    }
+    const pattern = contains(query[end]);
+    return ({ text }) => pattern.test(text || '');
+};
+
+// routeEnd lets `from` and `to` each match any stop, so the query also finds rides going the
+// other way. This keeps a post only if some place matching `from` comes before one matching `to`.
+const inRouteOrder = (post, query, points, stopsField) => {
+    if (!(points.from || query.from) || !(points.to || query.to)) return true;
+    const route = [
+        { text: post.startingLocation, place: post.startingPlace },
+        ...(post[stopsField] || []).map((stop) => ({ text: stop.location, place: stop.place })),
+        { text: post.endingLocation, place: post.endingPlace },
+    ];
+    const pickup = route.slice(0, -1).findIndex(endMatcher(query, 'from', points.from));
+    const dropoff = route.map(endMatcher(query, 'to', points.to)).lastIndexOf(true);
+    return pickup !== -1 && pickup < dropoff;
+};
+
+// Builds the filter shared by the driver and passenger post searches. `seatsField` is the
+// numeric field `minSeats` applies to; `baseFilter` narrows results further (e.g. bookable rides);
+// `stopsField` lets `from` and `to` match a waypoint too. `points` comes from resolveSearchPoints;
+// only geocoded posts can match a radius search.
+const buildSearchFilter = (query, { seatsField, baseFilter = {}, stopsField }, points = {}) => {
+    const conditions = [baseFilter];
+
+    if (points.from || query.from) conditions.push(routeEnd(query, 'from', points.from, stopsField));
+    if (points.to || query.to) conditions.push(routeEnd(query, 'to', points.to, stopsField));
+    if (query.term) {
+        conditions.push({ $or: [{ startingLocation: contains(query.term) }, { endingLocation: contains(query.term) }] });
+    }
+    if (query.dateFrom || query.dateTo) {
+        const startTime = {};
+        if (query.dateFrom) startTime.$gte = query.dateFrom;
+        if (query.dateTo) startTime.$lte = query.dateTo;
+        conditions.push({ startTime });
+    }
+    if (query.minSeats) conditions.push({ [seatsField]: { $gte: query.minSeats } });
+
+    return { $and: conditions };
+};
+
+// Runs a paginated search. Resolves to `{ results, total, nextCursor }`; `nextCursor`
+// is null on the last page. `options.populate`, if given, is applied to the results.
+// With `stopsField`, rides passing `from` and `to` in the wrong order are dropped from the
+// page after the query, so a page can come back short and `total` still counts them.
+const searchPosts = async (Model, query, options) => {
+    const points = await resolveSearchPoints(query);
+    const filter = buildSearchFilter(query, options, points);
+    const { field, direction } = sortField(query.sort, options.seatsField);
+    const comparison = direction === 1 ? '$gt' : '$lt';
+
+    const pageFilter = { $and: [...filter.$and] };
+    if (query.cursor) {
+        const { value, id } = decodeCursor(query.cursor, field);
+        pageFilter.$and.push({
+            $or: [
+                { [field]: { [comparison]: value } },
+                { [field]: value, _id: { [comparison]: id } },
+            ],
+        });
+    }
+
+    const pageQuery = Model.find(pageFilter).sort({ [field]: direction, _id: direction }).limit(query.limit + 1);
+    const [page, total] = await Promise.all([
+        options.populate ? pageQuery.populate(options.populate) : pageQuery,
+        Model.countDocuments(filter),
+    ]);
+
+    const fetched = page.slice(0, query.limit);
+    const nextCursor = page.length > query.limit ? encodeCursor(fetched[fetched.length - 1], field) : null;
+    const results = options.stopsField
+        ? fetched.filter((post) => inRouteOrder(post, query, points, options.stopsField))
+        : fetched;
+    return { results, total, nextCursor };
+};
+
+module.exports = { escapeRegex, buildSearchFilter, searchPosts };
@@ -0,0 +1,208 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const User = require('../models/user_model');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { publish, publishSeats } = require('./joinRequestEvents');
+
+// Seats are only ever moved with conditional single-document updates, so two
+// drivers' clicks (or two tabs) racing for the last seat cannot both win and
+// a request cannot be accepted or given back twice.
+//
+// Rides with stops count seats per leg in `segmentSeats`, so a seat freed by a dropoff can be
+// taken again further along. Their requests carry the pickup and dropoff stop; requests on
+// rides without stops use the whole route and only touch `numberOfSeats`.
+
+const notPendingError = () =>
+    new ConflictError('Join request is not pending or has already been processed', 'REQUEST_NOT_PENDING');
+
+// A request promoted from the waitlist with `confirmBy` set can't be accepted until the
+// passenger confirms they still want the seat.
+const assertConfirmed = (request) => {
+    if (request.status === 'pending' && request.confirmBy) {
+        throw new ConflictError('The passenger has not confirmed their seat yet', 'AWAITING_CONFIRMATION');
+    }
+};
+
+// The ride's stops in driving order; pickupStop and dropoffStop index into this.
+const routeStops = (post) => [
+    post.startingLocation,
+    ...(post.stops || []).map((stop) => stop.location),
+    post.endingLocation,
+];
+
+const hasLegs = (post) => Boolean(post.segmentSeats && post.segmentSeats.length);
+
+// Driverpost.segmentSeats for a new route: every leg starts with `seats` free.
+const segmentSeatsFor = (stops, seats) => (stops.length ? Array(stops.length + 1).fill(seats) : []);
+
+// Checks the stops a passenger asked for against the ride's route and fills in the whole route
+// for the ones left out. Rides without stops take none.
+const requestedStops = (post, { pickupStop, dropoffStop }) => {
+    const last = routeStops(post).length - 1;
+    const pickup = pickupStop === undefined ? 0 : pickupStop;
+    const dropoff = dropoffStop === undefined ? last : dropoffStop;
+    if (pickup >= last) {
+        throw ValidationError.forField('pickupStop', 'pickupStop must be a stop before the end of the route');
+    }
+    if (dropoff <= pickup || dropoff > last) {
+        throw ValidationError.forField('dropoffStop', 'dropoffStop must be a later stop than pickupStop');
+    }
+    return hasLegs(post) ? { pickupStop: pickup, dropoffStop: dropoff } : {};
+};
+
+const usesLegs = (request) => request.dropoffStop !== undefined && request.dropoffStop !== null;
+
+// The fields holding the free seats a request rides on.
+const seatFields = (request) => {
+    if (!usesLegs(request)) return ['numberOfSeats'];
+    const fields = [];
+    for (let leg = request.pickupStop; leg < request.dropoffStop; leg++) fields.push(`segmentSeats.${leg}`);
+    return fields;
+};
+
+// Free seats per leg; a ride without stops is one leg.
+const legSeats = (post) => (hasLegs(post) ? [...post.segmentSeats] : [post.numberOfSeats]);
+
+// Indexes into legSeats(post) of the legs a request rides on.
+const legsOf = (post, request) => {
+    if (!hasLegs(post)) return [0];
+    const from = usesLegs(request) ? request.pickupStop : 0;
+    const to = usesLegs(request) ? request.dropoffStop : post.segmentSeats.length;
+    return Array.from({ length: to - from }, (_, i) => from + i);
+};
+
+// Seats free between a request's pickup and dropoff (or those returned by requestedStops).
+const seatsAvailable = (post, request) => {
+    const free = legSeats(post);
+    return Math.min(...legsOf(post, request).map((leg) => free[leg]));
+};
+
+const seatChange = (request, seats) =>
+    Object.fromEntries(seatFields(request).map((field) => [field, seats]));
+
+// Brings numberOfSeats back in line after legs changed. Each run reads the legs as they are,
+// so the last of several racing runs leaves it right.
+const syncSeatCount = (postId) => Driverpost.findOneAndUpdate(
+    { _id: postId },
+    [{ $set: { numberOfSeats: { $min: '$segmentSeats' } } }],
+    { new: true }
+);
+
+const acceptJoinRequest = async (requestId) => {
+    const request = await Joinrequest.findOneAndUpdate(
+        { _id: requestId, status: 'pending' },
+        { status: 'accepted' },
+        { new: true }
+    );
+    if (!request) throw notPendingError();
+
+    const enoughSeats = Object.fromEntries(seatFields(request).map((field) => [field, { $gte: request.seatsneeded }]));
+    let post = await Driverpost.findOneAndUpdate(
+        { _id: request.driverPostId, ...Driverpost.bookableFilter(), ...enoughSeats },
+        { $inc: seatChange(request, -request.seatsneeded), $addToSet: { passengers: request.passengerId } },
+        { new: true }
+    );
+    if (post && usesLegs(request)) post = await syncSeatCount(post._id);
+    if (!post) {
+        // Hand the request back so the driver can decline it or retry once seats free up.
+        await Joinrequest.updateOne({ _id: request._id, status: 'accepted' }, { status: 'pending' });
+        if (!(await Driverpost.exists({ _id: request.driverPostId }))) {
+            throw new NotFoundError('Driver post not found', 'POST_NOT_FOUND');
+        }
+        if (!(await Driverpost.exists({ _id: request.driverPostId, ...Driverpost.bookableFilter() }))) {
+            throw new ConflictError('This ride can no longer be joined', 'RIDE_NOT_BOOKABLE');
+        }
+        throw new ConflictError('Not enough seats left on this ride', 'NOT_ENOUGH_SEATS');
+    }
+    publish('accepted', request);
+    publishSeats(post);
+    return { request, post };
+};
+
+// Saves a pending request from `passengerId` for `post` and links it to the passenger,
+// the post and the driver. The caller checks the ride can be joined. Without stops the
+// request covers the whole route. `status` is 'waitlisted' for a passenger waiting for seats.
+const createJoinRequest = async (post, passengerId, { seatsneeded, message, seriesId, pickupStop, dropoffStop, status = 'pending' }) => {
+    const stops = requestedStops(post, { pickupStop, dropoffStop });
+    let request;
+    try {
+        request = await new Joinrequest({
+            driverPostId: post._id,
+            passengerId,
+            seatsneeded,
+            message,
+            status,
+            ...(seriesId && { seriesId }),
+            ...stops,
+        }).save();
+    } catch (error) {
+        // A concurrent request from the same passenger got there first.
+        if (error.code === 11000) {
+            throw new ConflictError('Join request already sent', 'ALREADY_REQUESTED');
+        }
+        throw error;
+    }
+
+    await User.findByIdAndUpdate(passengerId, { $push: { sentJoinrequests: request._id } });
+    await Driverpost.findByIdAndUpdate(post._id, { $push: { joinrequests: request._id } });
+    await User.findByIdAndUpdate(post.driverId, { $push: { joinrequests: request._id } });
+    publish(status === 'waitlisted' ? 'waitlisted' : 'requested', request);
+    return request;
+};
+
+const declineJoinRequest = async (requestId) => {
+    const request = await Joinrequest.findOneAndUpdate(
+        { _id: requestId, status: 'pending' },
+        { status: 'declined' },
+        { new: true }
+    );
+    if (!request) throw notPendingError();
+    publish('declined', request);
+    return request;
+};
+
+// Requests in any other state are a record of the ride and are kept.
+const RELEASABLE_STATUSES = ['pending', 'accepted', 'waitlisted'];
+
+// Deletes the passenger's request and, if it had been accepted, returns its seats. Only allowed
+// while the ride can still be booked: once it has left it keeps its passengers, e.g. for reviews.
+// Resolves to the deleted request, or null when there was nothing to cancel.
+const releaseJoinRequest = async (postId, passengerId) => {
+    if (!(await Driverpost.exists({ _id: postId, ...Driverpost.bookableFilter() }))) {
+        if (!(await Driverpost.exists({ _id: postId }))) return null;
+        throw new ConflictError('This ride has already left, finished or been cancelled', 'RIDE_NOT_BOOKABLE');
+    }
+    const request = await Joinrequest.findOneAndDelete({
+        driverPostId: postId,
+        passengerId,
+        status: { $in: RELEASABLE_STATUSES },
+    });
+    if (!request) return null;
+
+    await Driverpost.updateOne({ _id: postId }, { $pull: { joinrequests: request._id } });
+    if (request.status === 'accepted') {
+        let post = await Driverpost.findOneAndUpdate(
+            { _id: postId, passengers: passengerId },
+            { $pull: { passengers: passengerId }, $inc: seatChange(request, request.seatsneeded) },
+            { new: true }
+        );
+        if (post && usesLegs(request)) post = await syncSeatCount(postId);
+        if (post) publishSeats(post);
+    }
+    publish('withdrawn', request);
+    return request;
+};
+
+module.exports = {
+    routeStops,
+    segmentSeatsFor,
+    requestedStops,
+    legSeats,
+    legsOf,
+    seatsAvailable,
+    assertConfirmed,
+    createJoinRequest,
+    acceptJoinRequest,
+    declineJoinRequest,
+    releaseJoinRequest,
+};
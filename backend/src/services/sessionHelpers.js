@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { generateAuthToken, hashToken } = require('./authHelpers');
+const Session = require('../models/session_model');
+const User = require('../models/user_model');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<random secret>" so the session can be found without scanning.
+const splitRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const issueTokens = (user, session, secret) => ({
+    token: generateAuthToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+});
+
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = new Session({
+        userId: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: req.headers['user-agent'],
+        expiresAt: refreshExpiry(),
+    });
+    await session.save();
+    return issueTokens(user, session, secret);
+};
+
+// A refresh that loses a race with another one using the same token (two tabs, retried
+// requests) finds it rotated moments ago; that is not treated as reuse.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Returns a fresh token pair, or null if the refresh token is unknown, expired or revoked.
+// The hash is swapped in one conditional update so only one refresh per token can win.
+// Presenting an older token means it was copied, so the whole session is revoked.
+const rotateSession = async (refreshToken) => {
+    const parts = splitRefreshToken(refreshToken);
+    if (!parts) return null;
+
+    const now = new Date();
+    const presentedHash = hashToken(parts.secret);
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = await Session.findOneAndUpdate(
+        { _id: parts.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(secret),
+                previousTokenHash: presentedHash,
+                lastUsedAt: now,
+                expiresAt: refreshExpiry(),
+            },
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const current = await Session.findById(parts.sessionId);
+        if (!current || !current.isActive() || current.refreshTokenHash === presentedHash) return null;
+        const justRotated = current.previousTokenHash === presentedHash && now - current.lastUsedAt < ROTATION_GRACE_MS;
+        if (!justRotated) {
+            await Session.updateOne({ _id: current._id, revokedAt: null }, { $set: { revokedAt: now } });
+        }
+        return null;
+    }
+
+    const user = await User.findById(session.userId, 'roles');
+    if (!user) return null;
+    return issueTokens(user, session, secret);
+};
+
+const revokeSession = async (refreshToken) => {
+    const parts = splitRefreshToken(refreshToken);
+    if (!parts) return false;
+
+    const result = await Session.updateOne(
+        { _id: parts.sessionId, refreshTokenHash: hashToken(parts.secret), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// `exceptSessionId` keeps the caller's own session, e.g. after they changed their password.
+const revokeAllSessions = async (userId, exceptSessionId) => {
+    const result = await Session.updateMany(
+        { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+const isSessionActive = async (sessionId) => {
+    const session = await Session.findById(sessionId);
+    return Boolean(session && session.isActive());
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
@@ -0,0 +1,54 @@
+const bcrypt = require('bcrypt');
+const { ensureRole, formatUserProfile } = require('./authHelpers');
+const { createSession } = require('./sessionHelpers');
+const { exchangeGoogleCode, findGoogleAccount, notLinkedError, respondWithGoogleSession } = require('./googleAuthHelpers');
+const { UnauthorizedError, BadRequestError, NotFoundError } = require('../utils/errors');
+const User = require('../models/user_model');
+
+const handleSignin = async (req, res, accountType) => {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+        throw new UnauthorizedError("No existing User with input email", 'EMAIL_NOT_FOUND');
+    }
+
+    if (!user.password) {
+        throw new BadRequestError("This account uses Google sign-in. Please continue with Google", 'GOOGLE_ACCOUNT');
+    }
+
+    const result = await bcrypt.compare(password, user.password);
+    if (!result) {
+        throw new UnauthorizedError("Wrong password", 'WRONG_PASSWORD');
+    }
+
+    await ensureRole(user, accountType);
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({
+        status: "Success",
+        message: "User Successfully logged in",
+        data: formatUserProfile(user),
+        token: token,
+        refreshToken: refreshToken
+    });
+};
+
+// Unlike handleGoogleSignup this never creates an account.
+const handleGoogleSignin = async (req, res, code, accountType) => {
+    const payload = await exchangeGoogleCode(code);
+    const { user, linked } = await findGoogleAccount(payload);
+
+    if (!user) {
+        throw new NotFoundError('No account is linked to this Google account. Please sign up first.', 'ACCOUNT_NOT_FOUND');
+    }
+    if (!linked) {
+        throw notLinkedError();
+    }
+
+    return respondWithGoogleSession(req, res, user, payload, accountType, 'User Successfully logged in via Google');
+};
+
+module.exports = {
+    handleSignin,
+    handleGoogleSignin
+};
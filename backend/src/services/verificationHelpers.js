@@ -0,0 +1,39 @@
+const jwt = require('jsonwebtoken');
+const sendEmail = require('../utils/emailService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const EMAIL_TOKEN_TTL = '24h';
+
+const emailTokenSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+// The email is part of the payload so a link stops working if the address is changed afterwards.
+const generateEmailVerificationToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'verify-email' },
+        emailTokenSecret(),
+        { expiresIn: EMAIL_TOKEN_TTL }
+    );
+};
+
+// Resolves to the token payload, or null if it is invalid, expired or not a verification token.
+const verifyEmailVerificationToken = (token) => {
+    try {
+        const payload = jwt.verify(token, emailTokenSecret());
+        return payload.purpose === 'verify-email' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const sendVerificationEmail = async (user) => {
+    const link = `${FRONTEND_URL}/verify-email/${generateEmailVerificationToken(user)}`;
+    const subject = 'Verify your Swift Link email';
+    const text = `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. The link expires in 24 hours.\n\n${link}`;
+    await sendEmail(user.email, subject, text);
+};
+
+module.exports = {
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    sendVerificationEmail
+};
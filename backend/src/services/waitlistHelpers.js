@@ -0,0 +1,85 @@
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+const { ConflictError } = require('../utils/errors');
+const { routeStops, legSeats, legsOf } = require('./seatHelpers');
+const { publish } = require('./joinRequestEvents');
+const { HOUR, logFailure } = require('../utils/serviceHelpers');
+
+// How long a passenger moved off the waitlist has to confirm they still want the seat.
+const WAITLIST_CONFIRM_HOURS = Number(process.env.WAITLIST_CONFIRM_HOURS) || 12;
+
+const emailPromoted = async (post, requests) => {
+    const route = routeStops(post);
+    for (const request of requests) {
+        const passenger = await User.findById(request.passengerId, 'email');
+        if (!passenger) continue;
+        const from = route[request.pickupStop || 0];
+        const to = route[request.dropoffStop || route.length - 1];
+        await sendEmail(
+            passenger.email,
+            'A Seat Opened Up',
+            `A seat opened up on the ride from ${from} to ${to} you were waiting for. Please confirm by ${request.confirmBy.toLocaleString()} that you still want it, or it will go to the next passenger on the waitlist.`
+        );
+    }
+};
+
+// Moves waitlisted requests on the ride to pending, oldest first, while the seats that no
+// pending request has asked for cover them. A request that does not fit is passed over for
+// later, smaller ones rather than holding up the list. Seats are only taken on accept, so
+// two promotions racing can at worst let the driver choose between one request too many.
+// Resolves to the promoted requests. Runs after something freed a seat, so failures are only
+// logged; the ride scheduler retries on its next pass.
+const promoteWaitlist = logFailure('Waitlist promotion', async (postId) => {
+    const post = await Driverpost.findOne({ _id: postId, ...Driverpost.bookableFilter() });
+    if (!post) return [];
+
+    const requests = await Joinrequest.find({ driverPostId: postId, status: { $in: ['pending', 'waitlisted'] } })
+        .sort({ requestedAt: 1, _id: 1 });
+    const free = legSeats(post);
+    const claim = (request) => legsOf(post, request).forEach((leg) => { free[leg] -= request.seatsneeded; });
+    requests.filter((request) => request.status === 'pending').forEach(claim);
+
+    const now = new Date();
+    const confirmBy = new Date(Math.min(now.getTime() + WAITLIST_CONFIRM_HOURS * HOUR, new Date(post.startTime).getTime()));
+    const promoted = [];
+    for (const request of requests.filter((r) => r.status === 'waitlisted')) {
+        if (!legsOf(post, request).every((leg) => free[leg] >= request.seatsneeded)) continue;
+        const updated = await Joinrequest.findOneAndUpdate(
+            { _id: request._id, status: 'waitlisted' },
+            { status: 'pending', promotedAt: now, confirmBy },
+            { new: true }
+        );
+        if (!updated) continue;
+        claim(updated);
+        promoted.push(updated);
+        publish('promoted', updated);
+    }
+
+    await emailPromoted(post, promoted);
+    return promoted;
+});
+
+// 1-based place of a waitlisted request in its ride's waitlist.
+const waitlistPosition = async (request) => 1 + await Joinrequest.countDocuments({
+    driverPostId: request.driverPostId,
+    status: 'waitlisted',
+    requestedAt: { $lt: request.requestedAt },
+});
+
+// The passenger takes the seat they were promoted to; the driver can then accept it.
+const confirmWaitlistSpot = async (postId, passengerId) => {
+    const request = await Joinrequest.findOneAndUpdate(
+        { driverPostId: postId, passengerId, status: 'pending', confirmBy: { $gt: new Date() } },
+        { $unset: { confirmBy: 1 } },
+        { new: true }
+    );
+    if (!request) {
+        throw new ConflictError('There is no seat waiting for your confirmation, it may have gone to the next passenger', 'NOTHING_TO_CONFIRM');
+    }
+    publish('confirmed', request);
+    return request;
+};
+
+module.exports = { promoteWaitlist, waitlistPosition, confirmWaitlistSpot };
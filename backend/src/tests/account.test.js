@@ -0,0 +1,79 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../../server');
+const User = require('../models/user_model');
+const { generateAuthToken } = require('../services/authHelpers');
+const { revokeAllSessions } = require('../services/sessionHelpers');
+
+jest.mock('../models/user_model', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(async () => null),
+}));
+jest.mock('../services/sessionHelpers', () => ({
+  isSessionActive: jest.fn(async () => true),
+  revokeAllSessions: jest.fn(),
+}));
+
+const userId = '5f50c31f1c7d4a3d2f22dd45';
+let user;
+
+beforeAll(() => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  user = {
+    _id: userId,
+    email: 'rider@test.com',
+    isModified: jest.fn(() => false),
+    save: jest.fn(async function () { this._doc = { _id: userId, name: this.name }; }),
+  };
+  User.findById.mockResolvedValue(user);
+  revokeAllSessions.mockClear();
+});
+
+const auth = () => `Bearer ${generateAuthToken({ _id: userId, roles: ['driver', 'passenger'] }, 'session1')}`;
+
+describe('PUT /update', () => {
+  it.each(['/driver/update', '/passenger/update'])('updates the one account from %s', async (path) => {
+    const response = await request(app).put(path).set('Authorization', auth()).send({ name: 'Sam' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toMatchObject({ _id: userId, name: 'Sam' });
+    expect(user.save).toHaveBeenCalled();
+  });
+});
+
+describe('PUT /update with a new password', () => {
+  beforeEach(async () => {
+    user.password = await bcrypt.hash('OldPassword1!', 10);
+  });
+
+  it('requires the current password', async () => {
+    const response = await request(app).put('/driver/update').set('Authorization', auth())
+      .send({ newPassword: 'NewPassword1!' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.details).toEqual([expect.objectContaining({ field: 'currentPassword' })]);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong current password', async () => {
+    const response = await request(app).put('/driver/update').set('Authorization', auth())
+      .send({ newPassword: 'NewPassword1!', currentPassword: 'Guess1!' });
+
+    expect(response.statusCode).toBe(401);
+    expect(response.body.code).toBe('WRONG_PASSWORD');
+    expect(user.save).not.toHaveBeenCalled();
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('changes the password and signs out every other session', async () => {
+    const response = await request(app).put('/passenger/update').set('Authorization', auth())
+      .send({ newPassword: 'NewPassword1!', currentPassword: 'OldPassword1!' });
+
+    expect(response.statusCode).toBe(200);
+    expect(await bcrypt.compare('NewPassword1!', user.password)).toBe(true);
+    expect(revokeAllSessions).toHaveBeenCalledWith(userId, 'session1');
+  });
+});
@@ -6,9 +6,17 @@ const Driverpost = require('../models/driverpost_model');
 jest.mock('../models/driverpost_model', () => {
   return {
     find: jest.fn(),
+    bookableFilter: jest.fn(() => ({ status: 'scheduled' })),
   };
 });
 
+// The list populates each driver's rating.
+const mockFind = (posts) => {
+  const populate = jest.fn(async () => posts);
+  Driverpost.find.mockReturnValue({ populate });
+  return populate;
+};
+
 describe('GET /driverpost', () => {
   it('should return all driver posts', async () => {
       const mockDate = new Date().toISOString();
@@ -29,18 +37,27 @@ describe('GET /driverpost', () => {
           joinrequests: []
         }
       ];
-      Driverpost.find.mockResolvedValue(mockPosts);
+      const populate = mockFind(mockPosts);
 
-    const response = await request(app).get('/driverpost/'); 
+    const response = await request(app).get('/driverpost/?includeUnbookable=true'); 
     expect(response.statusCode).toBe(200);
     expect(response.body).toEqual(mockPosts);
     expect(Driverpost.find).toHaveBeenCalledWith({});
+    expect(populate).toHaveBeenCalledWith('driverId', 'rating');
+  });
+
+  it('should hide rides that can no longer be joined by default', async () => {
+    mockFind([]);
+
+    const response = await request(app).get('/driverpost/');
+    expect(response.statusCode).toBe(200);
+    expect(Driverpost.find).toHaveBeenLastCalledWith({ status: 'scheduled' });
   });
 
   it('should handle errors', async () => {
 
-    const errorMessage = { message: "Internal server error" };
-    Driverpost.find.mockRejectedValue(new Error('Internal server error'));
+    const errorMessage = { status: "FAILED", code: "INTERNAL_ERROR", message: "Internal server error" };
+    Driverpost.find.mockReturnValue({ populate: jest.fn(async () => { throw new Error('Internal server error'); }) });
 
 
     const response = await request(app).get('/driverpost/'); 
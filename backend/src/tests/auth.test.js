@@ -0,0 +1,141 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../../server');
+const Session = require('../models/session_model');
+const User = require('../models/user_model');
+const { createSession } = require('../services/sessionHelpers');
+const { hashToken } = require('../services/authHelpers');
+const { generateEmailVerificationToken } = require('../services/verificationHelpers');
+
+jest.mock('../models/session_model', () => {
+  const sessions = new Map();
+  function Session(data) {
+    Object.assign(this, data, { _id: '65f0c31f1c7d4a3d2f22dd5a', revokedAt: null });
+  }
+  Session.prototype.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+  };
+  Session.prototype.save = jest.fn(function () {
+    sessions.set(String(this._id), this);
+    return Promise.resolve(this);
+  });
+  Session.findById = jest.fn((id) => Promise.resolve(sessions.get(String(id)) || null));
+  Session.findOneAndUpdate = jest.fn((filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.refreshTokenHash !== filter.refreshTokenHash || !session.isActive()) {
+      return Promise.resolve(null);
+    }
+    return Promise.resolve(Object.assign(session, update.$set));
+  });
+  Session.updateOne = jest.fn((filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (session) Object.assign(session, update.$set);
+    return Promise.resolve({ modifiedCount: session ? 1 : 0 });
+  });
+  Session.updateMany = jest.fn(() => Promise.resolve({ modifiedCount: 1 }));
+  Session.sessions = sessions;
+  return Session;
+});
+
+jest.mock('../models/user_model', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+beforeAll(() => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-secret';
+});
+
+describe('POST /auth/refresh', () => {
+  it('rotates the refresh token and rejects the old one', async () => {
+    User.findById.mockResolvedValue({ _id: '5f50c31f1c7d4a3d2f22dd45', roles: ['passenger'] });
+    const { refreshToken } = await createSession({ _id: '5f50c31f1c7d4a3d2f22dd45', roles: ['passenger'] }, { headers: {} });
+
+    const first = await request(app).post('/auth/refresh').send({ refreshToken });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.token).toBeDefined();
+    expect(first.body.refreshToken).not.toEqual(refreshToken);
+    expect(jwt.verify(first.body.token, 'test-secret').roles).toEqual(['passenger']);
+
+    // Long after the rotation, so it cannot be a refresh that lost a race.
+    Session.sessions.get('65f0c31f1c7d4a3d2f22dd5a').lastUsedAt = new Date(Date.now() - 60 * 1000);
+    const reused = await request(app).post('/auth/refresh').send({ refreshToken });
+    expect(reused.statusCode).toBe(401);
+
+    // Reuse revokes the session, so the rotated token is dead too.
+    const afterReuse = await request(app).post('/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(afterReuse.statusCode).toBe(401);
+    expect(Session.sessions.get('65f0c31f1c7d4a3d2f22dd5a').revokedAt).not.toBeNull();
+  });
+
+  it('does not revoke the session when two refreshes race with the same token', async () => {
+    User.findById.mockResolvedValue({ _id: '5f50c31f1c7d4a3d2f22dd45', roles: ['passenger'] });
+    const { refreshToken } = await createSession({ _id: '5f50c31f1c7d4a3d2f22dd45', roles: ['passenger'] }, { headers: {} });
+
+    const [first, second] = await Promise.all([
+      request(app).post('/auth/refresh').send({ refreshToken }),
+      request(app).post('/auth/refresh').send({ refreshToken }),
+    ]);
+    expect([first.statusCode, second.statusCode].sort()).toEqual([200, 401]);
+
+    const winner = first.statusCode === 200 ? first : second;
+    const next = await request(app).post('/auth/refresh').send({ refreshToken: winner.body.refreshToken });
+    expect(next.statusCode).toBe(200);
+  });
+
+  it('rejects a malformed refresh token', async () => {
+    const response = await request(app).post('/auth/refresh').send({ refreshToken: 'garbage' });
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+describe('GET /auth/verify-email/:token', () => {
+  it('marks the account as verified', async () => {
+    const user = { _id: '5f50c31f1c7d4a3d2f22dd45', email: 'rider@test.com', emailVerified: false, save: jest.fn() };
+    User.findById.mockResolvedValue(user);
+
+    const response = await request(app).get(`/auth/verify-email/${generateEmailVerificationToken(user)}`);
+    expect(response.statusCode).toBe(200);
+    expect(user.emailVerified).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('rejects a link issued for a previous email address', async () => {
+    const token = generateEmailVerificationToken({ _id: '5f50c31f1c7d4a3d2f22dd45', email: 'old@test.com' });
+    User.findById.mockResolvedValue({ _id: '5f50c31f1c7d4a3d2f22dd45', email: 'new@test.com', emailVerified: false });
+
+    const response = await request(app).get(`/auth/verify-email/${token}`);
+    expect(response.statusCode).toBe(400);
+  });
+});
+
+describe('POST /auth/reset-password', () => {
+  it('sets the new password and signs out every session', async () => {
+    const user = { _id: '5f50c31f1c7d4a3d2f22dd45', emailVerified: true };
+    User.findOneAndUpdate.mockResolvedValue(user);
+
+    const response = await request(app).post('/auth/reset-password').send({ token: 'abc', password: 'new-password' });
+    expect(response.statusCode).toBe(200);
+    // Only the hash of the emailed token is ever looked up, and it is cleared in the same update.
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { 'passwordReset.tokenHash': hashToken('abc'), 'passwordReset.expiresAt': { $gt: expect.any(Date) } },
+      { $unset: { passwordReset: 1 } }
+    );
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: user._id });
+    expect(await bcrypt.compare('new-password', update.$set.password)).toBe(true);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { userId: user._id, revokedAt: null },
+      expect.anything()
+    );
+  });
+
+  it('rejects an unknown or used token', async () => {
+    User.findOneAndUpdate.mockResolvedValue(null);
+    const response = await request(app).post('/auth/reset-password').send({ token: 'abc', password: 'new-password' });
+    expect(response.statusCode).toBe(400);
+  });
+});
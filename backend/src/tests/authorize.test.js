@@ -0,0 +1,49 @@
+const { requireRole, requireOwnership } = require('../api/middlewares/jwtauthenticate');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requireRole', () => {
+  it('lets an account with the role through', () => {
+    const next = jest.fn();
+    requireRole('driver')({ user: { roles: ['passenger', 'driver'] } }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects an account without the role', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    requireRole('driver')({ user: { roles: ['passenger'] } }, res, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403, code: 'ROLE_REQUIRED' }));
+  });
+});
+
+describe('requireOwnership', () => {
+  const post = { _id: 'post1' };
+  const loader = jest.fn(async () => ({ resource: post, ownerId: 'driver1' }));
+
+  it('exposes the resource to the owner', async () => {
+    const req = { user: { userId: 'driver1' } };
+    const next = jest.fn();
+    await requireOwnership(loader)(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.resource).toBe(post);
+  });
+
+  it('rejects anyone else', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await requireOwnership(loader)({ user: { userId: 'driver2' } }, res, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403, code: 'NOT_OWNER' }));
+  });
+
+  it('returns 404 when the resource is missing', async () => {
+    const next = jest.fn();
+    await requireOwnership(async () => null)({ user: { userId: 'driver1' } }, mockResponse(), next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+  });
+});
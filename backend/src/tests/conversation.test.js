@@ -0,0 +1,83 @@
+const { openConversation, describeParticipants, setContactSharing, listMessages } = require('../services/conversationHelpers');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Message = require('../models/message_model');
+
+jest.mock('../models/driverpost_model', () => ({
+  findById: jest.fn(async () => ({ _id: 'post1', driverId: 'driver1' })),
+}));
+jest.mock('../models/joinrequest_model', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../models/message_model', () => ({ find: jest.fn() }));
+jest.mock('../models/user_model', () => ({
+  find: jest.fn(async ({ _id }) => _id.$in.map((id) => ({ _id: id, name: id, email: `${id}@test.com`, phonenumber: '5555555555' }))),
+}));
+
+const accepted = [
+  { _id: 'r1', passengerId: 'p1', sharesContact: { driver: true, passenger: true } },
+  { _id: 'r2', passengerId: 'p2', sharesContact: { driver: true, passenger: false } },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Joinrequest.find.mockResolvedValue(accepted);
+});
+
+describe('openConversation', () => {
+  it('is closed to anyone but the driver and accepted passengers', async () => {
+    await expect(openConversation('post1', 'p3')).rejects.toMatchObject({ status: 403, code: 'NOT_IN_CONVERSATION' });
+    expect(Joinrequest.find).toHaveBeenCalledWith({ driverPostId: 'post1', status: 'accepted' });
+  });
+
+  it('reports a missing ride', async () => {
+    Driverpost.findById.mockResolvedValueOnce(null);
+    await expect(openConversation('post1', 'driver1')).rejects.toMatchObject({ status: 404, code: 'POST_NOT_FOUND' });
+  });
+});
+
+describe('describeParticipants', () => {
+  it('shows contact details only where both sides agreed', async () => {
+    const participants = await describeParticipants(await openConversation('post1', 'driver1'), 'driver1');
+    expect(participants).toEqual([
+      { userId: 'p1', name: 'p1', role: 'passenger', youShare: true, theyShare: true, contact: { email: 'p1@test.com', phonenumber: '5555555555' } },
+      { userId: 'p2', name: 'p2', role: 'passenger', youShare: true, theyShare: false },
+    ]);
+  });
+
+  it('gives a passenger the driver and the other passengers without their details', async () => {
+    const participants = await describeParticipants(await openConversation('post1', 'p2'), 'p2');
+    expect(participants).toEqual([
+      { userId: 'driver1', name: 'driver1', role: 'driver', youShare: false, theyShare: true },
+      { userId: 'p1', name: 'p1', role: 'passenger' },
+    ]);
+  });
+});
+
+describe('setContactSharing', () => {
+  it('records the caller\'s side of the agreement', async () => {
+    await setContactSharing(await openConversation('post1', 'p2'), { share: true });
+    expect(Joinrequest.updateOne).toHaveBeenCalledWith({ _id: 'r2', status: 'accepted' }, { 'sharesContact.passenger': true });
+  });
+
+  it('needs the driver to name an accepted passenger', async () => {
+    const conversation = await openConversation('post1', 'driver1');
+    await expect(setContactSharing(conversation, { share: true, passengerId: 'p3' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED', details: [expect.objectContaining({ field: 'passengerId' })] });
+  });
+});
+
+describe('listMessages', () => {
+  it('pages backwards from a cursor', async () => {
+    const populate = jest.fn(async () => [{ _id: 'm9' }, { _id: 'm8' }, { _id: 'm7' }]);
+    const limit = jest.fn(() => ({ populate }));
+    Message.find.mockReturnValue({ sort: jest.fn(() => ({ limit })) });
+
+    const page = await listMessages('post1', { before: 'm10', limit: 2 });
+
+    expect(Message.find).toHaveBeenCalledWith({ driverPostId: 'post1', _id: { $lt: 'm10' } });
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(page).toEqual({ messages: [{ _id: 'm9' }, { _id: 'm8' }], nextCursor: 'm8' });
+  });
+});
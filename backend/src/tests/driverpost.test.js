@@ -0,0 +1,109 @@
+const { updateDriverPost, cancelDriverPost } = require('../services/driverpostHelpers');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Passengerpost = require('../models/passengerpost_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+
+jest.mock('../models/driverpost_model', () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock('../models/joinrequest_model', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn(),
+}));
+jest.mock('../models/passengerpost_model', () => ({
+  find: jest.fn(async () => []),
+  updateMany: jest.fn(),
+}));
+jest.mock('../models/user_model', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../utils/emailService', () => jest.fn());
+jest.mock('../services/matchingEngine');
+jest.mock('../services/waitlistHelpers');
+
+const post = { _id: 'post1', driverId: 'driver1', status: 'scheduled', startingLocation: 'UCLA', endingLocation: 'LAX', numberOfSeats: 3 };
+const requests = [
+  { _id: 'r1', passengerId: 'p1', seatsneeded: 1, status: 'accepted' },
+  { _id: 'r2', passengerId: 'p2', seatsneeded: 2, status: 'pending' },
+  { _id: 'r3', passengerId: 'p3', seatsneeded: 1, status: 'declined' },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.find.mockImplementation(async ({ _id }) => _id.$in.map((id) => ({ email: `${id}@test.com` })));
+});
+
+describe('updateDriverPost', () => {
+  it('declines pending requests that no longer fit and tells everyone else', async () => {
+    Driverpost.findOneAndUpdate.mockResolvedValue({ ...post, numberOfSeats: 1 });
+    Joinrequest.find.mockResolvedValue(requests.slice(0, 2));
+
+    await updateDriverPost(post, { numberOfSeats: 1 });
+
+    expect(Driverpost.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'post1', status: 'scheduled', numberOfSeats: 3 }, { $set: { numberOfSeats: 1 } }, { new: true }
+    );
+    expect(Joinrequest.updateMany).toHaveBeenCalledWith({ _id: { $in: ['r2'] }, status: 'pending' }, { status: 'declined' });
+    expect(sendEmail).toHaveBeenCalledWith('p2@test.com', 'Ride Share Request Update', expect.stringMatching(/declined/));
+    expect(sendEmail).toHaveBeenCalledWith('p1@test.com', 'Ride Share Updated', expect.stringMatching(/Seats still available: 1/));
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a seat edit when a seat was taken meanwhile', async () => {
+    Driverpost.findOneAndUpdate.mockResolvedValue(null);
+    await expect(updateDriverPost(post, { numberOfSeats: 5 })).rejects.toMatchObject({ status: 409, code: 'POST_CHANGED' });
+  });
+
+  it('refuses to edit a ride that has left', async () => {
+    await expect(updateDriverPost({ ...post, status: 'in_progress' }, { additionalNotes: 'late' }))
+      .rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_SCHEDULED' });
+    expect(Driverpost.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('moves every leg of a ride with stops by the seat change', async () => {
+    const route = { ...post, stops: [{ location: 'Westwood' }], segmentSeats: [3, 4] };
+    Driverpost.findOneAndUpdate.mockResolvedValue({ ...route, numberOfSeats: 1, segmentSeats: [1, 2] });
+    Joinrequest.find.mockResolvedValue([]);
+
+    await updateDriverPost(route, { numberOfSeats: 1 });
+
+    expect(Driverpost.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'post1', status: 'scheduled', numberOfSeats: 3, segmentSeats: [3, 4] },
+      { $set: { numberOfSeats: 1, segmentSeats: [1, 2] } },
+      { new: true }
+    );
+  });
+
+  it('keeps the stops once passengers have asked to join', async () => {
+    await expect(updateDriverPost({ ...post, joinrequests: ['r1'] }, { stops: ['Westwood'] }))
+      .rejects.toMatchObject({ status: 409, code: 'ROUTE_LOCKED' });
+    expect(Driverpost.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelDriverPost', () => {
+  it('marks the ride and its open requests cancelled and emails affected passengers', async () => {
+    Driverpost.findOneAndUpdate.mockResolvedValue({ ...post, status: 'cancelled' });
+    Joinrequest.find.mockResolvedValue(requests.slice(0, 2));
+
+    await cancelDriverPost(post);
+
+    expect(Driverpost.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'post1', status: 'scheduled' },
+      { status: 'cancelled', cancelledAt: expect.any(Date) },
+      { new: true }
+    );
+    expect(Joinrequest.find).toHaveBeenCalledWith({ driverPostId: 'post1', status: { $in: ['pending', 'accepted', 'waitlisted'] } });
+    expect(Joinrequest.updateMany).toHaveBeenCalledWith({ _id: { $in: ['r1', 'r2'] } }, { status: 'cancelled' });
+    expect(Passengerpost.updateMany).toHaveBeenCalledWith({ driverPostId: 'post1' }, { status: 'open', $unset: { driverPostId: 1 } });
+    expect(sendEmail.mock.calls.map(([to]) => to)).toEqual(['p1@test.com', 'p2@test.com']);
+  });
+
+  it('refuses to cancel a ride that is no longer scheduled', async () => {
+    Driverpost.findOneAndUpdate.mockResolvedValue(null);
+    await expect(cancelDriverPost(post)).rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_SCHEDULED' });
+    expect(Joinrequest.updateMany).not.toHaveBeenCalled();
+  });
+});
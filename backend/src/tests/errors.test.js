@@ -0,0 +1,56 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../../server');
+const User = require('../models/user_model');
+
+jest.mock('../models/user_model', () => ({
+  findOne: jest.fn(),
+}));
+
+describe('error envelope', () => {
+  it('reports unknown routes as ROUTE_NOT_FOUND', async () => {
+    const response = await request(app).get('/no-such-route');
+    expect(response.statusCode).toBe(404);
+    expect(response.body).toEqual({
+      status: 'FAILED',
+      code: 'ROUTE_NOT_FOUND',
+      message: 'Cannot GET /no-such-route',
+    });
+  });
+
+  it('reports a malformed JSON body as INVALID_JSON', async () => {
+    const response = await request(app)
+      .post('/driver/signin')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('INVALID_JSON');
+  });
+
+  it('reports a missing access token as AUTH_REQUIRED', async () => {
+    const response = await request(app).get('/driver/profile');
+    expect(response.statusCode).toBe(401);
+    expect(response.body.code).toBe('AUTH_REQUIRED');
+  });
+});
+
+describe('POST /passenger/signin errors', () => {
+  it('lists the empty fields', async () => {
+    const response = await request(app).post('/passenger/signin').send({ email: 'rider@test.com' });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.details).toEqual([{ field: 'password', message: 'password is required' }]);
+  });
+
+  it('distinguishes an unknown email from a wrong password', async () => {
+    User.findOne.mockResolvedValueOnce(null);
+    const unknown = await request(app).post('/passenger/signin').send({ email: 'nobody@test.com', password: 'password1' });
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.body.code).toBe('EMAIL_NOT_FOUND');
+
+    User.findOne.mockResolvedValueOnce({ email: 'rider@test.com', password: await bcrypt.hash('password1', 4) });
+    const wrong = await request(app).post('/passenger/signin').send({ email: 'rider@test.com', password: 'password2' });
+    expect(wrong.statusCode).toBe(401);
+    expect(wrong.body.code).toBe('WRONG_PASSWORD');
+  });
+});
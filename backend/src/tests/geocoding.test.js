@@ -0,0 +1,38 @@
+const { createGazetteerProvider, setGeocodingProvider, geocode, placesFor } = require('../services/geocoding');
+
+const provider = createGazetteerProvider([
+  { name: 'UCLA', aliases: ['Royce Hall'], lat: 34.0689, lng: -118.4452 },
+  { name: 'Los Angeles', aliases: ['LA'], lat: 34.0522, lng: -118.2437 },
+  { name: 'UC San Diego', aliases: ['La Jolla'], lat: 32.8801, lng: -117.234 },
+]);
+
+afterEach(() => setGeocodingProvider(provider));
+
+describe('gazetteer provider', () => {
+  it('matches names and aliases, preferring the longest one in the text', async () => {
+    expect(await provider.geocode('ucla')).toMatchObject({ name: 'UCLA' });
+    expect(await provider.geocode('Royce Hall, UCLA')).toMatchObject({ name: 'UCLA' });
+    expect(await provider.geocode('La Jolla Shores')).toMatchObject({ name: 'UC San Diego' });
+    expect(await provider.geocode('L.A.')).toMatchObject({ name: 'Los Angeles' });
+    expect(await provider.geocode('Lake Tahoe')).toBeNull();
+  });
+});
+
+describe('placesFor', () => {
+  it('builds GeoJSON places and nulls the ones it cannot find', async () => {
+    setGeocodingProvider(provider);
+    expect(await placesFor({ startingLocation: 'UCLA', endingLocation: 'Mars' })).toEqual({
+      startingPlace: { name: 'UCLA', location: { type: 'Point', coordinates: [-118.4452, 34.0689] } },
+      endingPlace: null,
+    });
+    expect(await placesFor({ endingLocation: 'LA' })).toEqual({
+      endingPlace: expect.objectContaining({ name: 'Los Angeles' }),
+    });
+  });
+
+  it('treats a failing provider as not found', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setGeocodingProvider({ geocode: async () => { throw new Error('offline'); } });
+    expect(await geocode('UCLA')).toBeNull();
+  });
+});
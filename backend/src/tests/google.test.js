@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/user_model');
+const createFakeOidcServer = require('../utils/fakeOidcServer');
+const { generateAuthToken } = require('../services/authHelpers');
+
+jest.mock('../models/session_model', () => {
+  let nextId = 0;
+  function Session(data) {
+    Object.assign(this, data, { _id: `session-${++nextId}`, revokedAt: null });
+  }
+  Session.prototype.save = jest.fn(function () {
+    return Promise.resolve(this);
+  });
+  Session.findById = () => Promise.resolve({ isActive: () => true });
+  return Session;
+});
+
+// Small in-memory stand-in for the mongoose model, enough for the Google signup/signin paths.
+jest.mock('../models/user_model', () => {
+  const users = [];
+  let nextId = 0;
+  class User {
+    constructor(data) {
+      Object.assign(this, { roles: [], ...data });
+      Object.defineProperty(this, '_saved', { value: null, writable: true });
+    }
+
+    get _doc() {
+      return { ...this };
+    }
+
+    hasRole(role) {
+      return this.roles.includes(role);
+    }
+
+    isModified() {
+      return JSON.stringify(this) !== this._saved;
+    }
+
+    save() {
+      if (!this._id) {
+        this._id = `user-${++nextId}`;
+        users.push(this);
+      }
+      this._saved = JSON.stringify(this);
+      return Promise.resolve(this);
+    }
+
+    static findOne(query) {
+      const [[field, value]] = Object.entries(query);
+      const user = users.find((u) => u[field] === value) || null;
+      return Object.assign(Promise.resolve(user), { exec: () => Promise.resolve(user) });
+    }
+
+    static findById(id) {
+      return Promise.resolve(users.find((u) => u._id === id) || null);
+    }
+  }
+  User.users = users;
+  return User;
+});
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+let oidc;
+let oidcServer;
+
+beforeAll(async () => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-secret';
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  process.env.GOOGLE_CLIENT_SECRET = 'test-secret';
+  process.env.GOOGLE_REDIRECT_URI = 'http://localhost:3000';
+
+  oidc = createFakeOidcServer({ clientId: CLIENT_ID });
+  oidcServer = await oidc.listen();
+  process.env.GOOGLE_TOKEN_ENDPOINT = `${oidc.issuer}/token`;
+  process.env.GOOGLE_ISSUER = oidc.issuer;
+  process.env.GOOGLE_CERTS_URL = `${oidc.issuer}/certs`;
+});
+
+afterAll((done) => {
+  oidcServer.close(done);
+});
+
+beforeEach(() => {
+  User.users.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Google registration through the fake OIDC provider', () => {
+  it('creates a verified driver account and asks for a phone number', async () => {
+    const code = oidc.issueCode({ email: 'jane@example.com', name: 'Jane' });
+
+    const response = await request(app).post('/driver/register/google').send({ code });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.refreshToken).toBeDefined();
+    expect(response.body.needsPhoneNumber).toBe(true);
+    expect(response.body.user).toMatchObject({ email: 'jane@example.com', roles: ['driver'], emailVerified: true });
+    expect(User.users).toHaveLength(1);
+    expect(User.users[0].googleId).toBeDefined();
+  });
+
+  it('adds the passenger role to an existing Google driver account instead of duplicating it', async () => {
+    await request(app).post('/driver/register/google')
+      .send({ code: oidc.issueCode({ email: 'sam@example.com', name: 'Sam', sub: 'google-sam' }) });
+
+    const response = await request(app).post('/passenger/register/google')
+      .send({ code: oidc.issueCode({ email: 'sam@example.com', name: 'Sam', sub: 'google-sam' }) });
+
+    expect(response.statusCode).toBe(200);
+    expect(User.users).toHaveLength(1);
+    expect(User.users[0].roles).toEqual(['driver', 'passenger']);
+  });
+
+  it('refuses to take over a password account of the other type with the same email', async () => {
+    await new User({ email: 'pat@example.com', password: 'hashed', roles: ['passenger'] }).save();
+
+    const response = await request(app).post('/driver/register/google')
+      .send({ code: oidc.issueCode({ email: 'pat@example.com', name: 'Pat' }) });
+
+    expect(response.statusCode).toBe(409);
+    expect(response.body.code).toBe('GOOGLE_NOT_LINKED');
+    expect(User.users[0].googleId).toBeUndefined();
+    expect(User.users[0].roles).toEqual(['passenger']);
+  });
+
+  it('returns GOOGLE_AUTH_FAILED when the authorization code is rejected', async () => {
+    const response = await request(app).post('/driver/register/google').send({ code: 'not-a-real-code' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('GOOGLE_AUTH_FAILED');
+    expect(User.users).toHaveLength(0);
+  });
+
+  it('rejects an ID token issued for another client', async () => {
+    const code = oidc.issueCode({ email: 'eve@example.com', name: 'Eve' }, { audience: 'someone-else' });
+
+    const response = await request(app).post('/passenger/register/google').send({ code });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('GOOGLE_AUTH_FAILED');
+    expect(console.error).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/audience/i));
+    expect(User.users).toHaveLength(0);
+  });
+
+  it('rejects an ID token from an unexpected issuer', async () => {
+    const code = oidc.issueCode({ email: 'eve@example.com', name: 'Eve' }, { issuer: 'https://evil.example.com' });
+
+    const response = await request(app).post('/passenger/register/google').send({ code });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('GOOGLE_AUTH_FAILED');
+    expect(console.error).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/issuer/i));
+    expect(User.users).toHaveLength(0);
+  });
+
+  it('refuses custom certificates without an issuer to check tokens against', async () => {
+    const issuer = process.env.GOOGLE_ISSUER;
+    delete process.env.GOOGLE_ISSUER;
+    try {
+      const code = oidc.issueCode({ email: 'eve@example.com', name: 'Eve' }, { issuer: 'https://evil.example.com' });
+
+      const response = await request(app).post('/passenger/register/google').send({ code });
+
+      expect(response.statusCode).toBe(500);
+      expect(User.users).toHaveLength(0);
+    } finally {
+      process.env.GOOGLE_ISSUER = issuer;
+    }
+  });
+});
+
+describe('Google sign-in through the fake OIDC provider', () => {
+  it('returns 404 for an email with no account', async () => {
+    const response = await request(app).post('/driver/signin/google')
+      .send({ code: oidc.issueCode({ email: 'nobody@example.com', name: 'Nobody' }) });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.body.code).toBe('ACCOUNT_NOT_FOUND');
+    expect(User.users).toHaveLength(0);
+  });
+
+  it('signs in an account created through Google signup', async () => {
+    await request(app).post('/passenger/register/google')
+      .send({ code: oidc.issueCode({ email: 'lee@example.com', name: 'Lee', sub: 'google-lee' }) });
+
+    const response = await request(app).post('/passenger/signin/google')
+      .send({ code: oidc.issueCode({ email: 'lee@example.com', name: 'Lee', sub: 'google-lee' }) });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.user.email).toBe('lee@example.com');
+  });
+});
+
+describe('Linking Google to a signed-in account', () => {
+  const link = async (claims) => {
+    const user = await new User({ email: 'kim@example.com', password: 'hashed', roles: ['driver'] }).save();
+    const token = generateAuthToken(user, 'session-1');
+    const response = await request(app).post('/auth/google/link').set('Authorization', `Bearer ${token}`)
+      .send({ code: oidc.issueCode({ email: 'kim@example.com', name: 'Kim', ...claims }) });
+    return { user, response };
+  };
+
+  it('links a Google account with the same verified email', async () => {
+    const { user, response } = await link({ sub: 'google-kim' });
+
+    expect(response.statusCode).toBe(200);
+    expect(user.googleId).toBe('google-kim');
+  });
+
+  it('refuses a Google account whose email Google has not verified', async () => {
+    const { user, response } = await link({ email_verified: false });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('GOOGLE_EMAIL_UNVERIFIED');
+    expect(user.googleId).toBeUndefined();
+  });
+});
@@ -0,0 +1,122 @@
+const { answerJoinRequests, autoAcceptJoinRequest } = require('../services/joinRequestHelpers');
+const Driverpost = require('../models/driverpost_model');
+const { acceptJoinRequest, declineJoinRequest } = require('../services/seatHelpers');
+const { promoteWaitlist } = require('../services/waitlistHelpers');
+const Joinrequest = require('../models/joinrequest_model');
+const sendEmail = require('../utils/emailService');
+const { ConflictError } = require('../utils/errors');
+
+jest.mock('../models/driverpost_model', () => ({
+  findById: jest.fn(async () => ({ _id: 'post1', startingLocation: 'UCLA' })),
+  updateOne: jest.fn(),
+}));
+jest.mock('../models/joinrequest_model', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../models/user_model', () => ({
+  findById: jest.fn(async (id) => ({ email: `${id}@test.com`, rating: { average: 4.2, count: 3 } })),
+}));
+jest.mock('../services/seatHelpers', () => ({
+  assertConfirmed: jest.requireActual('../services/seatHelpers').assertConfirmed,
+  acceptJoinRequest: jest.fn(),
+  declineJoinRequest: jest.fn(),
+}));
+jest.mock('../services/waitlistHelpers', () => ({
+  promoteWaitlist: jest.fn(),
+}));
+jest.mock('../utils/emailService', () => jest.fn());
+
+const post = { _id: 'post1', driverId: 'driver1' };
+const requests = [
+  { _id: 'r1', driverPostId: post, passengerId: 'p1', status: 'pending' },
+  { _id: 'r2', driverPostId: post, passengerId: 'p2', status: 'pending', confirmBy: new Date() },
+  { _id: 'r3', driverPostId: { _id: 'post2', driverId: 'driver2' }, passengerId: 'p3', status: 'pending' },
+  { _id: 'r4', driverPostId: post, passengerId: 'p4', status: 'pending' },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Joinrequest.find.mockReturnValue({ populate: jest.fn(async () => requests) });
+});
+
+describe('answerJoinRequests', () => {
+  it('accepts what it can and reports the rest', async () => {
+    acceptJoinRequest.mockImplementation(async (id) => {
+      if (id === 'r4') throw new ConflictError('Not enough seats', 'NOT_ENOUGH_SEATS');
+      return { request: { ...requests.find((r) => r._id === id), status: 'accepted' }, post: { startingLocation: 'UCLA' } };
+    });
+
+    const result = await answerJoinRequests('driver1', ['r1', 'r2', 'r3', 'r4', 'r5'], true, 'See you there');
+
+    expect(result.requests.map((r) => r._id)).toEqual(['r1']);
+    expect(result.skipped.map(({ id, code }) => [id, code])).toEqual([
+      ['r2', 'AWAITING_CONFIRMATION'],
+      ['r3', 'NOT_OWNER'],
+      ['r4', 'NOT_ENOUGH_SEATS'],
+      ['r5', 'NOT_FOUND'],
+    ]);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledWith(
+      'p1@test.com',
+      'Ride Share Request Update',
+      'Your ride share request for the post starting at UCLA has been accepted.\n\nMessage from the driver: See you there'
+    );
+  });
+
+  it('declines and hands the seats to the waitlist', async () => {
+    declineJoinRequest.mockImplementation(async (id) => ({ ...requests.find((r) => r._id === id), driverPostId: 'post1', status: 'declined' }));
+
+    const result = await answerJoinRequests('driver1', ['r1'], false);
+
+    expect(result.requests).toHaveLength(1);
+    expect(promoteWaitlist).toHaveBeenCalledWith('post1');
+    expect(sendEmail).toHaveBeenCalledWith('p1@test.com', 'Ride Share Request Update',
+      'Your ride share request for the post starting at UCLA has been declined.');
+  });
+});
+
+describe('autoAcceptJoinRequest', () => {
+  const request = { _id: 'r1', driverPostId: 'post1', passengerId: 'p1', status: 'pending', seatsneeded: 2 };
+
+  beforeEach(() => {
+    acceptJoinRequest.mockResolvedValue({ request: { ...request, status: 'accepted' }, post: { startingLocation: 'UCLA' } });
+  });
+
+  it('leaves the request to the driver unless the post has auto-accept on', async () => {
+    expect(await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: false } }, request)).toBeNull();
+    expect(acceptJoinRequest).not.toHaveBeenCalled();
+  });
+
+  it('reserves seats under the cap before accepting', async () => {
+    Driverpost.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const accepted = await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: true, seats: 3 } }, request);
+
+    expect(accepted.status).toBe('accepted');
+    expect(Driverpost.updateOne).toHaveBeenCalledWith(
+      { _id: 'post1', 'autoAccept.acceptedSeats': { $lte: 1 } },
+      { $inc: { 'autoAccept.acceptedSeats': 2 } }
+    );
+    expect(sendEmail).toHaveBeenCalledWith('p1@test.com', 'Ride Share Request Update',
+      'Your ride share request for the post starting at UCLA has been accepted.');
+  });
+
+  it('only accepts passengers rated above the threshold', async () => {
+    expect(await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: true, ratingAbove: 4.2 } }, request)).toBeNull();
+    expect(await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: true, ratingAbove: 4 } }, request)).toMatchObject({ status: 'accepted' });
+  });
+
+  it('stops once the cap is reached', async () => {
+    Driverpost.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    expect(await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: true, seats: 3 } }, request)).toBeNull();
+    expect(acceptJoinRequest).not.toHaveBeenCalled();
+  });
+
+  it('gives the reserved seats back when the ride filled up meanwhile', async () => {
+    Driverpost.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    acceptJoinRequest.mockRejectedValue(new ConflictError('Not enough seats', 'NOT_ENOUGH_SEATS'));
+
+    expect(await autoAcceptJoinRequest({ _id: 'post1', autoAccept: { enabled: true, seats: 3 } }, request)).toBeNull();
+    expect(Driverpost.updateOne).toHaveBeenLastCalledWith({ _id: 'post1' }, { $inc: { 'autoAccept.acceptedSeats': -2 } });
+  });
+});
@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+const { openStream, subscribeLiveUpdates } = require('../services/liveUpdates');
+const { publish, publishSeats } = require('../services/joinRequestEvents');
+const { isSessionActive } = require('../services/sessionHelpers');
+
+jest.mock('../models/driverpost_model', () => ({
+  findById: jest.fn(async () => ({ _id: 'post1', driverId: 'driver1' })),
+}));
+jest.mock('../services/sessionHelpers', () => ({
+  isSessionActive: jest.fn(async () => true),
+}));
+
+const connect = (userId) => {
+  const req = new EventEmitter();
+  const res = { set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn(), end: jest.fn() };
+  openStream({ userId, sessionId: `${userId}-session` }, req, res);
+  res.write.mockClear();
+  return { req, res };
+};
+
+const events = (res) => res.write.mock.calls.map(([chunk]) => {
+  const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+  return [event, JSON.parse(data)];
+});
+
+beforeAll(() => subscribeLiveUpdates());
+
+describe('live updates', () => {
+  it('pushes a join request change to its passenger and driver only', async () => {
+    const passenger = connect('p1');
+    const driver = connect('driver1');
+    const other = connect('p2');
+
+    publish('accepted', { _id: 'r1', driverPostId: 'post1', passengerId: 'p1', status: 'accepted' });
+    await new Promise(setImmediate);
+
+    const update = { type: 'accepted', requestId: 'r1', driverPostId: 'post1', status: 'accepted' };
+    expect(events(passenger.res)).toEqual([['joinRequest', update]]);
+    expect(events(driver.res)).toEqual([['joinRequest', update]]);
+    expect(other.res.write).not.toHaveBeenCalled();
+    [passenger, driver, other].forEach(({ req }) => req.emit('close'));
+  });
+
+  it('sends seat changes to every open stream until it closes', () => {
+    const first = connect('p1');
+    const second = connect('p2');
+    second.req.emit('close');
+
+    publishSeats({ _id: 'post1', numberOfSeats: 1, segmentSeats: [] });
+
+    expect(events(first.res)).toEqual([['seats', { driverPostId: 'post1', numberOfSeats: 1, segmentSeats: [] }]]);
+    expect(second.res.write).not.toHaveBeenCalled();
+    first.req.emit('close');
+  });
+
+  it('ends the stream once the session is revoked', async () => {
+    jest.useFakeTimers();
+    try {
+      const passenger = connect('p1');
+      isSessionActive.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await jest.advanceTimersByTimeAsync(25 * 1000);
+      expect(passenger.res.write).toHaveBeenCalledWith(': ping\n\n');
+      expect(passenger.res.end).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(25 * 1000);
+      expect(isSessionActive).toHaveBeenLastCalledWith('p1-session');
+      expect(passenger.res.end).toHaveBeenCalled();
+
+      passenger.res.write.mockClear();
+      publish('accepted', { _id: 'r1', driverPostId: 'post1', passengerId: 'p1', status: 'accepted' });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(passenger.res.write).not.toHaveBeenCalled();
+      passenger.req.emit('close');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { scorePair, matchPassengerPost, suggestedRides } = require('../services/matchingEngine');
+const Driverpost = require('../models/driverpost_model');
+const Match = require('../models/match_model');
+
+jest.mock('../models/driverpost_model', () => ({
+  find: jest.fn(),
+  bookableFilter: jest.fn(() => ({ status: 'scheduled' })),
+}));
+jest.mock('../models/passengerpost_model', () => ({ find: jest.fn() }));
+jest.mock('../models/match_model', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+  bulkWrite: jest.fn(),
+}));
+
+const place = (lng, lat) => ({ name: 'somewhere', location: { type: 'Point', coordinates: [lng, lat] } });
+const ucla = place(-118.4452, 34.0689);
+const westwood = place(-118.4455, 34.0635);
+const sanDiego = place(-117.1611, 32.7157);
+const at = (hours) => new Date(Date.UTC(2030, 0, 1, 12 + hours));
+
+const request = {
+  _id: 'request1', passengerId: 'rider1', status: 'open', numberOfPeople: 2, startTime: at(0),
+  startingLocation: 'UCLA', startingPlace: ucla, endingLocation: 'San Diego', endingPlace: sanDiego,
+};
+const ride = (overrides) => ({
+  _id: 'ride1', driverId: 'driver1', status: 'scheduled', numberOfSeats: 2, startTime: at(0),
+  startingLocation: 'Westwood', startingPlace: westwood, endingLocation: 'San Diego', endingPlace: sanDiego,
+  ...overrides,
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('scorePair', () => {
+  it('scores nearby places, close start times and a full car highly', () => {
+    const { score, breakdown } = scorePair(request, ride());
+    expect(breakdown).toEqual({ route: 0.98, time: 1, seats: 1 });
+    expect(score).toBe(0.99);
+    expect(scorePair(request, ride({ startTime: at(1.5), numberOfSeats: 4 })).score).toBeLessThan(score);
+  });
+
+  it('falls back to the location text when a post was not geocoded', () => {
+    const { breakdown } = scorePair(request, ride({ startingPlace: null, startingLocation: 'ucla ' }));
+    expect(breakdown.route).toBe(1);
+  });
+
+  it('rejects pairs that cannot work', () => {
+    expect(scorePair(request, ride({ numberOfSeats: 1 }))).toBeNull();
+    expect(scorePair(request, ride({ startTime: at(4) }))).toBeNull();
+    expect(scorePair(request, ride({ endingPlace: place(-122.4194, 37.7749) }))).toBeNull();
+  });
+});
+
+describe('matchPassengerPost', () => {
+  it('stores the compatible rides and drops matches that no longer fit', async () => {
+    const future = { ...request, startTime: new Date(Date.now() + 24 * 3600 * 1000) };
+    Driverpost.find.mockResolvedValue([
+      ride({ startTime: future.startTime }),
+      ride({ _id: 'ride2', startTime: future.startTime, endingPlace: place(-122.4194, 37.7749) }),
+    ]);
+
+    const matches = await matchPassengerPost(future);
+
+    expect(matches.map((m) => m.driverPostId)).toEqual(['ride1']);
+    expect(Match.deleteMany).toHaveBeenCalledWith({ passengerPostId: 'request1', driverPostId: { $nin: ['ride1'] } });
+    expect(Match.bulkWrite).toHaveBeenCalledWith([
+      expect.objectContaining({
+        updateOne: expect.objectContaining({ filter: { passengerPostId: 'request1', driverPostId: 'ride1' }, upsert: true }),
+      }),
+    ]);
+  });
+
+  it('clears every match once the post is matched', async () => {
+    await matchPassengerPost({ ...request, status: 'matched' });
+    expect(Driverpost.find).not.toHaveBeenCalled();
+    expect(Match.deleteMany).toHaveBeenCalledWith({ passengerPostId: 'request1', driverPostId: { $nin: [] } });
+    expect(Match.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('suggestedRides', () => {
+  it('leaves out matches that went stale since they were stored', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 3600 * 1000);
+    const open = { ...request, startTime: tomorrow };
+    const stored = [
+      { score: 0.9, passengerPostId: open, driverPostId: ride({ startTime: tomorrow }) },
+      { score: 0.8, passengerPostId: open, driverPostId: ride({ startTime: tomorrow, numberOfSeats: 1 }) },
+      { score: 0.7, passengerPostId: open, driverPostId: ride({ startTime: tomorrow, status: 'cancelled' }) },
+      { score: 0.6, passengerPostId: open, driverPostId: null },
+    ];
+    const populate = jest.fn();
+    populate.mockReturnValueOnce({ populate }).mockResolvedValueOnce(stored);
+    Match.find.mockReturnValue({ sort: () => ({ limit: () => ({ populate }) }) });
+
+    const suggestions = await suggestedRides('rider1');
+
+    expect(Match.find).toHaveBeenCalledWith({ passengerId: 'rider1' });
+    expect(suggestions.map((s) => s.score)).toEqual([0.9]);
+  });
+});
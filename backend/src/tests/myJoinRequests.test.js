@@ -0,0 +1,60 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../models/user_model');
+const Joinrequest = require('../models/joinrequest_model');
+const { generateAuthToken } = require('../services/authHelpers');
+
+jest.mock('../models/user_model', () => ({ findById: jest.fn() }));
+jest.mock('../models/joinrequest_model', () => ({ find: jest.fn() }));
+jest.mock('../services/sessionHelpers', () => ({ isSessionActive: jest.fn(async () => true) }));
+
+const userId = '5f50c31f1c7d4a3d2f22dd45';
+const post = { _id: 'post1', startingLocation: 'Westwood', endingLocation: 'Downtown LA', startTime: '2030-01-07T16:00:00.000Z' };
+const passenger = { _doc: { _id: 'p1', name: 'Sam', rating: { average: 5, count: 1 } } };
+
+// The requests as populated: one intact, one whose ride and one whose passenger was deleted.
+const requests = [
+  { _id: 'r1', driverPostId: post, passengerId: passenger, status: 'pending' },
+  { _id: 'r2', driverPostId: null, passengerId: passenger, status: 'pending' },
+  { _id: 'r3', driverPostId: post, passengerId: null, status: 'pending' },
+];
+
+// Joinrequest.find(...) chains sort/populate/exec before resolving.
+const mockFind = (docs) => {
+  const query = {
+    sort: () => query,
+    populate: () => query,
+    exec: async () => docs,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+  };
+  Joinrequest.find.mockReturnValue(query);
+};
+
+const auth = (roles) => `Bearer ${generateAuthToken({ _id: userId, roles }, 'session1')}`;
+
+beforeAll(() => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  User.findById.mockResolvedValue({ _id: userId, joinrequests: ['r1', 'r2', 'r3'] });
+  mockFind(requests);
+});
+
+describe('GET /driver/my-join-requests', () => {
+  it('leaves out requests whose ride or passenger no longer exists', async () => {
+    const response = await request(app).get('/driver/my-join-requests').set('Authorization', auth(['driver']));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual([expect.objectContaining({ requestId: 'r1', postId: 'post1', passengerName: 'Sam' })]);
+  });
+});
+
+describe('GET /passenger/my-join-requests', () => {
+  it('leaves out requests whose ride no longer exists', async () => {
+    const response = await request(app).get('/passenger/my-join-requests').set('Authorization', auth(['passenger']));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.map((rideshare) => rideshare.postId)).toEqual(['post1', 'post1']);
+  });
+});
@@ -0,0 +1,52 @@
+const { notifyJoinRequestChange, subscribeNotifications } = require('../services/notificationHelpers');
+const { publish } = require('../services/joinRequestEvents');
+const Driverpost = require('../models/driverpost_model');
+const Notification = require('../models/notification_model');
+
+jest.mock('../models/driverpost_model', () => ({
+  findById: jest.fn(async () => ({ _id: 'post1', driverId: 'driver1', startingLocation: 'UCLA', endingLocation: 'LAX', stops: [] })),
+}));
+jest.mock('../models/notification_model', () => ({
+  create: jest.fn(async (data) => ({ _id: 'note1', ...data })),
+}));
+jest.mock('../services/driverpostHelpers', () => ({
+  describeRide: (post) => `${post.startingLocation} to ${post.endingLocation}`,
+}));
+
+const request = { _id: 'r1', driverPostId: 'post1', passengerId: 'p1', status: 'pending' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('notifyJoinRequestChange', () => {
+  it('tells the driver about a new request', async () => {
+    await notifyJoinRequestChange({ type: 'requested', request });
+    expect(Notification.create).toHaveBeenCalledWith({
+      userId: 'driver1',
+      audience: 'driver',
+      type: 'requested',
+      message: 'A passenger asked to join your ride from UCLA to LAX.',
+      driverPostId: 'post1',
+      joinRequestId: 'r1',
+    });
+  });
+
+  it('tells the passenger when the driver answers', async () => {
+    await notifyJoinRequestChange({ type: 'declined', request });
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'p1', audience: 'passenger', type: 'declined' }));
+  });
+
+  it('says nothing to the driver when a passenger leaves the waitlist', async () => {
+    expect(await notifyJoinRequestChange({ type: 'withdrawn', request: { ...request, status: 'waitlisted' } })).toBeNull();
+    expect(await notifyJoinRequestChange({ type: 'waitlisted', request })).toBeNull();
+    expect(Driverpost.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('subscribeNotifications', () => {
+  it('stores a notification for each published change', async () => {
+    subscribeNotifications();
+    publish('accepted', request);
+    await new Promise(setImmediate);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'p1', type: 'accepted' }));
+  });
+});
@@ -0,0 +1,135 @@
+const { sendOffer, acceptOffer, notifyOfferingDrivers } = require('../services/offerHelpers');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Offer = require('../models/offer_model');
+const Passengerpost = require('../models/passengerpost_model');
+const User = require('../models/user_model');
+const sendEmail = require('../utils/emailService');
+
+// Documents built with `new Model(data)` save as `{ _id, ...data }`.
+function mockModel(prefix, statics) {
+  let count = 0;
+  const Model = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn(async () => ({ _id: `${prefix}${++count}`, ...data }));
+  });
+  return Object.assign(Model, statics);
+}
+
+jest.mock('../models/driverpost_model', () => mockModel('ride', { findByIdAndUpdate: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../models/joinrequest_model', () => mockModel('request', {}));
+jest.mock('../models/offer_model', () => mockModel('offer', {
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../models/passengerpost_model', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../models/user_model', () => ({
+  find: jest.fn(async (query) => query._id.$in.map((id) => ({ email: `${id}@test.com` }))),
+  findById: jest.fn(async (id) => ({ _id: id, email: `${id}@test.com`, phonenumber: '5555555555' })),
+  findByIdAndUpdate: jest.fn(),
+}));
+jest.mock('../utils/emailService', () => jest.fn());
+jest.mock('../services/matchingEngine');
+
+const post = {
+  _id: 'post1', passengerId: 'rider1', startingLocation: 'UCLA', endingLocation: 'LAX',
+  startTime: new Date('2030-01-01T10:00:00Z'), numberOfPeople: 2, status: 'open',
+};
+const offer = { _id: 'o1', driverId: 'driver1', licensenumber: '7ABC123', model: 'Civic', numberOfSeats: 4, message: 'Happy to help' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('sendOffer', () => {
+  it('rejects a car too small for the group', async () => {
+    await expect(sendOffer(post, 'driver1', { ...offer, numberOfSeats: 1 }))
+      .rejects.toMatchObject({ status: 400, code: 'NOT_ENOUGH_SEATS' });
+  });
+
+  it('rejects an offer on a matched post', async () => {
+    await expect(sendOffer({ ...post, status: 'matched' }, 'driver1', offer))
+      .rejects.toMatchObject({ status: 409, code: 'POST_MATCHED' });
+  });
+});
+
+describe('acceptOffer', () => {
+  it('creates a ride with the passenger seated and declines the other offers', async () => {
+    Passengerpost.findOneAndUpdate.mockResolvedValue({ ...post, status: 'matched' });
+    Offer.findOneAndUpdate.mockResolvedValue({ ...offer, status: 'accepted' });
+    Offer.find.mockResolvedValue([{ _id: 'o2', driverId: 'driver2' }]);
+
+    const ride = await acceptOffer(offer, post);
+
+    expect(ride).toMatchObject({
+      driverId: 'driver1', startingLocation: 'UCLA', numberOfSeats: 2, passengers: ['rider1'], email: 'driver1@test.com',
+    });
+    expect(Joinrequest).toHaveBeenCalledWith(expect.objectContaining({
+      driverPostId: ride._id, passengerId: 'rider1', seatsneeded: 2, status: 'accepted',
+    }));
+    expect(Offer.updateMany).toHaveBeenCalledWith({ _id: { $in: ['o2'] } }, { status: 'declined' });
+    expect(Passengerpost.findByIdAndUpdate).toHaveBeenCalledWith('post1', { driverPostId: ride._id });
+    expect(sendEmail).toHaveBeenCalledWith('driver1@test.com', 'Ride Offer Accepted', expect.any(String));
+  });
+
+  it('refuses a second accept once the post is matched', async () => {
+    Passengerpost.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(acceptOffer(offer, post)).rejects.toMatchObject({ status: 409, code: 'POST_MATCHED' });
+    expect(Driverpost).not.toHaveBeenCalled();
+  });
+
+  it('reopens the post when the offer is no longer pending', async () => {
+    Passengerpost.findOneAndUpdate.mockResolvedValue({ ...post, status: 'matched' });
+    Offer.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(acceptOffer(offer, post)).rejects.toMatchObject({ code: 'OFFER_NOT_PENDING' });
+    expect(Passengerpost.updateOne).toHaveBeenCalledWith({ _id: 'post1' }, { status: 'open' });
+  });
+
+  it('checks the seats against the post as it is now, not as it was offered on', async () => {
+    Passengerpost.findOneAndUpdate.mockResolvedValue(null);
+    Passengerpost.findById.mockResolvedValue({ ...post, numberOfPeople: 5 });
+
+    await expect(acceptOffer(offer, post)).rejects.toMatchObject({ status: 409, code: 'NOT_ENOUGH_SEATS' });
+    expect(Passengerpost.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'post1', status: 'open', numberOfPeople: { $lte: 4 } }, { status: 'matched' }, { new: true }
+    );
+    expect(Offer.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Driverpost).not.toHaveBeenCalled();
+  });
+
+  it('puts the post and the offer back when the ride cannot be created', async () => {
+    Passengerpost.findOneAndUpdate.mockResolvedValue({ ...post, status: 'matched' });
+    Offer.findOneAndUpdate.mockResolvedValue({ ...offer, status: 'accepted' });
+    Joinrequest.mockImplementationOnce(function () {
+      this.save = jest.fn(async () => { throw new Error('write failed'); });
+    });
+
+    await expect(acceptOffer(offer, post)).rejects.toThrow('write failed');
+    expect(Driverpost.deleteOne).toHaveBeenCalledWith({ _id: expect.stringMatching(/^ride/) });
+    expect(Offer.updateOne).toHaveBeenCalledWith({ _id: 'o1' }, { status: 'pending' });
+    expect(Passengerpost.updateOne).toHaveBeenCalledWith({ _id: 'post1' }, { status: 'open' });
+  });
+});
+
+describe('notifyOfferingDrivers', () => {
+  it('declines offers that no longer fit the group', async () => {
+    Offer.find.mockResolvedValue([
+      { _id: 'o1', driverId: 'driver1', numberOfSeats: 4 },
+      { _id: 'o2', driverId: 'driver2', numberOfSeats: 2 },
+    ]);
+
+    await notifyOfferingDrivers({ ...post, numberOfPeople: 3 });
+
+    expect(Offer.updateMany).toHaveBeenCalledWith({ _id: { $in: ['o2'] }, status: 'pending' }, { status: 'declined' });
+    expect(sendEmail).toHaveBeenCalledWith('driver2@test.com', 'Ride Offer Update', expect.stringMatching(/declined/));
+    expect(sendEmail).toHaveBeenCalledWith('driver1@test.com', 'Ride Request Updated', expect.any(String));
+  });
+});
@@ -0,0 +1,61 @@
+const { openRide, reviewRide } = require('../services/reviewHelpers');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const Review = require('../models/review_model');
+const User = require('../models/user_model');
+
+jest.mock('../models/driverpost_model', () => ({ findById: jest.fn() }));
+jest.mock('../models/joinrequest_model', () => ({ find: jest.fn() }));
+jest.mock('../models/review_model', () => ({ create: jest.fn(), aggregate: jest.fn() }));
+jest.mock('../models/user_model', () => ({ updateOne: jest.fn() }));
+
+const driverId = '64b000000000000000000001';
+const passengerId = '64b000000000000000000002';
+const past = { _id: 'post1', driverId, startTime: new Date('2020-01-01'), status: 'completed' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Driverpost.findById.mockResolvedValue(past);
+  Joinrequest.find.mockResolvedValue([{ passengerId }]);
+  Review.create.mockImplementation(async (review) => ({ _id: 'review1', ...review }));
+});
+
+describe('openRide', () => {
+  it('is closed to anyone who was not on the ride', async () => {
+    await expect(openRide('post1', '64b000000000000000000003')).rejects.toMatchObject({ status: 403, code: 'NOT_ON_RIDE' });
+    expect(Joinrequest.find).toHaveBeenCalledWith({ driverPostId: 'post1', status: 'accepted' }, 'passengerId');
+  });
+});
+
+describe('reviewRide', () => {
+  it('saves the review and updates the reviewee\'s score', async () => {
+    Review.aggregate.mockResolvedValue([{ _id: null, average: 4.5, count: 2 }]);
+    const ride = await openRide('post1', passengerId);
+
+    const review = await reviewRide(ride, passengerId, { revieweeId: driverId, rating: 5, comment: 'Smooth ride' });
+
+    expect(review).toMatchObject({ reviewerId: passengerId, revieweeId: driverId, role: 'driver', rating: 5 });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: driverId }, { rating: { average: 4.5, count: 2 } });
+  });
+
+  it('waits until the ride has started', async () => {
+    Driverpost.findById.mockResolvedValue({ ...past, startTime: new Date('2099-01-01'), status: 'scheduled' });
+    const ride = await openRide('post1', driverId);
+    await expect(reviewRide(ride, driverId, { revieweeId: passengerId, rating: 4 }))
+      .rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_STARTED' });
+  });
+
+  it('only lets drivers review their own passengers', async () => {
+    const ride = await openRide('post1', driverId);
+    await expect(reviewRide(ride, driverId, { revieweeId: '64b000000000000000000003', rating: 4 }))
+      .rejects.toMatchObject({ status: 400, details: [{ field: 'revieweeId' }] });
+  });
+
+  it('allows one review per pair and ride', async () => {
+    Review.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const ride = await openRide('post1', driverId);
+    await expect(reviewRide(ride, driverId, { revieweeId: passengerId, rating: 4 }))
+      .rejects.toMatchObject({ status: 409, code: 'ALREADY_REVIEWED' });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+const { zonedTime, occurrenceDates } = require('../services/recurrence');
+const { createRideSeries, updateRideSeries, answerSeriesRequests } = require('../services/rideSeriesHelpers');
+const Driverpost = require('../models/driverpost_model');
+const RideSeries = require('../models/rideseries_model');
+const Joinrequest = require('../models/joinrequest_model');
+const { updateDriverPost, emailPassengers } = require('../services/driverpostHelpers');
+const { ConflictError } = require('../utils/errors');
+
+jest.mock('../models/driverpost_model', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  insertMany: jest.fn(async (docs) => docs.map((doc, i) => ({ _id: `ride${i + 1}`, ...doc }))),
+  bookableFilter: jest.fn(() => ({ status: 'scheduled' })),
+}));
+jest.mock('../models/rideseries_model', () => {
+  const RideSeries = jest.fn(function (data) {
+    this.save = jest.fn(async () => ({ _id: 'series1', ...data }));
+  });
+  RideSeries.findOneAndUpdate = jest.fn();
+  return RideSeries;
+});
+jest.mock('../models/joinrequest_model', () => ({ find: jest.fn(async () => []), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/user_model', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../services/driverpostHelpers');
+jest.mock('../services/matchingEngine');
+jest.mock('../services/waitlistHelpers');
+jest.mock('../utils/emailService', () => jest.fn());
+
+const driver = { _id: 'driver1', phonenumber: '5555555555', email: 'driver@test.com' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('recurrence', () => {
+  it('keeps the local departure time across daylight saving changes', () => {
+    expect(zonedTime('2030-03-08', '08:00', 'America/Los_Angeles').toISOString()).toBe('2030-03-08T16:00:00.000Z');
+    expect(zonedTime('2030-03-11', '08:00', 'America/Los_Angeles').toISOString()).toBe('2030-03-11T15:00:00.000Z');
+  });
+
+  it('lists the matching weekdays in the range', () => {
+    expect(occurrenceDates({ startDate: '2030-01-04', endDate: '2030-01-08', daysOfWeek: [1, 2, 3, 4, 5] }))
+      .toEqual(['2030-01-04', '2030-01-07', '2030-01-08']);
+  });
+});
+
+describe('createRideSeries', () => {
+  const details = {
+    startingLocation: 'Westwood', endingLocation: 'Downtown LA', licensenumber: '7ABC123', model: 'Civic',
+    numberOfSeats: 3, daysOfWeek: [1, 3], time: '08:00', timeZone: 'America/Los_Angeles',
+  };
+
+  it('creates one bookable ride per occurrence', async () => {
+    const { series, occurrences } = await createRideSeries(driver, { ...details, startDate: '2030-01-01', endDate: '2030-01-14' });
+
+    expect(series.recurrence).toEqual({ daysOfWeek: [1, 3], time: '08:00', timeZone: 'America/Los_Angeles', startDate: '2030-01-01', endDate: '2030-01-14' });
+    expect(occurrences.map((post) => post.occurrenceDate)).toEqual(['2030-01-02', '2030-01-07', '2030-01-09', '2030-01-14']);
+    expect(occurrences[0]).toMatchObject({
+      seriesId: 'series1',
+      driverId: 'driver1',
+      numberOfSeats: 3,
+      startTime: new Date('2030-01-02T16:00:00Z'),
+      startingPlace: expect.objectContaining({ name: 'Westwood' }),
+    });
+  });
+
+  it('rejects ranges with no ride in them', async () => {
+    await expect(createRideSeries(driver, { ...details, startDate: '2030-01-04', endDate: '2030-01-05' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED', details: [{ field: 'daysOfWeek', message: expect.any(String) }] });
+    await expect(createRideSeries(driver, { ...details, startDate: '2030-01-01', endDate: '2031-01-01' }))
+      .rejects.toMatchObject({ details: [expect.objectContaining({ field: 'endDate' })] });
+    expect(RideSeries).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateRideSeries', () => {
+  it('moves every upcoming ride to the new time and reports the ones that changed meanwhile', async () => {
+    const series = { _id: 'series1', status: 'active', startingLocation: 'Westwood', endingLocation: 'Downtown LA' };
+    RideSeries.findOneAndUpdate.mockResolvedValue({ ...series, recurrence: { time: '09:30', timeZone: 'America/Los_Angeles' } });
+    const upcoming = [
+      { _id: 'ride1', occurrenceDate: '2030-01-07' },
+      { _id: 'ride2', occurrenceDate: '2030-01-09' },
+    ];
+    Driverpost.find.mockReturnValue({ sort: jest.fn(async () => upcoming) });
+    updateDriverPost
+      .mockImplementationOnce(async (post, changes) => ({ ...post, ...changes }))
+      .mockRejectedValueOnce(new ConflictError('changed', 'POST_CHANGED'));
+
+    const result = await updateRideSeries(series, { time: '09:30', additionalNotes: 'Coffee stop' });
+
+    expect(Driverpost.find).toHaveBeenCalledWith({ seriesId: 'series1', status: 'scheduled' });
+    expect(RideSeries.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'series1', status: 'active' },
+      { $set: { additionalNotes: 'Coffee stop', 'recurrence.time': '09:30' } },
+      { new: true }
+    );
+    expect(updateDriverPost).toHaveBeenCalledWith(
+      upcoming[0],
+      { additionalNotes: 'Coffee stop', startTime: new Date('2030-01-07T17:30:00Z') },
+      { notify: false }
+    );
+    expect(result.occurrences).toHaveLength(1);
+    expect(result.skipped).toEqual([{ id: 'ride2', code: 'POST_CHANGED', message: 'changed' }]);
+    expect(emailPassengers).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to edit a cancelled series', async () => {
+    await expect(updateRideSeries({ _id: 'series1', status: 'cancelled' }, { time: '09:00' }))
+      .rejects.toMatchObject({ code: 'SERIES_CANCELLED' });
+  });
+});
+
+describe('answerSeriesRequests', () => {
+  it('skips occurrences the passenger still has to confirm after a waitlist promotion', async () => {
+    const series = { seriesId: 'series1', passengerId: 'p1' };
+    Driverpost.find.mockResolvedValue([{ _id: 'ride1' }, { _id: 'ride2' }]);
+    Joinrequest.find.mockResolvedValueOnce([
+      { _id: 'r1', driverPostId: 'ride1', status: 'pending' },
+      { _id: 'r2', driverPostId: 'ride2', status: 'pending', confirmBy: new Date('2030-01-01') },
+    ]);
+    Joinrequest.findOneAndUpdate.mockResolvedValue({ _id: 'r1', driverPostId: 'ride1', passengerId: 'p1', seatsneeded: 1, status: 'accepted' });
+    Driverpost.findOneAndUpdate.mockResolvedValue({ _id: 'ride1', numberOfSeats: 2 });
+
+    const result = await answerSeriesRequests(series, true);
+
+    expect(result.requests.map((request) => request._id)).toEqual(['r1']);
+    expect(result.skipped).toEqual([{ id: 'r2', code: 'AWAITING_CONFIRMATION', message: expect.any(String) }]);
+    expect(Joinrequest.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Joinrequest.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'r1', status: 'pending' }, { status: 'accepted' }, { new: true });
+  });
+});
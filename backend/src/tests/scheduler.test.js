@@ -0,0 +1,51 @@
+const { advanceRides } = require('../services/rideScheduler');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const { promoteWaitlist } = require('../services/waitlistHelpers');
+const { publish } = require('../services/joinRequestEvents');
+
+jest.mock('../models/driverpost_model', () => ({
+  updateMany: jest.fn(async () => ({ modifiedCount: 1 })),
+  distinct: jest.fn(async () => ['ride1']),
+}));
+jest.mock('../models/joinrequest_model', () => ({
+  find: jest.fn(async () => [{ _id: 'r1' }, { _id: 'r2' }, { _id: 'r3' }]),
+  updateOne: jest.fn(async ({ _id }) => ({ modifiedCount: _id === 'r2' ? 0 : 1 })),
+  distinct: jest.fn(async () => ['ride2']),
+}));
+jest.mock('../services/waitlistHelpers', () => ({
+  promoteWaitlist: jest.fn(async () => [{ _id: 'r9' }]),
+}));
+jest.mock('../services/joinRequestEvents', () => ({ publish: jest.fn() }));
+
+describe('advanceRides', () => {
+  const now = new Date('2030-01-02T12:00:00Z');
+
+  it('starts departed rides, completes old ones, expires stale requests and promotes waitlists', async () => {
+    const result = await advanceRides(now);
+
+    expect(Driverpost.distinct).toHaveBeenCalledWith('_id', { status: 'scheduled', startTime: { $lte: now } });
+    expect(Driverpost.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['ride1'] }, status: 'scheduled' },
+      { status: 'in_progress', startedAt: now }
+    );
+    expect(Driverpost.updateMany).toHaveBeenCalledWith(
+      { status: 'in_progress', startTime: { $lte: new Date('2030-01-02T00:00:00Z') } },
+      { status: 'completed', completedAt: now }
+    );
+    const expiring = {
+      $or: [
+        { status: { $in: ['pending', 'waitlisted'] }, driverPostId: { $in: ['ride1'] } },
+        { status: 'pending', requestedAt: { $lte: new Date('2029-12-31T12:00:00Z') }, promotedAt: { $exists: false } },
+        { status: 'pending', promotedAt: { $lte: new Date('2029-12-31T12:00:00Z') } },
+        { status: 'pending', confirmBy: { $lte: now } },
+      ],
+    };
+    expect(Joinrequest.find).toHaveBeenCalledWith(expiring, 'passengerId driverPostId');
+    expect(Joinrequest.updateOne).toHaveBeenCalledWith({ _id: 'r1', ...expiring }, { status: 'expired' });
+    // r2 was answered in the meantime, so nobody is told it expired
+    expect(publish.mock.calls).toEqual([['expired', { _id: 'r1' }], ['expired', { _id: 'r3' }]]);
+    expect(promoteWaitlist).toHaveBeenCalledWith('ride2');
+    expect(result).toEqual({ started: 1, completed: 1, expiredRequests: 2, promotedRequests: 1 });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../server');
+const Driverpost = require('../models/driverpost_model');
+const { buildSearchFilter } = require('../services/searchHelpers');
+
+jest.mock('../models/driverpost_model', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  bookableFilter: jest.fn(() => ({ status: 'scheduled' })),
+}));
+
+const ride = (n) => ({
+  _id: `5f50c31f1c7d4a3d2f22dd${String(n).padStart(2, '0')}`,
+  startingLocation: 'LA',
+  endingLocation: 'SD',
+  startTime: new Date(Date.UTC(2030, 0, n)).toISOString(),
+  numberOfSeats: 3,
+});
+
+const mockPage = (docs) => {
+  const populate = jest.fn(async () => docs);
+  const limit = jest.fn(() => ({ populate }));
+  const sort = jest.fn(() => ({ limit }));
+  Driverpost.find.mockReturnValue({ sort });
+  return { sort, limit, populate };
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('buildSearchFilter', () => {
+  it('matches user input literally', () => {
+    const filter = buildSearchFilter({ from: 'LA (north)', to: 'S.D.' }, { seatsField: 'numberOfSeats' });
+    const [, from, to] = filter.$and;
+    expect(from.startingLocation.test('LA (north) station')).toBe(true);
+    expect(from.startingLocation.test('LA north')).toBe(false);
+    expect(to.endingLocation.test('SxDx')).toBe(false);
+  });
+});
+
+describe('GET /driverpost/search', () => {
+  it('combines the filters and pages with a cursor', async () => {
+    const { sort, limit, populate } = mockPage([ride(1), ride(2), ride(3)]);
+    Driverpost.countDocuments.mockResolvedValue(7);
+
+    const response = await request(app)
+      .get('/driverpost/search')
+      .query({ from: 'LA', to: 'SD', dateFrom: '2030-01-01', minSeats: 2, limit: 2 });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.results.map((r) => r._id)).toEqual([ride(1)._id, ride(2)._id]);
+    expect(response.body.total).toBe(7);
+    expect(response.body.nextCursor).toEqual(expect.any(String));
+    expect(sort).toHaveBeenCalledWith({ startTime: 1, _id: 1 });
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(populate).toHaveBeenCalledWith({ path: 'driverId', select: 'rating' });
+
+    const [filter] = Driverpost.find.mock.calls[0];
+    expect(filter.$and).toEqual(expect.arrayContaining([
+      { status: 'scheduled' },
+      { $or: [{ startingLocation: /LA/i }, { 'stops.location': /LA/i }] },
+      { $or: [{ endingLocation: /SD/i }, { 'stops.location': /SD/i }] },
+      { startTime: { $gte: new Date('2030-01-01') } },
+      { numberOfSeats: { $gte: 2 } },
+    ]));
+
+    mockPage([ride(3)]);
+    const next = await request(app)
+      .get('/driverpost/search')
+      .query({ from: 'LA', to: 'SD', limit: 2, cursor: response.body.nextCursor });
+
+    expect(next.body.nextCursor).toBeNull();
+    const [nextFilter] = Driverpost.find.mock.calls[1];
+    expect(nextFilter.$and).toContainEqual({
+      $or: [
+        { startTime: { $gt: new Date(ride(2).startTime) } },
+        { startTime: new Date(ride(2).startTime), _id: { $gt: ride(2)._id } },
+      ],
+    });
+  });
+
+  it('matches by distance when a radius is given', async () => {
+    mockPage([]);
+    Driverpost.countDocuments.mockResolvedValue(0);
+
+    const response = await request(app)
+      .get('/driverpost/search')
+      .query({ from: 'Westwood', fromRadius: 5, to: 'San Diego' });
+
+    expect(response.statusCode).toBe(200);
+    const [filter] = Driverpost.find.mock.calls[0];
+    const near = { $geoWithin: { $centerSphere: [[-118.4455, 34.0635], 5 / 6378.1] } };
+    expect(filter.$and).toContainEqual({
+      $or: [{ 'startingPlace.location': near }, { 'stops.place.location': near }],
+    });
+    expect(filter.$and).toContainEqual({ $or: [{ endingLocation: /San Diego/i }, { 'stops.location': /San Diego/i }] });
+  });
+
+  it('drops rides that pass the two places in the opposite order', async () => {
+    const north = { ...ride(1), startingLocation: 'SD', endingLocation: 'LA', stops: [{ location: 'Irvine' }] };
+    const south = { ...ride(2), stops: [{ location: 'Irvine' }] };
+    mockPage([north, south]);
+    Driverpost.countDocuments.mockResolvedValue(2);
+
+    const response = await request(app).get('/driverpost/search').query({ from: 'Irvine', to: 'SD' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.results.map((r) => r._id)).toEqual([south._id]);
+    expect(response.body.nextCursor).toBeNull();
+  });
+
+  it('rejects a radius around a place it cannot find', async () => {
+    const response = await request(app).get('/driverpost/search').query({ to: 'Atlantis', toRadius: 10 });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('UNKNOWN_PLACE');
+    expect(response.body.details[0].field).toBe('to');
+  });
+
+  it('rejects a malformed cursor', async () => {
+    mockPage([]);
+    const response = await request(app).get('/driverpost/search').query({ cursor: 'not-a-cursor' });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('INVALID_CURSOR');
+  });
+
+  it('rejects a date range that ends before it starts', async () => {
+    const response = await request(app)
+      .get('/driverpost/search')
+      .query({ dateFrom: '2030-02-01', dateTo: '2030-01-01', sort: 'price' });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.details.map((d) => d.field)).toEqual(['dateTo', 'sort']);
+  });
+});
@@ -0,0 +1,181 @@
+// A tiny in-memory collection: every operation yields to the event loop first so
+// concurrent callers interleave, then matches and applies in one step, the way a
+// single-document update does in MongoDB. Dotted paths such as 'segmentSeats.1' and the
+// one pipeline stage seatHelpers uses ($set with $min) are understood too.
+function mockCollection() {
+  const docs = [];
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const get = (doc, path) => path.split('.').reduce((value, key) => value[key], doc);
+  const inc = (doc, path, n) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], doc)[last] += n;
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    const value = get(doc, key);
+    if (cond && cond.$gte !== undefined) return value >= cond.$gte;
+    if (cond && cond.$gt !== undefined) return value > cond.$gt;
+    if (cond && cond.$in !== undefined) return cond.$in.includes(value);
+    if (Array.isArray(value)) return value.includes(cond);
+    return value === cond;
+  });
+  const apply = (doc, update) => {
+    if (Array.isArray(update)) {
+      update.forEach(({ $set }) => Object.entries($set).forEach(([f, { $min }]) => { doc[f] = Math.min(...get(doc, $min.slice(1))); }));
+      return;
+    }
+    Object.entries(update).forEach(([key, value]) => {
+      if (key === '$inc') Object.entries(value).forEach(([f, n]) => inc(doc, f, n));
+      else if (key === '$addToSet') Object.entries(value).forEach(([f, v]) => { if (!doc[f].includes(v)) doc[f].push(v); });
+      else if (key === '$pull') Object.entries(value).forEach(([f, v]) => { doc[f] = doc[f].filter((x) => x !== v); });
+      else doc[key] = value;
+    });
+  };
+  return {
+    docs,
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      await tick();
+      const doc = docs.find((d) => matches(d, filter));
+      if (doc) apply(doc, update);
+      return doc ? { ...doc } : null;
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      await tick();
+      const doc = docs.find((d) => matches(d, filter));
+      if (doc) apply(doc, update);
+      return { matchedCount: doc ? 1 : 0 };
+    }),
+    findOneAndDelete: jest.fn(async (filter) => {
+      await tick();
+      const index = docs.findIndex((d) => matches(d, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    }),
+    exists: jest.fn(async (filter) => docs.some((d) => matches(d, filter))),
+    bookableFilter: () => ({ status: 'scheduled', startTime: { $gt: new Date() } }),
+  };
+}
+
+jest.mock('../models/driverpost_model', () => mockCollection());
+jest.mock('../models/joinrequest_model', () => mockCollection());
+
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const { requestedStops, acceptJoinRequest, releaseJoinRequest } = require('../services/seatHelpers');
+
+const seedRide = (seats, requests) => {
+  Driverpost.docs.length = 0;
+  Joinrequest.docs.length = 0;
+  Driverpost.docs.push({ _id: 'post1', status: 'scheduled', startTime: new Date(Date.now() + 60 * 60 * 1000), numberOfSeats: seats, passengers: [], joinrequests: requests.map((r) => r._id) });
+  requests.forEach((r) => Joinrequest.docs.push({ driverPostId: 'post1', status: 'pending', ...r }));
+};
+
+describe('seat reservation', () => {
+  it('never overbooks a ride when accepts race', async () => {
+    seedRide(3, [
+      { _id: 'r1', passengerId: 'p1', seatsneeded: 2 },
+      { _id: 'r2', passengerId: 'p2', seatsneeded: 2 },
+      { _id: 'r3', passengerId: 'p3', seatsneeded: 1 },
+      { _id: 'r4', passengerId: 'p4', seatsneeded: 1 },
+      { _id: 'r5', passengerId: 'p5', seatsneeded: 2 },
+    ]);
+
+    const results = await Promise.allSettled(['r1', 'r2', 'r3', 'r4', 'r5'].map(acceptJoinRequest));
+
+    const post = Driverpost.docs[0];
+    const accepted = Joinrequest.docs.filter((r) => r.status === 'accepted');
+    const seatsTaken = accepted.reduce((sum, r) => sum + r.seatsneeded, 0);
+    expect(post.numberOfSeats).toBeGreaterThanOrEqual(0);
+    expect(post.numberOfSeats + seatsTaken).toBe(3);
+    expect(post.passengers.sort()).toEqual(accepted.map((r) => r.passengerId).sort());
+
+    const rejected = results.filter((r) => r.status === 'rejected');
+    expect(rejected.length).toBe(5 - accepted.length);
+    rejected.forEach((r) => expect(r.reason).toMatchObject({ status: 409, code: 'NOT_ENOUGH_SEATS' }));
+    expect(Joinrequest.docs.filter((r) => r.status === 'pending').length).toBe(rejected.length);
+  });
+
+  it('refuses to seat anyone once the ride has left', async () => {
+    seedRide(4, [{ _id: 'r1', passengerId: 'p1', seatsneeded: 1 }]);
+    Driverpost.docs[0].status = 'in_progress';
+
+    await expect(acceptJoinRequest('r1')).rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_BOOKABLE' });
+    expect(Joinrequest.docs[0].status).toBe('pending');
+    expect(Driverpost.docs[0].numberOfSeats).toBe(4);
+  });
+
+  it('refuses to seat anyone once the start time has passed, even before the ride is started', async () => {
+    seedRide(4, [{ _id: 'r1', passengerId: 'p1', seatsneeded: 1 }]);
+    Driverpost.docs[0].startTime = new Date(Date.now() - 60 * 1000);
+
+    await expect(acceptJoinRequest('r1')).rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_BOOKABLE' });
+    expect(Joinrequest.docs[0].status).toBe('pending');
+    expect(Driverpost.docs[0]).toMatchObject({ numberOfSeats: 4, passengers: [] });
+  });
+
+  it('accepts the same request only once', async () => {
+    seedRide(4, [{ _id: 'r1', passengerId: 'p1', seatsneeded: 1 }]);
+
+    const results = await Promise.allSettled([acceptJoinRequest('r1'), acceptJoinRequest('r1')]);
+
+    expect(results.filter((r) => r.status === 'fulfilled').length).toBe(1);
+    expect(results.find((r) => r.status === 'rejected').reason.code).toBe('REQUEST_NOT_PENDING');
+    expect(Driverpost.docs[0].numberOfSeats).toBe(3);
+  });
+
+  it('gives seats back once when a cancel is sent twice', async () => {
+    seedRide(4, [{ _id: 'r1', passengerId: 'p1', seatsneeded: 2 }]);
+    await acceptJoinRequest('r1');
+
+    const results = await Promise.all([releaseJoinRequest('post1', 'p1'), releaseJoinRequest('post1', 'p1')]);
+
+    expect(results.filter(Boolean).length).toBe(1);
+    expect(Driverpost.docs[0]).toMatchObject({ numberOfSeats: 4, passengers: [], joinrequests: [] });
+  });
+
+  it.each(['in_progress', 'completed'])('keeps the passenger on a ride that is %s', async (status) => {
+    seedRide(4, [{ _id: 'r1', passengerId: 'p1', seatsneeded: 2 }]);
+    await acceptJoinRequest('r1');
+    Driverpost.docs[0].status = status;
+
+    await expect(releaseJoinRequest('post1', 'p1')).rejects.toMatchObject({ status: 409, code: 'RIDE_NOT_BOOKABLE' });
+    expect(Joinrequest.docs[0].status).toBe('accepted');
+    expect(Driverpost.docs[0]).toMatchObject({ numberOfSeats: 2, passengers: ['p1'] });
+  });
+});
+
+describe('rides with stops', () => {
+  // LA -> Irvine -> San Diego with one seat: legs 0 (LA-Irvine) and 1 (Irvine-San Diego).
+  const seedRoute = (requests) => {
+    seedRide(1, requests);
+    Object.assign(Driverpost.docs[0], {
+      startingLocation: 'LA', endingLocation: 'San Diego', stops: [{ location: 'Irvine' }], segmentSeats: [1, 1],
+    });
+  };
+
+  it('reuses a seat after the dropoff but never double-books a leg', async () => {
+    seedRoute([
+      { _id: 'r1', passengerId: 'p1', seatsneeded: 1, pickupStop: 0, dropoffStop: 1 },
+      { _id: 'r2', passengerId: 'p2', seatsneeded: 1, pickupStop: 1, dropoffStop: 2 },
+      { _id: 'r3', passengerId: 'p3', seatsneeded: 1, pickupStop: 0, dropoffStop: 2 },
+    ]);
+
+    const results = await Promise.allSettled([acceptJoinRequest('r1'), acceptJoinRequest('r2')]);
+    expect(results.every((r) => r.status === 'fulfilled')).toBe(true);
+    await expect(acceptJoinRequest('r3')).rejects.toMatchObject({ status: 409, code: 'NOT_ENOUGH_SEATS' });
+    expect(Driverpost.docs[0]).toMatchObject({ segmentSeats: [0, 0], numberOfSeats: 0 });
+
+    await releaseJoinRequest('post1', 'p1');
+    expect(Driverpost.docs[0]).toMatchObject({ segmentSeats: [1, 0], numberOfSeats: 0 });
+  });
+
+  it('fills in and checks the stops a passenger asks for', () => {
+    seedRoute([]);
+    const post = Driverpost.docs[0];
+
+    expect(requestedStops(post, {})).toEqual({ pickupStop: 0, dropoffStop: 2 });
+    expect(requestedStops(post, { pickupStop: 1 })).toEqual({ pickupStop: 1, dropoffStop: 2 });
+    expect(() => requestedStops(post, { pickupStop: 1, dropoffStop: 1 })).toThrow(expect.objectContaining({ code: 'VALIDATION_FAILED' }));
+    expect(() => requestedStops(post, { dropoffStop: 3 })).toThrow('dropoffStop must be a later stop than pickupStop');
+    expect(requestedStops({ startingLocation: 'LA', endingLocation: 'SD', segmentSeats: [] }, {})).toEqual({});
+  });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../../server');
+const validate = require('../api/middlewares/validate');
+const driverpostSchemas = require('../api/validators/driverpost_schemas');
+
+const run = (schemas, req) => {
+  const next = jest.fn();
+  validate(schemas)(req, {}, next);
+  return next;
+};
+
+describe('validate', () => {
+  it('trims fields and defaults the optional ones', () => {
+    const req = {
+      body: {
+        startingLocation: ' UCLA ',
+        endingLocation: 'LAX',
+        startTime: '2030-01-01T10:00:00Z',
+        licensenumber: '7ABC123',
+        model: 'Civic',
+        numberOfSeats: '3',
+      },
+    };
+    const next = run(driverpostSchemas.newPost, req);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.startingLocation).toBe('UCLA');
+    expect(req.body.numberOfSeats).toBe(3);
+    expect(req.body.startTime).toBeInstanceOf(Date);
+    expect(req.body.additionalNotes).toBe('');
+  });
+
+  it('reports every bad field at once', () => {
+    const next = run(driverpostSchemas.join, {
+      params: { postId: 'not-an-id' },
+      body: { seatsneeded: 0 },
+    });
+    const error = next.mock.calls[0][0];
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('VALIDATION_FAILED');
+    expect(error.details).toEqual([
+      { field: 'postId', message: 'postId must be a valid id' },
+      { field: 'seatsneeded', message: 'seatsneeded must be greater than or equal to 1' },
+    ]);
+  });
+
+  it('rejects a fractional seat count', () => {
+    const next = run(driverpostSchemas.join, {
+      params: { postId: '5f50c31f1c7d4a3d2f22dd5a' },
+      body: { seatsneeded: 1.5 },
+    });
+    expect(next.mock.calls[0][0].details[0].field).toBe('seatsneeded');
+  });
+});
+
+describe('request validation on routes', () => {
+  it('returns per-field messages for an invalid signup', async () => {
+    const response = await request(app).post('/driver/register').send({
+      email: 'not-an-email',
+      password: 'short',
+      name: 'Jane',
+      phonenumber: '123',
+    });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.details.map((detail) => detail.field)).toEqual(['email', 'password', 'phonenumber']);
+  });
+
+  it('rejects a malformed post id before querying', async () => {
+    const response = await request(app).get('/passengerpost/123');
+    expect(response.statusCode).toBe(400);
+    expect(response.body.details).toEqual([{ field: 'postId', message: 'postId must be a valid id' }]);
+  });
+});
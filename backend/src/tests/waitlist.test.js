@@ -0,0 +1,72 @@
+const { promoteWaitlist, confirmWaitlistSpot } = require('../services/waitlistHelpers');
+const Driverpost = require('../models/driverpost_model');
+const Joinrequest = require('../models/joinrequest_model');
+const sendEmail = require('../utils/emailService');
+
+jest.mock('../models/driverpost_model', () => ({
+  findOne: jest.fn(),
+  bookableFilter: jest.fn(() => ({ status: 'scheduled' })),
+}));
+jest.mock('../models/joinrequest_model', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock('../models/user_model', () => ({
+  findById: jest.fn(async (id) => ({ email: `${id}@test.com` })),
+}));
+jest.mock('../utils/emailService', () => jest.fn());
+
+const ride = { _id: 'post1', startingLocation: 'UCLA', endingLocation: 'LAX', numberOfSeats: 3, startTime: new Date('2099-01-01') };
+
+const mockRequests = (requests) => {
+  Joinrequest.find.mockReturnValue({ sort: jest.fn(async () => requests) });
+  Joinrequest.findOneAndUpdate.mockImplementation(async ({ _id }, update) => ({
+    ...requests.find((r) => r._id === _id), ...update,
+  }));
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('promoteWaitlist', () => {
+  it('promotes the oldest requests that fit in the seats nobody has asked for', async () => {
+    Driverpost.findOne.mockResolvedValue(ride);
+    mockRequests([
+      { _id: 'r1', passengerId: 'p1', seatsneeded: 1, status: 'pending' },
+      { _id: 'r2', passengerId: 'p2', seatsneeded: 3, status: 'waitlisted' },
+      { _id: 'r3', passengerId: 'p3', seatsneeded: 1, status: 'waitlisted' },
+      { _id: 'r4', passengerId: 'p4', seatsneeded: 1, status: 'waitlisted' },
+      { _id: 'r5', passengerId: 'p5', seatsneeded: 1, status: 'waitlisted' },
+    ]);
+
+    const promoted = await promoteWaitlist('post1');
+
+    expect(promoted.map((r) => r._id)).toEqual(['r3', 'r4']);
+    expect(Joinrequest.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'r3', status: 'waitlisted' },
+      { status: 'pending', promotedAt: expect.any(Date), confirmBy: expect.any(Date) },
+      { new: true }
+    );
+    expect(sendEmail.mock.calls.map(([to, subject]) => [to, subject])).toEqual([
+      ['p3@test.com', 'A Seat Opened Up'],
+      ['p4@test.com', 'A Seat Opened Up'],
+    ]);
+  });
+
+  it('leaves the waitlist alone once the ride cannot be joined', async () => {
+    Driverpost.findOne.mockResolvedValue(null);
+    expect(await promoteWaitlist('post1')).toEqual([]);
+    expect(Joinrequest.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmWaitlistSpot', () => {
+  it('refuses once the deadline has passed', async () => {
+    Joinrequest.findOneAndUpdate.mockResolvedValue(null);
+    await expect(confirmWaitlistSpot('post1', 'p1')).rejects.toMatchObject({ status: 409, code: 'NOTHING_TO_CONFIRM' });
+    expect(Joinrequest.findOneAndUpdate).toHaveBeenCalledWith(
+      { driverPostId: 'post1', passengerId: 'p1', status: 'pending', confirmBy: { $gt: expect.any(Date) } },
+      { $unset: { confirmBy: 1 } },
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,7 @@
+// Express 4 does not catch rejected promises, so async route handlers are wrapped to
+// forward anything they throw to the error middleware.
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,63 @@
+// Errors thrown by routes and services. The error middleware turns them into
+// `{ status: "FAILED", code, message, details? }` with the matching HTTP status.
+// `code` is the stable, machine-readable part; clients should branch on it, not on `message`.
+class AppError extends Error {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR', details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// `details` lists the offending fields as `[{ field, message }]`.
+class ValidationError extends AppError {
+    constructor(message, details, code = 'VALIDATION_FAILED') {
+        super(message, 400, code, details);
+    }
+
+    static forField(field, message) {
+        return new ValidationError(message, [{ field, message }]);
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, code = 'BAD_REQUEST', details) {
+        super(message, 400, code, details);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message, code = 'UNAUTHORIZED', details) {
+        super(message, 401, code, details);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message, code = 'FORBIDDEN', details) {
+        super(message, 403, code, details);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, code = 'NOT_FOUND', details) {
+        super(message, 404, code, details);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, code = 'CONFLICT', details) {
+        super(message, 409, code, details);
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+};
@@ -0,0 +1,126 @@
+// A minimal stand-in for Google's OAuth token endpoint, so Google signup can be exercised offline.
+// It signs ID tokens with an RSA key generated at startup and serves the public key in the same
+// `{ kid: pem }` format as https://www.googleapis.com/oauth2/v1/certs.
+//
+// Run it on its own with `npm run fake-oidc`, then start the backend with
+//   GOOGLE_TOKEN_ENDPOINT=http://localhost:4000/token
+//   GOOGLE_ISSUER=http://localhost:4000
+//   GOOGLE_CERTS_URL=http://localhost:4000/certs
+// and get a code for any email from http://localhost:4000/authorize?login_hint=you@example.com
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const createFakeOidcServer = ({ clientId = process.env.GOOGLE_CLIENT_ID, issuer } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const server = {
+    app: express(),
+    issuer,
+    // Registers a one-time authorization code that will be exchanged for an ID token with these claims.
+    // `tokenOptions` override the jsonwebtoken sign options, e.g. to mint a token for the wrong audience.
+    issueCode(claims, tokenOptions = {}) {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        claims: {
+          sub: claims.sub || crypto.createHash('sha256').update(claims.email).digest('hex').slice(0, 21),
+          email_verified: true,
+          ...claims,
+        },
+        tokenOptions,
+      });
+      return code;
+    },
+    signIdToken(claims, options = {}) {
+      return jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: server.issuer,
+        audience: clientId,
+        expiresIn: '1h',
+        ...options,
+      });
+    },
+  };
+
+  const app = server.app;
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: server.issuer,
+      authorization_endpoint: `${server.issuer}/authorize`,
+      token_endpoint: `${server.issuer}/token`,
+      jwks_uri: `${server.issuer}/certs`,
+      id_token_signing_alg_values_supported: ['RS256'],
+    });
+  });
+
+  app.get('/certs', (req, res) => {
+    res.json({ [kid]: publicKey });
+  });
+
+  // Auto-approves whoever is named in login_hint; there is no consent screen.
+  app.get('/authorize', (req, res) => {
+    const { login_hint: email, name, redirect_uri: redirectUri, state } = req.query;
+    if (!email) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'login_hint is required' });
+    }
+    const code = server.issueCode({ email, name: name || email.split('@')[0] });
+    if (!redirectUri) {
+      return res.json({ code });
+    }
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, client_id: requestClientId, grant_type: grantType } = req.body;
+    if (grantType !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if (requestClientId !== clientId) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const grant = codes.get(code);
+    if (!grant) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Malformed auth code.' });
+    }
+    codes.delete(code);
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 3600,
+      id_token: server.signIdToken(grant.claims, grant.tokenOptions),
+    });
+  });
+
+  // Resolves once listening; `issuer` defaults to the address actually bound.
+  server.listen = (port = 0) => new Promise((resolve) => {
+    const httpServer = app.listen(port, () => {
+      server.issuer = server.issuer || `http://localhost:${httpServer.address().port}`;
+      resolve(httpServer);
+    });
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.FAKE_OIDC_PORT) || 4000;
+  createFakeOidcServer().listen(port).then(() => {
+    console.log(`Fake OIDC provider running on http://localhost:${port}`);
+  });
+}
+
+module.exports = createFakeOidcServer;
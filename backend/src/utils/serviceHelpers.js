@@ -0,0 +1,41 @@
+const { AppError } = require('./errors');
+
+const HOUR = 60 * 60 * 1000;
+
+// Errors a caller can report and move past: the ones the client caused or can act on.
+// Anything else (a bug, the database going away) still fails the whole request.
+const isExpectedError = (error) => error instanceof AppError && error.status < 500;
+
+// For follow-up work after a change is saved, such as matching or waitlist promotion: a failure
+// there must not fail the request that made the change, so it is logged and resolves to [].
+const logFailure = (label, run) => async (...args) => {
+    try {
+        return await run(...args);
+    } catch (error) {
+        console.error(`${label} failed:`, error);
+        return [];
+    }
+};
+
+// Runs `action` on each item in turn and keeps going past the ones that fail with an expected
+// error, reporting them as `skipped: [{ id, code, message }]`.
+const eachSkipping = async (items, action, idOf = (item) => item._id) => {
+    const done = [];
+    const skipped = [];
+    for (const item of items) {
+        try {
+            done.push(await action(item));
+        } catch (error) {
+            if (!isExpectedError(error)) throw error;
+            skipped.push({ id: idOf(item), code: error.code, message: error.message });
+        }
+    }
+    return { done, skipped };
+};
+
+module.exports = {
+    HOUR,
+    isExpectedError,
+    logFailure,
+    eachSkipping,
+};
@@ -14,12 +14,18 @@ import Success from './pages/Login/Success';
 import DriverHome from './pages/Driver/Home/DriverHome';
 import PassengerPostDetail from './pages/Driver/Home/PassengerPostDetail';
 import DriverPostDetail from './pages/Driver/Home/DriverPostDetail';
+import DriverJoinRequests from './pages/Driver/JoinRequests/DriverJoinRequests';
 import InitiateRide from './pages/Driver/InitiateRide/InitiateRide';
 import PassengerPost from './pages/Passenger/PassengerPost/PassengerPost';
 import DriverProfile from './pages/Driver/Profile/DriverProfile';
 import PassengerSignup from './pages/Login/PassengerSignup';
+import VerifyEmail from './pages/Login/VerifyEmail';
+import ForgotPassword from './pages/Login/ForgotPassword';
+import ResetPassword from './pages/Login/ResetPassword';
+import CompleteProfile from './pages/Login/CompleteProfile';
 
 import axios from "axios";
+import { installRefreshInterceptor } from './utils/LoginActions';
 
 
 const token = window.localStorage.getItem("AuthToken");
@@ -28,6 +34,7 @@ if (token) {
 } else {
   axios.defaults.headers.common["authorization"] = null;
 }
+installRefreshInterceptor();
 
 function App() {
   return (
@@ -41,6 +48,11 @@ function App() {
           <Route path="/passenger-login" element={<PassengerLogin />} />
           <Route path="/driver-signup" element={<DriverSignup />} />
           <Route path="/passenger-signup" element={<PassengerSignup />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+          <Route path="/driver-forgot-password" element={<ForgotPassword accountType="driver" />} />
+          <Route path="/passenger-forgot-password" element={<ForgotPassword accountType="passenger" />} />
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/complete-profile" element={<CompleteProfile />} />
           <Route path="/home" element={<PassengerHome />} />
           <Route path="/posts" element={<PassengerHome />} />
           <Route path="/search" element={<SearchResults />} /> 
@@ -52,6 +64,8 @@ function App() {
           <Route path="/driver-profile/:id" element={<DriverProfile />} />
           <Route path="/passenger-post/:postId" element={<PassengerPostDetail />} />
           <Route path="/driver-post-detail" element={<DriverPostDetail />} />
+          <Route path="/driver-post-detail/:postId" element={<DriverPostDetail />} />
+          <Route path="/driver-join-requests" element={<DriverJoinRequests />} />
           <Route path="*" element={<NotFoundPage />} />
         </Routes>
       </div>
@@ -18,6 +18,9 @@ const mockClientId = 'your-google-oauth-client-id';
 jest.mock('axios', () => ({
     get: jest.fn(() => Promise.resolve({ data: {} })),
     post: jest.fn(() => Promise.resolve({ data: {} })),
+    interceptors: {
+        response: { use: jest.fn() },
+    },
     defaults: {
         headers: {
           get common() {
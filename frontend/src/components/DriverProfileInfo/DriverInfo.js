@@ -3,11 +3,23 @@ import React, { useState, useEffect } from 'react';
 import './DriverEditPopup.scss'; 
 import defaultAvatar from '../../assets/default_avatar.jpeg';
 import DriverEditPopup from './DriverEditPopup';
+import DriverPostEditPopup from './DriverPostEditPopup';
 import { useNavigate } from 'react-router-dom';
 import axios from "axios";
 import { API_BASE_URL } from '../../services/api';
+import GoogleSignup from '../GoogleSignup/GoogleSignup';
+import { getApiError, getFieldErrors } from '../../utils/apiErrors';
+import { toLocalInputValue, formatRating } from '../../utils/util';
+import useLiveUpdates from '../../hooks/useLiveUpdates';
 
-const DriverInfo = ({name, email, phonenumber, avatar}) => {
+const RIDE_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    in_progress: 'In progress',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
+};
+
+const DriverInfo = ({name, email, phonenumber, avatar, googleLinked, rating}) => {
     const [showEditPopup, setShowEditPopup] = useState(false); 
     const [profile, setProfile] = useState({
         name,
@@ -19,6 +31,9 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
     const [showJoinRequests, setShowJoinRequests] = useState(false);
     const [driverPosts, setDriverPosts] = useState([]);
     const [joinRequests, setJoinRequests] = useState([]);
+    const [googleMessage, setGoogleMessage] = useState('');
+    const [editingPost, setEditingPost] = useState(null);
+    const [postErrors, setPostErrors] = useState({});
     const navigate = useNavigate();
 
 
@@ -112,6 +127,18 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
         }
     };
 
+    // New requests, withdrawals and seat changes show up without reopening the lists.
+    useLiveUpdates({
+        joinRequest: () => {
+            if (showJoinRequests || joinRequests.length) fetchJoinRequests();
+        },
+        seats: (update) => {
+            setDriverPosts(current => current.map(post => post._id === update.driverPostId
+                ? { ...post, numberOfSeats: update.numberOfSeats, segmentSeats: update.segmentSeats }
+                : post));
+        },
+    });
+
     // Toggle driver posts dropdown
     const toggleDriverPosts = () => {
         setShowJoinRequests(false); // Hide Join Requests when showing My Posts
@@ -121,9 +148,91 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
         }
     };
     const handlePostClick = (post) => {
-        navigate('/driver-post-detail', { state: { post } });
+        navigate(`/driver-post-detail/${post._id}`, { state: { post } });
       };
 
+    const handleEditPostClick = (e, post) => {
+        e.stopPropagation();
+        setPostErrors({});
+        setEditingPost({
+            _id: post._id,
+            startingLocation: post.startingLocation,
+            endingLocation: post.endingLocation,
+            startTime: toLocalInputValue(post.startTime),
+            numberOfSeats: post.numberOfSeats,
+            additionalNotes: post.additionalNotes || ''
+        });
+    };
+
+    const handlePostChange = (e) => {
+        const { name, value } = e.target;
+        setEditingPost(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handlePostSubmit = async (e) => {
+        e.preventDefault();
+        const original = driverPosts.find(post => post._id === editingPost._id);
+        const changes = {};
+        ['startingLocation', 'endingLocation', 'additionalNotes'].forEach(field => {
+            if (editingPost[field] !== (original[field] || '')) changes[field] = editingPost[field];
+        });
+        if (editingPost.startTime && editingPost.startTime !== toLocalInputValue(original.startTime)) {
+            changes.startTime = new Date(editingPost.startTime).toISOString();
+        }
+        if (Number(editingPost.numberOfSeats) !== original.numberOfSeats) {
+            changes.numberOfSeats = Number(editingPost.numberOfSeats);
+        }
+        if (!Object.keys(changes).length) {
+            setEditingPost(null);
+            return;
+        }
+
+        try {
+            const token = localStorage.getItem('AuthToken');
+            const response = await axios.patch(`${API_BASE_URL}/driverpost/${editingPost._id}`, changes, {
+                headers: { 'Authorization': token },
+            });
+            setDriverPosts(current =>
+                current.map(post => post._id === editingPost._id ? { ...post, ...response.data.data } : post)
+            );
+            setEditingPost(null);
+        } catch (error) {
+            const apiError = getApiError(error, 'Unable to update the ride.');
+            setPostErrors(apiError.code === 'VALIDATION_FAILED' ? getFieldErrors(apiError) : { generic: apiError.message });
+        }
+    };
+
+    const handleCancelPostClick = async (e, post) => {
+        e.stopPropagation();
+        if (!window.confirm('Cancel this ride? Passengers who requested to join will be notified.')) return;
+
+        try {
+            const token = localStorage.getItem('AuthToken');
+            await axios.delete(`${API_BASE_URL}/driverpost/${post._id}`, {
+                headers: { 'Authorization': token },
+            });
+            setDriverPosts(current => current.map(p => p._id === post._id ? { ...p, status: 'cancelled' } : p));
+        } catch (error) {
+            console.error('Error cancelling ride:', getApiError(error));
+        }
+    };
+
+    const handleCancelSeriesClick = async (e, post) => {
+        e.stopPropagation();
+        if (!window.confirm('Cancel every upcoming ride in this series? Passengers who requested to join will be notified.')) return;
+
+        try {
+            const token = localStorage.getItem('AuthToken');
+            const response = await axios.delete(`${API_BASE_URL}/rideseries/${post.seriesId}`, {
+                headers: { 'Authorization': token },
+            });
+            const cancelled = response.data.data.occurrences.map(p => p._id);
+            setDriverPosts(current => current.map(p => cancelled.includes(p._id) ? { ...p, status: 'cancelled' } : p));
+        } catch (error) {
+            console.error('Error cancelling series:', getApiError(error));
+        }
+    };
+
     
     // Toggle join requests dropdown
     const toggleJoinRequests = () => {
@@ -164,6 +273,20 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
             console.error('Error declining join request:', error.response ? error.response.data : error.message);
         }
     };
+    // Answers every pending request the passenger made for the series in one go
+    const answerSeriesRequests = async (request, action) => {
+        try {
+            const response = await axios.patch(`${API_BASE_URL}/rideseries/join-requests/${request.requestId}/${action}`);
+            const answered = response.data.data.requests.map(r => r._id);
+            const status = action === 'accept' ? 'accepted' : 'declined';
+            setJoinRequests(current =>
+                current.map(r => answered.includes(r.requestId) ? { ...r, status } : r)
+            );
+        } catch (error) {
+            console.error('Error answering series requests:', getApiError(error));
+        }
+    };
+
     return (
         <div className="driver-info-wrapper">
             <div className="driver-info">
@@ -176,6 +299,13 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
                         <p><strong>Username/Email:</strong> {email}</p>
                         <p><strong>Full Name:</strong> {name}</p>
                         <p><strong>Phone number:</strong> {phonenumber}</p>
+                        <p><strong>Rating:</strong> {formatRating(rating)}</p>
+                        {email && !googleLinked && (
+                            <GoogleSignup mode="link"
+                                onSuccess={(data) => setGoogleMessage(data.message)}
+                                onFailure={(error) => setGoogleMessage(typeof error === 'string' ? error : 'Unable to link Google account.')} />
+                        )}
+                        {googleMessage && <p>{googleMessage}</p>}
                     </div>
                 </div>
                 <div className="button-container">
@@ -200,6 +330,18 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
                                     <p><strong>License Number:</strong> {post.licensenumber}</p>
                                     <p><strong>Car Model:</strong> {post.model}</p>
                                     <p><strong>Additional Notes:</strong> {post.additionalNotes}</p>
+                                    <p><strong>Status:</strong> {RIDE_STATUS_LABELS[post.status] || post.status}</p>
+                                    {post.status === 'scheduled' && <div className="request-actions">
+                                        <button onClick={(e) => handleEditPostClick(e, post)} className="accept-button">
+                                            Edit
+                                        </button>
+                                        <button onClick={(e) => handleCancelPostClick(e, post)} className="decline-button">
+                                            Cancel Ride
+                                        </button>
+                                        {post.seriesId && <button onClick={(e) => handleCancelSeriesClick(e, post)} className="decline-button">
+                                            Cancel Series
+                                        </button>}
+                                    </div>}
                                 </div>
                             </div>
                         ))}
@@ -210,18 +352,30 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
                         {joinRequests.filter(request => request.status !== 'accepted' && request.status !== 'declined').map((request, index) => (
                             <div key={index} className="request-card">
                                 <h4>Request from {request.passengerName}</h4>
+                                <p><strong>Passenger rating:</strong> {formatRating(request.passengerRating)}</p>
                                 <p><strong>Starting Location:</strong> {request.startingLocation}</p>
                                 <p><strong>Ending Location:</strong> {request.endingLocation}</p>
                                 <p><strong>Start Time:</strong> {new Date(request.startTime).toLocaleString()}</p>
+                                {request.pickup && <p><strong>Rides:</strong> {request.pickup} → {request.dropoff} ({request.seatsneeded} seats)</p>}
                                 <p><strong>Message:</strong> {request.message}</p>
-                                <div className="request-actions">
+                                {request.status === 'waitlisted' && <p><em>On the waitlist until seats free up.</em></p>}
+                                {request.confirmBy && <p><em>Came off the waitlist; waiting for the passenger to confirm by {new Date(request.confirmBy).toLocaleString()}.</em></p>}
+                                {request.status === 'pending' && !request.confirmBy && <div className="request-actions">
                                     <button onClick={() => acceptJoinRequest(request.requestId)} className="accept-button">
                                         Accept
                                     </button>
                                     <button onClick={() => declineJoinRequest(request.requestId)} className="decline-button">
                                         Decline
                                     </button>
-                                </div>
+                                </div>}
+                                {request.seriesId && <div className="request-actions">
+                                    <button onClick={() => answerSeriesRequests(request, 'accept')} className="accept-button">
+                                        Accept whole series
+                                    </button>
+                                    <button onClick={() => answerSeriesRequests(request, 'decline')} className="decline-button">
+                                        Decline whole series
+                                    </button>
+                                </div>}
                             </div>
                         ))}
                     </div>
@@ -235,6 +389,15 @@ const DriverInfo = ({name, email, phonenumber, avatar}) => {
                     profile={profile}
                 />
             }
+            {editingPost &&
+                <DriverPostEditPopup
+                    onClose={() => setEditingPost(null)}
+                    onSubmit={handlePostSubmit}
+                    onChange={handlePostChange}
+                    post={editingPost}
+                    errors={postErrors}
+                />
+            }
         </div>
     );
 }
@@ -0,0 +1,71 @@
+import './DriverEditPopup.scss';
+
+const DriverPostEditPopup = ({ onClose, post, errors, onSubmit, onChange }) => {
+
+    return (
+        <div className="edit-popup-overlay">
+            <div className="edit-popup-content">
+                <h3>Edit Ride</h3>
+                <form onSubmit={onSubmit}>
+                    <label htmlFor="startingLocation">Starting Location</label>
+                    <input
+                        type="text"
+                        id="startingLocation"
+                        name="startingLocation"
+                        value={post.startingLocation}
+                        onChange={onChange}
+                    />
+                    {errors.startingLocation && <div className="field-error">{errors.startingLocation}</div>}
+
+                    <label htmlFor="endingLocation">Ending Location</label>
+                    <input
+                        type="text"
+                        id="endingLocation"
+                        name="endingLocation"
+                        value={post.endingLocation}
+                        onChange={onChange}
+                    />
+                    {errors.endingLocation && <div className="field-error">{errors.endingLocation}</div>}
+
+                    <label htmlFor="startTime">Start Time</label>
+                    <input
+                        type="datetime-local"
+                        id="startTime"
+                        name="startTime"
+                        value={post.startTime}
+                        onChange={onChange}
+                    />
+                    {errors.startTime && <div className="field-error">{errors.startTime}</div>}
+
+                    <label htmlFor="numberOfSeats">Seats Available</label>
+                    <input
+                        type="number"
+                        id="numberOfSeats"
+                        name="numberOfSeats"
+                        min="0"
+                        value={post.numberOfSeats}
+                        onChange={onChange}
+                    />
+                    {errors.numberOfSeats && <div className="field-error">{errors.numberOfSeats}</div>}
+
+                    <label htmlFor="additionalNotes">Additional Notes</label>
+                    <textarea
+                        id="additionalNotes"
+                        name="additionalNotes"
+                        value={post.additionalNotes}
+                        onChange={onChange}
+                    />
+                    {errors.additionalNotes && <div className="field-error">{errors.additionalNotes}</div>}
+                    {errors.generic && <div className="field-error">{errors.generic}</div>}
+
+                    <div className="edit-popup-actions">
+                        <button type="button" className="edit-popup-button" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="edit-popup-button" >Save Changes</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default DriverPostEditPopup;
@@ -3,33 +3,43 @@ import React from 'react';
 import { useGoogleLogin } from '@react-oauth/google';
 import axios from 'axios';
 import {API_BASE_URL} from '../../services/api'
+import { getApiError } from '../../utils/apiErrors';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faGoogle } from '@fortawesome/free-brands-svg-icons';
 
-const GoogleSignup = ({ onSuccess, onFailure, accountType }) => {
+// mode: 'signup' creates the account if needed, 'signin' only logs into a linked account,
+// 'link' attaches Google to the account that is currently logged in.
+const endpoints = {
+  signup: (accountType) => `/${accountType}/register/google`,
+  signin: (accountType) => `/${accountType}/signin/google`,
+  link: () => '/auth/google/link',
+};
+
+const labels = {
+  signup: 'Sign Up Using Google',
+  signin: 'Sign In Using Google',
+  link: 'Link Google Account',
+};
+
+const GoogleSignup = ({ onSuccess, onFailure, accountType, mode = 'signup' }) => {
   const googleLogin = useGoogleLogin({
     onSuccess: async (tokenResponse) => {
       console.log("Token response from Google:", tokenResponse);
       console.log("account Type:", accountType);
       try {
-        const endpoint = accountType === 'driver' ? '/driver/register/google' : '/passenger/register/google';
+        const endpoint = endpoints[mode](accountType);
         const payload = {
           code: tokenResponse.code,
-          accountType,
         };
-        const response = await axios.post(`${API_BASE_URL}${endpoint}`, payload);
+        const headers = mode === 'link' ? { 'Authorization': window.localStorage.getItem('AuthToken') } : {};
+        const response = await axios.post(`${API_BASE_URL}${endpoint}`, payload, { headers });
         
         if (onSuccess) onSuccess(response.data);
       } catch (error) {
-        // The response from the backend is in error.response.data
-        if (error.response) {
-          console.log(error.response.data);
-          // If the request fails, handle failure and pass the error message to onFailure
-          if (onFailure) onFailure(error.response.data.message);
-        } else {
-          // no response was received or an error occurred in setting up the request
-          if (onFailure) onFailure(error.message);
-        }
+        const apiError = getApiError(error, 'Google sign-in failed. Please try again.');
+        console.log(apiError);
+        // The code lets callers tell e.g. GOOGLE_NOT_LINKED apart from ACCOUNT_NOT_FOUND.
+        if (onFailure) onFailure(apiError.message, apiError.code);
       }
     },
     onError: (error) => {
@@ -40,8 +50,8 @@ const GoogleSignup = ({ onSuccess, onFailure, accountType }) => {
   });
 
   return (
-    <button onClick={() => googleLogin()} className="social-btn google">
-      Sign In/Up Using Google
+    <button type="button" onClick={() => googleLogin()} className="social-btn google">
+      {labels[mode]}
     </button>
   );
 };
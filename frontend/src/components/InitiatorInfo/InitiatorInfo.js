@@ -7,6 +7,7 @@ import './InitiatorInfo.css';
 import { useParams } from 'react-router-dom';
 import { fetchPostById } from '../../services/mockAPI'; 
 import defaultAvatar from '../../assets/default_avatar.jpeg';
+import { formatRating } from '../../utils/util';
 
 const InitiatorInfo = ({post}) => {
     console.log(post.avatar)
@@ -22,10 +23,11 @@ const InitiatorInfo = ({post}) => {
                 </div>
                 <div className="user-details">
                     <p><strong>Full Name:</strong> {post.drivername}</p>
-                    <p><strong>Email:</strong> {post.email}</p>
                     <p><strong>License Number:</strong> {post.licenseNumber}</p>
-                    <p><strong>Phone number:</strong> {post.phonenumber}</p>
-                    <p><strong>Email:</strong> {post.email}</p>
+                    <p><strong>Rating:</strong> {formatRating(post.driverRating)}</p>
+                    {/* Contact details are only sent once both sides agreed to share them in the ride chat. */}
+                    {post.phonenumber && <p><strong>Phone number:</strong> {post.phonenumber}</p>}
+                    {post.email && <p><strong>Email:</strong> {post.email}</p>}
                 </div>
             </div>
         </div>
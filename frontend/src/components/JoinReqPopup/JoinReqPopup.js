@@ -2,7 +2,9 @@
 /* Part of this file was leveraged from GPT */ 
 import './JoinReqPopup.scss'; // Importing the CSS for the Popup
 
-const JoinReqPopup = ({ onClose, onSubmit, onChange, maxSeats}) => {
+// `route` lists the ride's stops from start to end; with more than two the passenger picks
+// where to get on and off.
+const JoinReqPopup = ({ onClose, onSubmit, onChange, maxSeats, route = [], pickupStop = 0, dropoffStop}) => {
   return (
     <div className="popup-overlay">
       <div className="popup-content">
@@ -16,6 +18,22 @@ const JoinReqPopup = ({ onClose, onSubmit, onChange, maxSeats}) => {
             required
             onChange={onChange}
           ></textarea>
+          {route.length > 2 && (
+            <div className="popup-stops">
+              <label>
+                Get on at
+                <select className="input-common" name="pickupStop" value={pickupStop} onChange={onChange}>
+                  {route.slice(0, -1).map((stop, index) => <option key={index} value={index}>{stop}</option>)}
+                </select>
+              </label>
+              <label>
+                Get off at
+                <select className="input-common" name="dropoffStop" value={dropoffStop} onChange={onChange}>
+                  {route.map((stop, index) => index > pickupStop && <option key={index} value={index}>{stop}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
           <input className="input-common"
             type="number"
             placeholder="Number of people you have"
@@ -5,8 +5,12 @@ import './DriverNavbar.scss';
 import { IconButton, Tooltip } from '@mui/material';
 import HomeIcon from '@mui/icons-material/Home';
 import AddIcon from '@mui/icons-material/Add';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import ExitToAppIcon from '@mui/icons-material/ExitToApp';
+import PhonelinkEraseIcon from '@mui/icons-material/PhonelinkErase';
+import { logout, logoutAllDevices } from '../../utils/LoginActions';
+import Notification from '../Notification';
 
 const DriverNav = () => {
   const [userId, setUserId] = useState(null);
@@ -18,8 +22,13 @@ const DriverNav = () => {
     setUserId(token);
   }, []);
 
-  const handleLogout = () => {
-    window.localStorage.clear();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/welcome');
+  };
+
+  const handleLogoutAll = async () => {
+    await logoutAllDevices();
     navigate('/welcome');
   };
 
@@ -50,6 +59,18 @@ const DriverNav = () => {
           </Tooltip>
         </li>
 
+        <li className="d-nav-item">
+          <Tooltip title="Join Requests">
+            <IconButton onClick={() => navigate("/driver-join-requests")}>
+              <GroupAddIcon />
+            </IconButton>
+          </Tooltip>
+        </li>
+
+        <li className="d-nav-item">
+          <Notification />
+        </li>
+
         <li className="p-nav-item">
          
           <Tooltip title="Account">
@@ -70,6 +91,14 @@ const DriverNav = () => {
             </IconButton>
           </Tooltip>
         </li>
+
+        <li className="d-nav-item">
+          <Tooltip title="Sign out of all devices">
+            <IconButton onClick={handleLogoutAll}>
+              <PhonelinkEraseIcon />
+            </IconButton>
+          </Tooltip>
+        </li>
       </ul>
     </nav>
   );
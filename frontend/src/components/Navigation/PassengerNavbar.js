@@ -10,6 +10,8 @@ import DirectionsCarIcon from '@mui/icons-material/DirectionsCar';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import ControlPointIcon from '@mui/icons-material/ControlPoint';
 import LogoutIcon from '@mui/icons-material/Logout';
+import PhonelinkEraseIcon from '@mui/icons-material/PhonelinkErase';
+import { logout, logoutAllDevices } from '../../utils/LoginActions';
 
 function Navigation() {
   const [userId, setUserId] = useState(null);
@@ -30,9 +32,13 @@ function Navigation() {
     navigate(`/search?query=${searchValue}`);
   };
 
-  const signoutaction = () => {
-    window.localStorage.clear();
-    window.sessionStorage.clear();
+  const signoutaction = async () => {
+    await logout();
+    navigate('/welcome');
+  };
+
+  const signoutEverywhere = async () => {
+    await logoutAllDevices();
     navigate('/welcome');
   };
 
@@ -80,9 +86,9 @@ function Navigation() {
           </Tooltip>
         </li>
 
-        {/* <li className="p-nav-item">
+        <li className="p-nav-item">
           <Notification />
-        </li> */}
+        </li>
 
         <li className="p-nav-item">
          
@@ -108,6 +114,17 @@ function Navigation() {
           </Tooltip>
         </li>
 
+        <li className="p-nav-item">
+          <Tooltip title="Sign out of all devices">
+            <IconButton 
+              aria-label="Sign out of all devices" 
+              color="inherit" 
+              onClick={signoutEverywhere}>
+              <PhonelinkEraseIcon />
+            </IconButton>
+          </Tooltip>
+        </li>
+
       </ul>
     </nav>
   );
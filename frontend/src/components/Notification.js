@@ -2,23 +2,31 @@
 import React, { useState, useEffect } from 'react';
 import { Tooltip, IconButton, Popover, Paper, Typography, List, ListItem, Divider, Badge } from '@mui/material';
 import NotificationsIcon from '@mui/icons-material/Notifications';
-import { getJoinRequestNotifications, getCurrentUserId, markNotificationAsRead } from '../services/mockAPI';
 import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../services/api';
+
+// Drivers see their own ride's detail page, passengers the page they joined it from.
+const postLink = (notification) => notification.audience === 'driver'
+  ? `/driver-post-detail/${notification.driverPostId}`
+  : `/driverposts/${notification.driverPostId}`;
 
 const Notification = () => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
   const [tooltipOpen, setTooltipOpen] = useState(false);
   const navigate = useNavigate();
 
-  useEffect(() => {
-    const fetchNotifications = async () => {
-      const userId = await getCurrentUserId();
-      const fetchedNotifications = await getJoinRequestNotifications(userId);
-      setNotifications(fetchedNotifications);
-    };
+  // Only the latest unread notifications are listed; the badge counts all of them.
+  const fetchNotifications = async () => {
+    const response = await axios.get(`${API_BASE_URL}/notifications`, { params: { unreadOnly: true } });
+    setNotifications(response.data.notifications || []);
+    setUnreadCount(response.data.unreadCount || 0);
+  };
 
-    fetchNotifications();
+  useEffect(() => {
+    fetchNotifications().catch((error) => console.error("Error fetching notifications:", error));
   }, []);
 
   const handleClick = (event) => {
@@ -30,27 +38,25 @@ const Notification = () => {
     setAnchorEl(null);
   };
 
-  const handleNotificationClick = async (notificationId, postId) => {
+  const handleNotificationClick = async (notification) => {
     // Mark the notification as read
     try {
-      await markNotificationAsRead(notificationId);
+      await axios.patch(`${API_BASE_URL}/notifications/${notification._id}/read`);
       // Fetch notifications again to update the list after marking as read
-      const userId = await getCurrentUserId();
-      const fetchedNotifications = await getJoinRequestNotifications(userId);
-      setNotifications(fetchedNotifications);
+      await fetchNotifications();
     } catch (error) {
       console.error("Error marking notification as read:", error);
     }
 
     handleClose(); // Close the dropdown
-    navigate(`/posts/${postId}`); // Navigate to the post page
+    navigate(postLink(notification)); // Navigate to the post page
   };
 
   return (
     <>
       <Tooltip title="Notifications" open={tooltipOpen} onMouseEnter={() => setTooltipOpen(true)} onMouseLeave={() => setTooltipOpen(false)} disableHoverListener={Boolean(anchorEl)}>
         <IconButton onClick={handleClick} color="inherit">
-          <Badge badgeContent={notifications.length} sx={{ '& .MuiBadge-badge': { backgroundColor: '#f6cd61', color: 'white' }}}>
+          <Badge badgeContent={unreadCount} sx={{ '& .MuiBadge-badge': { backgroundColor: '#f6cd61', color: 'white' }}}>
             <NotificationsIcon />
           </Badge>
         </IconButton>
@@ -59,11 +65,11 @@ const Notification = () => {
         <Paper style={{ padding: '20px', maxWidth: '300px' }}>
           {notifications.length > 0 ? (
             <List>
-              {notifications.map((notification, index) => (
-                <React.Fragment key={index}>
-                  <ListItem button onClick={() => handleNotificationClick(notification.id, notification.ride.id)}>
+              {notifications.map((notification) => (
+                <React.Fragment key={notification._id}>
+                  <ListItem button onClick={() => handleNotificationClick(notification)}>
                     <Typography variant="body1" style={{ marginLeft: '10px'}}>
-                      There is a status update for your request to join "{notification.ride.title}".
+                      {notification.message}
                     </Typography>
                   </ListItem>
                   <Divider />
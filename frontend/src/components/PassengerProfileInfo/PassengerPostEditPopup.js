@@ -0,0 +1,71 @@
+import './EditInfoPopup.scss';
+
+const PassengerPostEditPopup = ({ onClose, onSubmit, onChange, post, errors }) => {
+
+  return (
+    <div className="edit-popup-overlay">
+      <div className="edit-popup-content">
+        <h3>Edit your ride request</h3>
+        <form onSubmit={onSubmit}>
+          <label htmlFor="startingLocation">Start location</label>
+          <input
+            type="text"
+            id="startingLocation"
+            name="startingLocation"
+            value={post.startingLocation}
+            onChange={onChange}
+          />
+          {errors.startingLocation && <div className="field-error">{errors.startingLocation}</div>}
+
+          <label htmlFor="endingLocation">End location</label>
+          <input
+            type="text"
+            id="endingLocation"
+            name="endingLocation"
+            value={post.endingLocation}
+            onChange={onChange}
+          />
+          {errors.endingLocation && <div className="field-error">{errors.endingLocation}</div>}
+
+          <label htmlFor="startTime">Date and time</label>
+          <input
+            type="datetime-local"
+            id="startTime"
+            name="startTime"
+            value={post.startTime}
+            onChange={onChange}
+          />
+          {errors.startTime && <div className="field-error">{errors.startTime}</div>}
+
+          <label htmlFor="numberOfPeople">Number of people</label>
+          <input
+            type="number"
+            id="numberOfPeople"
+            name="numberOfPeople"
+            min="1"
+            value={post.numberOfPeople}
+            onChange={onChange}
+          />
+          {errors.numberOfPeople && <div className="field-error">{errors.numberOfPeople}</div>}
+
+          <label htmlFor="additionalNotes">Description</label>
+          <textarea
+            id="additionalNotes"
+            name="additionalNotes"
+            value={post.additionalNotes}
+            onChange={onChange}
+          />
+          {errors.additionalNotes && <div className="field-error">{errors.additionalNotes}</div>}
+          {errors.generic && <div className="field-error">{errors.generic}</div>}
+
+          <div className="edit-popup-actions">
+            <button type="button" className="edit-popup-button" onClick={onClose}>Cancel</button>
+            <button type="submit" className="edit-popup-button">Save Changes</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PassengerPostEditPopup;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError } from '../../utils/apiErrors';
+import { convertDate2Readable } from '../../utils/util';
+
+// Offers drivers have made on one of the passenger's ride requests.
+const PassengerPostOffers = ({ postId, onAccepted }) => {
+    const [offers, setOffers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchOffers = async () => {
+            try {
+                const response = await axios.get(`${API_BASE_URL}/passengerpost/${postId}/offers`);
+                setOffers(response.data);
+            } catch (err) {
+                setError(getApiError(err, 'Unable to load offers.').message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchOffers();
+    }, [postId]);
+
+    const respond = async (offerId, action) => {
+        setError('');
+        try {
+            const response = await axios.patch(`${API_BASE_URL}/passengerpost/offers/${offerId}/${action}`);
+            if (action === 'accept') {
+                const driverPostId = response.data.data._id;
+                setOffers(current => current.map(offer => offer.offerId === offerId
+                    ? { ...offer, status: 'accepted', driverPostId }
+                    : { ...offer, status: offer.status === 'pending' ? 'declined' : offer.status }));
+                onAccepted(driverPostId);
+            } else {
+                setOffers(current => current.map(offer => offer.offerId === offerId ? { ...offer, status: 'declined' } : offer));
+            }
+        } catch (err) {
+            setError(getApiError(err, 'Unable to respond to the offer.').message);
+        }
+    };
+
+    if (loading) return <p>Loading offers...</p>;
+
+    return (
+        <div className="post-offers">
+            {error && <p className="field-error">{error}</p>}
+            {!offers.length && <p>No drivers have offered a ride yet.</p>}
+            {offers.map(offer => (
+                <div key={offer.offerId} className="offer-item">
+                    <p><strong>Driver:</strong> {offer.driverName}</p>
+                    <p><strong>Car:</strong> {offer.model} ({offer.licensenumber}), {offer.numberOfSeats} seats</p>
+                    {offer.message && <p><strong>Message:</strong> {offer.message}</p>}
+                    <p><strong>Offered:</strong> {convertDate2Readable(offer.offeredAt)}</p>
+                    <p><strong>Status:</strong> {offer.status}</p>
+                    {offer.status === 'pending' && (
+                        <div className="post-actions">
+                            <button onClick={() => respond(offer.offerId, 'accept')}>Accept</button>
+                            <button onClick={() => respond(offer.offerId, 'decline')}>Decline</button>
+                        </div>
+                    )}
+                    {offer.status === 'accepted' && offer.driverPostId && (
+                        <Link to={`/driverposts/${offer.driverPostId}`}>View ride</Link>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PassengerPostOffers;
@@ -7,11 +7,14 @@ import { SuccessPopup } from '../SuccessPopup/SuccessPopup';
 
 import axios from "axios";
 import { API_BASE_URL } from '../../services/api';
+import GoogleSignup from '../GoogleSignup/GoogleSignup';
+import { formatRating } from '../../utils/util';
 
-const PassengerInfo = ({name, email, phonenumber, avatar}) => {
+const PassengerInfo = ({name, email, phonenumber, avatar, googleLinked, rating}) => {
     const [showEditPopup, setShowEditPopup] = useState(false); 
     const [showSuccessPopup, setShowSuccessPopup] = useState(false); 
     const [msg, setMsg] = useState(''); 
+    const [googleMessage, setGoogleMessage] = useState('');
     
     const [profile, setProfile] = useState({
         name,
@@ -103,6 +106,13 @@ const PassengerInfo = ({name, email, phonenumber, avatar}) => {
                 <p><strong>Username/Email:</strong> {email}</p>
                     <p><strong>Full Name:</strong> {name}</p>
                     <p><strong>Phone number:</strong> {phonenumber}</p>
+                    <p><strong>Rating:</strong> {formatRating(rating)}</p>
+                    {email && !googleLinked && (
+                        <GoogleSignup mode="link"
+                            onSuccess={(data) => setGoogleMessage(data.message)}
+                            onFailure={(error) => setGoogleMessage(typeof error === 'string' ? error : 'Unable to link Google account.')} />
+                    )}
+                    {googleMessage && <p>{googleMessage}</p>}
                 </div>
             </div>
             {showEditPopup && 
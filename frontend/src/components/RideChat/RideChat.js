@@ -0,0 +1,132 @@
+// Conversation between a ride's driver and its accepted passengers.
+// Used on the Post page and the driver's post view.
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError } from '../../utils/apiErrors';
+import { convertDate2Readable } from '../../utils/util';
+import useLiveUpdates from '../../hooks/useLiveUpdates';
+import './RideChat.scss';
+
+const RideChat = ({ postId }) => {
+  const [userId, setUserId] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [messages, setMessages] = useState([]); // oldest first
+  const [nextCursor, setNextCursor] = useState(null);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+
+  const addMessages = (added) => setMessages(current => [
+    ...current,
+    ...added.filter(message => !current.some(m => m._id === message._id))
+  ]);
+
+  const loadParticipants = useCallback(async () => {
+    const response = await axios.get(`${API_BASE_URL}/conversations/${postId}`);
+    setUserId(response.data.userId);
+    setParticipants(response.data.participants || []);
+  }, [postId]);
+
+  useEffect(() => {
+    const loadConversation = async () => {
+      try {
+        await loadParticipants();
+        const response = await axios.get(`${API_BASE_URL}/conversations/${postId}/messages`);
+        setMessages([...(response.data.messages || [])].reverse());
+        setNextCursor(response.data.nextCursor);
+      } catch (err) {
+        setError(getApiError(err, 'Unable to load the conversation.').message);
+      }
+    };
+    loadConversation();
+  }, [postId, loadParticipants]);
+
+  useLiveUpdates({
+    message: (message) => {
+      if (message.driverPostId === postId) addMessages([message]);
+    },
+    // Someone joined or left the ride.
+    joinRequest: (update) => {
+      if (update.driverPostId === postId) loadParticipants().catch(err => console.error(err));
+    },
+  });
+
+  const handleLoadEarlier = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/conversations/${postId}/messages`, { params: { before: nextCursor } });
+      setMessages(current => [...[...response.data.messages].reverse(), ...current]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(getApiError(err, 'Unable to load earlier messages.').message);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    try {
+      const response = await axios.post(`${API_BASE_URL}/conversations/${postId}/messages`, { text });
+      addMessages([response.data.message]);
+      setText('');
+      setError('');
+    } catch (err) {
+      setError(getApiError(err, 'Unable to send the message.').message);
+    }
+  };
+
+  const handleShareClick = async (participant) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/conversations/${postId}/contact`, {
+        share: !participant.youShare,
+        ...(participant.role === 'passenger' && { passengerId: participant.userId })
+      });
+      setParticipants(response.data.participants);
+    } catch (err) {
+      setError(getApiError(err, 'Unable to change contact sharing.').message);
+    }
+  };
+
+  return (
+    <div className="ride-chat">
+      <h3>Ride Chat</h3>
+      <ul className="chat-participants">
+        {participants.map(participant => (
+          <li key={participant.userId}>
+            <strong>{participant.name}</strong> ({participant.role})
+            {participant.contact &&
+              <span className="chat-contact"> {participant.contact.email} · {participant.contact.phonenumber}</span>
+            }
+            {participant.youShare !== undefined && !participant.contact && participant.theyShare &&
+              <span className="chat-contact"> wants to share contact details</span>
+            }
+            {participant.youShare !== undefined &&
+              <button className="chat-share-button" onClick={() => handleShareClick(participant)}>
+                {participant.youShare ? 'Stop sharing my contact details' : 'Share my contact details'}
+              </button>
+            }
+          </li>
+        ))}
+      </ul>
+
+      <div className="chat-messages">
+        {nextCursor && <button className="chat-earlier-button" onClick={handleLoadEarlier}>Load earlier messages</button>}
+        {messages.length === 0 && <p className="chat-empty">No messages yet.</p>}
+        {messages.map(message => (
+          <div key={message._id} className={`chat-message ${message.senderId && message.senderId._id === userId ? 'mine' : ''}`}>
+            <span className="chat-sender">{message.senderId ? message.senderId.name : ''}</span>
+            <p>{message.text}</p>
+            <span className="chat-time">{convertDate2Readable(message.sentAt)}</span>
+          </div>
+        ))}
+      </div>
+
+      <form className="chat-form" onSubmit={handleSend}>
+        <input type="text" value={text} maxLength={2000} placeholder="Write a message" onChange={(e) => setText(e.target.value)} />
+        <button type="submit">Send</button>
+      </form>
+      {error && <div className="field-error">{error}</div>}
+    </div>
+  );
+};
+
+export default RideChat;
@@ -0,0 +1,91 @@
+// Lets the driver and accepted passengers rate each other once the ride has started.
+// Used on the Post page and the driver's post view.
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError, getFieldErrors } from '../../utils/apiErrors';
+import { formatRating } from '../../utils/util';
+import './RideReviews.scss';
+
+const STARS = [1, 2, 3, 4, 5];
+
+const RideReviews = ({ postId }) => {
+  const [open, setOpen] = useState(false);
+  const [reviewees, setReviewees] = useState([]);
+  const [drafts, setDrafts] = useState({}); // by reviewee id
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/reviews/rides/${postId}`)
+      .then((response) => {
+        setOpen(response.data.open);
+        setReviewees(response.data.reviewees || []);
+      })
+      .catch((err) => setError(getApiError(err, 'Unable to load reviews.').message));
+  }, [postId]);
+
+  const draftFor = (userId) => drafts[userId] || { rating: 0, comment: '' };
+
+  const updateDraft = (userId, changes) => setDrafts(current => ({
+    ...current,
+    [userId]: { ...draftFor(userId), ...changes }
+  }));
+
+  const handleSubmit = async (e, reviewee) => {
+    e.preventDefault();
+    const draft = draftFor(reviewee.userId);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/reviews/rides/${postId}`, {
+        revieweeId: reviewee.userId,
+        rating: draft.rating,
+        comment: draft.comment
+      });
+      setReviewees(current => current.map(r => (r.userId === reviewee.userId ? { ...r, review: response.data.review } : r)));
+      setErrors(current => ({ ...current, [reviewee.userId]: '' }));
+    } catch (err) {
+      const apiError = getApiError(err, 'Unable to save the review.');
+      const fieldErrors = getFieldErrors(apiError);
+      const message = fieldErrors.rating || fieldErrors.comment || apiError.message;
+      setErrors(current => ({ ...current, [reviewee.userId]: message }));
+    }
+  };
+
+  if (!open || reviewees.length === 0) {
+    return error ? <div className="field-error">{error}</div> : null;
+  }
+
+  return (
+    <div className="ride-reviews">
+      <h3>Rate this ride</h3>
+      {reviewees.map(reviewee => (
+        <div key={reviewee.userId} className="review-card">
+          <p>
+            <strong>{reviewee.name}</strong> ({reviewee.role}) · {formatRating(reviewee.rating)}
+          </p>
+          {reviewee.review ? (
+            <p className="review-given">
+              You rated them {'★'.repeat(reviewee.review.rating)}{reviewee.review.comment && `: ${reviewee.review.comment}`}
+            </p>
+          ) : (
+            <form onSubmit={(e) => handleSubmit(e, reviewee)}>
+              <div className="review-stars">
+                {STARS.map(star => (
+                  <button type="button" key={star} aria-label={`${star} stars`}
+                    className={star <= draftFor(reviewee.userId).rating ? 'selected' : ''}
+                    onClick={() => updateDraft(reviewee.userId, { rating: star })}>★</button>
+                ))}
+              </div>
+              <textarea value={draftFor(reviewee.userId).comment} maxLength={500} placeholder="Add a comment (optional)"
+                onChange={(e) => updateDraft(reviewee.userId, { comment: e.target.value })} />
+              <button type="submit" disabled={!draftFor(reviewee.userId).rating}>Submit review</button>
+              {errors[reviewee.userId] && <div className="field-error">{errors[reviewee.userId]}</div>}
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RideReviews;
@@ -2,9 +2,9 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import './RideshareCard.scss';
-import { convertDate2Readable } from '../../utils/util'
+import { convertDate2Readable, formatRating } from '../../utils/util'
 
-function RideshareCard({ id, startingLocation, endingLocation, availableSeats, startTime, content }) {
+function RideshareCard({ id, startingLocation, endingLocation, availableSeats, startTime, content, driverRating }) {
   return (
     <Link to={`/driverposts/${id}`} className="post-link" style={{ textDecoration: 'none', color: 'inherit' }}>
       <div className="post">
@@ -14,6 +14,7 @@ function RideshareCard({ id, startingLocation, endingLocation, availableSeats, s
           <p><strong>Ending Location:</strong> {endingLocation}</p>
           <p><strong>Start time:</strong> {convertDate2Readable(startTime)}</p>
           <p><strong>Available Seats:</strong> {availableSeats}</p>
+          <p><strong>Driver rating:</strong> {formatRating(driverRating)}</p>
         </div>
         <p className="post-content">{content}</p>
       </div>
@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { API_BASE_URL } from '../services/api';
+import { refreshSession } from '../utils/LoginActions';
+
+const EVENTS = ['joinRequest', 'seats', 'message'];
+const RECONNECT_MS = 10000;
+
+// Listens to the server's live updates (GET /events) while the component is mounted.
+// `handlers` maps an event name to a callback taking its data, e.g.
+// { joinRequest: ({ type, requestId, driverPostId, status }) => ..., seats: ({ driverPostId, numberOfSeats, segmentSeats }) => ... }
+// `message` events carry a ride chat message as sent by POST /conversations/:postId/messages.
+const useLiveUpdates = (handlers) => {
+    const latest = useRef(handlers);
+    latest.current = handlers;
+
+    useEffect(() => {
+        if (typeof EventSource === 'undefined') return undefined;
+        let source = null;
+        let retry = null;
+        let unmounted = false;
+
+        const connect = () => {
+            if (unmounted) return;
+            const token = (window.localStorage.getItem('AuthToken') || '').replace(/^Bearer /, '');
+            if (!token) return;
+            source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(token)}`);
+            EVENTS.forEach((name) => source.addEventListener(name, (event) => {
+                const handler = latest.current[name];
+                if (handler) handler(JSON.parse(event.data));
+            }));
+            // The browser reconnects dropped streams by itself but gives up on refused ones,
+            // usually because the access token expired: get a new one and start over.
+            source.onerror = () => {
+                if (source.readyState !== EventSource.CLOSED) return;
+                retry = setTimeout(() => refreshSession().catch(() => {}).then(connect), RECONNECT_MS);
+            };
+        };
+
+        connect();
+        return () => {
+            unmounted = true;
+            clearTimeout(retry);
+            if (source) source.close();
+        };
+    }, []);
+};
+
+export default useLiveUpdates;
@@ -3,6 +3,8 @@ import { useState } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
 import { API_BASE_URL } from '../services/api';
+import { storeSession } from '../utils/LoginActions';
+import { getApiError, getFieldErrors } from '../utils/apiErrors';
 
 const useLogin = () => {
     const navigate = useNavigate();
@@ -28,28 +30,29 @@ const useLogin = () => {
             }
     
             const response = await axios.post(endpoint, body);
+            storeSession(response.data);
 
-            if (response.data.status === 'Success') {
-                window.localStorage.setItem('AuthToken', `Bearer ${response.data.token}`);
-               
-                navigate(redirectPath);
-                window.location.reload();
-            } else if (response.data.status === 'FAILED') {
-                const errorText = response.data.message;
-                handleErrors(errorText);
-            }
-
+            navigate(redirectPath);
+            window.location.reload();
         } catch (error) {
             console.error('Error when logging in: ', error);
-            setErrors({ generic: 'An error occurred during login. Please try again.' });
+            handleErrors(getApiError(error, 'An error occurred during login. Please try again.'));
         }
     };
 
-    const handleErrors = (errorText) => {
-        if (errorText === "No existing User with input email") {
-            setErrors({ email: errorText });
-        } else if (errorText === "Wrong password") {
-            setErrors({ password: errorText });
+    const handleErrors = (apiError) => {
+        switch (apiError.code) {
+            case 'EMAIL_NOT_FOUND':
+                setErrors({ email: apiError.message });
+                break;
+            case 'WRONG_PASSWORD':
+                setErrors({ password: apiError.message });
+                break;
+            case 'VALIDATION_FAILED':
+                setErrors(getFieldErrors(apiError));
+                break;
+            default:
+                setErrors({ generic: apiError.message });
         }
     };
 
@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { getApiError, getFieldErrors } from '../utils/apiErrors';
 
 const useSignup = (userRole, apiEndpoint, successRedirect) => {
     const navigate = useNavigate();
@@ -22,14 +23,18 @@ const useSignup = (userRole, apiEndpoint, successRedirect) => {
                 phonenumber: values.phonenumber,
             });
 
-            if (response.data.status === 'SUCCESS') {
-                navigate(successRedirect);
-            } else {
-                setErrors({ ...errors, form: response.data.message });
-            }
+            // Tell the login page to remind the user to check their inbox.
+            navigate(successRedirect, { state: { notice: response.data.message } });
         } catch (error) {
             console.error(`${userRole} Signup error:`, error);
-            setErrors({ ...errors, form: 'An error occurred during signup. Please try again.' });
+            const apiError = getApiError(error, 'An error occurred during signup. Please try again.');
+            if (apiError.code === 'VALIDATION_FAILED') {
+                setErrors(getFieldErrors(apiError));
+            } else if (apiError.code === 'EMAIL_TAKEN') {
+                setErrors({ email: apiError.message });
+            } else {
+                setErrors({ form: apiError.message });
+            }
         }
     };
 
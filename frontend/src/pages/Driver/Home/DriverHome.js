@@ -9,6 +9,7 @@ import PostCard from '../../../components/RideshareCard/PassengerRideShareCard';
 
 const DriverHome = () => {
   const [posts, setPosts] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -35,6 +36,15 @@ const DriverHome = () => {
       fetchPassengerPosts();
   }, []);
 
+  useEffect(() => {
+      const token = localStorage.getItem('AuthToken');
+      axios.get(`${API_BASE_URL}/driver/suggested-passengers`, {
+        headers: { 'Authorization': token },
+      })
+          .then(response => setSuggestions(response.data))
+          .catch(error => console.error('Error fetching suggested passengers:', error));
+  }, []);
+
   const handlePostClick = (postId) => {
       navigate(`/passenger-post/${postId}`);
       console.log("Navigating to post ID:", postId);
@@ -43,6 +53,25 @@ const DriverHome = () => {
   return (
       <div className="Home">
           <DriverNav />
+          {suggestions.length > 0 && (
+              <section className="suggestions">
+                  <h2>Suggested Passengers</h2>
+                  <div className="posts-grid">
+                      {suggestions.map(({ passengerPost, driverPost, score }) => (
+                          <div key={`${passengerPost._id}-${driverPost._id}`} onClick={() => handlePostClick(passengerPost._id)} className="post-card">
+                              <PostCard
+                                  startingLocation={passengerPost.startingLocation}
+                                  endingLocation={passengerPost.endingLocation}
+                                  availableSeats={passengerPost.numberOfPeople}
+                                  startTime={new Date(passengerPost.startTime).toLocaleString()}
+                                  content={`${Math.round(score * 100)}% match for your ride from ${driverPost.startingLocation} to ${driverPost.endingLocation}`}
+                              />
+                          </div>
+                      ))}
+                  </div>
+                  <h2>All Passenger Posts</h2>
+              </section>
+          )}
           <main className="posts-grid">
               {posts.map((post) => (
                   <div key={post._id} onClick={() => handlePostClick(post._id)} className="post-card">
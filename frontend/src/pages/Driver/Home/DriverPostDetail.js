@@ -1,17 +1,55 @@
 /* Part of this file was leveraged from GPT */ 
-import React from 'react';
-import { Link,useLocation, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link,useLocation, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
 import DriverNav from '../../../components/Navigation/DriverNavbar'; 
+import RideChat from '../../../components/RideChat/RideChat';
+import RideReviews from '../../../components/RideReviews/RideReviews';
+import { API_BASE_URL } from '../../../services/api';
+import { getApiError } from '../../../utils/apiErrors';
 import './DriverPostDetail.scss';
 
 const DriverPostDetail = () => {
   const navigate = useNavigate();
   const { state } = useLocation();
-  const { post } = state || {};
+  const { postId } = useParams();
+  const [post, setPost] = useState((state || {}).post);
+  const [autoAccept, setAutoAccept] = useState({ enabled: false, seats: '', ratingAbove: '' });
+  const [autoAcceptMessage, setAutoAcceptMessage] = useState('');
+
+  // Opened from a link (e.g. a notification) rather than from the dashboard: load the post.
+  useEffect(() => {
+    if (post || !postId) return;
+    axios.get(`${API_BASE_URL}/driverpost/${postId}`)
+      .then((response) => setPost(response.data.driverPost))
+      .catch((err) => console.error(err));
+  }, [post, postId]);
+
+  useEffect(() => {
+    const rules = (post && post.autoAccept) || {};
+    setAutoAccept({ enabled: Boolean(rules.enabled), seats: rules.seats || '', ratingAbove: rules.ratingAbove != null ? rules.ratingAbove : '' });
+  }, [post]);
+
+  const handleAutoAcceptSave = async () => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/driverpost/${postId || post._id}/auto-accept`, {
+        enabled: autoAccept.enabled,
+        seats: autoAccept.seats ? parseInt(autoAccept.seats, 10) : null,
+        ratingAbove: autoAccept.ratingAbove !== '' ? parseFloat(autoAccept.ratingAbove) : null
+      });
+      setPost(current => ({ ...current, autoAccept: response.data.data }));
+      setAutoAcceptMessage('Saved.');
+    } catch (err) {
+      setAutoAcceptMessage(getApiError(err, 'Unable to save the rules.').message);
+    }
+  };
 
 const handleBack = () => {
     navigate(-1); 
   };
+  if (!post && postId) {
+    return <div>Loading post...</div>;
+  }
   if (!post) {
     return <div>No post data available. Please select a post from the driver dashboard.</div>;
   }
@@ -31,18 +69,44 @@ const handleBack = () => {
           <p><strong>Car Model:</strong> {post.model}</p>
           <p><strong>Additional Notes:</strong> {post.additionalNotes}</p>
         </div>
+        {post.status === 'scheduled' && (
+          <div className="auto-accept-rules">
+            <h2>Auto-accept</h2>
+            <label>
+              <input type="checkbox" checked={autoAccept.enabled}
+                onChange={(e) => setAutoAccept(current => ({ ...current, enabled: e.target.checked }))} />
+              Accept new join requests automatically
+            </label>
+            <label>
+              Only for the first
+              <input type="number" min="1" max="8" value={autoAccept.seats} disabled={!autoAccept.enabled}
+                onChange={(e) => setAutoAccept(current => ({ ...current, seats: e.target.value }))} />
+              seats (leave empty for all)
+            </label>
+            <label>
+              Only for passengers rated above
+              <input type="number" min="0" max="4.5" step="0.5" value={autoAccept.ratingAbove} disabled={!autoAccept.enabled}
+                onChange={(e) => setAutoAccept(current => ({ ...current, ratingAbove: e.target.value }))} />
+              stars (leave empty for anyone)
+            </label>
+            {post.autoAccept && post.autoAccept.acceptedSeats > 0 &&
+              <p>{post.autoAccept.acceptedSeats} seats accepted automatically so far.</p>}
+            <button className="back-button" onClick={handleAutoAcceptSave}>Save</button>
+            {autoAcceptMessage && <p>{autoAcceptMessage}</p>}
+          </div>
+        )}
         {post.passengers && (
           <div className="passenger-cards-container">
             <h2>Passengers</h2>
             {post.passengers.map((passenger, index) => (
               <div key={passenger._id} className="passenger-card">
                 <p><strong>Name:</strong> {passenger.name}</p>
-                <p><strong>Email:</strong> {passenger.email}</p>
-                <p><strong>Phone Number:</strong> {passenger.phonenumber}</p>
               </div>
             ))}
           </div>
         )}
+        <RideChat postId={postId || post._id} />
+        <RideReviews postId={postId || post._id} />
       </div>
     </div>
   );
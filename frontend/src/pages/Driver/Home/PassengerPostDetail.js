@@ -5,12 +5,16 @@ import { useParams, useNavigate, Navigate } from 'react-router-dom';
 import { API_BASE_URL } from '../../../services/api'; 
 import DriverNav from '../../../components/Navigation/DriverNavbar'; 
 import './PassengerPostDetail.scss';
+import { getApiError, getFieldErrors } from '../../../utils/apiErrors';
 
 const PassengerPostDetail = () => {
     const { postId } = useParams(); 
     const [postDetails, setPostDetails] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [offer, setOffer] = useState({ licensenumber: '', model: '', numberOfSeats: '', message: '' });
+    const [offerErrors, setOfferErrors] = useState({});
+    const [offerSent, setOfferSent] = useState(false);
     const navigate = useNavigate(); 
 
 
@@ -40,6 +44,26 @@ const PassengerPostDetail = () => {
     const goBack = () => {
       navigate('/driver-home'); 
     };
+
+    const handleOfferChange = (e) => {
+      const { name, value } = e.target;
+      setOffer(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleOfferSubmit = async (e) => {
+      e.preventDefault();
+      setOfferErrors({});
+      try {
+        await axios.post(`${API_BASE_URL}/passengerpost/${postId}/offers`, {
+          ...offer,
+          numberOfSeats: parseInt(offer.numberOfSeats, 10)
+        });
+        setOfferSent(true);
+      } catch (error) {
+        const apiError = getApiError(error, 'Unable to send your offer.');
+        setOfferErrors(apiError.code === 'VALIDATION_FAILED' ? getFieldErrors(apiError) : { generic: apiError.message });
+      }
+    };
     
     if (loading) return <div>Loading...</div>;
     if (error) return <div>{error}</div>;
@@ -64,6 +88,29 @@ const PassengerPostDetail = () => {
           <div className="detail-label">Description:</div>
           <div className="detail-value">{postDetails.additionalNotes}</div>
         </div>
+        <div className="detail-container offer-container">
+          <div className="detail-header">
+            <h2>Offer a Ride</h2>
+          </div>
+          {postDetails.status === 'matched' ? (
+            <p className="offer-status">This passenger has already found a driver.</p>
+          ) : offerSent ? (
+            <p className="offer-status">Offer sent! The passenger will be emailed and can accept it from their profile.</p>
+          ) : (
+            <form onSubmit={handleOfferSubmit} className="offer-form">
+              <input type="text" name="licensenumber" placeholder="License Plate" value={offer.licensenumber} onChange={handleOfferChange} />
+              {offerErrors.licensenumber && <div className="field-error">{offerErrors.licensenumber}</div>}
+              <input type="text" name="model" placeholder="Car Model" value={offer.model} onChange={handleOfferChange} />
+              {offerErrors.model && <div className="field-error">{offerErrors.model}</div>}
+              <input type="number" name="numberOfSeats" placeholder="Seats in your car" min="1" value={offer.numberOfSeats} onChange={handleOfferChange} />
+              {offerErrors.numberOfSeats && <div className="field-error">{offerErrors.numberOfSeats}</div>}
+              <textarea name="message" placeholder="Message to the passenger (optional)" value={offer.message} onChange={handleOfferChange} />
+              {offerErrors.message && <div className="field-error">{offerErrors.message}</div>}
+              {offerErrors.generic && <div className="field-error">{offerErrors.generic}</div>}
+              <button className="offer-button" type="submit">Send Offer</button>
+            </form>
+          )}
+        </div>
       </div>
     );
   };
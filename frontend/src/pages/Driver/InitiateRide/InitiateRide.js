@@ -5,25 +5,59 @@ import axios from 'axios';
 import DriverNav from '../../../components/Navigation/DriverNavbar';
 import './InitiateRide.scss';
 import { API_BASE_URL } from '../../../services/api';
+import { getApiError, getFieldErrors } from '../../../utils/apiErrors';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_STOPS = 5;
 
 const InitiateRide = () => {
     const [startLocation, setStartLocation] = useState('');
     const [endLocation, setEndLocation] = useState('');
+    const [stops, setStops] = useState([]);
     const [startTime, setStartTime] = useState('');
     const [licensePlate, setLicensePlate] = useState('');
     const [carModel, setCarModel] = useState('');
     const [seats, setSeats] = useState('');
     const [description, setDescription] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [repeat, setRepeat] = useState(false);
+    const [repeatDays, setRepeatDays] = useState([1, 2, 3, 4, 5]);
+    const [repeatUntil, setRepeatUntil] = useState('');
+    const [autoAccept, setAutoAccept] = useState(false);
+    const [autoAcceptSeats, setAutoAcceptSeats] = useState('');
 
     const navigate = useNavigate();
 
+    const handleStopChange = (index, value) => {
+        setStops(current => current.map((stop, i) => i === index ? value : stop));
+    };
+
+    const toggleRepeatDay = (day) => {
+        setRepeatDays(current => current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort());
+    };
+
+    // The first ride's date and time become the series start; the server repeats them in our time zone.
+    const seriesData = (rideData) => {
+        const { startTime: _, ...details } = rideData;
+        return {
+            ...details,
+            daysOfWeek: repeatDays,
+            startDate: startTime.slice(0, 10),
+            time: startTime.slice(11, 16),
+            endDate: repeatUntil,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        };
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setFieldErrors({});
     
         const rideData = {
             startingLocation: startLocation,
             endingLocation: endLocation,
-            startTime: new Date(startTime).toISOString(),
+            stops: stops.filter(stop => stop.trim()),
+            startTime: startTime ? new Date(startTime).toISOString() : '',
             licensenumber: licensePlate,
             model: carModel,
             numberOfSeats: parseInt(seats, 10),
@@ -33,7 +67,17 @@ const InitiateRide = () => {
         const token = localStorage.getItem('AuthToken');
     
         try {
-            const response = await axios.post(`${API_BASE_URL}/driverpost/newpost`, rideData, {
+            const response = repeat
+                ? await axios.post(`${API_BASE_URL}/rideseries`, seriesData(rideData), {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': token
+                    }
+                })
+                : await axios.post(`${API_BASE_URL}/driverpost/newpost`, {
+                    ...rideData,
+                    ...(autoAccept && { autoAccept: { enabled: true, seats: autoAcceptSeats ? parseInt(autoAcceptSeats, 10) : null } })
+                }, {
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': token 
@@ -43,11 +87,13 @@ const InitiateRide = () => {
             console.log('Ride submitted successfully:', response.data);
             navigate('/driver-home'); 
         } catch (error) {
-            console.error('Error submitting new ride:', error.response || error);
-            if (error.response && error.response.status === 403) {
-                console.error('Forbidden: This action is not allowed.');
-            } else {
-                console.error('Error:', error.message);
+            const apiError = getApiError(error);
+            console.error('Error submitting new ride:', apiError);
+            if (apiError.code === 'VALIDATION_FAILED') {
+                setFieldErrors(getFieldErrors(apiError));
+            }
+            if (apiError.code === 'ROLE_REQUIRED' || apiError.code === 'EMAIL_NOT_VERIFIED') {
+                console.error('Forbidden: This action is not allowed.', apiError.message);
             }
         }
     };
@@ -65,41 +111,103 @@ const InitiateRide = () => {
                         value={startLocation}
                         onChange={(e) => setStartLocation(e.target.value)}
                     />
+                    {fieldErrors.startingLocation && <div className="field-error">{fieldErrors.startingLocation}</div>}
+                    {stops.map((stop, index) => (
+                        <React.Fragment key={index}>
+                            <div className="stop-row">
+                                <input
+                                    type="text"
+                                    placeholder={`Stop ${index + 1}`}
+                                    value={stop}
+                                    onChange={(e) => handleStopChange(index, e.target.value)}
+                                />
+                                <button type="button" onClick={() => setStops(current => current.filter((_, i) => i !== index))}>Remove</button>
+                            </div>
+                            {fieldErrors[`stops.${index}`] && <div className="field-error">{fieldErrors[`stops.${index}`]}</div>}
+                        </React.Fragment>
+                    ))}
+                    {stops.length < MAX_STOPS &&
+                        <button type="button" className="add-stop" onClick={() => setStops(current => [...current, ''])}>Add a stop on the way</button>}
+                    {fieldErrors.stops && <div className="field-error">{fieldErrors.stops}</div>}
                     <input
                         type="text"
                         placeholder="End Location"
                         value={endLocation}
                         onChange={(e) => setEndLocation(e.target.value)}
                     />
+                    {fieldErrors.endingLocation && <div className="field-error">{fieldErrors.endingLocation}</div>}
                     <input
                         type="datetime-local"
                         placeholder="Start Time"
                         value={startTime}
                         onChange={(e) => setStartTime(e.target.value)}
                     />
+                    {(fieldErrors.startTime || fieldErrors.startDate || fieldErrors.time) &&
+                        <div className="field-error">{fieldErrors.startTime || fieldErrors.startDate || fieldErrors.time}</div>}
+                    <label className="repeat-toggle">
+                        <input type="checkbox" checked={repeat} onChange={(e) => setRepeat(e.target.checked)} />
+                        Repeat every week
+                    </label>
+                    {repeat && (
+                        <div className="repeat-options">
+                            <div className="repeat-days">
+                                {WEEKDAYS.map((label, day) => (
+                                    <label key={label}>
+                                        <input type="checkbox" checked={repeatDays.includes(day)} onChange={() => toggleRepeatDay(day)} />
+                                        {label}
+                                    </label>
+                                ))}
+                            </div>
+                            {fieldErrors.daysOfWeek && <div className="field-error">{fieldErrors.daysOfWeek}</div>}
+                            <label>
+                                Until
+                                <input type="date" value={repeatUntil} onChange={(e) => setRepeatUntil(e.target.value)} />
+                            </label>
+                            {fieldErrors.endDate && <div className="field-error">{fieldErrors.endDate}</div>}
+                        </div>
+                    )}
                     <input
                         type="text"
                         placeholder="License Plate"
                         value={licensePlate}
                         onChange={(e) => setLicensePlate(e.target.value)}
                     />
+                    {fieldErrors.licensenumber && <div className="field-error">{fieldErrors.licensenumber}</div>}
                     <input
                         type="text"
                         placeholder="Car Model"
                         value={carModel}
                         onChange={(e) => setCarModel(e.target.value)}
                     />
+                    {fieldErrors.model && <div className="field-error">{fieldErrors.model}</div>}
                     <input
                         type="number"
                         placeholder="Seats Available"
                         value={seats}
                         onChange={(e) => setSeats(e.target.value)}
                     />
+                    {fieldErrors.numberOfSeats && <div className="field-error">{fieldErrors.numberOfSeats}</div>}
+                    {!repeat && (
+                        <label className="repeat-toggle">
+                            <input type="checkbox" checked={autoAccept} onChange={(e) => setAutoAccept(e.target.checked)} />
+                            Accept join requests automatically
+                        </label>
+                    )}
+                    {!repeat && autoAccept && (
+                        <input
+                            type="number"
+                            placeholder="Only for the first ... seats (optional)"
+                            value={autoAcceptSeats}
+                            onChange={(e) => setAutoAcceptSeats(e.target.value)}
+                        />
+                    )}
+                    {fieldErrors['autoAccept.seats'] && <div className="field-error">{fieldErrors['autoAccept.seats']}</div>}
                     <textarea
                         placeholder="Additional Notes"
                         value={description}
                         onChange={(e) => setDescription(e.target.value)}
                     />
+                    {fieldErrors.additionalNotes && <div className="field-error">{fieldErrors.additionalNotes}</div>}
                     <button className="driver-button" type="submit">Submit Ride</button>
                 </form>
             </div>
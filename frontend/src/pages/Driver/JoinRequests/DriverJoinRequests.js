@@ -0,0 +1,206 @@
+// Every join request to the driver's rides, grouped by ride, with bulk accept and decline.
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import DriverNav from '../../../components/Navigation/DriverNavbar';
+import defaultAvatar from '../../../assets/default_avatar.jpeg';
+import { API_BASE_URL } from '../../../services/api';
+import { getApiError } from '../../../utils/apiErrors';
+import { isLoggedIn } from '../../../utils/LoginActions';
+import { convertDate2Readable, formatRating } from '../../../utils/util';
+import useLiveUpdates from '../../../hooks/useLiveUpdates';
+import './DriverJoinRequests.scss';
+
+const STATUS_FILTERS = {
+  open: { label: 'Awaiting an answer', statuses: ['pending', 'waitlisted'] },
+  pending: { label: 'Pending', statuses: ['pending'] },
+  waitlisted: { label: 'Waitlisted', statuses: ['waitlisted'] },
+  accepted: { label: 'Accepted', statuses: ['accepted'] },
+  declined: { label: 'Declined', statuses: ['declined'] },
+  closed: { label: 'Cancelled or expired', statuses: ['cancelled', 'expired'] },
+  all: { label: 'All', statuses: [] },
+};
+
+// Passengers off the waitlist have to confirm before they can be accepted.
+const canAnswer = (request) => request.status === 'pending' && !request.confirmBy;
+
+const groupByRide = (requests) => {
+  const rides = [];
+  requests.forEach(request => {
+    let ride = rides.find(r => r.postId === request.postId);
+    if (!ride) {
+      ride = { postId: request.postId, startingLocation: request.startingLocation, endingLocation: request.endingLocation, startTime: request.startTime, requests: [] };
+      rides.push(ride);
+    }
+    ride.requests.push(request);
+  });
+  return rides.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+const DriverJoinRequests = () => {
+  const navigate = useNavigate();
+  const [filter, setFilter] = useState('open');
+  const [requests, setRequests] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [reply, setReply] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/driver/my-join-requests`, {
+        params: { status: STATUS_FILTERS[filter].statuses },
+      });
+      setRequests(response.data);
+      setSelected(current => current.filter(id => response.data.some(r => r.requestId === id && canAnswer(r))));
+      setError('');
+    } catch (err) {
+      setError(getApiError(err, 'Unable to load join requests.').message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  useLiveUpdates({
+    joinRequest: () => fetchRequests(),
+  });
+
+  const toggleSelected = (requestId) => {
+    setSelected(current => current.includes(requestId)
+      ? current.filter(id => id !== requestId)
+      : [...current, requestId]);
+  };
+
+  const toggleRide = (ride) => {
+    const ids = ride.requests.filter(canAnswer).map(r => r.requestId);
+    const allSelected = ids.every(id => selected.includes(id));
+    setSelected(current => allSelected
+      ? current.filter(id => !ids.includes(id))
+      : [...current, ...ids.filter(id => !current.includes(id))]);
+  };
+
+  const answer = async (requestIds, action) => {
+    try {
+      const response = await axios.patch(`${API_BASE_URL}/driverpost/join-requests/bulk`, {
+        requestIds,
+        action,
+        ...(reply.trim() && { reply }),
+      });
+      setResult({ action, ...response.data.data });
+      setSelected(current => current.filter(id => !requestIds.includes(id)));
+      setReply('');
+      setError('');
+      fetchRequests();
+    } catch (err) {
+      setError(getApiError(err, 'Unable to answer the join requests.').message);
+    }
+  };
+
+  if (!isLoggedIn()) {
+    return <Navigate to="/welcome" />;
+  }
+
+  const rides = groupByRide(requests);
+  const skippedReason = (requestId) => {
+    const skipped = result && result.skipped.find(s => s.id === requestId);
+    return skipped && skipped.message;
+  };
+
+  return (
+    <div>
+      <DriverNav />
+      <div className="driver-join-requests">
+        <h1>Join Requests</h1>
+
+        <div className="join-requests-toolbar">
+          <label>
+            Show{' '}
+            <select value={filter} onChange={(e) => { setFilter(e.target.value); setResult(null); }}>
+              {Object.entries(STATUS_FILTERS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <textarea
+            value={reply}
+            maxLength={500}
+            placeholder="Optional reply, included in the email to each passenger"
+            onChange={(e) => setReply(e.target.value)}
+          />
+          <div className="request-actions">
+            <button className="accept-button" disabled={!selected.length} onClick={() => answer(selected, 'accept')}>
+              Accept selected ({selected.length})
+            </button>
+            <button className="decline-button" disabled={!selected.length} onClick={() => answer(selected, 'decline')}>
+              Decline selected ({selected.length})
+            </button>
+          </div>
+        </div>
+
+        {result &&
+          <p className="join-requests-result">
+            {result.requests.length} {result.action === 'accept' ? 'accepted' : 'declined'}
+            {result.skipped.length > 0 && `, ${result.skipped.length} could not be answered`}.
+          </p>
+        }
+        {error && <div className="field-error">{error}</div>}
+        {loading && <p>Loading join requests...</p>}
+        {!loading && !rides.length && <p>No join requests here.</p>}
+
+        {rides.map(ride => (
+          <section key={ride.postId} className="ride-group">
+            <div className="ride-group-header">
+              {ride.requests.some(canAnswer) &&
+                <input type="checkbox"
+                  aria-label="Select all requests for this ride"
+                  checked={ride.requests.filter(canAnswer).every(r => selected.includes(r.requestId))}
+                  onChange={() => toggleRide(ride)} />
+              }
+              <h2 onClick={() => navigate(`/driver-post-detail/${ride.postId}`)}>
+                {ride.startingLocation} → {ride.endingLocation}
+              </h2>
+              <span>{convertDate2Readable(ride.startTime)}</span>
+            </div>
+
+            {ride.requests.map(request => (
+              <div key={request.requestId} className="join-request-card">
+                {canAnswer(request) &&
+                  <input type="checkbox"
+                    aria-label={`Select the request from ${request.passengerName}`}
+                    checked={selected.includes(request.requestId)}
+                    onChange={() => toggleSelected(request.requestId)} />
+                }
+                <img className="passenger-avatar" src={request.passengerAvatar || defaultAvatar} alt="" />
+                <div className="join-request-details">
+                  <h4>
+                    {request.passengerName}
+                    {request.passengerVerified && <span className="verified-badge">verified email</span>}
+                  </h4>
+                  <p><strong>Rating:</strong> {formatRating(request.passengerRating)}</p>
+                  <p><strong>Status:</strong> {request.status}</p>
+                  <p><strong>Seats:</strong> {request.seatsneeded}{request.pickup && ` · ${request.pickup} → ${request.dropoff}`}</p>
+                  {request.message && <p><strong>Message:</strong> {request.message}</p>}
+                  <p className="requested-at">Requested {convertDate2Readable(request.requestedAt)}</p>
+                  {request.seriesId && <p><em>Asked to join the whole recurring ride; answer the series from your profile.</em></p>}
+                  {request.confirmBy && <p><em>Came off the waitlist; waiting for the passenger to confirm by {convertDate2Readable(request.confirmBy)}.</em></p>}
+                  {skippedReason(request.requestId) && <div className="field-error">{skippedReason(request.requestId)}</div>}
+                  {canAnswer(request) &&
+                    <div className="request-actions">
+                      <button className="accept-button" onClick={() => answer([request.requestId], 'accept')}>Accept</button>
+                      <button className="decline-button" onClick={() => answer([request.requestId], 'decline')}>Decline</button>
+                    </div>
+                  }
+                </div>
+              </div>
+            ))}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DriverJoinRequests;
@@ -15,6 +15,8 @@ const DriverProfile = () => {
     const [name, setName] = useState(''); 
     const [phonenumber, setPhonenumber] = useState(''); 
     const [avatar, setAvatar] = useState('');
+    const [googleLinked, setGoogleLinked] = useState(false);
+    const [rating, setRating] = useState();
     const navigate = useNavigate();
 
 
@@ -31,6 +33,8 @@ const DriverProfile = () => {
                     setPhonenumber(data.phonenumber); 
                     setName(data.name); 
                     setAvatar(data.avatar);    
+                    setGoogleLinked(Boolean(data.googleId));
+                    setRating(data.rating);
                 } catch (err) {
                     console.error(err);
                 }
@@ -46,7 +50,7 @@ const DriverProfile = () => {
         <>
             <DriverNav />
             <div className="DriverProfile">
-                <DriverInfo name={name} email={email} phonenumber={phonenumber} avatar={avatar} />
+                <DriverInfo name={name} email={email} phonenumber={phonenumber} avatar={avatar} googleLinked={googleLinked} rating={rating} />
             </div>
         </>
     );
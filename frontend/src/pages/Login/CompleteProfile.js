@@ -0,0 +1,52 @@
+// CompleteProfile.js
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError } from '../../utils/apiErrors';
+import { isLoggedIn } from '../../utils/LoginActions';
+import './ForgotPassword.scss';
+
+// Shown once after a Google signup, since Google does not share a phone number.
+const CompleteProfile = () => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const accountType = (location.state && location.state.accountType) || 'passenger';
+    const [phonenumber, setPhonenumber] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setError('');
+        try {
+            await axios.put(`${API_BASE_URL}/${accountType}/update`, { phonenumber }, {
+                headers: { 'Authorization': window.localStorage.getItem('AuthToken') },
+            });
+            navigate(accountType === 'driver' ? '/driver-home' : '/home');
+        } catch (err) {
+            setError(getApiError(err, 'An error occurred. Please try again.').message);
+        }
+    };
+
+    if (!isLoggedIn()) {
+        return <Navigate to="/welcome" />;
+    }
+
+    return (
+        <div className="forgot-password-page">
+            <div className={`forgot-password-card ${accountType}`}>
+                <h2>One more step</h2>
+                <p>Drivers and passengers use your phone number to coordinate pickups once a ride is confirmed.</p>
+                <form onSubmit={handleSubmit}>
+                    <div className="input-group">
+                        <input type="tel" placeholder="Phone Number (10 digits)" value={phonenumber} required pattern="\d{10}" onChange={(e) => setPhonenumber(e.target.value)} />
+                    </div>
+                    {error && <div className="error-text">{error}</div>}
+                    <button type="submit" className="submit-btn">Save and continue</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CompleteProfile;
@@ -1,21 +1,24 @@
 /* Part of this file was leveraged from GPT */ 
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import './DriverLogin.scss';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {faGoogle } from '@fortawesome/free-brands-svg-icons';
 import { faEye, faEyeSlash } from '@fortawesome/free-solid-svg-icons';
-import { isLoggedIn } from '../../utils/LoginActions';
+import { isLoggedIn, storeSession } from '../../utils/LoginActions';
 import useLogin from '../../hooks/useLogin'; // Ensure this path matches where you save the hook
 import GoogleSignup from '../../components/GoogleSignup/GoogleSignup.js'; // Make sure this path is correct
 
 
 const DriverLogin = () => {
     const navigate = useNavigate();
+    const location = useLocation();
+    const notice = location.state && location.state.notice;
     const { login, errors } = useLogin('driver'); 
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [passwordShown, setPasswordShown] = useState(false);
+    const [googleError, setGoogleError] = useState('');
 
     const handleEmailChange = (event) => setEmail(event.target.value);
     const handlePasswordChange = (event) => setPassword(event.target.value);
@@ -32,13 +35,14 @@ const DriverLogin = () => {
     const handleGoogleSuccess = (googleData) => {
         console.log('Google signup successful:', googleData);
         if(googleData.token) {
-            window.localStorage.setItem('AuthToken', `Bearer ${googleData.token}`);
-            navigate('/driver-home'); 
+            storeSession(googleData);
+            navigate(googleData.needsPhoneNumber ? '/complete-profile' : '/driver-home', { state: { accountType: 'driver' } }); 
         }
     };
 
     const handleGoogleFailure = (error) => {
-        console.error('Google signup failed:', error);
+        console.error('Google signin failed:', error);
+        setGoogleError(typeof error === 'string' ? error : 'Google sign-in failed. Please try again.');
     };
 
     const handleSubmit = (event) => {
@@ -55,6 +59,7 @@ const DriverLogin = () => {
                 <div className="login-card">
                     <Link to="/" className="back-btn">Back</Link>
                     <h2>Driver Login</h2>
+                    {notice && <div className="notice-text">{notice}</div>}
                     <form className="login-form" onSubmit={handleSubmit}>
                         <div className="input-group">
                             <input type="email" placeholder="Email" value={email} required onChange={handleEmailChange} />
@@ -67,13 +72,18 @@ const DriverLogin = () => {
                             </button>
                             {errors.password && <div className="error-text">{errors.password}</div>}
                         </div>
+                        {errors.generic && <div className="error-text">{errors.generic}</div>}
                         <button type="submit" className="login-btn">Login</button>
                     </form>
+                    <p className="sign-up-text">
+                        <Link to="/driver-forgot-password">Forgot password?</Link>
+                    </p>
                     <p className="sign-up-text">
                         Don't have an account? <Link to="/driver-signup">Sign up</Link>
                     </p>
                     <div className="social-login">
-                    <GoogleSignup onSuccess={handleGoogleSuccess} onFailure={handleGoogleFailure} accountType={"driver"} />
+                    <GoogleSignup onSuccess={handleGoogleSuccess} onFailure={handleGoogleFailure} accountType={"driver"} mode="signin" />
+                    {googleError && <div className="error-text">{googleError}</div>}
                     </div>
                 </div>
             </div>
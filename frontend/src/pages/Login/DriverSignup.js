@@ -6,26 +6,28 @@ import { API_BASE_URL } from '../../services/api';
 import SignupForm from '../../components/SignupForm/SignupForm.js';
 import GoogleSignup from '../../components/GoogleSignup/GoogleSignup.js'; 
 import useSignup from '../../hooks/useSignup';
+import { storeSession } from '../../utils/LoginActions';
 
 
 const DriverSignup = () => {
     const navigate = useNavigate();
-    const [errors, setErrors] = useState({});
+    const [googleErrors, setGoogleErrors] = useState({});
     const [signupSuccess, setSignupSuccess] = useState(false); 
 
     const handleGoogleSuccess = (googleData) => {
         
         console.log('Google signup successful:', googleData);
         if(googleData.token) {
-            window.localStorage.setItem('AuthToken', `Bearer ${googleData.token}`);
-            navigate('/driver-home'); 
+            storeSession(googleData);
+            navigate(googleData.needsPhoneNumber ? '/complete-profile' : '/driver-home', { state: { accountType: 'driver' } }); 
         }
     };
     const handleGoogleFailure = (error) => {
         console.error('Google signup failed:', error);
+        setGoogleErrors({ form: typeof error === 'string' ? error : 'Google signup failed. Please try again.' });
     };
 
-    const { handleSubmit, error } = useSignup('Driver', `${API_BASE_URL}/driver/register`, '/driver-login');
+    const { handleSubmit, errors } = useSignup('Driver', `${API_BASE_URL}/driver/register`, '/driver-login');
 
     return (
         <div className="driver-signup-page">
@@ -35,7 +37,7 @@ const DriverSignup = () => {
             <div className="signup-container">
                 <div className="signup-card">
                     <h2>Driver Signup</h2>
-                    <SignupForm onSubmit={handleSubmit} errors={errors} userRole="Driver" />
+                    <SignupForm onSubmit={handleSubmit} errors={{ ...errors, ...googleErrors }} userRole="Driver" />
                     <div className="social-signup">
                         <GoogleSignup onSuccess={handleGoogleSuccess} onFailure={handleGoogleFailure} accountType="driver"/>
                     </div>
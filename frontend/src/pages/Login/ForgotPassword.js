@@ -0,0 +1,47 @@
+// ForgotPassword.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import './ForgotPassword.scss';
+
+const ForgotPassword = ({ accountType }) => {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setError('');
+        try {
+            const response = await axios.post(`${API_BASE_URL}/auth/forgot-password`, { email });
+            setMessage(response.data.message);
+        } catch (err) {
+            console.error('Error requesting password reset: ', err);
+            setError('An error occurred. Please try again.');
+        }
+    };
+
+    return (
+        <div className="forgot-password-page">
+            <div className={`forgot-password-card ${accountType}`}>
+                <Link to={`/${accountType}-login`} className="back-btn">Back</Link>
+                <h2>Forgot Password</h2>
+                {message ? (
+                    <p className="notice-text">{message}</p>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <p>Enter the email you signed up with and we'll send you a link to reset your password.</p>
+                        <div className="input-group">
+                            <input type="email" placeholder="Email" value={email} required onChange={(e) => setEmail(e.target.value)} />
+                        </div>
+                        {error && <div className="error-text">{error}</div>}
+                        <button type="submit" className="submit-btn">Send reset link</button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -1,10 +1,10 @@
 /* Part of this file was leveraged from GPT */ 
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {faGoogle } from '@fortawesome/free-brands-svg-icons';
 import { faEye, faEyeSlash } from '@fortawesome/free-solid-svg-icons';
-import { isLoggedIn } from '../../utils/LoginActions';
+import { isLoggedIn, storeSession } from '../../utils/LoginActions';
 import useLogin from '../../hooks/useLogin'; 
 import GoogleSignup from '../../components/GoogleSignup/GoogleSignup.js'; 
 
@@ -12,11 +12,14 @@ import './PassengerLogin.scss';
 
 const PassengerLogin = () => {
     const navigate = useNavigate();
+    const location = useLocation();
+    const notice = location.state && location.state.notice;
     const { login, errors } = useLogin(); 
     const accountType = "passenger"; 
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [passwordShown, setPasswordShown] = useState(false);
+    const [googleError, setGoogleError] = useState('');
 
     const handleEmailChange = (event) => setEmail(event.target.value);
     const handlePasswordChange = (event) => setPassword(event.target.value);
@@ -24,15 +27,14 @@ const PassengerLogin = () => {
     const handleGoogleSuccess = (googleData) => {
         console.log('Google signup successful:', googleData);
         if(googleData.token) {
-            window.localStorage.setItem('AuthToken', `Bearer ${googleData.token}`);
-            window.location.reload();
-            navigate('/home'); 
-        
+            storeSession(googleData);
+            navigate(googleData.needsPhoneNumber ? '/complete-profile' : '/home', { state: { accountType: 'passenger' } }); 
         }
     };
 
     const handleGoogleFailure = (error) => {
-        console.error('Google signup failed:', error);
+        console.error('Google signin failed:', error);
+        setGoogleError(typeof error === 'string' ? error : 'Google sign-in failed. Please try again.');
     };
     const togglePasswordVisibility = () => {
         setPasswordShown(!passwordShown);
@@ -61,6 +63,7 @@ const PassengerLogin = () => {
                         Back
                     </Link>
                     <h2>Passenger Login</h2>
+                    {notice && <p className="p-login-notice">{notice}</p>}
                     <form className="p-login-form" onSubmit={handleSubmit}>
                         <div className="p-input-group">
                             <input type="text" placeholder="Username" value={email} required onChange={handleEmailChange} />
@@ -75,12 +78,15 @@ const PassengerLogin = () => {
                             </div>
                             {errors.password && <p className="p-login-error">{errors.password}</p>}
                         </div>
+                        {errors.generic && <p className="p-login-error">{errors.generic}</p>}
                         <button type="submit" className="p-login-btn">Login</button>
                     </form>
+                    <p className="p-sign-up-text"><Link to="/passenger-forgot-password" className="sign-up">Forgot password?</Link></p>
                     <p className="p-sign-up-text">Don't have an account? <Link to="/passenger-signup" className="sign-up">Sign up</Link></p>
                     <div className="p-social-login">
                 
-                          <GoogleSignup onSuccess={handleGoogleSuccess} onFailure={handleGoogleFailure} accountType={"passenger"} />
+                          <GoogleSignup onSuccess={handleGoogleSuccess} onFailure={handleGoogleFailure} accountType={"passenger"} mode="signin" />
+                          {googleError && <p className="p-login-error">{googleError}</p>}
                    
                     </div>
                 </div>
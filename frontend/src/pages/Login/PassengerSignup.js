@@ -6,14 +6,15 @@ import { API_BASE_URL } from '../../services/api';
 import SignupForm from '../../components/SignupForm/SignupForm.js';
 import GoogleSignup from '../../components/GoogleSignup/GoogleSignup.js'; 
 import useSignup from '../../hooks/useSignup';
+import { storeSession } from '../../utils/LoginActions';
 
 const PassengerSignup = () => {
     const navigate = useNavigate();
     const handleGoogleSuccess = (googleData) => {
         console.log('Google signup successful:', googleData);
         if(googleData.token) {
-            window.localStorage.setItem('AuthToken', `Bearer ${googleData.token}`);
-            navigate('/home'); 
+            storeSession(googleData);
+            navigate(googleData.needsPhoneNumber ? '/complete-profile' : '/home', { state: { accountType: 'passenger' } }); 
         }
     };
 
@@ -0,0 +1,59 @@
+// ResetPassword.js
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError } from '../../utils/apiErrors';
+import './ForgotPassword.scss';
+
+const ResetPassword = () => {
+    const { token } = useParams();
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (password !== confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+        setError('');
+        try {
+            const response = await axios.post(`${API_BASE_URL}/auth/reset-password`, { token, password });
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(getApiError(err, 'An error occurred. Please try again.').message);
+        }
+    };
+
+    return (
+        <div className="forgot-password-page">
+            <div className="forgot-password-card">
+                <h2>Choose a New Password</h2>
+                {message ? (
+                    <>
+                        <p className="notice-text">{message}</p>
+                        <p>
+                            <Link to="/driver-login">Driver Login</Link> | <Link to="/passenger-login">Passenger Login</Link>
+                        </p>
+                    </>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <div className="input-group">
+                            <input type="password" placeholder="New Password" value={password} required minLength={8} onChange={(e) => setPassword(e.target.value)} />
+                        </div>
+                        <div className="input-group">
+                            <input type="password" placeholder="Confirm Password" value={confirmPassword} required onChange={(e) => setConfirmPassword(e.target.value)} />
+                        </div>
+                        {error && <div className="error-text">{error}</div>}
+                        <button type="submit" className="submit-btn">Reset password</button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,64 @@
+// VerifyEmail.js
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../services/api';
+import { getApiError } from '../../utils/apiErrors';
+import './WelcomePage.scss'; 
+
+const VerifyEmail = () => {
+    const { token } = useParams();
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState('');
+    const [email, setEmail] = useState('');
+
+    useEffect(() => {
+        const verify = async () => {
+            try {
+                const response = await axios.get(`${API_BASE_URL}/auth/verify-email/${token}`);
+                setStatus('verified');
+                setMessage(response.data.message);
+            } catch (err) {
+                setStatus('failed');
+                setMessage(getApiError(err, 'Unable to verify your email. Please try again.').message);
+            }
+        };
+        verify();
+    }, [token]);
+
+    const handleResend = async (event) => {
+        event.preventDefault();
+        try {
+            const response = await axios.post(`${API_BASE_URL}/auth/resend-verification`, { email });
+            setMessage(response.data.message);
+        } catch (err) {
+            console.error(err);
+            setMessage('Unable to send a new link. Please try again later.');
+        }
+    };
+
+    return (
+        <div className="welcome-container">
+            <div className="welcome-content">
+                {status === 'verifying' && <h1>Verifying...</h1>}
+                {status === 'verified' && <h1>Email verified!</h1>}
+                {status === 'failed' && <h1>Verification failed</h1>}
+                <p>{message}</p>
+                {status === 'failed' && (
+                    <form onSubmit={handleResend}>
+                        <input type="email" placeholder="Email" value={email} required onChange={(e) => setEmail(e.target.value)} />
+                        <button type="submit" className="welcome-login-button">Send a new link</button>
+                    </form>
+                )}
+                <div className='log-in-btn-container'>
+                    <Link to="/driver-login" className="welcome-login-button">Driver Login</Link>
+                </div>
+                <div className='log-in-btn-container'>
+                    <Link to="/passenger-login" className="welcome-login-button">Passenger Login</Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
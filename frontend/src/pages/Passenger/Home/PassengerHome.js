@@ -40,6 +40,7 @@ function PassengerHome() {
             availableSeats={post.numberOfSeats}
             startTime={post.startTime}
             content={post.additionalNotes} 
+            driverRating={post.driverId && post.driverId.rating}
           />
         ))}
       </main>
@@ -1,66 +1,139 @@
-/* Part of this file was leveraged from GPT */ 
+/* Part of this file was leveraged from GPT */
 import React, { useState, useEffect } from 'react';
 import { useSearchParams, Navigate } from 'react-router-dom';
 import Post from '../../../components/RideshareCard/RideshareCard';
 import { fetchSearchResults } from '../../../services/api.js';
 import Navigation from '../../../components/Navigation/PassengerNavbar';
-import { isLoggedIn } from '../../../utils/LoginActions'; 
+import { isLoggedIn } from '../../../utils/LoginActions';
+import { getApiError, getFieldErrors } from '../../../utils/apiErrors';
+import './SearchResult.scss';
 
+// The navbar sends free text; "LA to San Diego" becomes a from/to search.
+const filtersFromQuery = (query) => {
+  const [from, to] = (query || '').split(/\s+to\s+/i);
+  return to === undefined
+    ? { term: from.trim(), from: '', to: '' }
+    : { term: '', from: from.trim(), to: to.trim() };
+};
+
+const emptyFilters = { fromRadius: '', toRadius: '', dateFrom: '', dateTo: '', minSeats: '', sort: 'startTime' };
 
 function SearchResults() {
   const [searchParams] = useSearchParams();
   const searchQuery = searchParams.get('query');
+  const [filters, setFilters] = useState({ ...emptyFilters, ...filtersFromQuery(searchQuery) });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
   const [posts, setPosts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const initial = { ...emptyFilters, ...filtersFromQuery(searchQuery) };
+    setFilters(initial);
+    setAppliedFilters(initial);
+  }, [searchQuery]);
 
   useEffect(() => {
-    fetchSearchResults(searchQuery).then(data => {
-      // console.log('Feteched search results:', data); 
-      setPosts(data); 
-      // console.log('State updated'); 
+    fetchSearchResults(appliedFilters).then(data => {
+      setPosts(data.results);
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+      setError(null);
     }).catch(error => {
       console.error('Error fetching search results:', error)
+      setPosts([]);
+      setNextCursor(null);
+      setError(getApiError(error, 'Search failed. Please try again.'));
     })
-    console.log(searchQuery)
-  }, [searchQuery]);
+  }, [appliedFilters]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const loadMore = () => {
+    fetchSearchResults({ ...appliedFilters, cursor: nextCursor }).then(data => {
+      setPosts(current => [...current, ...data.results]);
+      setNextCursor(data.nextCursor);
+    }).catch(error => {
+      console.error('Error fetching more search results:', error)
+    })
+  };
+
+  const fieldErrors = error ? getFieldErrors(error) : {};
 
   if (!isLoggedIn()) {
     return <Navigate to="/welcome" />;
   }
 
-  if (posts.length === 0) {
-    return (
-      <div className="Home">
-        <header>
-          <Navigation searchQuery={searchQuery} />
-        </header>
-        <div style={{ marginTop: '30px' }}> 
-          <h3>No results found</h3>
-      </div>
-        
-      </div>
-    )
-  }
-
   if (searchQuery === "") {
     return <Navigate to="/home" />;
   }
+
   return (
     <div className="Home">
       <header>
         <Navigation searchQuery={searchQuery} />
       </header>
-      <main className="posts-grid">
-        {posts.map(post => (
-          <Post 
-            id={post._id} 
-            startingLocation={post.startingLocation} 
-            endingLocation={post.endingLocation} 
-            availableSeats={post.numberOfSeats}
-            startTime={post.startTime}
-            content={post.additionalNotes} 
-          />
-        ))}
-      </main>
+      <form className="search-filters" onSubmit={handleFilterSubmit}>
+        <div className="search-place">
+          <input type="text" name="from" placeholder="From" value={filters.from} onChange={handleFilterChange} />
+          <input type="number" name="fromRadius" min="1" max="500" placeholder="within km" value={filters.fromRadius} onChange={handleFilterChange} />
+          {fieldErrors.from && <div className="field-error">{fieldErrors.from}</div>}
+        </div>
+        <div className="search-place">
+          <input type="text" name="to" placeholder="To" value={filters.to} onChange={handleFilterChange} />
+          <input type="number" name="toRadius" min="1" max="500" placeholder="within km" value={filters.toRadius} onChange={handleFilterChange} />
+          {fieldErrors.to && <div className="field-error">{fieldErrors.to}</div>}
+        </div>
+        <label>
+          After
+          <input type="date" name="dateFrom" value={filters.dateFrom} onChange={handleFilterChange} />
+        </label>
+        <label>
+          Before
+          <input type="date" name="dateTo" value={filters.dateTo} onChange={handleFilterChange} />
+        </label>
+        <input type="number" name="minSeats" min="1" max="8" placeholder="Seats" value={filters.minSeats} onChange={handleFilterChange} />
+        <select name="sort" value={filters.sort} onChange={handleFilterChange}>
+          <option value="startTime">Soonest first</option>
+          <option value="-startTime">Latest first</option>
+          <option value="-seats">Most seats</option>
+        </select>
+        <button type="submit">Search</button>
+      </form>
+
+      {posts.length === 0 ? (
+        <div style={{ marginTop: '30px' }}>
+          <h3>{error && !Object.keys(fieldErrors).length ? error.message : 'No results found'}</h3>
+        </div>
+      ) : (
+        <>
+          <p className="search-total">{total} {total === 1 ? 'ride' : 'rides'} found</p>
+          <main className="posts-grid">
+            {posts.map(post => (
+              <Post
+                key={post._id}
+                id={post._id}
+                startingLocation={post.startingLocation}
+                endingLocation={post.endingLocation}
+                availableSeats={post.numberOfSeats}
+                startTime={post.startTime}
+                content={post.additionalNotes}
+                driverRating={post.driverId && post.driverId.rating}
+              />
+            ))}
+          </main>
+          {nextCursor && <button className="load-more" onClick={loadMore}>Load more</button>}
+        </>
+      )}
     </div>
   );
 }
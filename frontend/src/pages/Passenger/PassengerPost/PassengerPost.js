@@ -7,6 +7,7 @@ import SuccessPopup from '../../../components/SuccessPopup/SuccessPopup';
 import { isLoggedIn } from '../../../utils/LoginActions'; 
 import axios from 'axios';
 import { API_BASE_URL } from '../../../services/api';
+import { getApiError, getFieldErrors } from '../../../utils/apiErrors';
 
 
 const PassengerPost = () => {
@@ -21,11 +22,13 @@ const PassengerPost = () => {
     const [showFailPopup, setShowFailPopup] = useState(false); 
     const [successMsg, setSuccessMsg] = useState(''); 
     const [failMsg, setFailMsg] = useState(''); 
+    const [fieldErrors, setFieldErrors] = useState({});
 
     const navigate = useNavigate();
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setFieldErrors({});
         
         const body = {
             'startingLocation': startLocation, 
@@ -39,25 +42,24 @@ const PassengerPost = () => {
             console.log(body)
             const res = await axios.post(`${API_BASE_URL}/passengerpost/newpost`, body);
             console.log(res)
-            const data = res.data;
-            if (data.status === 'Success' || data.status === 'SUCCESS') {
-                // console.log(data)
-                // Display success message 
-                setSuccessMsg('Successfully sent to drivers!'); 
-                setShowSuccessPopup(true); 
-                // Reset form fields 
-                setDate('');
-                setStartLocation('');
-                setEndLocation('');
-                setSeats('');
-                setDescription('');
-            } else if (data.status === 'FAILED') {
-                setShowFailPopup(true); 
-                setFailMsg('At least one required field is empty.')
-                console.log("Passenger post request failed:", data)
-            }
+            // Display success message 
+            setSuccessMsg('Successfully sent to drivers!'); 
+            setShowSuccessPopup(true); 
+            // Reset form fields 
+            setDate('');
+            setStartLocation('');
+            setEndLocation('');
+            setSeats('');
+            setDescription('');
         } catch(err) {
-            console.error(err);
+            const apiError = getApiError(err);
+            console.log("Passenger post request failed:", apiError)
+            if (apiError.code === 'VALIDATION_FAILED') {
+                setFieldErrors(getFieldErrors(apiError));
+                return;
+            }
+            setShowFailPopup(true); 
+            setFailMsg(apiError.message)
         }
     };
 
@@ -89,6 +91,7 @@ const PassengerPost = () => {
                         onChange={(e) => setStartLocation(e.target.value)}
                         required
                     />
+                    {fieldErrors.startingLocation && <div className="field-error">{fieldErrors.startingLocation}</div>}
                     <input
                         type="text"
                         placeholder="End Location"
@@ -96,6 +99,7 @@ const PassengerPost = () => {
                         onChange={(e) => setEndLocation(e.target.value)}
                         required
                     />
+                    {fieldErrors.endingLocation && <div className="field-error">{fieldErrors.endingLocation}</div>}
                     <input
                         type="number"
                         placeholder="Number of people you have"
@@ -104,6 +108,7 @@ const PassengerPost = () => {
                         min="1"
                         required
                     />
+                    {fieldErrors.numberOfPeople && <div className="field-error">{fieldErrors.numberOfPeople}</div>}
                     <input
                         type="datetime-local"
                         placeholder="Date and time you're looking for"
@@ -111,12 +116,14 @@ const PassengerPost = () => {
                         onChange={(e) => setDate(e.target.value)}
                         required
                     />
+                    {fieldErrors.startTime && <div className="field-error">{fieldErrors.startTime}</div>}
                     <textarea
                         type="text"
                         placeholder="Detailed description of your request (optional)"
                         value={description}
                         onChange={(e) => setDescription(e.target.value)}
                     />
+                    {fieldErrors.additionalNotes && <div className="field-error">{fieldErrors.additionalNotes}</div>}
 
                     <button class="passenger-button" type="submit">Submit Ride</button>
                 </form>
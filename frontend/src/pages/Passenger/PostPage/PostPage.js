@@ -1,6 +1,6 @@
 // PostPage.js
 /* Part of this file was leveraged from GPT */ 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Navigate } from 'react-router-dom';
 import { API_BASE_URL, } from '../../../services/api'; 
 // Components 
@@ -9,6 +9,9 @@ import InitiatorInfo from '../../../components/InitiatorInfo/InitiatorInfo';
 import JoinReqPopup from '../../../components/JoinReqPopup/JoinReqPopup'; 
 import CancelJoinReq from '../../../components/JoinReqPopup/CancelJoinReq'; 
 import AcceptedPopup from '../../../components/JoinReqPopup/AcceptedPopup'; 
+import RideChat from '../../../components/RideChat/RideChat';
+import RideReviews from '../../../components/RideReviews/RideReviews';
+import useLiveUpdates from '../../../hooks/useLiveUpdates';
 
 // utils 
 import { isLoggedIn } from '../../../utils/LoginActions'; 
@@ -30,28 +33,74 @@ function PostPage() {
   const [msg, setMsg] = useState(''); 
   const [numSeats, setNumSeats] = useState(); 
   const [requested, setRequested] = useState(); 
+  const [wholeSeries, setWholeSeries] = useState(false);
+  const [joinWaitlist, setJoinWaitlist] = useState(false);
+  const [waitlistPosition, setWaitlistPosition] = useState();
+  const [confirmBy, setConfirmBy] = useState();
+  const [pickupStop, setPickupStop] = useState(0);
+  const [dropoffStop, setDropoffStop] = useState();
 
-  useEffect( () => {
-    const getPost = async () => {
-      try {
-        const response = await axios.get(`${API_BASE_URL}/driverpost/${id}`);
-        const data = response.data; 
-        console.log('data:', data);
-        setPost(data.driverPost);
-        setRequested(data.hasJoined); // whether there is a join request sent previously 
-        setStatus(data.joinRequestStatus);
-      } catch(err) {
-        console.error(err); 
-      }
-    }; 
+  // The ride's stops from start to end; passengers on rides with stops can get on and off part way.
+  const route = post ? [post.startingLocation, ...(post.stops || []), post.endingLocation] : [];
+  const dropoff = dropoffStop === undefined ? route.length - 1 : dropoffStop;
+
+  const getPost = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/driverpost/${id}`);
+      const data = response.data; 
+      console.log('data:', data);
+      setPost(data.driverPost);
+      setRequested(data.hasJoined); // whether there is a join request sent previously 
+      setStatus(data.joinRequestStatus);
+      setWaitlistPosition(data.waitlistPosition);
+      setConfirmBy(data.confirmBy);
+    } catch(err) {
+      console.error(err); 
+    }
+  }, [id]);
+
+  useEffect(() => {
     getPost();
-    
-  }, [status]); 
+  }, [getPost]); 
+
+  // Keep the page current when the driver answers the request or seats are booked or freed.
+  useLiveUpdates({
+    joinRequest: (update) => {
+      if (update.driverPostId === id) getPost();
+    },
+    seats: (update) => {
+      if (update.driverPostId !== id) return;
+      setPost((current) => current && { ...current, numberOfSeats: update.numberOfSeats, segmentSeats: update.segmentSeats });
+    },
+  });
 
   const handleRequestClick = () => {
+    setWholeSeries(false);
+    setJoinWaitlist(false);
+    setShowRequestPopup(true);
+  };
+
+  const handleSeriesRequestClick = () => {
+    setWholeSeries(true);
+    setJoinWaitlist(false);
+    setShowRequestPopup(true);
+  };
+
+  const handleWaitlistClick = () => {
+    setWholeSeries(false);
+    setJoinWaitlist(true);
     setShowRequestPopup(true);
   };
 
+  const handleConfirmClick = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/driverpost/${id}/confirm`);
+      getPost();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   const handleClosePopup = () => {
     setShowRequestPopup(false);
   };
@@ -80,6 +129,11 @@ function PostPage() {
       // console.log('msg:', msg)
     } else if (name === 'seats') {
       setNumSeats(value);
+    } else if (name === 'pickupStop') {
+      setPickupStop(Number(value));
+      if (Number(value) >= dropoff) setDropoffStop(route.length - 1);
+    } else if (name === 'dropoffStop') {
+      setDropoffStop(Number(value));
     }
     
   }
@@ -89,16 +143,21 @@ function PostPage() {
     
     const body = {
       message: msg, 
-      seatsneeded: numSeats
+      seatsneeded: numSeats,
+      ...(!wholeSeries && route.length > 2 && { pickupStop, dropoffStop: dropoff }),
+      ...(joinWaitlist && { waitlist: true })
     }; 
 
     try {
       console.log('body:', body)
-      const response = await axios.post(`${API_BASE_URL}/driverpost/${id}/join`, body); 
+      const url = wholeSeries
+        ? `${API_BASE_URL}/rideseries/${post.seriesId}/join`
+        : `${API_BASE_URL}/driverpost/${id}/join`;
+      const response = await axios.post(url, body); 
       // console.log("Join request sent.");
       console.log(response.data)
       setShowRequestPopup(false);
-      window.location.reload();
+      getPost();
     } catch  (err) {
       console.error(err); 
     }
@@ -112,7 +171,8 @@ function PostPage() {
       console.log(`${API_BASE_URL}/driverpost/${id}/cancel`);
       const response = await axios.post(`${API_BASE_URL}/driverpost/${id}/cancel`); 
       setShowCancelPopup(false); 
-      window.location.reload();
+      setShowAcceptedPopup(false);
+      getPost();
     } catch (err)  {
       console.error(err);
     }
@@ -122,6 +182,10 @@ function PostPage() {
     return <div>Loading post...</div>;
   }
 
+  // Seats are counted per leg on rides with stops, so only the legs the passenger rides on matter.
+  const segmentSeats = post.segmentSeats || [];
+  const seatsBetween = (from, to) => segmentSeats.length ? Math.min(...segmentSeats.slice(from, to)) : post.numberOfSeats;
+
   // If the user hasn't logged in, navigate to welcome page.
   if (!isLoggedIn()) {
     return <Navigate to="/welcome" />;
@@ -140,20 +204,53 @@ function PostPage() {
           
           <p><strong>Start Location:</strong> {post.startingLocation}</p>
           <p><strong>End Location:</strong> {post.endingLocation}</p>
+          {route.length > 2 && <p><strong>Stops:</strong> {post.stops.join(', ')}</p>}
           <p><strong>Date & Time:</strong> {convertDate2Readable(post.startTime)}</p>
           <p><strong>Remaining Seats:</strong> {post.numberOfSeats}</p>
+          {segmentSeats.length > 0 &&
+            <ul className="leg-seats">
+              {segmentSeats.map((seats, leg) => <li key={leg}>{route[leg]} → {route[leg + 1]}: {seats} seats left</li>)}
+            </ul>
+          }
           <p><strong>Description:</strong> {post.additionalNotes}</p>
+          {post.seriesId && <p><strong>Repeats:</strong> This ride is part of a weekly recurring ride.</p>}
+
+          {post.status && post.status !== 'scheduled' &&
+            <p><strong>Status:</strong> {post.status === 'cancelled' ? 'This ride was cancelled by the driver.' : 'This ride has already left.'}</p>
+          }
 
-          {!requested && 
+          {!requested && post.status === 'scheduled' && 
             <div className='p-join-container'>
               <div className='button-text'>Send a join request to the driver</div> 
               <div className='p-button-container'>
                 <button className="join-button" onClick={handleRequestClick} >Request</button>
+                {post.seriesId &&
+                  <button className="join-button" onClick={handleSeriesRequestClick} >Request all upcoming rides</button>
+                }
+                <button className="join-button" onClick={handleWaitlistClick} >Join the waitlist</button>
+              </div>
+            </div>
+          }
+
+          {requested && status === 'waitlisted' &&
+            <div className='p-join-container'>
+              <div className='button-text'>You are number {waitlistPosition} on the waitlist. We will email you when a seat frees up.</div>
+              <div className='p-button-container'>
+                <button className="cancel-button" onClick={handleCancelClick} >Leave the waitlist</button>
+              </div>
+            </div>
+          }
+
+          {requested && status === 'pending' && confirmBy &&
+            <div className='p-join-container'>
+              <div className='button-text'>A seat opened up for you. Confirm by {convertDate2Readable(confirmBy)} or it goes to the next passenger.</div>
+              <div className='p-button-container'>
+                <button className="join-button" onClick={handleConfirmClick} >Confirm my seat</button>
               </div>
             </div>
           }
 
-          {requested && status=== 'pending' &&  
+          {requested && status=== 'pending' && !confirmBy &&  
             <div className='p-join-container'>
               <div className='button-text'>Request sent to the driver</div> 
               <div className='p-button-container'>
@@ -184,9 +281,13 @@ function PostPage() {
         </div>
         {/* Conditionally display further info  */}
         {status === 'accepted' && <InitiatorInfo post={post}/>}
+        {status === 'accepted' && <RideChat postId={id} />}
+        {status === 'accepted' && <RideReviews postId={id} />}
 
       </div>
-      {showRequestPopup &&  <JoinReqPopup onClose={handleClosePopup} onChange={handleInputChange} onSubmit={handleSubmit} maxSeats={post.numberOfSeats}/>}
+      {showRequestPopup &&  <JoinReqPopup onClose={handleClosePopup} onChange={handleInputChange} onSubmit={handleSubmit}
+        maxSeats={joinWaitlist ? undefined : wholeSeries ? post.numberOfSeats : seatsBetween(pickupStop, dropoff)}
+        route={wholeSeries ? [] : route} pickupStop={pickupStop} dropoffStop={dropoff}/>}
       {showCancelPopup &&  <CancelJoinReq onClose={handleCloseCancel} onChange={handleInputChange} onSubmit={handleCancelSubmit} />}
       {showAcceptedPopup &&  <CancelJoinReq onClose={handleCloseAccepted} onChange={handleInputChange} onSubmit={handleCancelSubmit} />}
     </div>
@@ -3,10 +3,13 @@ import React, { useState, useEffect } from 'react';
 import { Link, Navigate, useResolvedPath } from 'react-router-dom';
 import Navigation from '../../../components/Navigation/PassengerNavbar';
 import PassengerInfo from '../../../components/PassengerProfileInfo/PassengerProfileInfo';
+import PassengerPostEditPopup from '../../../components/PassengerProfileInfo/PassengerPostEditPopup';
+import PassengerPostOffers from '../../../components/PassengerProfileInfo/PassengerPostOffers';
 import { getCurrentUserId, getUserRideHistory } from '../../../services/mockAPI';
 import './PassengerProfile.scss';
 import { isLoggedIn } from '../../../utils/LoginActions'; 
-import { convertDate2Readable } from '../../../utils/util'; 
+import { convertDate2Readable, toLocalInputValue } from '../../../utils/util'; 
+import { getApiError, getFieldErrors } from '../../../utils/apiErrors';
 import axios from "axios";
 import { API_BASE_URL } from '../../../services/api';
 
@@ -18,8 +21,14 @@ const PassengerProfile = () => {
     const [email, setEmail] = useState(''); 
     const [name, setName] = useState(''); 
     const [avatar, setAvatar] = useState('');
+    const [googleLinked, setGoogleLinked] = useState(false);
+    const [rating, setRating] = useState();
     const [phonenumber, setPhonenumber] = useState(''); 
     const [passengerPosts, setPassengerPosts] = useState([])
+    const [editingPost, setEditingPost] = useState(null);
+    const [postErrors, setPostErrors] = useState({});
+    const [offersPostId, setOffersPostId] = useState(null);
+    const [suggestedRides, setSuggestedRides] = useState([]);
 
     useEffect(() => {
         const getPassengerProfile = async () => {
@@ -32,6 +41,8 @@ const PassengerProfile = () => {
                 setJoinRequests(data.rideshares);
                 setPassengerPosts(data.passengerPosts);
                 setAvatar(data.avatar);
+                setGoogleLinked(Boolean(data.googleId));
+                setRating(data.rating);
                 console.log(data)
             } catch (err) {
                 console.error(err);
@@ -40,6 +51,52 @@ const PassengerProfile = () => {
         getPassengerProfile();
     }, []);
 
+    useEffect(() => {
+        axios.get(`${API_BASE_URL}/passenger/suggested-rides`)
+            .then((res) => setSuggestedRides(res.data))
+            .catch((err) => console.error(err));
+    }, [passengerPosts]);
+
+    const handleEditPostClick = (post) => {
+        setPostErrors({});
+        setEditingPost({
+            _id: post._id,
+            startingLocation: post.startingLocation,
+            endingLocation: post.endingLocation,
+            startTime: toLocalInputValue(post.startTime),
+            numberOfPeople: post.numberOfPeople,
+            additionalNotes: post.additionalNotes || ''
+        });
+    };
+
+    const handlePostChange = (e) => {
+        const { name, value } = e.target;
+        setEditingPost(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handlePostSubmit = async (e) => {
+        e.preventDefault();
+        const { _id, startTime, numberOfPeople, ...rest } = editingPost;
+        const changes = {
+            ...rest,
+            numberOfPeople: Number(numberOfPeople),
+            ...(startTime && { startTime: new Date(startTime).toISOString() })
+        };
+
+        try {
+            const response = await axios.patch(`${API_BASE_URL}/passengerpost/${_id}`, changes);
+            setPassengerPosts(current => current.map(post => post._id === _id ? response.data.data : post));
+            setEditingPost(null);
+        } catch (err) {
+            const apiError = getApiError(err, 'Unable to update your request.');
+            setPostErrors(apiError.code === 'VALIDATION_FAILED' ? getFieldErrors(apiError) : { generic: apiError.message });
+        }
+    };
+
+    const handleOfferAccepted = (postId, driverPostId) => {
+        setPassengerPosts(current => current.map(post => post._id === postId ? { ...post, status: 'matched', driverPostId } : post));
+    };
+
     if (!isLoggedIn()) {
         return <Navigate to="/welcome" />;
     }
@@ -49,7 +106,7 @@ const PassengerProfile = () => {
                 <Navigation />
             </header>
             <div className="ProfilePage">
-                <PassengerInfo name={name} email={email} phonenumber={phonenumber} avatar={avatar}/>
+                <PassengerInfo name={name} email={email} phonenumber={phonenumber} avatar={avatar} googleLinked={googleLinked} rating={rating}/>
                 <div className="ride-history">
                     <h3>Join Request History</h3>
                     <div className="section-divider"></div>
@@ -58,6 +115,7 @@ const PassengerProfile = () => {
                           <p><strong>Start location:</strong> {joinRequest.startingLocation}</p>
                           <p><strong>End location:</strong> {joinRequest.endingLocation}</p>
                           <p><strong>Start time:</strong> {convertDate2Readable(joinRequest.startTime)}</p>
+                          {joinRequest.pickup && <p><strong>Your stops:</strong> {joinRequest.pickup} → {joinRequest.dropoff}</p>}
                           <p><strong>Status:</strong> {joinRequest.status}</p>
                           <Link to={`/driverposts/${joinRequest.postId}`} className="view-detail-button">View Detail</Link>
 
@@ -69,15 +127,57 @@ const PassengerProfile = () => {
                     <h3>Post History</h3>
                     <div className="section-divider"></div>
                     {passengerPosts.map(post => ( 
-                      <div key={post.postId} className="ride-history-item">
+                      <div key={post._id} className="ride-history-item">
                           <p><strong>Start location:</strong> {post.startingLocation}</p>
                           <p><strong>End location:</strong> {post.endingLocation}</p>
                           <p><strong>Start time:</strong> {convertDate2Readable(post.startTime)}</p>
+                          {post.status === 'matched' && post.driverPostId && (
+                              <Link to={`/driverposts/${post.driverPostId}`} className="view-detail-button">View Ride</Link>
+                          )}
+                          <div className="post-actions">
+                              {post.status !== 'matched' && <button onClick={() => handleEditPostClick(post)}>Edit</button>}
+                              <button onClick={() => setOffersPostId(offersPostId === post._id ? null : post._id)}>
+                                  {offersPostId === post._id ? 'Hide Offers' : `Offers (${(post.offers || []).length})`}
+                              </button>
+                          </div>
+                          {offersPostId === post._id && (
+                              <PassengerPostOffers
+                                  postId={post._id}
+                                  onAccepted={(driverPostId) => handleOfferAccepted(post._id, driverPostId)}
+                              />
+                          )}
+                      </div>
+                  ))}
+                </div>
+
+                <div className="ride-history">
+                    <h3>Suggested Rides</h3>
+                    <div className="section-divider"></div>
+                    {suggestedRides.length === 0 && <p>No rides match your requests yet.</p>}
+                    {suggestedRides.map(({ driverPost, passengerPost, score }) => (
+                      <div key={`${passengerPost._id}-${driverPost._id}`} className="ride-history-item">
+                          <p><strong>Start location:</strong> {driverPost.startingLocation}</p>
+                          <p><strong>End location:</strong> {driverPost.endingLocation}</p>
+                          <p><strong>Start time:</strong> {convertDate2Readable(driverPost.startTime)}</p>
+                          <p><strong>Seats available:</strong> {driverPost.numberOfSeats}</p>
+                          <p className="match-score">
+                              {Math.round(score * 100)}% match for your request from {passengerPost.startingLocation} to {passengerPost.endingLocation}
+                          </p>
+                          <Link to={`/driverposts/${driverPost._id}`} className="view-detail-button">View Detail</Link>
                       </div>
                   ))}
                 </div>
 
             </div>
+            {editingPost &&
+                <PassengerPostEditPopup
+                    onClose={() => setEditingPost(null)}
+                    onSubmit={handlePostSubmit}
+                    onChange={handlePostChange}
+                    post={editingPost}
+                    errors={postErrors}
+                />
+            }
         </div>
     );
 };
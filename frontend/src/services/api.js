@@ -32,11 +32,20 @@ export const fetchDriverPosts = async () => {
 
   
   
-export const fetchSearchResults = async (term) => {
+// `filters` holds the /driverpost/search query parameters (from, to, fromRadius, toRadius,
+// dateFrom, dateTo, minSeats, sort, cursor); empty values are left out. Resolves to { results, total, nextCursor }.
+export const fetchSearchResults = async (filters) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/driverpost/search?term=${term}`); 
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+    const response = await fetch(`${API_BASE_URL}/driverpost/search?${params}`); 
     if(!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      // shaped like an axios error so getApiError can read the backend's message
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.response = { status: response.status, data: await response.json().catch(() => ({})) };
+      throw error;
     }
     const results = await response.json(); 
     return results; 
@@ -45,6 +54,3 @@ export const fetchSearchResults = async (term) => {
     throw e; 
   }
 }
-
-
-
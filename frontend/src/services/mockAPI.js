@@ -174,49 +174,3 @@ export const getSearchResult = (query) => {
     }, 5);
   });
 };
-
-// ===============================
-//      Notification 
-// ===============================
-
-const notifications = [
-  {
-    id: 1, // notification id 
-    userId: 1, 
-    ride: posts[0],
-    read: false, 
-  },
-  {
-    id: 2,
-    userId: 1, 
-    ride: posts[1],
-    read: false, 
-  },
-];
-
-export const getJoinRequestNotifications = (userId) => {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve(notifications.filter(notification => notification.userId === userId && notification.read === false));
-    }, 100);
-  });
-};
-
-
-// To May and Mike: In this function, I mark the notification as read instead of deleting it, 
-// but I think you guys can consider deleting the notification during your developement.  
-export const markNotificationAsRead = (notificationId) => {
-  return new Promise((resolve, reject) => {
-    // Find the index of the notification with the given ID
-    const index = notifications.findIndex(notification => notification.id === notificationId);
-
-    if (index !== -1) {
-      // Notification found, update its read status
-      notifications[index].read = true;
-      resolve({ message: "Notification marked as read." });
-    } else {
-      // Notification not found, reject the promise
-      reject(new Error("Notification not found"));
-    }
-  });
-};
@@ -1,3 +1,97 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../services/api';
+
 export const isLoggedIn = () => {
     return !!window.localStorage.getItem("AuthToken");
-  };
\ No newline at end of file
+  };
+
+export const storeSession = ({ token, refreshToken }) => {
+    window.localStorage.setItem('AuthToken', `Bearer ${token}`);
+    if (refreshToken) {
+        window.localStorage.setItem('RefreshToken', refreshToken);
+    }
+    axios.defaults.headers.common["authorization"] = `Bearer ${token}`;
+};
+
+const clearSession = () => {
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+    axios.defaults.headers.common["authorization"] = null;
+};
+
+// Revokes this device's session on the server, then forgets the tokens locally.
+export const logout = async () => {
+    const refreshToken = window.localStorage.getItem('RefreshToken');
+    try {
+        if (refreshToken) {
+            await axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken });
+        }
+    } catch (error) {
+        console.error('Error when logging out: ', error);
+    }
+    clearSession();
+};
+
+export const logoutAllDevices = async () => {
+    try {
+        await axios.post(`${API_BASE_URL}/auth/logout-all`, {}, {
+            headers: { 'Authorization': window.localStorage.getItem('AuthToken') },
+        });
+    } catch (error) {
+        console.error('Error when logging out of all devices: ', error);
+    }
+    clearSession();
+};
+
+let refreshing = null;
+
+// Trades the refresh token for a new pair and stores it. Concurrent callers share the same call.
+export const refreshSession = () => {
+    if (!refreshing) {
+        const refreshToken = window.localStorage.getItem('RefreshToken');
+        refreshing = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+            .then((response) => {
+                storeSession(response.data);
+                return response.data;
+            })
+            .catch((error) => {
+                // Another tab rotated the same token first; its new pair is already stored.
+                const current = window.localStorage.getItem('RefreshToken');
+                if (current && current !== refreshToken) {
+                    const token = window.localStorage.getItem('AuthToken').replace(/^Bearer /, '');
+                    storeSession({ token });
+                    return { token, refreshToken: current };
+                }
+                throw error;
+            })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+};
+
+// Only these 401s mean the access token needs replacing; others, like WRONG_PASSWORD, are final.
+const SESSION_ERROR_CODES = ['AUTH_REQUIRED', 'TOKEN_EXPIRED', 'SESSION_INVALID'];
+
+// Access tokens are short-lived: on a 401, trade the refresh token for a new pair once
+// and replay the request. Concurrent 401s share the same refresh call.
+export const installRefreshInterceptor = () => {
+    axios.interceptors.response.use(undefined, async (error) => {
+        const original = error.config;
+        const refreshToken = window.localStorage.getItem('RefreshToken');
+        if (!error.response || !SESSION_ERROR_CODES.includes(error.response.data && error.response.data.code)
+            || !original || original._retried || !refreshToken) {
+            return Promise.reject(error);
+        }
+
+        original._retried = true;
+        try {
+            const session = await refreshSession();
+            original.headers['Authorization'] = `Bearer ${session.token}`;
+            return axios(original);
+        } catch (refreshError) {
+            clearSession();
+            window.location.assign('/welcome');
+            return Promise.reject(error);
+        }
+    });
+};
@@ -0,0 +1,15 @@
+// Failed backend calls respond with { status: 'FAILED', code, message, details }.
+// Branch on `code`; `message` is only meant to be shown to the user.
+export const getApiError = (error, fallbackMessage = 'Something went wrong. Please try again.') => {
+    const data = error && error.response && error.response.data;
+    if (data && data.code) {
+        return data;
+    }
+    return { code: error && error.response ? 'UNKNOWN_ERROR' : 'NETWORK_ERROR', message: fallbackMessage };
+};
+
+// Turns VALIDATION_FAILED details into { field: message } for form inputs.
+export const getFieldErrors = (apiError) => (apiError.details || []).reduce((fields, { field, message }) => ({
+    ...fields,
+    [field]: message,
+}), {});
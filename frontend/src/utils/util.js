@@ -12,4 +12,18 @@ export const convertDate2Readable = (dateString) => {
     const date = new Date(dateString); // Convert string to Date object
     const datePacific = date.toLocaleString('en-US', options);
     return datePacific;
-}
\ No newline at end of file
+}
+
+// datetime-local inputs want "YYYY-MM-DDTHH:mm" in local time.
+export const toLocalInputValue = (dateString) => {
+    if (!dateString) return '';
+    const local = new Date(dateString);
+    local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+    return local.toISOString().slice(0, 16);
+}
+
+// Aggregate review score as returned by the API, e.g. "★ 4.5 (12 reviews)".
+export const formatRating = (rating) => {
+    if (!rating || !rating.count) return 'No ratings yet';
+    return `★ ${rating.average.toFixed(1)} (${rating.count} review${rating.count === 1 ? '' : 's'})`;
+}